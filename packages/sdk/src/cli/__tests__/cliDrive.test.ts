@@ -0,0 +1,80 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import path from "path";
+import os from "os";
+import { promises as fs } from "node:fs";
+import { createBabysitterCli } from "../main";
+import { createRunDir } from "../../storage/createRunDir";
+import { appendEvent } from "../../storage/journal";
+
+describe("babysitter run:drive CLI", () => {
+  let runsRoot: string;
+  let logSpy: ReturnType<typeof vi.spyOn>;
+  let errorSpy: ReturnType<typeof vi.spyOn>;
+
+  beforeEach(async () => {
+    runsRoot = await fs.mkdtemp(path.join(os.tmpdir(), "cli-run-drive-"));
+    logSpy = vi.spyOn(console, "log").mockImplementation(() => undefined);
+    errorSpy = vi.spyOn(console, "error").mockImplementation(() => undefined);
+  });
+
+  afterEach(async () => {
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+    await fs.rm(runsRoot, { recursive: true, force: true });
+  });
+
+  it("drives a run to completion with handlers loaded from --handlers", async () => {
+    await createRun("run-drive-handlers");
+    const handlersPath = path.join(runsRoot, "handlers.mjs");
+    await fs.writeFile(
+      handlersPath,
+      `export default { skill: (action) => ({ status: "ok", value: { skill: action.taskDef.title } }) };\n`,
+      "utf8"
+    );
+
+    const cli = createBabysitterCli();
+    const exitCode = await cli.run([
+      "run:drive",
+      "run-drive-handlers",
+      "--runs-dir",
+      runsRoot,
+      "--handlers",
+      handlersPath,
+      "--auto-approve-breakpoints",
+      "--json",
+    ]);
+
+    expect(exitCode).toBe(0);
+    const payload = JSON.parse(String(logSpy.mock.calls.at(-1)?.[0]));
+    expect(payload).toMatchObject({ status: "completed", reason: "completed", output: { skill: "summarize" } });
+    expect(payload.handled.map((entry: { kind: string }) => entry.kind)).toEqual(["breakpoint", "skill"]);
+  });
+
+  it("exits with code 2 and lists unhandled kinds when the run is blocked", async () => {
+    await createRun("run-drive-blocked");
+
+    const cli = createBabysitterCli();
+    const exitCode = await cli.run(["run:drive", "run-drive-blocked", "--runs-dir", runsRoot]);
+
+    expect(exitCode).toBe(2);
+    expect(logSpy).toHaveBeenCalledWith("[run:drive] status=waiting reason=no_progress iterations=1 handled=0");
+    expect(errorSpy).toHaveBeenCalledWith("[run:drive] no handler registered for kinds: breakpoint");
+  });
+
+  async function createRun(runId: string) {
+    const processPath = path.join(runsRoot, `${runId}.mjs`);
+    await fs.writeFile(
+      processPath,
+      `const summarize = { id: "summarize", async build() { return { kind: "skill", title: "summarize" }; } };
+export async function process(inputs, ctx) {
+  await ctx.breakpoint({ question: "continue?" });
+  return ctx.task(summarize, {});
+}
+`,
+      "utf8"
+    );
+    const { runDir } = await createRunDir({ runsRoot, runId, request: "cli-drive", processPath });
+    await appendEvent({ runDir, eventType: "RUN_CREATED", event: { runId } });
+    return runDir;
+  }
+});
@@ -0,0 +1,96 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import path from "path";
+import os from "os";
+import { promises as fs } from "node:fs";
+import { createBabysitterCli } from "../main";
+import { createRunDir } from "../../storage/createRunDir";
+import { appendEvent } from "../../storage/journal";
+import { orchestrateIteration } from "../../runtime/orchestrateIteration";
+import { buildEffectIndex } from "../../runtime/replay/effectIndex";
+
+const RUNNER_FIXTURES = path.resolve(__dirname, "../../../test-fixtures/runner");
+
+describe("babysitter run:execute CLI", () => {
+  let runsRoot: string;
+  let logSpy: ReturnType<typeof vi.spyOn>;
+  let errorSpy: ReturnType<typeof vi.spyOn>;
+
+  beforeEach(async () => {
+    runsRoot = await fs.mkdtemp(path.join(os.tmpdir(), "cli-run-execute-"));
+    logSpy = vi.spyOn(console, "log").mockImplementation(() => undefined);
+    errorSpy = vi.spyOn(console, "error").mockImplementation(() => undefined);
+  });
+
+  afterEach(async () => {
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+    await fs.rm(runsRoot, { recursive: true, force: true });
+  });
+
+  it("executes pending node effects and reports them as JSON", async () => {
+    const runDir = await createWaitingRun("run-execute-json");
+
+    const cli = createBabysitterCli();
+    const exitCode = await cli.run(["run:execute", "run-execute-json", "--runs-dir", runsRoot, "--json"]);
+
+    expect(exitCode).toBe(0);
+    const payload = readLastJson(logSpy);
+    expect(payload.executed).toHaveLength(1);
+    expect(payload.executed[0]).toMatchObject({ kind: "node", status: "ok", exitCode: 0 });
+    const index = await buildEffectIndex({ runDir });
+    expect(index.listPendingEffects()).toHaveLength(0);
+  });
+
+  it("prints the plan without committing on --dry-run", async () => {
+    const runDir = await createWaitingRun("run-execute-dry");
+
+    const cli = createBabysitterCli();
+    const exitCode = await cli.run(["run:execute", "run-execute-dry", "--runs-dir", runsRoot, "--dry-run"]);
+
+    expect(exitCode).toBe(0);
+    expect(logSpy).toHaveBeenCalledWith("[run:execute] planned=1 failed=0 skipped=0");
+    const index = await buildEffectIndex({ runDir });
+    expect(index.listPendingEffects()).toHaveLength(1);
+  });
+
+  it("fails when a requested effect is not pending", async () => {
+    await createWaitingRun("run-execute-missing");
+
+    const cli = createBabysitterCli();
+    const exitCode = await cli.run([
+      "run:execute",
+      "run-execute-missing",
+      "--runs-dir",
+      runsRoot,
+      "--effect",
+      "01UNKNOWN",
+    ]);
+
+    expect(exitCode).toBe(1);
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining("Effect 01UNKNOWN is not pending"));
+  });
+
+  async function createWaitingRun(runId: string) {
+    const processPath = path.join(runsRoot, `${runId}.mjs`);
+    const entry = path.join(RUNNER_FIXTURES, "emit-logs.js");
+    await fs.writeFile(
+      processPath,
+      `const logs = { id: "logs", async build() { return { kind: "node", node: { entry: ${JSON.stringify(entry)} } }; } };
+export async function process(inputs, ctx) {
+  return ctx.task(logs, {});
+}
+`,
+      "utf8"
+    );
+    const { runDir } = await createRunDir({ runsRoot, runId, request: "cli-execute", processPath });
+    await appendEvent({ runDir, eventType: "RUN_CREATED", event: { runId } });
+    const iteration = await orchestrateIteration({ runDir });
+    expect(iteration.status).toBe("waiting");
+    return runDir;
+  }
+
+  function readLastJson(spy: ReturnType<typeof vi.spyOn>) {
+    const raw = String(spy.mock.calls.at(-1)?.[0] ?? "{}");
+    return JSON.parse(raw);
+  }
+});
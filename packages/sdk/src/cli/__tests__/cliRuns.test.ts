@@ -7,6 +7,14 @@ import { readRunMetadata } from "../../storage/runFiles";
 import { DEFAULT_LAYOUT_VERSION, getStateFile } from "../../storage/paths";
 import { appendEvent, loadJournal } from "../../storage/journal";
 import { createRunDir } from "../../storage/createRunDir";
+import { acquireRunLock, readRunLock } from "../../storage/lock";
+import { resetClock, setClockForTests } from "../../storage/clock";
+import { readTaskResult } from "../../storage/tasks";
+import { ENCRYPTION_KEY_ENV } from "../../storage/encryption";
+import { createRun } from "../../runtime/createRun";
+import { commitEffectResult } from "../../runtime/commitEffectResult";
+import { createTaskBuildContext } from "../../tasks/context";
+import { registerHook } from "../../hooks/registry";
 import { createStateCacheSnapshot, writeStateCache } from "../../runtime/replay/stateCache";
 import * as orchestrateIterationModule from "../../runtime/orchestrateIteration";
 import * as runFilesModule from "../../storage/runFiles";
@@ -179,6 +187,41 @@ describe("babysitter run:create CLI", () => {
     expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining("babysitter run:create"));
   });
 
+  it("snapshots the entrypoint and migrates a drifted run with run:migrate", async () => {
+    const entryFile = await writeEntrypoint("processes/pipeline.mjs", `export async function process() {\n  return "v1";\n}\n`);
+    const cli = createBabysitterCli();
+    expect(
+      await cli.run(["run:create", "--runs-dir", runsRoot, "--process-id", "ci/pipeline", "--entry", `${entryFile}#process`])
+    ).toBe(0);
+    const runDir = await expectSingleRunDir();
+    const { processSnapshot } = await readRunMetadata(runDir);
+    expect(processSnapshot?.importPath).toBe("process/pipeline.mjs");
+
+    await fs.writeFile(entryFile, `export async function process() {\n  return "v2";\n}\n`, "utf8");
+    expect(await cli.run(["run:iterate", runDir])).toBe(1);
+
+    expect(await cli.run(["run:migrate", runDir, "--use", "current", "--reason", "ship v2", "--json"])).toBe(0);
+    const payload = readLastJsonLine(logSpy);
+    expect(payload).toMatchObject({ event: "PROCESS_MIGRATED", use: "current", fromSha256: processSnapshot?.sha256 });
+    expect(payload.toSha256).not.toBe(processSnapshot?.sha256);
+
+    expect(await cli.run(["run:migrate", runDir, "--use", "latest"])).toBe(1);
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining("--use must be either"));
+  });
+
+  it("records the chosen --store and rejects stores the CLI cannot reopen", async () => {
+    const entryFile = await writeEntrypoint("processes/stored.mjs", `export async function process() {\n  return "ok";\n}\n`);
+    const cli = createBabysitterCli();
+    const base = ["run:create", "--runs-dir", runsRoot, "--process-id", "ci/stored", "--entry", `${entryFile}#process`];
+
+    expect(await cli.run([...base, "--store", "memory"])).toBe(1);
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining("--store must be either"));
+    expect(await listRunDirs()).toHaveLength(0);
+
+    expect(await cli.run([...base, "--store", "fs", "--json"])).toBe(0);
+    expect(readLastJsonLine(logSpy)).toMatchObject({ store: "fs" });
+  });
+
   async function writeEntrypoint(relativePath: string, contents: string) {
     const absolutePath = path.join(runsRoot, relativePath);
     await fs.mkdir(path.dirname(absolutePath), { recursive: true });
@@ -351,6 +394,134 @@ describe("run lifecycle inspection commands", () => {
       expect(line).toContain("pending[breakpoint]=1");
       expect(line).toContain("last=RUN_FAILED#000005");
     });
+
+    it("reports paused and cancelled runs via run:pause, run:resume and run:cancel", async () => {
+      const runDir = await createRunWithPendingEffects();
+
+      expect(await cli.run(["run:pause", runDir, "--reason", "hold for review"])).toBe(0);
+      expect(collectPrefixed(logSpy, "[run:pause]")).toEqual([
+        "[run:pause] runId=run-pending event=RUN_PAUSED#000004 state=paused",
+      ]);
+      expect(await cli.run(["run:status", runDir])).toBe(0);
+      expect(collectPrefixed(logSpy, "[run:status]").at(-1)).toContain('state=paused');
+      expect(collectPrefixed(logSpy, "[run:status]").at(-1)).toContain('reason="hold for review"');
+
+      expect(await cli.run(["run:resume", runDir])).toBe(0);
+      expect(await cli.run(["run:cancel", runDir, "--reason", "obsolete", "--json"])).toBe(0);
+      expect(readLastJson(logSpy)).toMatchObject({
+        event: "RUN_CANCELLED",
+        state: "cancelled",
+        reason: "obsolete",
+        abandonedEffectIds: ["ef-node", "ef-break"],
+      });
+
+      expect(await cli.run(["run:status", runDir, "--json"])).toBe(0);
+      const payload = readLastJson(logSpy);
+      expect(payload).toMatchObject({
+        state: "cancelled",
+        pendingByKind: {},
+        lifecycle: { status: "cancelled", reason: "obsolete" },
+        abandonedTotal: 2,
+      });
+
+      expect(await cli.run(["run:cancel", runDir])).toBe(1);
+      expect(hasLineContaining(errorSpy, "[run:cancel] Run is already cancelled")).toBe(true);
+    });
+
+    it("delivers run:signal payloads to waiting signal effects and buffers the rest", async () => {
+      const runDir = await createRunSkeleton("run-signals");
+      await appendRequestedEffect(runDir, "ef-signal", "signal", "signal:ci", { signal: "ci" });
+      const payloadPath = path.join(runsRoot, "ci.json");
+      await fs.writeFile(payloadPath, JSON.stringify({ status: "green" }));
+
+      expect(await cli.run(["run:signal", runDir, "ci", "--payload", payloadPath])).toBe(0);
+      expect(collectPrefixed(logSpy, "[run:signal]")).toEqual([
+        "[run:signal] runId=run-signals event=SIGNAL_RECEIVED#000003 name=ci delivered=ef-signal",
+      ]);
+      const result = await readTaskResult(runDir, "ef-signal");
+      expect(result).toMatchObject({ status: "ok", value: { status: "green" } });
+
+      expect(await cli.run(["run:signal", runDir, "ci", "--json"])).toBe(0);
+      expect(readLastJson(logSpy)).toMatchObject({ event: "SIGNAL_RECEIVED", seq: 5, effectId: null, buffered: true });
+
+      expect(await cli.run(["run:signal", runDir])).toBe(1);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining("babysitter run:signal"));
+    });
+
+    it("lists the attempt history of retried steps", async () => {
+      const runDir = await createRunSkeleton("run-retries");
+      await appendRequestedEffect(runDir, "ef-try-1", "node", "flaky", { attempt: 1, logicalStepId: "S000001" });
+      await appendEvent({
+        runDir,
+        eventType: "EFFECT_RESOLVED",
+        event: { effectId: "ef-try-1", status: "error", error: { name: "TimeoutError", message: "too slow" } },
+      });
+      await appendRequestedEffect(runDir, "ef-try-2", "node", "flaky", { attempt: 2, logicalStepId: "S000001" });
+
+      expect(await cli.run(["run:status", runDir])).toBe(0);
+      expect(collectPrefixed(logSpy, "- retry")).toEqual([
+        "- retry S000001 task=node-task attempts=2 #1=resolved_error(TimeoutError) #2=requested",
+      ]);
+
+      expect(await cli.run(["run:status", runDir, "--json"])).toBe(0);
+      const payload = readLastJson(logSpy);
+      expect(payload.retries).toEqual([
+        {
+          stepId: "S000001",
+          taskId: "node-task",
+          attempts: [
+            expect.objectContaining({
+              attempt: 1,
+              effectId: "ef-try-1",
+              status: "resolved_error",
+              error: { name: "TimeoutError", message: "too slow" },
+            }),
+            expect.objectContaining({ attempt: 2, effectId: "ef-try-2", status: "requested", error: null }),
+          ],
+        },
+      ]);
+    });
+
+    it("renders the tree of child runs started via ctx.subprocess", async () => {
+      const parentDir = await createRunSkeleton("run-parent");
+      const childDir = await createRunSkeleton("run-parent.S000001");
+      const grandchildDir = await createRunSkeleton("run-parent.S000001.S000001");
+      await appendRequestedEffect(parentDir, "ef-child", "subrun", "subprocess:child");
+      await appendEvent({
+        runDir: parentDir,
+        eventType: "SUBRUN_REQUESTED",
+        event: { effectId: "ef-child", runId: "run-parent.S000001", runDir: "../run-parent.S000001", processId: "child" },
+      });
+      await appendRequestedEffect(childDir, "ef-grandchild", "subrun", "subprocess:leaf");
+      await appendEvent({
+        runDir: childDir,
+        eventType: "SUBRUN_REQUESTED",
+        event: {
+          effectId: "ef-grandchild",
+          runId: "run-parent.S000001.S000001",
+          runDir: "../run-parent.S000001.S000001",
+          processId: "leaf",
+        },
+      });
+      await appendEvent({ runDir: grandchildDir, eventType: "RUN_COMPLETED", event: {} });
+
+      expect(await cli.run(["run:status", parentDir])).toBe(0);
+      expect(logSpy.mock.calls.map((call) => String(call[0])).filter((line) => line.includes("- child "))).toEqual([
+        "- child run-parent.S000001 process=child state=waiting step=step-ef-child",
+        "  - child run-parent.S000001.S000001 process=leaf state=completed step=step-ef-grandchild",
+      ]);
+
+      expect(await cli.run(["run:status", parentDir, "--json"])).toBe(0);
+      const payload = readLastJson(logSpy);
+      expect(payload.children).toMatchObject([
+        {
+          runId: "run-parent.S000001",
+          runDir: "../run-parent.S000001",
+          state: "waiting",
+          children: [{ runId: "run-parent.S000001.S000001", runDir: "../run-parent.S000001.S000001", state: "completed" }],
+        },
+      ]);
+    });
   });
 
   describe("run:events", () => {
@@ -555,6 +726,353 @@ describe("run lifecycle inspection commands", () => {
     });
   });
 
+  describe("run:compact-journal", () => {
+    it("migrates a per-file journal into segments and keeps run:status working", async () => {
+      const runDir = await createRunWithPendingEffects();
+
+      expect(await cli.run(["run:compact-journal", runDir, "--segment-size", "2", "--dry-run"])).toBe(0);
+      expect(findSingleLine(logSpy, (entry) => entry.startsWith("[run:compact-journal] dry-run"))).toContain("events=3 segments=2");
+
+      expect(await cli.run(["run:compact-journal", runDir, "--segment-size", "2", "--json"])).toBe(0);
+      expect(readLastJson(logSpy)).toMatchObject({ events: 3, segments: 2, removedFiles: 3, alreadyCompacted: false });
+      expect((await fs.readdir(path.join(runDir, "journal"))).sort()).toEqual([
+        "index.json",
+        "segment-000001.ndjson",
+        "segment-000002.ndjson",
+      ]);
+
+      expect(await cli.run(["run:compact-journal", runDir])).toBe(0);
+      expect(String(logSpy.mock.calls.at(-1)?.[0])).toContain("[run:compact-journal] already compacted events=3");
+
+      expect(await cli.run(["run:status", runDir, "--json"])).toBe(0);
+      expect(readLastJson(logSpy)).toMatchObject({ pendingByKind: { breakpoint: 1, node: 1 } });
+
+      // A crash mid-append leaves a torn last line; repairing rewrites the segments without it.
+      await fs.appendFile(path.join(runDir, "journal", "segment-000002.ndjson"), '{"seq":4,"ulid":"01J', "utf8");
+      expect(await cli.run(["run:repair-journal", runDir, "--json"])).toBe(0);
+      expect(readLastJson(logSpy)).toMatchObject({ journal: { originalFiles: 2, keptEvents: 3 }, repaired: true });
+      expect((await fs.readdir(path.join(runDir, "journal"))).sort()).toEqual([
+        "index.json",
+        "segment-000001.ndjson",
+        "segment-000002.ndjson",
+      ]);
+      expect(await fs.readFile(path.join(runDir, "journal", "segment-000002.ndjson"), "utf8")).toMatch(/\}\n$/);
+      expect(await cli.run(["run:verify", runDir])).toBe(0);
+    });
+  });
+
+  describe("run:verify", () => {
+    it("reports a clean journal and fails once an event is edited", async () => {
+      const runDir = await createRunWithPendingEffects();
+
+      expect(await cli.run(["run:verify", runDir])).toBe(0);
+      expect(findSingleLine(logSpy, (entry) => entry.startsWith("[run:verify]"))).toContain(
+        "status=ok events=3 checksums=3"
+      );
+
+      const journalDir = path.join(runDir, "journal");
+      const [, second] = (await fs.readdir(journalDir)).sort();
+      const payload = JSON.parse(await fs.readFile(path.join(journalDir, second), "utf8"));
+      payload.data.label = "edited";
+      await fs.writeFile(path.join(journalDir, second), JSON.stringify(payload, null, 2) + "\n");
+
+      expect(await cli.run(["run:verify", runDir, "--require-chain", "--json"])).toBe(1);
+      const report = readLastJson(logSpy);
+      expect(report).toMatchObject({ ok: false, chained: false, events: 3 });
+      expect(report.issues.map((issue: { code: string }) => issue.code)).toEqual(["CHAIN_MISSING", "CHECKSUM_MISMATCH"]);
+    });
+  });
+
+  describe("run:fork", () => {
+    it("copies the journal prefix into a new run that run:status reports from that point", async () => {
+      const runDir = await createRunWithHistory();
+
+      expect(await cli.run(["run:fork", runDir, "--at-seq", "3", "--run-id", "run-forked", "--dry-run"])).toBe(0);
+      expect(findSingleLine(logSpy, (entry) => entry.startsWith("[run:fork] dry-run"))).toContain("atSeq=3 events=3");
+      await expect(fs.stat(path.join(runsRoot, "run-forked"))).rejects.toThrow();
+
+      expect(await cli.run(["run:fork", runDir, "--at-seq", "3", "--run-id", "run-forked", "--json"])).toBe(0);
+      expect(readLastJson(logSpy)).toMatchObject({ runId: "run-forked", fromRunId: "run-history", events: 3 });
+      expect(await cli.run(["run:status", path.join(runsRoot, "run-forked"), "--json"])).toBe(0);
+      expect(readLastJson(logSpy)).toMatchObject({ state: "waiting", pendingByKind: { breakpoint: 1, node: 1 } });
+
+      expect(await cli.run(["run:fork", runDir, "--at-seq", "9"])).toBe(1);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining("journal has seq 1-5"));
+      expect(await cli.run(["run:fork", runDir])).toBe(1);
+    });
+  });
+
+  describe("run:status --at-seq / run:events --until", () => {
+    it("reports the run as it stood at an earlier journal point", async () => {
+      const runDir = await createRunWithHistory();
+
+      expect(await cli.run(["run:status", runDir, "--at-seq", "3", "--json"])).toBe(0);
+      expect(readLastJson(logSpy)).toMatchObject({
+        state: "waiting",
+        lastEvent: { seq: 3, type: "EFFECT_REQUESTED" },
+        pendingByKind: { breakpoint: 1, node: 1 },
+        atSeq: 3,
+        headSeq: 5,
+      });
+      expect(await cli.run(["run:status", runDir, "--at-seq", "4"])).toBe(0);
+      expect(findSingleLine(logSpy, (entry) => entry.startsWith("[run:status] state=waiting"))).toContain(
+        "atSeq=4 headSeq=5"
+      );
+      expect(await cli.run(["run:status", runDir, "--json"])).toBe(0);
+      expect(readLastJson(logSpy)).toMatchObject({ state: "failed" });
+      expect(readLastJson(logSpy)).not.toHaveProperty("atSeq");
+
+      expect(await cli.run(["run:status", runDir, "--at-seq", "6"])).toBe(1);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining("--at-seq 6 is past the journal head (seq 5)"));
+    });
+
+    it("limits run:events to events recorded up to a timestamp", async () => {
+      let minute = 0;
+      setClockForTests(() => new Date(Date.UTC(2026, 0, 1, 0, minute++)));
+      let runDir: string;
+      try {
+        runDir = await createRunWithHistory();
+      } finally {
+        resetClock();
+      }
+      const until = (await loadJournal(runDir))[2].recordedAt;
+
+      expect(await cli.run(["run:events", runDir, "--until", until, "--json"])).toBe(0);
+      expect(readLastJson(logSpy).events.map((event: { seq: number }) => event.seq)).toEqual([1, 2, 3]);
+      expect(await cli.run(["run:events", runDir, "--until", until, "--filter-type", "effect_requested"])).toBe(0);
+      const header = findSingleLine(logSpy, (entry) => entry.startsWith("[run:events]"));
+      expect(header).toContain("total=5 matching=2 showing=2");
+      expect(header).toContain(`until=${until}`);
+
+      expect(await cli.run(["run:events", runDir, "--until", "yesterday"])).toBe(1);
+      expect(hasLineContaining(errorSpy, "--until must be an ISO-8601 timestamp")).toBe(true);
+    });
+  });
+
+  describe("run:export / run:import", () => {
+    it("moves a run to another runs dir and keeps run:status working", async () => {
+      const runDir = await createRunWithPendingEffects();
+      await fs.writeFile(path.join(runDir, "process.js"), "export async function process() {}\n");
+      const archive = path.join(runsRoot, "exports", "run-pending.tgz");
+
+      expect(await cli.run(["run:export", runDir])).toBe(1);
+      expect(await cli.run(["run:export", runDir, "--out", archive])).toBe(0);
+      expect(findSingleLine(logSpy, (entry) => entry.startsWith("[run:export]"))).toContain(
+        "runId=run-pending files=11"
+      );
+
+      const otherRuns = path.join(runsRoot, "imported");
+      expect(await cli.run(["run:import", archive, "--runs-dir", otherRuns, "--json"])).toBe(0);
+      expect(readLastJson(logSpy)).toMatchObject({ runId: "run-pending", processImportPath: "process/process.js" });
+      expect(await cli.run(["run:status", path.join(otherRuns, "run-pending"), "--json"])).toBe(0);
+      expect(readLastJson(logSpy)).toMatchObject({ pendingByKind: { breakpoint: 1, node: 1 } });
+
+      expect(await cli.run(["run:import", archive, "--runs-dir", otherRuns])).toBe(1);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining("Run run-pending already exists"));
+    });
+  });
+
+  describe("run:unlock", () => {
+    it("refuses a live holder without --force and records LOCK_BROKEN when breaking it", async () => {
+      const runDir = await createRunWithPendingEffects();
+
+      expect(await cli.run(["run:unlock", runDir])).toBe(0);
+      expect(findSingleLine(logSpy, (entry) => entry.startsWith("[run:unlock]"))).toContain("status=not_locked");
+
+      await acquireRunLock(runDir, "stuck-iteration");
+      expect(await cli.run(["run:unlock", runDir])).toBe(1);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining("use --force to break it anyway"));
+      expect(await readRunLock(runDir)).toMatchObject({ owner: "stuck-iteration" });
+
+      expect(await cli.run(["run:unlock", runDir, "--force", "--reason", "operator reset", "--json"])).toBe(0);
+      expect(readLastJson(logSpy)).toMatchObject({
+        unlocked: true,
+        reason: "forced",
+        recorded: true,
+        previous: { owner: "stuck-iteration", pid: process.pid },
+      });
+      expect(await readRunLock(runDir)).toBeNull();
+      const events = await loadJournal(runDir);
+      expect(events).toHaveLength(4);
+      expect(events[3]).toMatchObject({ type: "LOCK_BROKEN", data: { note: "operator reset", brokenBy: { owner: "run:unlock" } } });
+    });
+  });
+
+  describe("runs:gc", () => {
+    it("plans with --dry-run and deletes completed runs outside --keep-last", async () => {
+      const finished = await createRunWithHistory();
+      await appendEvent({ runDir: finished, eventType: "RUN_COMPLETED", event: {} });
+      await createRunWithPendingEffects();
+
+      expect(await cli.run(["runs:gc", "--runs-dir", runsRoot, "--keep-last", "1", "--dry-run"])).toBe(0);
+      expect(findSingleLine(logSpy, (entry) => entry.startsWith("[runs:gc] dry-run"))).toContain("runs=2 deleted=1 kept=1");
+
+      expect(await cli.run(["runs:gc", "--runs-dir", runsRoot, "--keep-last", "1", "--json"])).toBe(0);
+      const report = readLastJson(logSpy);
+      expect(report).toMatchObject({ dryRun: false, deletedRuns: 1 });
+      expect(report.runs.map((run: { runId: string; action: string }) => [run.runId, run.action])).toEqual([
+        ["run-history", "delete"],
+        ["run-pending", "keep"],
+      ]);
+      expect(await fs.readdir(runsRoot)).toEqual(["run-pending"]);
+
+      expect(await cli.run(["runs:gc", "--runs-dir", runsRoot, "--older-than-days", "soon"])).toBe(1);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining("--older-than-days must be a positive integer"));
+    });
+  });
+
+  describe("blob:show", () => {
+    it("prints a shared blob with the runs that reference it", async () => {
+      const refs: string[] = [];
+      for (const runId of ["shared-a", "shared-b"]) {
+        const { runDir } = await createRunDir({
+          runsRoot,
+          runId,
+          request: "cli-test",
+          extraMetadata: { sharedBlobs: true },
+        });
+        const ctx = createTaskBuildContext({ runId, runDir, effectId: "ef-1", invocationKey: "k", taskId: "t" });
+        refs.push(await ctx.createBlobRef("transcript", "hello from the agent\n"));
+      }
+      expect(refs[0]).toBe(refs[1]);
+      const hash = refs[0].slice(-64);
+      const [a, b] = await Promise.all(["shared-a", "shared-b"].map((runId) => fs.stat(path.join(runsRoot, runId, refs[0]))));
+      expect(a.ino).toBe(b.ino);
+
+      expect(await cli.run(["blob:show", hash, "--runs-dir", runsRoot])).toBe(0);
+      expect(findSingleLine(logSpy, (entry) => entry.startsWith("[blob:show]"))).toBe(
+        `[blob:show] hash=${hash} bytes=21 refs=2 runs=shared-a,shared-b`
+      );
+      expect(logSpy).toHaveBeenCalledWith("hello from the agent\n");
+      const out = path.join(runsRoot, "out", "blob.txt");
+      expect(await cli.run(["blob:show", hash, "--runs-dir", runsRoot, "--out", out, "--json"])).toBe(0);
+      expect(readLastJson(logSpy)).toMatchObject({ hash, bytes: 21, runs: ["shared-a", "shared-b"], out });
+      expect(await fs.readFile(out, "utf8")).toBe("hello from the agent\n");
+
+      expect(await cli.run(["blob:show", "0".repeat(64), "--runs-dir", runsRoot])).toBe(1);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining("is not in the shared blob store"));
+      expect(await cli.run(["blob:show", "xyz", "--runs-dir", runsRoot])).toBe(1);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining("must be a lowercase sha256 hex digest"));
+    });
+  });
+
+  describe("encrypted runs", () => {
+    it("decrypts payloads for run:events and task:show only when the key is configured", async () => {
+      const processPath = path.join(runsRoot, "secret.mjs");
+      await fs.writeFile(
+        processPath,
+        `const work = { id: "work", async build(args) { return { kind: "agent", title: "work", args }; } };
+export async function process(inputs, ctx) {
+  return ctx.task(work, { token: inputs.token });
+}
+`
+      );
+      process.env[ENCRYPTION_KEY_ENV] = "ab".repeat(32);
+      process.env.BABYSITTER_ALLOW_SECRET_LOGS = "1";
+      try {
+        const { runDir } = await createRun({
+          runsDir: runsRoot,
+          runId: "run-encrypted",
+          process: { processId: "secret", importPath: processPath },
+          inputs: { token: "s3cret" },
+        });
+        const iteration = await orchestrateIterationModule.orchestrateIteration({ runDir });
+        if (iteration.status !== "waiting") throw new Error(`expected waiting, got ${iteration.status}`);
+        const effectId = iteration.nextActions[0].effectId;
+        await commitEffectResult({ runDir, effectId, result: { status: "ok", value: "classified" } });
+
+        expect(await cli.run(["run:events", runDir, "--payloads", "--json", "--verbose"])).toBe(0);
+        const decrypted = readLastJson(logSpy).events;
+        expect(decrypted[0]).not.toHaveProperty("payload");
+        expect(decrypted[1].payload).toMatchObject({ inputs: { token: "s3cret" } });
+        expect(decrypted[2].payload).toMatchObject({ status: "ok", value: "classified" });
+
+        delete process.env[ENCRYPTION_KEY_ENV];
+        expect(await cli.run(["run:events", runDir, "--payloads", "--json", "--verbose"])).toBe(0);
+        expect(readLastJson(logSpy).events.map((event: { payload?: unknown }) => event.payload)).toEqual([
+          undefined,
+          "[encrypted]",
+          "[encrypted]",
+        ]);
+        expect(await cli.run(["run:events", runDir, "--payloads"])).toBe(1);
+        expect(hasLineContaining(errorSpy, "[run:events] --payloads requires --json")).toBe(true);
+
+        expect(await cli.run(["task:show", runDir, effectId, "--json", "--verbose"])).toBe(0);
+        expect(readLastJson(logSpy)).toMatchObject({ task: "[encrypted]", result: "[encrypted]", encrypted: true });
+        expect(await cli.run(["task:show", runDir, effectId])).toBe(0);
+        expect(hasLineContaining(logSpy, "payloads: [encrypted] (set BABYSITTER_ENCRYPTION_KEY")).toBe(true);
+      } finally {
+        delete process.env[ENCRYPTION_KEY_ENV];
+        delete process.env.BABYSITTER_ALLOW_SECRET_LOGS;
+      }
+    });
+  });
+
+  describe("run:hooks", () => {
+    it("journals hook runs as HOOK_EXECUTED and summarizes failures", async () => {
+      const pluginRoot = path.join(runsRoot, "plugin");
+      await fs.mkdir(path.join(pluginRoot, "hooks"), { recursive: true });
+      await fs.writeFile(
+        path.join(pluginRoot, "hooks", "hook-dispatcher.sh"),
+        `cat > /dev/null
+if [ "$1" = "on-run-complete" ]; then
+  echo "notify: webhook returned 500" >&2
+  echo "per-repo:notify.sh:failed:1" >&2
+fi
+`
+      );
+      // The dispatcher is only spawned for hook types that have a shell hook.
+      await fs.mkdir(path.join(pluginRoot, "hooks", "on-run-complete"));
+      await fs.writeFile(path.join(pluginRoot, "hooks", "on-run-complete", "notify.sh"), "#!/bin/sh\n", { mode: 0o755 });
+      const processPath = path.join(runsRoot, "quick.mjs");
+      await fs.writeFile(processPath, "export async function process() { return { ok: true }; }\n");
+      const envSnapshot = process.env.CLAUDE_PLUGIN_ROOT;
+      process.env.CLAUDE_PLUGIN_ROOT = pluginRoot;
+      const unregister = registerHook("on-iteration-start", () => ({ tracked: true }), { name: "tracker" });
+      try {
+        const { runDir } = await createRun({
+          runsDir: runsRoot,
+          runId: "run-hooks",
+          process: { processId: "quick", importPath: processPath },
+        });
+        expect(await orchestrateIterationModule.orchestrateIteration({ runDir })).toMatchObject({ status: "completed" });
+        expect((await loadJournal(runDir)).map((event) => event.type)).toEqual([
+          "RUN_CREATED",
+          "HOOK_EXECUTED",
+          "RUN_COMPLETED",
+          "HOOK_EXECUTED",
+        ]);
+
+        expect(await cli.run(["run:events", runDir, "--filter-type", "HOOK_EXECUTED", "--json"])).toBe(0);
+        expect(readLastJson(logSpy).events.map((event: { data: { hookType: string } }) => event.data.hookType)).toEqual([
+          "on-iteration-start",
+          "on-run-complete",
+        ]);
+
+        expect(await cli.run(["run:hooks", runDir, "--json"])).toBe(0);
+        const summary = readLastJson(logSpy);
+        expect(summary).toMatchObject({ invocations: 2, failed: 1, denied: 0 });
+        expect(summary.hooks).toMatchObject([
+          { hookType: "on-iteration-start", name: "tracker", location: "registered", backend: "js", runs: 1, failures: 0 },
+          { hookType: "on-run-complete", name: "notify.sh", location: "per-repo", backend: "shell", failures: 1, lastExitCode: 1 },
+        ]);
+        expect(summary.failures).toMatchObject([
+          { seq: 4, hookType: "on-run-complete", error: "Hook notify.sh failed: exit code 1", failedHooks: [{ exitCode: 1 }] },
+        ]);
+        expect(summary.failures[0].stderr).toContain("webhook returned 500");
+
+        expect(await cli.run(["run:hooks", runDir, "--failed"])).toBe(0);
+        expect(findSingleLine(logSpy, (entry) => entry.startsWith("[run:hooks]"))).toBe(
+          "[run:hooks] invocations=1 failed=1 denied=0 filter=failed"
+        );
+        expect(hasLineContaining(logSpy, "per-repo:notify.sh [shell] exit=1")).toBe(true);
+      } finally {
+        unregister();
+        if (envSnapshot === undefined) delete process.env.CLAUDE_PLUGIN_ROOT;
+        else process.env.CLAUDE_PLUGIN_ROOT = envSnapshot;
+      }
+    });
+  });
 
   async function createRunWithPendingEffects() {
     const runDir = await createRunSkeleton("run-pending");
@@ -608,7 +1126,13 @@ describe("run lifecycle inspection commands", () => {
     return runDir;
   }
 
-  async function appendRequestedEffect(runDir: string, effectId: string, kind: string, label: string) {
+  async function appendRequestedEffect(
+    runDir: string,
+    effectId: string,
+    kind: string,
+    label: string,
+    extra: Record<string, unknown> = {}
+  ) {
     const refs = await writeTaskFiles(runDir, effectId, kind);
     await appendEvent({
       runDir,
@@ -622,6 +1146,7 @@ describe("run lifecycle inspection commands", () => {
         label,
         taskDefRef: refs.taskDefRef,
         inputsRef: refs.inputsRef,
+        ...extra,
       },
     });
   }
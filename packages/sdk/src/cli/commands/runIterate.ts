@@ -27,7 +27,7 @@ export interface RunIterateOptions {
 
 export interface RunIterateResult {
   iteration: number;
-  status: "executed" | "waiting" | "completed" | "failed" | "none";
+  status: "executed" | "waiting" | "completed" | "failed" | "paused" | "cancelled" | "none";
   action?: string;
   reason?: string;
   count?: number;
@@ -68,13 +68,14 @@ export async function runIterate(options: RunIterateOptions): Promise<RunIterate
       "on-iteration-end",
       {
         runId,
+        processId: metadata.processId,
         iteration,
         action: "none",
         status: "completed",
         reason: "completed",
         timestamp: new Date().toISOString(),
       },
-      { cwd: projectRoot, logger: verbose ? ((msg: string) => console.error(msg)) : undefined }
+      { cwd: projectRoot, runDir, logger: verbose ? ((msg: string) => console.error(msg)) : undefined }
     );
     return {
       iteration,
@@ -91,13 +92,14 @@ export async function runIterate(options: RunIterateOptions): Promise<RunIterate
       "on-iteration-end",
       {
         runId,
+        processId: metadata.processId,
         iteration,
         action: "none",
         status: "failed",
         reason: "failed",
         timestamp: new Date().toISOString(),
       },
-      { cwd: projectRoot, logger: verbose ? ((msg: string) => console.error(msg)) : undefined }
+      { cwd: projectRoot, runDir, logger: verbose ? ((msg: string) => console.error(msg)) : undefined }
     );
     return {
       iteration,
@@ -108,10 +110,22 @@ export async function runIterate(options: RunIterateOptions): Promise<RunIterate
     };
   }
 
+  if (iterationResult.status === "paused" || iterationResult.status === "cancelled") {
+    // The runtime refused to advance the run; there is nothing for hooks to act on.
+    return {
+      iteration,
+      status: iterationResult.status,
+      action: "none",
+      reason: iterationResult.reason ?? iterationResult.status,
+      metadata: { runId, processId: metadata.processId, hookStatus: "none" },
+    };
+  }
+
   // === Call on-iteration-start hook ===
   // Hook may execute/post effects that were requested by orchestrateIteration().
   const iterationStartPayload: JsonRecord = {
     runId,
+    processId: metadata.processId,
     iteration,
     status: iterationResult.status,
     pending: iterationResult.status === "waiting" ? iterationResult.nextActions : [],
@@ -120,6 +134,7 @@ export async function runIterate(options: RunIterateOptions): Promise<RunIterate
 
   const hookResult = await callRuntimeHook("on-iteration-start", iterationStartPayload, {
     cwd: projectRoot,
+    runDir,
     logger: verbose ? ((msg: string) => console.error(msg)) : undefined,
   });
 
@@ -151,6 +166,7 @@ export async function runIterate(options: RunIterateOptions): Promise<RunIterate
   // === Call on-iteration-end hook ===
   const iterationEndPayload = {
     runId,
+    processId: metadata.processId,
     iteration,
     action,
     status,
@@ -164,6 +180,7 @@ export async function runIterate(options: RunIterateOptions): Promise<RunIterate
     iterationEndPayload,
     {
       cwd: projectRoot,
+      runDir,
       logger: verbose ? ((msg: string) => console.error(msg)) : undefined,
     }
   );
@@ -2,29 +2,88 @@
 import { promises as fs } from "node:fs";
 import * as path from "node:path";
 import { pathToFileURL } from "node:url";
-import * as crypto from "node:crypto";
 import { commitEffectResult } from "../runtime/commitEffectResult";
 import { createRun } from "../runtime/createRun";
+import { executePendingEffects } from "../runtime/executePendingEffects";
+import { driveRun } from "../runtime/driveRun";
+import { createDefaultEffectHandlers, loadEffectHandlerModule } from "../runtime/effectHandlers";
+import { cancelRun, pauseRun, resumeRun } from "../runtime/lifecycle";
+import type { RunLifecycleCommandOptions, RunLifecycleCommandResult } from "../runtime/lifecycle";
 import { buildEffectIndex } from "../runtime/replay/effectIndex";
 import { readStateCache, rebuildStateCache } from "../runtime/replay/stateCache";
+import { listSubrunTree } from "../runtime/subruns";
+import { migrateRunProcess } from "../runtime/processSnapshot";
+import type { MigrateRunProcessResult, ProcessMigrationTarget } from "../runtime/processSnapshot";
+import { signalRun } from "../runtime/signals";
+import type { SignalRunResult } from "../runtime/signals";
+import { verifyRun } from "../runtime/verifyRun";
+import { forkRun } from "../runtime/forkRun";
+import { HOOK_EXECUTED_EVENT, summarizeHookExecutions } from "../runtime/hooks/journal";
+import type { HookExecutedPayload } from "../runtime/hooks/journal";
+import { findHookDispatcherPath } from "../hooks/dispatcher";
+import { listHookTypes, planHooks } from "../hooks/registry";
+import type { HookPlanEntry } from "../hooks/registry";
+import type { HookPayload } from "../hooks/types";
+import { flushWebhookQueue, readWebhookState } from "../hooks/webhook";
+import { breakRunLock } from "../storage/lock";
+import { exportRun, importRun } from "../storage/runArchive";
+import { describeSharedBlob } from "../storage/blobStore";
+import type { SharedBlobInfo } from "../storage/blobStore";
+import type { BreakRunLockResult } from "../storage/lock";
+import { gcRuns } from "../runtime/gcRuns";
+import { dynamicImportModule } from "../runtime/dynamicImport";
+import type { ModuleExports } from "../runtime/dynamicImport";
+import type { SubrunTreeNode } from "../runtime/subruns";
 import type { StateCacheSnapshot } from "../runtime/replay/stateCache";
-import { EffectAction, EffectRecord, IterationMetadata } from "../runtime/types";
+import { EffectAction, EffectRecord, IterationMetadata, RunLifecycleStatus } from "../runtime/types";
 import type { JsonRecord } from "../storage/types";
 import { nextUlid } from "../storage/ulids";
 import { readTaskDefinition, readTaskResult } from "../storage/tasks";
-import { loadJournal } from "../storage/journal";
+import { computeEventChecksum, loadJournal } from "../storage/journal";
 import { readRunMetadata } from "../storage/runFiles";
+import { getRunStore, toDocumentRef } from "../storage/runStore";
+import {
+  ENCRYPTED_PLACEHOLDER,
+  ENCRYPTION_KEY_ENV,
+  ENCRYPTION_KEY_FILE_ENV,
+  isDocumentEncryptedError,
+} from "../storage/encryption";
+import type { RunStoreKind } from "../storage/runStore";
+import { compactJournal } from "../storage/compactJournal";
+import type { CompactJournalResult } from "../storage/compactJournal";
+import { readJournalIndex, writeSegmentedJournal } from "../storage/journalSegments";
+import { getSharedBlobsDir } from "../storage/paths";
+import type { JournalLayout } from "../storage/journalSegments";
 import type { JournalEvent, RunMetadata, StoredTaskResult } from "../storage/types";
 import { runIterate } from "./commands/runIterate";
 import { resolveCompletionSecret } from "./completionSecret";
 
 const USAGE = `Usage:
-  babysitter run:create --process-id <id> --entry <path#export> [--runs-dir <dir>] [--inputs <file>] [--run-id <id>] [--process-revision <rev>] [--request <id>] [--json] [--dry-run]
-  babysitter run:status <runDir> [--runs-dir <dir>] [--json]
-  babysitter run:events <runDir> [--runs-dir <dir>] [--json] [--limit <n>] [--reverse] [--filter-type <type>]
+  babysitter run:create --process-id <id> --entry <path#export> [--runs-dir <dir>] [--inputs <file>] [--run-id <id>] [--process-revision <rev>] [--request <id>] [--store <fs|sqlite>] [--journal-layout <files|segments>] [--chain-journal] [--shared-blobs] [--encrypt|--no-encrypt] [--json] [--dry-run]
+  babysitter run:status <runDir> [--runs-dir <dir>] [--json] [--at-seq <n>]
+  babysitter run:events <runDir> [--runs-dir <dir>] [--json [--payloads]] [--limit <n>] [--reverse] [--filter-type <type>] [--until <iso>]
+  babysitter run:hooks <runDir> [--runs-dir <dir>] [--hook-type <type>] [--failed] [--json]
   babysitter run:rebuild-state <runDir> [--runs-dir <dir>] [--json] [--dry-run]
   babysitter run:repair-journal <runDir> [--runs-dir <dir>] [--json] [--dry-run]
+  babysitter run:verify <runDir> [--runs-dir <dir>] [--require-chain] [--json]
+  babysitter run:unlock <runDir> [--runs-dir <dir>] [--force] [--reason <text>] [--json]
+  babysitter run:fork <runDir> --at-seq <n> [--runs-dir <dir>] [--run-id <id>] [--inputs <file>] [--json] [--dry-run]
+  babysitter run:export <runDir> --out <file.tgz> [--runs-dir <dir>] [--json]
+  babysitter run:import <archive.tgz> [--runs-dir <dir>] [--json]
+  babysitter run:compact-journal <runDir> [--runs-dir <dir>] [--segment-size <n>] [--keep-backup] [--json] [--dry-run]
   babysitter run:iterate <runDir> [--runs-dir <dir>] [--json] [--verbose] [--iteration <n>]
+  babysitter run:drive <runDir> [--runs-dir <dir>] [--max-iterations <n>] [--max-duration-ms <ms>] [--handlers <module>] [--auto-approve-breakpoints] [--json]
+  babysitter run:execute <runDir> [--runs-dir <dir>] [--effect <effectId>]... [--limit <n>] [--concurrency <n>] [--json] [--dry-run]
+  babysitter run:pause <runDir> [--runs-dir <dir>] [--reason <text>] [--json]
+  babysitter run:resume <runDir> [--runs-dir <dir>] [--reason <text>] [--json]
+  babysitter run:cancel <runDir> [--runs-dir <dir>] [--reason <text>] [--json]
+  babysitter run:migrate <runDir> --use <snapshot|current> [--runs-dir <dir>] [--reason <text>] [--json]
+  babysitter run:signal <runDir> <name> [--runs-dir <dir>] [--payload <file|->] [--json]
+  babysitter runs:gc [--runs-dir <dir>] [--keep-last <n>] [--older-than-days <d>] [--json] [--dry-run]
+  babysitter blob:show <sha256> [--runs-dir <dir>] [--out <file>] [--json]
+  babysitter hooks:list [--hook-type <type>] [--json]
+  babysitter hooks:test <hookType> --payload <file|-> [--json]
+  babysitter webhooks:flush [--runs-dir <dir>] [--json] [--dry-run]
   babysitter task:post <runDir> <effectId> --status <ok|error> [--runs-dir <dir>] [--json] [--dry-run] [--value <file>] [--error <file>] [--stdout-ref <ref>] [--stderr-ref <ref>] [--stdout-file <file>] [--stderr-file <file>] [--started-at <iso8601>] [--finished-at <iso8601>] [--metadata <file>] [--invocation-key <key>]
   babysitter task:list <runDir> [--runs-dir <dir>] [--pending] [--kind <kind>] [--json]
   babysitter task:show <runDir> <effectId> [--runs-dir <dir>] [--json]
@@ -35,6 +94,7 @@ Global flags:
   --json             Emit JSON output when supported by the command.
   --dry-run          Describe planned mutations without changing on-disk state.
   --verbose          Log resolved paths and options to stderr for debugging.
+  --store <kind>     Storage backend for run:create (fs or sqlite); later commands detect it from the run directory.
   --help, -h         Show this help text.
   --version, -v      Show CLI version.`;
 
@@ -50,6 +110,8 @@ interface ParsedArgs {
   limit?: number;
   reverseOrder: boolean;
   filterType?: string;
+  hookType?: string;
+  failedOnly: boolean;
   runDirArg?: string;
   effectId?: string;
   taskStatus?: "ok" | "error";
@@ -70,6 +132,33 @@ interface ParsedArgs {
   processRevision?: string;
   requestId?: string;
   iteration?: number;
+  effectFilter?: string[];
+  concurrency?: number;
+  maxIterations?: number;
+  maxDurationMs?: number;
+  handlersModule?: string;
+  autoApproveBreakpoints: boolean;
+  reason?: string;
+  migrateTarget?: ProcessMigrationTarget;
+  signalName?: string;
+  payloadPath?: string;
+  store?: RunStoreKind;
+  journalLayout?: JournalLayout;
+  segmentSize?: number;
+  keepBackup: boolean;
+  chainJournal: boolean;
+  sharedBlobs: boolean;
+  encrypt?: boolean;
+  payloads: boolean;
+  requireChain: boolean;
+  force: boolean;
+  outPath?: string;
+  archivePath?: string;
+  blobHash?: string;
+  atSeq?: number;
+  keepLast?: number;
+  olderThanDays?: number;
+  until?: string;
 }
 
 interface ActionSummary {
@@ -108,6 +197,14 @@ function parseArgs(argv: string[]): ParsedArgs {
     helpRequested: false,
     pendingOnly: false,
     reverseOrder: false,
+    autoApproveBreakpoints: false,
+    keepBackup: false,
+    chainJournal: false,
+    sharedBlobs: false,
+    payloads: false,
+    requireChain: false,
+    force: false,
+    failedOnly: false,
   };
   if (parsed.command === "--help" || parsed.command === "-h") {
     parsed.command = undefined;
@@ -161,6 +258,33 @@ function parseArgs(argv: string[]): ParsedArgs {
       parsed.iteration = parsePositiveInteger(raw, "--iteration");
       continue;
     }
+    if (arg === "--effect") {
+      parsed.effectFilter = [...(parsed.effectFilter ?? []), expectFlagValue(rest, ++i, "--effect")];
+      continue;
+    }
+    if (arg === "--concurrency") {
+      const raw = expectFlagValue(rest, ++i, "--concurrency");
+      parsed.concurrency = parsePositiveInteger(raw, "--concurrency");
+      continue;
+    }
+    if (arg === "--max-iterations") {
+      const raw = expectFlagValue(rest, ++i, "--max-iterations");
+      parsed.maxIterations = parsePositiveInteger(raw, "--max-iterations");
+      continue;
+    }
+    if (arg === "--max-duration-ms") {
+      const raw = expectFlagValue(rest, ++i, "--max-duration-ms");
+      parsed.maxDurationMs = parsePositiveInteger(raw, "--max-duration-ms");
+      continue;
+    }
+    if (arg === "--handlers") {
+      parsed.handlersModule = expectFlagValue(rest, ++i, "--handlers");
+      continue;
+    }
+    if (arg === "--auto-approve-breakpoints") {
+      parsed.autoApproveBreakpoints = true;
+      continue;
+    }
     if (arg === "--reverse") {
       parsed.reverseOrder = true;
       continue;
@@ -169,6 +293,14 @@ function parseArgs(argv: string[]): ParsedArgs {
       parsed.filterType = expectFlagValue(rest, ++i, "--filter-type");
       continue;
     }
+    if (arg === "--hook-type") {
+      parsed.hookType = expectFlagValue(rest, ++i, "--hook-type");
+      continue;
+    }
+    if (arg === "--failed") {
+      parsed.failedOnly = true;
+      continue;
+    }
     if (arg === "--status") {
       const raw = expectFlagValue(rest, ++i, "--status");
       const normalized = raw.toLowerCase();
@@ -242,6 +374,95 @@ function parseArgs(argv: string[]): ParsedArgs {
       parsed.requestId = expectFlagValue(rest, ++i, "--request");
       continue;
     }
+    if (arg === "--reason") {
+      parsed.reason = expectFlagValue(rest, ++i, "--reason");
+      continue;
+    }
+    if (arg === "--payload") {
+      parsed.payloadPath = expectFlagValue(rest, ++i, "--payload");
+      continue;
+    }
+    if (arg === "--store") {
+      const raw = expectFlagValue(rest, ++i, "--store");
+      if (raw !== "fs" && raw !== "sqlite") {
+        throw new Error(`--store must be either "fs" or "sqlite"`);
+      }
+      parsed.store = raw;
+      continue;
+    }
+    if (arg === "--journal-layout") {
+      const raw = expectFlagValue(rest, ++i, "--journal-layout");
+      if (raw !== "files" && raw !== "segments") {
+        throw new Error(`--journal-layout must be either "files" or "segments"`);
+      }
+      parsed.journalLayout = raw;
+      continue;
+    }
+    if (arg === "--segment-size") {
+      const raw = expectFlagValue(rest, ++i, "--segment-size");
+      parsed.segmentSize = parsePositiveInteger(raw, "--segment-size");
+      continue;
+    }
+    if (arg === "--chain-journal") {
+      parsed.chainJournal = true;
+      continue;
+    }
+    if (arg === "--shared-blobs") {
+      parsed.sharedBlobs = true;
+      continue;
+    }
+    if (arg === "--encrypt" || arg === "--no-encrypt") {
+      parsed.encrypt = arg === "--encrypt";
+      continue;
+    }
+    if (arg === "--payloads") {
+      parsed.payloads = true;
+      continue;
+    }
+    if (arg === "--require-chain") {
+      parsed.requireChain = true;
+      continue;
+    }
+    if (arg === "--at-seq") {
+      const raw = expectFlagValue(rest, ++i, "--at-seq");
+      parsed.atSeq = parsePositiveInteger(raw, "--at-seq");
+      continue;
+    }
+    if (arg === "--out") {
+      parsed.outPath = expectFlagValue(rest, ++i, "--out");
+      continue;
+    }
+    if (arg === "--force") {
+      parsed.force = true;
+      continue;
+    }
+    if (arg === "--until") {
+      const raw = expectFlagValue(rest, ++i, "--until");
+      parsed.until = parseIsoTimestamp(raw, "--until");
+      continue;
+    }
+    if (arg === "--keep-last") {
+      const raw = expectFlagValue(rest, ++i, "--keep-last");
+      parsed.keepLast = parsePositiveInteger(raw, "--keep-last");
+      continue;
+    }
+    if (arg === "--older-than-days") {
+      const raw = expectFlagValue(rest, ++i, "--older-than-days");
+      parsed.olderThanDays = parsePositiveInteger(raw, "--older-than-days");
+      continue;
+    }
+    if (arg === "--keep-backup") {
+      parsed.keepBackup = true;
+      continue;
+    }
+    if (arg === "--use") {
+      const raw = expectFlagValue(rest, ++i, "--use");
+      if (raw !== "snapshot" && raw !== "current") {
+        throw new Error(`--use must be either "snapshot" or "current"`);
+      }
+      parsed.migrateTarget = raw;
+      continue;
+    }
     positionals.push(arg);
   }
   if (parsed.command === "task:post") {
@@ -254,12 +475,40 @@ function parseArgs(argv: string[]): ParsedArgs {
     [parsed.runDirArg] = positionals;
   } else if (parsed.command === "run:iterate") {
     [parsed.runDirArg] = positionals;
+  } else if (parsed.command === "run:execute") {
+    [parsed.runDirArg] = positionals;
+  } else if (parsed.command === "run:drive") {
+    [parsed.runDirArg] = positionals;
+  } else if (parsed.command === "run:pause" || parsed.command === "run:resume" || parsed.command === "run:cancel") {
+    [parsed.runDirArg] = positionals;
+  } else if (parsed.command === "run:migrate") {
+    [parsed.runDirArg] = positionals;
+  } else if (parsed.command === "run:signal") {
+    [parsed.runDirArg, parsed.signalName] = positionals;
   } else if (parsed.command === "run:events") {
     [parsed.runDirArg] = positionals;
+  } else if (parsed.command === "run:hooks") {
+    [parsed.runDirArg] = positionals;
   } else if (parsed.command === "run:rebuild-state") {
     [parsed.runDirArg] = positionals;
   } else if (parsed.command === "run:repair-journal") {
     [parsed.runDirArg] = positionals;
+  } else if (parsed.command === "run:compact-journal") {
+    [parsed.runDirArg] = positionals;
+  } else if (parsed.command === "run:verify") {
+    [parsed.runDirArg] = positionals;
+  } else if (parsed.command === "run:unlock") {
+    [parsed.runDirArg] = positionals;
+  } else if (parsed.command === "run:fork") {
+    [parsed.runDirArg] = positionals;
+  } else if (parsed.command === "run:export") {
+    [parsed.runDirArg] = positionals;
+  } else if (parsed.command === "run:import") {
+    [parsed.archivePath] = positionals;
+  } else if (parsed.command === "blob:show") {
+    [parsed.blobHash] = positionals;
+  } else if (parsed.command === "hooks:test") {
+    [parsed.hookType] = positionals;
   }
   return parsed;
 }
@@ -285,6 +534,14 @@ function parsePositiveInteger(raw: string, flag: string): number {
   return Math.floor(parsed);
 }
 
+function parseIsoTimestamp(raw: string, flag: string): string {
+  const parsed = Date.parse(raw);
+  if (!Number.isFinite(parsed)) {
+    throw new Error(`${flag} must be an ISO-8601 timestamp`);
+  }
+  return new Date(parsed).toISOString();
+}
+
 function summarizeActions(actions: EffectAction[]): ActionSummary[] {
   return actions.map((action) => ({
     effectId: action.effectId,
@@ -468,18 +725,6 @@ function parseEntrypointSpecifier(specifier: string): { importPath: string; expo
   return { importPath, exportName };
 }
 
-type ModuleExports = Record<string, unknown>;
-
-// Use an indirect dynamic import so TypeScript does not downlevel to require() in CommonJS builds.
-// Vitest executes modules inside a VM context that requires direct import() support.
-const dynamicImportModule: (specifier: string) => Promise<ModuleExports> = (() => {
-  if (process.env.VITEST) {
-    return (specifier: string) => import(specifier);
-  }
-  // eslint-disable-next-line @typescript-eslint/no-implied-eval
-  return new Function("specifier", "return import(specifier);") as (specifier: string) => Promise<ModuleExports>;
-})();
-
 function listModuleExports(mod: ModuleExports): string {
   const keys = Object.keys(mod);
   return keys.length > 0 ? keys.join(", ") : "(none)";
@@ -577,6 +822,11 @@ async function handleRunCreate(parsed: ParsedArgs): Promise<number> {
     processRevision: parsed.processRevision,
     runId: parsed.runIdOverride,
     inputsPath: parsed.inputsPath ? path.resolve(parsed.inputsPath) : undefined,
+    store: parsed.store,
+    journalLayout: parsed.journalLayout,
+    journalChain: parsed.chainJournal,
+    sharedBlobs: parsed.sharedBlobs,
+    encrypt: parsed.encrypt,
   });
   let inputs: unknown = undefined;
   if (parsed.inputsPath) {
@@ -632,17 +882,30 @@ async function handleRunCreate(parsed: ParsedArgs): Promise<number> {
       exportName: entrypoint.exportName,
     },
     inputs,
+    store: parsed.store,
+    journalLayout: parsed.journalLayout,
+    journalChain: parsed.chainJournal,
+    sharedBlobs: parsed.sharedBlobs,
+    encrypt: parsed.encrypt,
   });
   const entrySpec = formatEntrypointSpecifier(result.metadata.entrypoint);
+  const store = parsed.store ?? "fs";
+  const encryption = result.metadata.encryption;
   if (parsed.json) {
-    console.log(JSON.stringify({ runId: result.runId, runDir: result.runDir, entry: entrySpec }));
+    console.log(
+      JSON.stringify({ runId: result.runId, runDir: result.runDir, entry: entrySpec, store, encrypted: !!encryption })
+    );
   } else {
-    console.log(`[run:create] runId=${result.runId} runDir=${result.runDir} entry=${entrySpec}`);
+    const storeSuffix = store === "fs" ? "" : ` store=${store}`;
+    const encryptedSuffix = encryption ? ` encrypted=${encryption.keyId}` : "";
+    console.log(
+      `[run:create] runId=${result.runId} runDir=${result.runDir} entry=${entrySpec}${storeSuffix}${encryptedSuffix}`
+    );
   }
   return 0;
 }
 
-type RunLifecycleState = "created" | "waiting" | "completed" | "failed";
+type RunLifecycleState = "created" | "waiting" | "completed" | "failed" | "paused" | "cancelled";
 
 async function handleRunStatus(parsed: ParsedArgs): Promise<number> {
   if (!parsed.runDirArg) {
@@ -653,18 +916,32 @@ async function handleRunStatus(parsed: ParsedArgs): Promise<number> {
   logVerbose("run:status", parsed, {
     runDir,
     json: parsed.json,
+    atSeq: parsed.atSeq,
   });
   const metadata = await readRunMetadataSafe(runDir, "run:status");
   if (!metadata) return 1;
-  const journal = await loadJournalSafe(runDir, "run:status");
-  if (!journal) return 1;
+  const fullJournal = await loadJournalSafe(runDir, "run:status");
+  if (!fullJournal) return 1;
+  const headSeq = fullJournal.at(-1)?.seq ?? 0;
+  const atSeq = parsed.atSeq;
+  if (atSeq !== undefined && atSeq > headSeq) {
+    console.error(`[run:status] --at-seq ${atSeq} is past the journal head (seq ${headSeq})`);
+    return 1;
+  }
+  // Everything below is derived from the journal prefix, so --at-seq shows the run as it stood then.
+  const journal = atSeq !== undefined ? fullJournal.filter((event) => event.seq <= atSeq) : fullJournal;
   const index = await buildEffectIndexSafe(runDir, "run:status", journal);
   if (!index) return 1;
 
   const pendingRecords = index.listPendingEffects();
   const pendingByKind = countPendingByKind(pendingRecords);
   const pendingTotal = pendingRecords.length;
-  const stateSnapshot = await readStateCacheSafe(runDir, "run:status");
+  const retries = summarizeRetryHistory(index.listEffects());
+  const lifecycle = index.getRunLifecycle();
+  const abandonedTotal = index.listEffects().filter((record) => record.status === "abandoned").length;
+  const subruns = await listSubrunTree(runDir, index);
+  // The state cache describes the journal head only.
+  const stateSnapshot = atSeq !== undefined ? null : await readStateCacheSafe(runDir, "run:status");
   const mergedMetadata = mergeMetadataSources(
     {
       pendingEffectsByKind: pendingByKind,
@@ -674,7 +951,7 @@ async function handleRunStatus(parsed: ParsedArgs): Promise<number> {
   const formattedMetadata = formatIterationMetadata(mergedMetadata);
   const lastEvent = journal.at(-1);
   const lastLifecycleEvent = findLastLifecycleEvent(journal);
-  const state = deriveRunState(lastLifecycleEvent?.type, pendingTotal);
+  const state = deriveRunState(lastLifecycleEvent?.type, pendingTotal, lifecycle.status);
   const lastSummary = formatLastEventSummary(lastEvent);
   if (parsed.json) {
     const completionSecret = state === "completed" ? resolveCompletionSecret(metadata) : null;
@@ -685,17 +962,55 @@ async function handleRunStatus(parsed: ParsedArgs): Promise<number> {
         pendingByKind,
         metadata: formattedMetadata.jsonMetadata ?? null,
         completionSecret,
+        lifecycle,
+        abandonedTotal,
+        retries,
+        children: subruns.map((node) => serializeSubrunTreeNode(node, runDir)),
+        ...(atSeq !== undefined ? { atSeq, headSeq } : {}),
       })
     );
     return 0;
   }
+  const atSeqSuffix = atSeq !== undefined ? ` atSeq=${atSeq} headSeq=${headSeq}` : "";
   const suffix = formattedMetadata.textParts.length ? ` ${formattedMetadata.textParts.join(" ")}` : "";
   const completionSecret = state === "completed" ? resolveCompletionSecret(metadata) : undefined;
   const secretSuffix = completionSecret ? ` completionSecret=${completionSecret}` : "";
-  console.log(`[run:status] state=${state} last=${lastSummary}${suffix}${secretSuffix}`);
+  const lifecycleSuffix =
+    (lifecycle.status !== "active" && lifecycle.reason ? ` reason=${JSON.stringify(lifecycle.reason)}` : "") +
+    (abandonedTotal ? ` abandoned=${abandonedTotal}` : "");
+  console.log(
+    `[run:status] state=${state} last=${lastSummary}${atSeqSuffix}${suffix}${lifecycleSuffix}${secretSuffix}`
+  );
+  for (const step of retries) {
+    const history = step.attempts
+      .map((attempt) => `#${attempt.attempt}=${attempt.status}${attempt.error ? `(${attempt.error.name})` : ""}`)
+      .join(" ");
+    console.log(`- retry ${step.stepId} task=${step.taskId} attempts=${step.attempts.length} ${history}`);
+  }
+  printSubrunTree(subruns, 0);
   return 0;
 }
 
+function printSubrunTree(nodes: SubrunTreeNode[], depth: number) {
+  for (const node of nodes) {
+    const indent = "  ".repeat(depth);
+    console.log(`${indent}- child ${node.runId} process=${node.processId} state=${node.state} step=${node.stepId}`);
+    printSubrunTree(node.children, depth + 1);
+  }
+}
+
+interface SerializedSubrunTreeNode extends Omit<SubrunTreeNode, "children"> {
+  children: SerializedSubrunTreeNode[];
+}
+
+function serializeSubrunTreeNode(node: SubrunTreeNode, runDir: string): SerializedSubrunTreeNode {
+  return {
+    ...node,
+    runDir: toRunRelativePosix(runDir, node.runDir) ?? node.runDir,
+    children: node.children.map((child) => serializeSubrunTreeNode(child, runDir)),
+  };
+}
+
 async function handleRunIterate(parsed: ParsedArgs): Promise<number> {
   if (!parsed.runDirArg) {
     console.error(USAGE);
@@ -739,6 +1054,276 @@ async function handleRunIterate(parsed: ParsedArgs): Promise<number> {
   }
 }
 
+async function handleRunExecute(parsed: ParsedArgs): Promise<number> {
+  if (!parsed.runDirArg) {
+    console.error(USAGE);
+    return 1;
+  }
+  const runDir = resolveRunDir(parsed.runsDir, parsed.runDirArg);
+  logVerbose("run:execute", parsed, {
+    runDir,
+    effects: parsed.effectFilter?.join(","),
+    limit: parsed.limit,
+    concurrency: parsed.concurrency,
+    dryRun: parsed.dryRun,
+    json: parsed.json,
+  });
+  if (!(await readRunMetadataSafe(runDir, "run:execute"))) return 1;
+
+  let result;
+  try {
+    result = await executePendingEffects({
+      runDir,
+      effectIds: parsed.effectFilter,
+      limit: parsed.limit,
+      concurrency: parsed.concurrency,
+      dryRun: parsed.dryRun,
+    });
+  } catch (error) {
+    console.error(`[run:execute] ${error instanceof Error ? error.message : String(error)}`);
+    return 1;
+  }
+
+  const failed = result.executed.filter((entry) => entry.status === "error").length;
+  if (parsed.json) {
+    console.log(
+      JSON.stringify({
+        dryRun: parsed.dryRun,
+        executed: result.executed,
+        skipped: result.skipped,
+      })
+    );
+  } else {
+    const label = parsed.dryRun ? "planned" : "executed";
+    console.log(
+      `[run:execute] ${label}=${result.executed.length} failed=${failed} skipped=${result.skipped.length}`
+    );
+    for (const entry of result.executed) {
+      const exitInfo = entry.exitCode !== undefined ? ` exitCode=${entry.exitCode ?? "null"}` : "";
+      const timeoutInfo = entry.timedOut ? " timedOut=true" : "";
+      const labelInfo = entry.label ? ` ${entry.label}` : "";
+      console.log(`- ${entry.effectId} [${entry.kind} ${entry.status}]${labelInfo}${exitInfo}${timeoutInfo}`);
+    }
+    for (const entry of result.skipped) {
+      console.error(`[run:execute] skipped ${entry.effectId} [${entry.kind}] reason=${entry.reason}`);
+    }
+  }
+  return 0;
+}
+
+async function handleRunDrive(parsed: ParsedArgs): Promise<number> {
+  if (!parsed.runDirArg) {
+    console.error(USAGE);
+    return 1;
+  }
+  const runDir = resolveRunDir(parsed.runsDir, parsed.runDirArg);
+  logVerbose("run:drive", parsed, {
+    runDir,
+    maxIterations: parsed.maxIterations,
+    maxDurationMs: parsed.maxDurationMs,
+    handlers: parsed.handlersModule,
+    autoApproveBreakpoints: parsed.autoApproveBreakpoints,
+    json: parsed.json,
+  });
+  if (!(await readRunMetadataSafe(runDir, "run:drive"))) return 1;
+
+  let result;
+  try {
+    const handlers = createDefaultEffectHandlers({ autoApproveBreakpoints: parsed.autoApproveBreakpoints });
+    if (parsed.handlersModule) {
+      await loadEffectHandlerModule(handlers, parsed.handlersModule);
+    }
+    result = await driveRun({
+      runDir,
+      handlers,
+      maxIterations: parsed.maxIterations,
+      maxDurationMs: parsed.maxDurationMs,
+      onIteration: (iteration, index) => {
+        if (!parsed.verbose) return;
+        const pendingInfo = iteration.status === "waiting" ? ` pending=${iteration.nextActions.length}` : "";
+        console.error(`[run:drive] iteration=${index} status=${iteration.status}${pendingInfo}`);
+      },
+    });
+  } catch (error) {
+    console.error(`[run:drive] ${error instanceof Error ? error.message : String(error)}`);
+    return 1;
+  }
+
+  if (parsed.json) {
+    console.log(
+      JSON.stringify({
+        status: result.status,
+        reason: result.reason,
+        iterations: result.iterations,
+        durationMs: result.durationMs,
+        output: result.output ?? null,
+        error: result.error ?? null,
+        handled: result.handled,
+        pending: summarizeActions(result.pending),
+        unhandledKinds: result.unhandledKinds,
+      })
+    );
+  } else {
+    console.log(
+      `[run:drive] status=${result.status} reason=${result.reason} iterations=${result.iterations} handled=${result.handled.length}`
+    );
+    for (const action of summarizeActions(result.pending)) {
+      const label = action.label ? ` ${action.label}` : "";
+      console.error(`- ${action.effectId} [${action.kind}]${label}`);
+    }
+    if (result.unhandledKinds.length) {
+      console.error(`[run:drive] no handler registered for kinds: ${result.unhandledKinds.join(", ")}`);
+    }
+  }
+  if (result.status === "completed") return 0;
+  return result.status === "failed" || result.status === "cancelled" ? 1 : 2;
+}
+
+async function handleRunLifecycle(
+  parsed: ParsedArgs,
+  command: "run:pause" | "run:resume" | "run:cancel",
+  apply: (options: RunLifecycleCommandOptions) => Promise<RunLifecycleCommandResult>
+): Promise<number> {
+  if (!parsed.runDirArg) {
+    console.error(USAGE);
+    return 1;
+  }
+  const runDir = resolveRunDir(parsed.runsDir, parsed.runDirArg);
+  logVerbose(command, parsed, {
+    runDir,
+    reason: parsed.reason,
+    json: parsed.json,
+  });
+  if (!(await readRunMetadataSafe(runDir, command))) return 1;
+
+  let result: RunLifecycleCommandResult;
+  try {
+    result = await apply({ runDir, reason: parsed.reason });
+  } catch (error) {
+    console.error(`[${command}] ${error instanceof Error ? error.message : String(error)}`);
+    return 1;
+  }
+
+  if (parsed.json) {
+    console.log(
+      JSON.stringify({
+        runId: result.runId,
+        event: result.eventType,
+        seq: result.seq,
+        recordedAt: result.recordedAt,
+        state: result.lifecycle.status,
+        reason: result.lifecycle.reason ?? null,
+        abandonedEffectIds: result.abandonedEffectIds,
+        cancelledChildRunIds: result.cancelledChildRunIds,
+      })
+    );
+    return 0;
+  }
+  const abandonedSuffix =
+    command === "run:cancel"
+      ? ` abandoned=${result.abandonedEffectIds.length}` +
+        (result.cancelledChildRunIds.length ? ` children=${result.cancelledChildRunIds.join(",")}` : "")
+      : "";
+  console.log(
+    `[${command}] runId=${result.runId} event=${result.eventType}#${formatSeq(result.seq)} state=${result.lifecycle.status}${abandonedSuffix}`
+  );
+  return 0;
+}
+
+async function handleRunMigrate(parsed: ParsedArgs): Promise<number> {
+  if (!parsed.runDirArg || !parsed.migrateTarget) {
+    console.error(USAGE);
+    return 1;
+  }
+  const runDir = resolveRunDir(parsed.runsDir, parsed.runDirArg);
+  logVerbose("run:migrate", parsed, {
+    runDir,
+    use: parsed.migrateTarget,
+    reason: parsed.reason,
+    json: parsed.json,
+  });
+  if (!(await readRunMetadataSafe(runDir, "run:migrate"))) return 1;
+
+  let result: MigrateRunProcessResult;
+  try {
+    result = await migrateRunProcess({ runDir, use: parsed.migrateTarget, reason: parsed.reason });
+  } catch (error) {
+    console.error(`[run:migrate] ${error instanceof Error ? error.message : String(error)}`);
+    return 1;
+  }
+
+  if (parsed.json) {
+    console.log(
+      JSON.stringify({
+        runId: result.runId,
+        event: "PROCESS_MIGRATED",
+        seq: result.seq,
+        use: result.use,
+        fromSha256: result.fromSha256,
+        toSha256: result.toSha256,
+        importPath: result.importPath,
+      })
+    );
+    return 0;
+  }
+  console.log(
+    `[run:migrate] runId=${result.runId} event=PROCESS_MIGRATED#${formatSeq(result.seq)} use=${result.use} from=${result.fromSha256.slice(0, 12)} to=${result.toSha256.slice(0, 12)} importPath=${result.importPath}`
+  );
+  return 0;
+}
+
+async function handleRunSignal(parsed: ParsedArgs): Promise<number> {
+  if (!parsed.runDirArg || !parsed.signalName) {
+    console.error(USAGE);
+    return 1;
+  }
+  const runDir = resolveRunDir(parsed.runsDir, parsed.runDirArg);
+  logVerbose("run:signal", parsed, {
+    runDir,
+    name: parsed.signalName,
+    payloadPath: parsed.payloadPath,
+    json: parsed.json,
+  });
+  if (!(await readRunMetadataSafe(runDir, "run:signal"))) return 1;
+
+  let payload: unknown = null;
+  if (parsed.payloadPath) {
+    const raw = parsed.payloadPath === "-" ? await readStdinUtf8() : await fs.readFile(parsed.payloadPath, "utf8");
+    try {
+      payload = raw.trim().length ? (JSON.parse(raw) as unknown) : null;
+    } catch (error) {
+      console.error(`[run:signal] --payload must contain JSON: ${error instanceof Error ? error.message : String(error)}`);
+      return 1;
+    }
+  }
+
+  let result: SignalRunResult;
+  try {
+    result = await signalRun({ runDir, name: parsed.signalName, payload });
+  } catch (error) {
+    console.error(`[run:signal] ${error instanceof Error ? error.message : String(error)}`);
+    return 1;
+  }
+
+  if (parsed.json) {
+    console.log(
+      JSON.stringify({
+        runId: result.runId,
+        event: "SIGNAL_RECEIVED",
+        seq: result.seq,
+        name: result.name,
+        effectId: result.effectId ?? null,
+        buffered: !result.effectId,
+      })
+    );
+    return 0;
+  }
+  console.log(
+    `[run:signal] runId=${result.runId} event=SIGNAL_RECEIVED#${formatSeq(result.seq)} name=${result.name} ${result.effectId ? `delivered=${result.effectId}` : "buffered=true"}`
+  );
+  return 0;
+}
+
 async function handleRunEvents(parsed: ParsedArgs): Promise<number> {
   if (!parsed.runDirArg) {
     console.error(USAGE);
@@ -751,14 +1336,28 @@ async function handleRunEvents(parsed: ParsedArgs): Promise<number> {
     limit: parsed.limit,
     reverse: parsed.reverseOrder,
     filterType: parsed.filterType,
+    until: parsed.until,
+    payloads: parsed.payloads,
   });
+  if (parsed.payloads && !parsed.json) {
+    // Payloads are only ever printed in JSON output (see the task:show redaction policy).
+    console.error(
+      "[run:events] --payloads requires --json (add --verbose and set BABYSITTER_ALLOW_SECRET_LOGS=true to see them unredacted)"
+    );
+    return 1;
+  }
   if (!(await readRunMetadataSafe(runDir, "run:events"))) return 1;
   const stateSnapshot = await readStateCacheSafe(runDir, "run:events");
   const journal = await loadJournalSafe(runDir, "run:events");
   if (!journal) return 1;
 
   const filterType = parsed.filterType ? parsed.filterType.toUpperCase() : undefined;
-  const filtered = filterType ? journal.filter((event) => event.type.toUpperCase() === filterType) : journal;
+  const untilMs = parsed.until ? Date.parse(parsed.until) : undefined;
+  const filtered = journal.filter(
+    (event) =>
+      (!filterType || event.type.toUpperCase() === filterType) &&
+      (untilMs === undefined || Date.parse(event.recordedAt) <= untilMs)
+  );
   const orderedBase = filtered.slice();
   const ordered = parsed.reverseOrder ? orderedBase.reverse() : orderedBase;
   const limited = parsed.limit !== undefined ? ordered.slice(0, parsed.limit) : ordered;
@@ -766,12 +1365,18 @@ async function handleRunEvents(parsed: ParsedArgs): Promise<number> {
   const metadata = mergeMetadataSources(undefined, { snapshot: stateSnapshot });
   const formattedMetadata = formatIterationMetadata(metadata);
   if (parsed.json) {
-    console.log(
-      JSON.stringify({
-        events: limited.map((event) => serializeJournalEvent(event, runDir)),
-        metadata: formattedMetadata.jsonMetadata ?? null,
-      })
-    );
+    const secretLogsAllowed = allowSecretLogs(parsed);
+    const events: Array<ReturnType<typeof serializeJournalEvent> & { payload?: unknown }> = [];
+    for (const event of limited) {
+      const serialized = serializeJournalEvent(event, runDir);
+      if (!parsed.payloads || !getEventPayloadRef(event)) {
+        events.push(serialized);
+        continue;
+      }
+      // Payloads follow task:show: redacted (null) unless secret logs are allowed.
+      events.push({ ...serialized, payload: secretLogsAllowed ? await readEventPayload(runDir, event) : null });
+    }
+    console.log(JSON.stringify({ events, metadata: formattedMetadata.jsonMetadata ?? null }));
     return 0;
   }
 
@@ -781,6 +1386,7 @@ async function handleRunEvents(parsed: ParsedArgs): Promise<number> {
     `showing=${limited.length}`,
   ];
   if (filterType) headerParts.push(`filter=${filterType}`);
+  if (parsed.until) headerParts.push(`until=${parsed.until}`);
   if (parsed.limit) headerParts.push(`limit=${parsed.limit}`);
   if (parsed.reverseOrder) headerParts.push("order=desc");
   const metadataSuffix = formattedMetadata.textParts.length ? ` ${formattedMetadata.textParts.join(" ")}` : "";
@@ -791,23 +1397,106 @@ async function handleRunEvents(parsed: ParsedArgs): Promise<number> {
   return 0;
 }
 
-async function handleRunRebuildState(parsed: ParsedArgs): Promise<number> {
+async function handleRunHooks(parsed: ParsedArgs): Promise<number> {
   if (!parsed.runDirArg) {
     console.error(USAGE);
     return 1;
   }
   const runDir = resolveRunDir(parsed.runsDir, parsed.runDirArg);
-  logVerbose("run:rebuild-state", parsed, {
+  logVerbose("run:hooks", parsed, {
     runDir,
-    dryRun: parsed.dryRun,
     json: parsed.json,
+    hookType: parsed.hookType,
+    failedOnly: parsed.failedOnly,
   });
-  if (!(await readRunMetadataSafe(runDir, "run:rebuild-state"))) return 1;
-  if (parsed.dryRun) {
-    const plan = { dryRun: true, runDir, plan: "rebuild_state_cache", reason: "cli_manual" };
-    if (parsed.json) {
-      console.log(JSON.stringify(plan));
-    } else {
+  if (!(await readRunMetadataSafe(runDir, "run:hooks"))) return 1;
+  const journal = await loadJournalSafe(runDir, "run:hooks");
+  if (!journal) return 1;
+
+  const events = journal.filter((event) => {
+    if (event.type !== HOOK_EXECUTED_EVENT) return false;
+    const data = event.data as unknown as HookExecutedPayload;
+    return (!parsed.hookType || data.hookType === parsed.hookType) && (!parsed.failedOnly || data.status === "failed");
+  });
+  const summary = summarizeHookExecutions(events);
+  if (parsed.json) {
+    console.log(JSON.stringify(summary));
+    return 0;
+  }
+
+  const headerParts = [`invocations=${summary.invocations}`, `failed=${summary.failed}`, `denied=${summary.denied}`];
+  if (parsed.hookType) headerParts.push(`hookType=${parsed.hookType}`);
+  if (parsed.failedOnly) headerParts.push("filter=failed");
+  console.log(`[run:hooks] ${headerParts.join(" ")}`);
+  for (const entry of summary.byHookType) {
+    console.log(
+      `- ${entry.hookType} calls=${entry.calls} failed=${entry.failed} denied=${entry.denied} last=${entry.lastStatus}@${entry.lastRecordedAt}`
+    );
+    for (const hook of summary.hooks.filter((candidate) => candidate.hookType === entry.hookType)) {
+      const exit = hook.lastExitCode !== undefined ? ` exit=${hook.lastExitCode}` : "";
+      console.log(`    ${hook.location}:${hook.name} [${hook.backend}] runs=${hook.runs} failures=${hook.failures}${exit}`);
+    }
+  }
+  if (summary.failures.length) {
+    console.log("failures:");
+    for (const failure of summary.failures) {
+      console.log(`- #${formatSeq(failure.seq)} ${failure.hookType} ${failure.recordedAt}: ${failure.error ?? "failed"}`);
+      for (const hook of failure.failedHooks) {
+        const exit = hook.exitCode !== undefined ? ` exit=${hook.exitCode}` : "";
+        console.log(`    ${hook.location}:${hook.name} [${hook.backend}]${exit}${hook.error ? ` ${hook.error}` : ""}`);
+      }
+    }
+  }
+  return 0;
+}
+
+/**
+ * The task document an event points at: the definition for EFFECT_REQUESTED, the result for
+ * EFFECT_RESOLVED.
+ */
+function getEventPayloadRef(event: JournalEvent): string | undefined {
+  const ref =
+    event.type === "EFFECT_REQUESTED"
+      ? event.data.taskDefRef
+      : event.type === "EFFECT_RESOLVED"
+        ? event.data.resultRef
+        : undefined;
+  return typeof ref === "string" && ref ? ref : undefined;
+}
+
+/**
+ * Reads the document behind an event, decrypting it when the run's key is configured. Resolves to
+ * the "[encrypted]" placeholder when it is not, and to undefined for events without a document.
+ */
+async function readEventPayload(runDir: string, event: JournalEvent): Promise<unknown> {
+  const ref = getEventPayloadRef(event);
+  if (!ref) return undefined;
+  try {
+    const raw = await getRunStore(runDir).readDocument(toDocumentRef(runDir, ref));
+    return raw ? (JSON.parse(raw.toString("utf8")) as unknown) : null;
+  } catch (error) {
+    if (isDocumentEncryptedError(error)) return ENCRYPTED_PLACEHOLDER;
+    throw error;
+  }
+}
+
+async function handleRunRebuildState(parsed: ParsedArgs): Promise<number> {
+  if (!parsed.runDirArg) {
+    console.error(USAGE);
+    return 1;
+  }
+  const runDir = resolveRunDir(parsed.runsDir, parsed.runDirArg);
+  logVerbose("run:rebuild-state", parsed, {
+    runDir,
+    dryRun: parsed.dryRun,
+    json: parsed.json,
+  });
+  if (!(await readRunMetadataSafe(runDir, "run:rebuild-state"))) return 1;
+  if (parsed.dryRun) {
+    const plan = { dryRun: true, runDir, plan: "rebuild_state_cache", reason: "cli_manual" };
+    if (parsed.json) {
+      console.log(JSON.stringify(plan));
+    } else {
       console.log(`[run:rebuild-state] dry-run runDir=${runDir} plan=${plan.plan} reason=${plan.reason}`);
     }
     return 0;
@@ -842,15 +1531,31 @@ async function handleRunRepairJournal(parsed: ParsedArgs): Promise<number> {
     json: parsed.json,
   });
   if (!(await readRunMetadataSafe(runDir, "run:repair-journal"))) return 1;
+  const storeKind = getRunStore(runDir).kind;
+  if (storeKind !== "fs") {
+    console.error(`[run:repair-journal] only filesystem runs can be repaired (this run uses the ${storeKind} store)`);
+    return 1;
+  }
 
   const journalDir = path.join(runDir, "journal");
-  const files = (await fs.readdir(journalDir)).filter((name) => name.endsWith(".json")).sort();
-  const rawEvents: Array<{ filename: string; payload: { type?: unknown; recordedAt?: unknown; data?: unknown } }> = [];
-  for (const filename of files) {
-    const fullPath = path.join(journalDir, filename);
-    const payload = JSON.parse(await fs.readFile(fullPath, "utf8")) as { type?: unknown; recordedAt?: unknown; data?: unknown };
-    rawEvents.push({ filename, payload });
+  // Segmented journals are rewritten as segments; reading them already leaves out a torn last line.
+  const segmentIndex = await readJournalIndex(journalDir);
+  const entries = await getRunStore(runDir).readJournalEntries();
+  const files = segmentIndex ? segmentIndex.segments.map((segment) => segment.file) : entries.map((entry) => entry.filename);
+  const rawEvents: Array<{
+    filename: string;
+    payload: { type?: unknown; recordedAt?: unknown; data?: unknown; prevChecksum?: unknown };
+  }> = [];
+  for (const entry of entries) {
+    const payload = JSON.parse(entry.contents) as {
+      type?: unknown;
+      recordedAt?: unknown;
+      data?: unknown;
+      prevChecksum?: unknown;
+    };
+    rawEvents.push({ filename: entry.filename, payload });
   }
+  const chained = rawEvents.some((entry) => entry.payload.prevChecksum !== undefined);
 
   const seenInvocation = new Set<string>();
   const keptEffectIds = new Set<string>();
@@ -878,7 +1583,7 @@ async function handleRunRepairJournal(parsed: ParsedArgs): Promise<number> {
       continue;
     }
 
-    if (type === "EFFECT_RESOLVED") {
+    if (type === "EFFECT_RESOLVED" || type === "EFFECT_TIMED_OUT") {
       const effectId = typeof data.effectId === "string" ? data.effectId : "";
       if (effectId && droppedEffectIds.has(effectId) && !keptEffectIds.has(effectId)) {
         droppedResolved += 1;
@@ -917,6 +1622,8 @@ async function handleRunRepairJournal(parsed: ParsedArgs): Promise<number> {
   const repairedDir = path.join(runDir, `journal.repaired.${stamp}`);
   await fs.mkdir(repairedDir, { recursive: true });
 
+  const repairedEntries: Array<{ filename: string; contents: string }> = [];
+  let prevChecksum: string | null = null;
   for (let i = 0; i < kept.length; i += 1) {
     const seq = String(i + 1).padStart(6, "0");
     const ulid = nextUlid();
@@ -926,10 +1633,19 @@ async function handleRunRepairJournal(parsed: ParsedArgs): Promise<number> {
       recordedAt: kept[i].recordedAt ?? new Date().toISOString(),
       data: kept[i].data,
     };
-    const contents = JSON.stringify(eventPayload, null, 2) + "\n";
-    const checksum = crypto.createHash("sha256").update(contents).digest("hex");
+    // Re-link chained journals so run:verify still passes after the repair.
+    if (chained) eventPayload.prevChecksum = prevChecksum;
+    const checksum = computeEventChecksum(eventPayload);
+    prevChecksum = checksum;
     const withChecksum = JSON.stringify({ ...eventPayload, checksum }, null, 2) + "\n";
-    await fs.writeFile(path.join(repairedDir, filename), withChecksum, "utf8");
+    repairedEntries.push({ filename, contents: withChecksum });
+  }
+  if (segmentIndex) {
+    await writeSegmentedJournal(repairedDir, repairedEntries, segmentIndex.segmentSize);
+  } else {
+    for (const entry of repairedEntries) {
+      await fs.writeFile(path.join(repairedDir, entry.filename), entry.contents, "utf8");
+    }
   }
 
   const backupDir = path.join(runDir, `journal.bak.${stamp}`);
@@ -946,6 +1662,379 @@ async function handleRunRepairJournal(parsed: ParsedArgs): Promise<number> {
   return 0;
 }
 
+async function handleRunVerify(parsed: ParsedArgs): Promise<number> {
+  if (!parsed.runDirArg) {
+    console.error(USAGE);
+    return 1;
+  }
+  const runDir = resolveRunDir(parsed.runsDir, parsed.runDirArg);
+  logVerbose("run:verify", parsed, {
+    runDir,
+    requireChain: parsed.requireChain,
+    json: parsed.json,
+  });
+  if (!(await readRunMetadataSafe(runDir, "run:verify"))) return 1;
+  const result = await verifyRun({ runDir, requireChain: parsed.requireChain });
+  if (parsed.json) {
+    console.log(JSON.stringify(result));
+    return result.ok ? 0 : 1;
+  }
+  console.log(
+    `[run:verify] status=${result.ok ? "ok" : "failed"} events=${result.events} checksums=${result.checked.checksums} refs=${result.checked.refs} blobs=${result.checked.blobs} chain=${result.chained ? "verified" : "absent"} issues=${result.issues.length}`
+  );
+  for (const issue of result.issues) {
+    const location = [
+      issue.seq !== undefined ? `seq=${issue.seq}` : undefined,
+      issue.effectId ? `effectId=${issue.effectId}` : undefined,
+    ].filter(Boolean);
+    console.log(`- ${issue.code}${location.length ? ` ${location.join(" ")}` : ""} ${issue.message}`);
+  }
+  return result.ok ? 0 : 1;
+}
+
+async function handleRunUnlock(parsed: ParsedArgs): Promise<number> {
+  if (!parsed.runDirArg) {
+    console.error(USAGE);
+    return 1;
+  }
+  const runDir = resolveRunDir(parsed.runsDir, parsed.runDirArg);
+  logVerbose("run:unlock", parsed, {
+    runDir,
+    force: parsed.force,
+    reason: parsed.reason,
+    json: parsed.json,
+  });
+  if (!(await readRunMetadataSafe(runDir, "run:unlock"))) return 1;
+  let result: BreakRunLockResult;
+  try {
+    result = await breakRunLock(runDir, { force: parsed.force, note: parsed.reason });
+  } catch (error) {
+    console.error(`[run:unlock] ${error instanceof Error ? error.message : String(error)}`);
+    return 1;
+  }
+  if (parsed.json) {
+    console.log(JSON.stringify({ runDir, unlocked: result.previous !== null, ...result }));
+    return 0;
+  }
+  const { previous } = result;
+  if (!previous) {
+    console.log(`[run:unlock] runDir=${runDir} status=not_locked`);
+    return 0;
+  }
+  console.log(
+    `[run:unlock] runDir=${runDir} status=unlocked reason=${result.reason} pid=${previous.pid} owner=${previous.owner} host=${previous.hostname ?? "unknown"} recorded=${result.recorded}`
+  );
+  return 0;
+}
+
+async function handleRunFork(parsed: ParsedArgs): Promise<number> {
+  if (!parsed.runDirArg || parsed.atSeq === undefined) {
+    console.error(USAGE);
+    return 1;
+  }
+  const runDir = resolveRunDir(parsed.runsDir, parsed.runDirArg);
+  logVerbose("run:fork", parsed, {
+    runDir,
+    atSeq: parsed.atSeq,
+    runId: parsed.runIdOverride,
+    inputsPath: parsed.inputsPath ? path.resolve(parsed.inputsPath) : undefined,
+    dryRun: parsed.dryRun,
+    json: parsed.json,
+  });
+  if (!(await readRunMetadataSafe(runDir, "run:fork"))) return 1;
+  let result;
+  try {
+    const inputs = parsed.inputsPath ? await readInputsFile(parsed.inputsPath) : undefined;
+    result = await forkRun({ runDir, atSeq: parsed.atSeq, runId: parsed.runIdOverride, inputs, dryRun: parsed.dryRun });
+  } catch (error) {
+    console.error(`[run:fork] ${error instanceof Error ? error.message : String(error)}`);
+    return 1;
+  }
+  if (parsed.json) {
+    console.log(JSON.stringify(result));
+    return 0;
+  }
+  console.log(
+    `[run:fork]${result.dryRun ? " dry-run" : ""} runId=${result.runId} runDir=${result.runDir} fromRunId=${result.fromRunId} atSeq=${result.atSeq} events=${result.events} refs=${result.refs}`
+  );
+  return 0;
+}
+
+async function handleRunExport(parsed: ParsedArgs): Promise<number> {
+  if (!parsed.runDirArg || !parsed.outPath) {
+    console.error(USAGE);
+    return 1;
+  }
+  const runDir = resolveRunDir(parsed.runsDir, parsed.runDirArg);
+  logVerbose("run:export", parsed, {
+    runDir,
+    outPath: parsed.outPath,
+    json: parsed.json,
+  });
+  if (!(await readRunMetadataSafe(runDir, "run:export"))) return 1;
+  let result;
+  try {
+    result = await exportRun({ runDir, outPath: parsed.outPath });
+  } catch (error) {
+    console.error(`[run:export] ${error instanceof Error ? error.message : String(error)}`);
+    return 1;
+  }
+  if (parsed.json) {
+    console.log(JSON.stringify(result));
+    return 0;
+  }
+  console.log(
+    `[run:export] runId=${result.runId} files=${result.files} bytes=${result.bytes} archiveBytes=${result.archiveBytes} process=${result.process?.importPath ?? "missing"} out=${result.outPath}`
+  );
+  return 0;
+}
+
+async function handleRunImport(parsed: ParsedArgs): Promise<number> {
+  if (!parsed.archivePath) {
+    console.error(USAGE);
+    return 1;
+  }
+  const archivePath = path.resolve(parsed.archivePath);
+  const runsDir = path.resolve(parsed.runsDir);
+  logVerbose("run:import", parsed, {
+    archivePath,
+    runsDir,
+    json: parsed.json,
+  });
+  let result;
+  try {
+    result = await importRun({ archivePath, runsDir });
+  } catch (error) {
+    console.error(`[run:import] ${error instanceof Error ? error.message : String(error)}`);
+    return 1;
+  }
+  if (parsed.json) {
+    console.log(JSON.stringify(result));
+    return 0;
+  }
+  console.log(
+    `[run:import] runId=${result.runId} runDir=${result.runDir} files=${result.files} bytes=${result.bytes} process=${result.processImportPath ?? "missing"}`
+  );
+  return 0;
+}
+
+async function handleRunsGc(parsed: ParsedArgs): Promise<number> {
+  const runsDir = path.resolve(parsed.runsDir);
+  logVerbose("runs:gc", parsed, {
+    runsDir,
+    keepLast: parsed.keepLast,
+    olderThanDays: parsed.olderThanDays,
+    dryRun: parsed.dryRun,
+    json: parsed.json,
+  });
+  const result = await gcRuns({
+    runsDir,
+    keepLast: parsed.keepLast,
+    olderThanDays: parsed.olderThanDays,
+    dryRun: parsed.dryRun,
+  });
+  if (parsed.json) {
+    console.log(JSON.stringify(result));
+    return 0;
+  }
+  const kept = result.runs.filter((run) => run.action === "keep").length;
+  console.log(
+    `[runs:gc]${parsed.dryRun ? " dry-run" : ""} runs=${result.runs.length} deleted=${result.deletedRuns} kept=${kept} orphanedBlobs=${result.orphanedBlobs.length} dedupedBlobs=${result.dedupedBlobs.files} sharedBlobs=${result.sharedBlobs.objects} freedBytes=${result.freedBytes}`
+  );
+  for (const run of result.runs) {
+    console.log(`- ${run.action} ${run.runId} status=${run.status} reason=${run.reason}`);
+  }
+  return 0;
+}
+
+async function handleBlobShow(parsed: ParsedArgs): Promise<number> {
+  if (!parsed.blobHash) {
+    console.error(USAGE);
+    return 1;
+  }
+  const runsDir = path.resolve(parsed.runsDir);
+  logVerbose("blob:show", parsed, {
+    runsDir,
+    hash: parsed.blobHash,
+    out: parsed.outPath,
+    json: parsed.json,
+  });
+  let info: SharedBlobInfo | null;
+  try {
+    info = await describeSharedBlob(runsDir, parsed.blobHash);
+  } catch (error) {
+    console.error(`[blob:show] ${error instanceof Error ? error.message : String(error)}`);
+    return 1;
+  }
+  if (!info) {
+    console.error(`[blob:show] blob ${parsed.blobHash} is not in the shared blob store at ${getSharedBlobsDir(runsDir)}`);
+    return 1;
+  }
+  const outPath = parsed.outPath ? path.resolve(parsed.outPath) : undefined;
+  if (outPath) {
+    await fs.mkdir(path.dirname(outPath), { recursive: true });
+    await fs.copyFile(info.path, outPath);
+  }
+  if (parsed.json) {
+    console.log(JSON.stringify({ ...info, out: outPath ?? null }));
+    return 0;
+  }
+  console.log(
+    `[blob:show] hash=${info.hash} bytes=${info.bytes} refs=${info.runs.length} runs=${info.runs.join(",") || "none"}${outPath ? ` out=${outPath}` : ""}`
+  );
+  if (!outPath) console.log(await fs.readFile(info.path, "utf8"));
+  return 0;
+}
+
+async function handleHooksList(parsed: ParsedArgs): Promise<number> {
+  const cwd = process.cwd();
+  const pluginRoot = resolveHookPluginRoot(cwd);
+  logVerbose("hooks:list", parsed, { cwd, pluginRoot, hookType: parsed.hookType, json: parsed.json });
+  const hookTypes = parsed.hookType ? [parsed.hookType] : await listHookTypes({ cwd, pluginRoot });
+  const listed: Array<{ hookType: string; hooks: HookPlanEntry[] }> = [];
+  for (const hookType of hookTypes) {
+    listed.push({ hookType, hooks: await planHooks(hookType, undefined, { cwd, pluginRoot }) });
+  }
+  if (parsed.json) {
+    console.log(JSON.stringify({ hookTypes: listed }));
+    return 0;
+  }
+  const total = listed.reduce((sum, entry) => sum + entry.hooks.length, 0);
+  console.log(`[hooks:list] hookTypes=${listed.length} hooks=${total}${pluginRoot ? "" : " dispatcher=missing"}`);
+  for (const entry of listed) {
+    console.log(`- ${entry.hookType}`);
+    for (const hook of entry.hooks) {
+      console.log(`    ${formatHookPlanEntry(hook)}${hook.skipReason ? ` (${hook.skipReason})` : ""}`);
+    }
+  }
+  return 0;
+}
+
+async function handleHooksTest(parsed: ParsedArgs): Promise<number> {
+  if (!parsed.hookType || !parsed.payloadPath) {
+    console.error(USAGE);
+    return 1;
+  }
+  const cwd = process.cwd();
+  const pluginRoot = resolveHookPluginRoot(cwd);
+  logVerbose("hooks:test", parsed, { cwd, pluginRoot, hookType: parsed.hookType, payloadPath: parsed.payloadPath });
+  let payload: HookPayload;
+  try {
+    const raw = parsed.payloadPath === "-" ? await readStdinUtf8() : await fs.readFile(parsed.payloadPath, "utf8");
+    payload = JSON.parse(raw) as HookPayload;
+  } catch (error) {
+    console.error(`[hooks:test] --payload must contain JSON: ${error instanceof Error ? error.message : String(error)}`);
+    return 1;
+  }
+  const hooks = (await planHooks(parsed.hookType, payload, { cwd, pluginRoot })).map((hook) => ({
+    ...hook,
+    willRun: !hook.skipReason,
+  }));
+  if (parsed.json) {
+    console.log(JSON.stringify({ hookType: parsed.hookType, hooks }));
+    return 0;
+  }
+  const running = hooks.filter((hook) => hook.willRun).length;
+  console.log(
+    `[hooks:test] hookType=${parsed.hookType} hooks=${hooks.length} run=${running} skipped=${hooks.length - running}`
+  );
+  for (const hook of hooks) {
+    console.log(`- ${hook.willRun ? "run " : "skip"} ${formatHookPlanEntry(hook)}${hook.skipReason ? `: ${hook.skipReason}` : ""}`);
+  }
+  return 0;
+}
+
+async function handleWebhooksFlush(parsed: ParsedArgs): Promise<number> {
+  const runsDir = path.resolve(parsed.runsDir);
+  logVerbose("webhooks:flush", parsed, { runsDir, dryRun: parsed.dryRun, json: parsed.json });
+  const result = await flushWebhookQueue({ runsDir, dryRun: parsed.dryRun });
+  const { deadLetters } = await readWebhookState(runsDir);
+  if (parsed.json) {
+    const due = result.due.map(({ body: _body, ...delivery }) => delivery);
+    console.log(JSON.stringify({ ...result, due, deadLetters: deadLetters.length, dryRun: parsed.dryRun }));
+    return 0;
+  }
+  if (parsed.dryRun) {
+    console.log(
+      `[webhooks:flush] due=${result.due.length} pending=${result.pending} deadLetters=${deadLetters.length} dryRun=true`
+    );
+    for (const delivery of result.due) {
+      console.log(
+        `- ${delivery.id} ${delivery.hookType} ${delivery.url} attempts=${delivery.attempts}/${delivery.maxAttempts}${delivery.lastError ? ` lastError=${delivery.lastError}` : ""}`
+      );
+    }
+    return 0;
+  }
+  console.log(
+    `[webhooks:flush] attempted=${result.attempted} delivered=${result.delivered} requeued=${result.requeued} deadLettered=${result.deadLettered} pending=${result.pending} deadLetters=${deadLetters.length}`
+  );
+  return 0;
+}
+
+function resolveHookPluginRoot(cwd: string): string | undefined {
+  const dispatcherPath = findHookDispatcherPath(cwd);
+  return dispatcherPath ? path.dirname(path.dirname(dispatcherPath)) : undefined;
+}
+
+function formatHookPlanEntry(hook: HookPlanEntry): string {
+  const parts = [`${hook.hookLocation}:${hook.hookName}`, `[${hook.backend}]`];
+  if (hook.priority !== undefined) parts.push(`priority=${hook.priority}`);
+  if (hook.timeout !== undefined) parts.push(`timeout=${hook.timeout}ms`);
+  if (hook.match) {
+    const conditions = Object.entries(hook.match).map(
+      ([field, accepted]) => `${field}=${(Array.isArray(accepted) ? accepted : [accepted]).join(",")}`
+    );
+    parts.push(`match=${conditions.join(";")}`);
+  }
+  if (hook.error) parts.push(`error=${JSON.stringify(hook.error)}`);
+  return parts.join(" ");
+}
+
+async function handleRunCompactJournal(parsed: ParsedArgs): Promise<number> {
+  if (!parsed.runDirArg) {
+    console.error(USAGE);
+    return 1;
+  }
+  const runDir = resolveRunDir(parsed.runsDir, parsed.runDirArg);
+  logVerbose("run:compact-journal", parsed, {
+    runDir,
+    segmentSize: parsed.segmentSize,
+    keepBackup: parsed.keepBackup,
+    dryRun: parsed.dryRun,
+    json: parsed.json,
+  });
+  if (!(await readRunMetadataSafe(runDir, "run:compact-journal"))) return 1;
+  let result: CompactJournalResult;
+  try {
+    result = await compactJournal({
+      runDir,
+      segmentSize: parsed.segmentSize,
+      keepBackup: parsed.keepBackup,
+      dryRun: parsed.dryRun,
+    });
+  } catch (error) {
+    console.error(`[run:compact-journal] ${error instanceof Error ? error.message : String(error)}`);
+    return 1;
+  }
+  if (parsed.json) {
+    console.log(JSON.stringify({ runDir, dryRun: parsed.dryRun, ...result }));
+    return 0;
+  }
+  if (result.alreadyCompacted) {
+    console.log(`[run:compact-journal] already compacted events=${result.events} segments=${result.segments}`);
+    return 0;
+  }
+  const parts = [
+    `[run:compact-journal]${parsed.dryRun ? " dry-run" : ""}`,
+    `events=${result.events}`,
+    `segments=${result.segments}`,
+    `removedFiles=${result.removedFiles}`,
+  ];
+  if (result.backupDir) parts.push(`backupDir=${result.backupDir}`);
+  console.log(parts.join(" "));
+  return 0;
+}
+
 async function handleTaskPost(parsed: ParsedArgs): Promise<number> {
   if (!parsed.runDirArg || !parsed.effectId) {
     console.error(USAGE);
@@ -1177,23 +2266,33 @@ async function handleTaskShow(parsed: ParsedArgs): Promise<number> {
     return 1;
   }
 
-  const taskDef = await readTaskDefinition(runDir, parsed.effectId);
-  if (!taskDef) {
+  let encrypted = false;
+  let taskDef: JsonRecord | undefined;
+  let preview: { result?: StoredTaskResult; large: boolean } = { large: false };
+  try {
+    taskDef = await readTaskDefinition(runDir, parsed.effectId);
+    preview = await loadTaskResultPreview(runDir, parsed.effectId, record);
+  } catch (error) {
+    if (!isDocumentEncryptedError(error)) throw error;
+    encrypted = true;
+  }
+  if (!taskDef && !encrypted) {
     console.error(`[task:show] task definition missing for effect ${parsed.effectId}`);
     return 1;
   }
-  const preview = await loadTaskResultPreview(runDir, parsed.effectId, record);
   const entry = toTaskListEntry(record, runDir);
   const inlineResult = preview.large ? null : preview.result ?? null;
   const largeResultRef = preview.large ? entry.resultRef ?? defaultResultRef(record.effectId) : null;
 
   if (parsed.json) {
+    const encryptedResult = encrypted && record.status !== "requested" ? ENCRYPTED_PLACEHOLDER : null;
     console.log(
       JSON.stringify({
         effect: entry,
-        task: secretLogsAllowed ? taskDef : null,
-        result: secretLogsAllowed ? inlineResult : null,
+        task: secretLogsAllowed ? (encrypted ? ENCRYPTED_PLACEHOLDER : taskDef) : null,
+        result: secretLogsAllowed ? (encrypted ? encryptedResult : inlineResult) : null,
         largeResult: largeResultRef,
+        encrypted,
       })
     );
     return 0;
@@ -1210,6 +2309,12 @@ async function handleTaskShow(parsed: ParsedArgs): Promise<number> {
   console.log(`  resultRef=${entry.resultRef ?? "n/a"}`);
   console.log(`  stdoutRef=${entry.stdoutRef ?? "n/a"}`);
   console.log(`  stderrRef=${entry.stderrRef ?? "n/a"}`);
+  if (encrypted) {
+    console.log(
+      `  payloads: ${ENCRYPTED_PLACEHOLDER} (set ${ENCRYPTION_KEY_ENV} or ${ENCRYPTION_KEY_FILE_ENV} to the run's key to view task/result blobs)`
+    );
+    return 0;
+  }
   if (!secretLogsAllowed) {
     console.log(
       "  payloads: redacted (set BABYSITTER_ALLOW_SECRET_LOGS=true and rerun with --json --verbose to view task/result blobs)"
@@ -1325,6 +2430,51 @@ function countPendingByKind(records: EffectRecord[]): Record<string, number> {
   return Object.fromEntries(Array.from(counts.entries()).sort(([a], [b]) => a.localeCompare(b)));
 }
 
+interface RetryAttemptSummary {
+  attempt: number;
+  effectId: string;
+  stepId: string;
+  status: EffectRecord["status"];
+  requestedAt: string | null;
+  resolvedAt: string | null;
+  error: { name: string; message: string } | null;
+}
+
+interface RetryHistoryEntry {
+  stepId: string;
+  taskId: string;
+  attempts: RetryAttemptSummary[];
+}
+
+/**
+ * Groups effects requested under a retry policy by logical step. Steps whose only attempt has
+ * not failed are omitted.
+ */
+function summarizeRetryHistory(records: EffectRecord[]): RetryHistoryEntry[] {
+  const groups = new Map<string, RetryHistoryEntry>();
+  for (const record of records) {
+    if (!record.logicalStepId || record.attempt === undefined) continue;
+    let entry = groups.get(record.logicalStepId);
+    if (!entry) {
+      entry = { stepId: record.logicalStepId, taskId: record.taskId, attempts: [] };
+      groups.set(record.logicalStepId, entry);
+    }
+    entry.attempts.push({
+      attempt: record.attempt,
+      effectId: record.effectId,
+      stepId: record.stepId,
+      status: record.status,
+      requestedAt: record.requestedAt ?? null,
+      resolvedAt: record.resolvedAt ?? null,
+      error: record.error ? { name: record.error.name ?? "Error", message: record.error.message ?? "" } : null,
+    });
+  }
+  return Array.from(groups.values())
+    .filter((entry) => entry.attempts.length > 1 || entry.attempts[0].status === "resolved_error")
+    .map((entry) => ({ ...entry, attempts: entry.attempts.sort((a, b) => a.attempt - b.attempt) }))
+    .sort((a, b) => a.stepId.localeCompare(b.stepId));
+}
+
 async function loadTaskResultPreview(
   runDir: string,
   effectId: string,
@@ -1332,17 +2482,12 @@ async function loadTaskResultPreview(
 ): Promise<{ result?: StoredTaskResult; large: boolean }> {
   const absolutePath = resolveArtifactAbsolutePath(runDir, record.resultRef ?? defaultResultRef(effectId));
   if (!absolutePath) return { result: undefined, large: false };
-  try {
-    const stats = await fs.stat(absolutePath);
-    if (stats.size > LARGE_RESULT_PREVIEW_LIMIT) {
-      return { result: undefined, large: true };
-    }
-  } catch (error) {
-    const err = error as NodeJS.ErrnoException;
-    if (err.code === "ENOENT") {
-      return { result: undefined, large: false };
-    }
-    throw error;
+  const stats = await getRunStore(runDir).statDocument(toDocumentRef(runDir, absolutePath));
+  if (!stats) {
+    return { result: undefined, large: false };
+  }
+  if (stats.bytes > LARGE_RESULT_PREVIEW_LIMIT) {
+    return { result: undefined, large: true };
   }
   const data = await readTaskResult(runDir, effectId, record.resultRef);
   return { result: data ?? undefined, large: false };
@@ -1359,10 +2504,12 @@ async function readStdinUtf8(): Promise<string> {
 
 function deriveRunState(
   lastLifecycleEventType: JournalEvent["type"] | undefined,
-  pendingTotal: number
+  pendingTotal: number,
+  lifecycleStatus: RunLifecycleStatus
 ): RunLifecycleState {
   if (lastLifecycleEventType === "RUN_COMPLETED") return "completed";
   if (lastLifecycleEventType === "RUN_FAILED") return "failed";
+  if (lifecycleStatus !== "active") return lifecycleStatus;
   if (pendingTotal > 0) return "waiting";
   return "created";
 }
@@ -1516,15 +2663,72 @@ export function createBabysitterCli() {
         if (parsed.command === "run:repair-journal") {
           return await handleRunRepairJournal(parsed);
         }
+        if (parsed.command === "run:compact-journal") {
+          return await handleRunCompactJournal(parsed);
+        }
+        if (parsed.command === "run:verify") {
+          return await handleRunVerify(parsed);
+        }
+        if (parsed.command === "run:fork") {
+          return await handleRunFork(parsed);
+        }
+        if (parsed.command === "run:export") {
+          return await handleRunExport(parsed);
+        }
+        if (parsed.command === "run:import") {
+          return await handleRunImport(parsed);
+        }
+        if (parsed.command === "run:unlock") {
+          return await handleRunUnlock(parsed);
+        }
+        if (parsed.command === "runs:gc") {
+          return await handleRunsGc(parsed);
+        }
+        if (parsed.command === "blob:show") {
+          return await handleBlobShow(parsed);
+        }
+        if (parsed.command === "hooks:list") {
+          return await handleHooksList(parsed);
+        }
+        if (parsed.command === "hooks:test") {
+          return await handleHooksTest(parsed);
+        }
+        if (parsed.command === "webhooks:flush") {
+          return await handleWebhooksFlush(parsed);
+        }
         if (parsed.command === "run:status") {
           return await handleRunStatus(parsed);
         }
         if (parsed.command === "run:iterate") {
           return await handleRunIterate(parsed);
         }
+        if (parsed.command === "run:drive") {
+          return await handleRunDrive(parsed);
+        }
+        if (parsed.command === "run:execute") {
+          return await handleRunExecute(parsed);
+        }
+        if (parsed.command === "run:pause") {
+          return await handleRunLifecycle(parsed, "run:pause", pauseRun);
+        }
+        if (parsed.command === "run:resume") {
+          return await handleRunLifecycle(parsed, "run:resume", resumeRun);
+        }
+        if (parsed.command === "run:cancel") {
+          return await handleRunLifecycle(parsed, "run:cancel", cancelRun);
+        }
+        if (parsed.command === "run:migrate") {
+          return await handleRunMigrate(parsed);
+        }
+        if (parsed.command === "run:signal") {
+          return await handleRunSignal(parsed);
+        }
         if (parsed.command === "run:events") {
           return await handleRunEvents(parsed);
         }
+        if (parsed.command === "run:hooks") {
+          return await handleRunHooks(parsed);
+        }
         if (parsed.command === "task:post") {
           return await handleTaskPost(parsed);
         }
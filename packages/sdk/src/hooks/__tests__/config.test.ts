@@ -0,0 +1,177 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from "vitest";
+import type { MockInstance } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { callHook } from "../dispatcher";
+import { explainHookMatch, loadHooksConfig } from "../config";
+import { createBabysitterCli } from "../../cli/main";
+
+let tmpRoot: string;
+const envSnapshot = { ...process.env };
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-hooks-config-"));
+  await fs.mkdir(path.join(tmpRoot, ".a5c"));
+  delete process.env.CLAUDE_PLUGIN_ROOT;
+  delete process.env.REPO_ROOT;
+  process.env.XDG_CONFIG_HOME = path.join(tmpRoot, "config");
+});
+
+afterEach(async () => {
+  process.env = { ...envSnapshot };
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function writeConfig(config: unknown) {
+  await fs.writeFile(path.join(tmpRoot, ".a5c", "hooks.json"), JSON.stringify(config, null, 2), "utf8");
+}
+
+const dispatchPayload = {
+  hookType: "on-step-dispatch",
+  runId: "run-1",
+  processId: "deploy/prod",
+  stepId: "S000001",
+  action: "request",
+  kind: "agent",
+  labels: ["deploy"],
+  timestamp: "t",
+};
+
+describe(".a5c/hooks.json", () => {
+  test("runs matching commands and modules with their env and timeout, and skips the rest", async () => {
+    await fs.mkdir(path.join(tmpRoot, "hooks"));
+    await fs.writeFile(
+      path.join(tmpRoot, "hooks", "audit.mjs"),
+      "export default (payload, context) => ({ audited: payload.stepId, channel: context.env.CHANNEL });\n",
+      "utf8"
+    );
+    await writeConfig({
+      hooks: {
+        "on-step-dispatch": [
+          {
+            name: "guard",
+            command: `read payload; echo "$GUARD_MODE" >&2; echo '{"verdict":"deny","reason":"'"$GUARD_MODE"'"}'`,
+            match: { processId: "deploy/*", kind: ["agent", "breakpoint"], labels: "deploy" },
+            env: { GUARD_MODE: "frozen" },
+          },
+          { module: "hooks/audit.mjs", env: { CHANNEL: "#ops" }, priority: 5 },
+          { name: "node-only", command: "exit 3", match: { kind: "node" } },
+          { name: "off", command: "exit 4", enabled: false },
+          { name: "slow", command: "sleep 5", timeout: 100 },
+          { name: "broken", command: "echo nope >&2; exit 2", match: { status: ["ok"] } },
+        ],
+      },
+    });
+
+    const result = await callHook({ hookType: "on-step-dispatch", payload: dispatchPayload, cwd: tmpRoot, timeout: 2000 });
+
+    expect(result.executedHooks.map((hook) => [hook.hookLocation, hook.hookName, hook.backend, hook.status])).toEqual([
+      ["config", "audit.mjs", "js", "success"],
+      ["config", "guard", "shell", "success"],
+      ["config", "slow", "shell", "failed"],
+    ]);
+    expect(result.executedHooks[0].output).toEqual({ audited: "S000001", channel: "#ops" });
+    expect(result.executedHooks[2].error).toBe("Hook timed out after 100ms");
+    expect(result.decision).toMatchObject({ verdict: "deny", reason: "frozen", deniedBy: "guard" });
+
+    const failing = await callHook({
+      hookType: "on-step-dispatch",
+      payload: { ...dispatchPayload, status: "ok" },
+      cwd: tmpRoot,
+      timeout: 2000,
+    });
+    expect(failing.executedHooks.find((hook) => hook.hookName === "broken")).toMatchObject({
+      status: "failed",
+      exitCode: 2,
+      error: "exit code 2: nope",
+    });
+  });
+
+  test("explains match conditions and rejects malformed entries", async () => {
+    expect(explainHookMatch({ processId: "deploy/*", labels: ["deploy"] }, dispatchPayload)).toBeUndefined();
+    expect(explainHookMatch({ kind: "node" }, dispatchPayload)).toBe('kind "agent" is not one of [node]');
+    expect(explainHookMatch({ status: "ok" }, dispatchPayload)).toBe("status is missing");
+    expect(explainHookMatch({ labels: ["release"] }, { ...dispatchPayload, label: "nightly" })).toBe(
+      "labels [deploy, nightly] include none of [release]"
+    );
+
+    expect(await loadHooksConfig(tmpRoot)).toBeUndefined();
+    await writeConfig({ hooks: { "on-run-start": [{ command: "true", module: "x.mjs" }] } });
+    await expect(loadHooksConfig(tmpRoot)).rejects.toThrow(
+      /hooks\.on-run-start\[0\] needs exactly one of "command", "module" and "webhook"/
+    );
+    await writeConfig({ hooks: { "on-run-start": [{ command: "true", match: { taskId: "x" } }] } });
+    await expect(loadHooksConfig(tmpRoot)).rejects.toThrow(/hooks\.on-run-start\[0\]\.match has unknown condition "taskId"/);
+
+    // A broken config does not stop the other hooks; it is reported as a failed hook.
+    const result = await callHook({ hookType: "on-run-start", payload: { hookType: "on-run-start" }, cwd: tmpRoot });
+    expect(result.executedHooks).toMatchObject([{ hookLocation: "config", hookName: "hooks.json", status: "failed" }]);
+  });
+
+  describe("hooks:list and hooks:test", () => {
+    let logSpy: MockInstance<[message?: any, ...optionalParams: any[]], void>;
+
+    beforeEach(async () => {
+      logSpy = vi.spyOn(console, "log").mockImplementation(() => undefined);
+      vi.spyOn(console, "error").mockImplementation(() => undefined);
+      const pluginRoot = path.join(tmpRoot, "plugin");
+      await fs.mkdir(path.join(pluginRoot, "hooks", "on-step-dispatch"), { recursive: true });
+      await fs.writeFile(path.join(pluginRoot, "hooks", "hook-dispatcher.sh"), "cat > /dev/null\n", "utf8");
+      await fs.writeFile(path.join(pluginRoot, "hooks", "on-step-dispatch", "logger.sh"), "#!/bin/sh\n", { mode: 0o755 });
+      process.env.CLAUDE_PLUGIN_ROOT = pluginRoot;
+      process.env.REPO_ROOT = tmpRoot;
+      await writeConfig({
+        hooks: {
+          "on-step-dispatch": [
+            { name: "guard", command: "true", match: { kind: "agent" }, timeout: 500 },
+            { name: "node-only", command: "true", match: { kind: "node" } },
+          ],
+          "on-run-fail": [{ name: "pager", command: "true", enabled: false }],
+        },
+      });
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    test("lists configured and discovered hooks per hook type", async () => {
+      const cli = createBabysitterCli();
+      expect(await cli.run(["hooks:list"])).toBe(0);
+      const lines = logSpy.mock.calls.map((call) => String(call[0]));
+      expect(lines).toEqual([
+        "[hooks:list] hookTypes=2 hooks=4",
+        "- on-run-fail",
+        "    config:pager [shell] priority=0 (disabled)",
+        "- on-step-dispatch",
+        "    config:guard [shell] priority=0 timeout=500ms match=kind=agent",
+        "    config:node-only [shell] priority=0 match=kind=node",
+        "    plugin:logger.sh [shell]",
+      ]);
+    });
+
+    test("shows which hooks would run for a payload", async () => {
+      const payloadPath = path.join(tmpRoot, "payload.json");
+      await fs.writeFile(payloadPath, JSON.stringify(dispatchPayload), "utf8");
+      const cli = createBabysitterCli();
+
+      expect(await cli.run(["hooks:test", "on-step-dispatch", "--payload", payloadPath, "--json"])).toBe(0);
+      const report = JSON.parse(String(logSpy.mock.calls.at(-1)?.[0]));
+      expect(report.hooks.map((hook: { hookName: string; willRun: boolean }) => [hook.hookName, hook.willRun])).toEqual([
+        ["guard", true],
+        ["node-only", false],
+        ["logger.sh", true],
+      ]);
+
+      expect(await cli.run(["hooks:test", "on-step-dispatch", "--payload", payloadPath])).toBe(0);
+      const lines = logSpy.mock.calls.slice(1).map((call) => String(call[0]));
+      expect(lines).toEqual([
+        "[hooks:test] hookType=on-step-dispatch hooks=3 run=2 skipped=1",
+        "- run  config:guard [shell] priority=0 timeout=500ms match=kind=agent",
+        '- skip config:node-only [shell] priority=0 match=kind=node: kind "agent" is not one of [node]',
+        "- run  plugin:logger.sh [shell]",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { callHook } from "../dispatcher";
+import { listRegisteredHooks, registerHook } from "../registry";
+import type { OnTaskCompletePayload } from "../types";
+
+let tmpRoot: string;
+const envSnapshot = { ...process.env };
+const unregister: Array<() => void> = [];
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-hooks-"));
+  await fs.mkdir(path.join(tmpRoot, ".a5c"));
+  delete process.env.CLAUDE_PLUGIN_ROOT;
+  delete process.env.REPO_ROOT;
+  process.env.XDG_CONFIG_HOME = path.join(tmpRoot, "config");
+});
+
+afterEach(async () => {
+  unregister.splice(0).forEach((remove) => remove());
+  process.env = { ...envSnapshot };
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+const payload: OnTaskCompletePayload = {
+  hookType: "on-task-complete",
+  runId: "run-1",
+  effectId: "ef-1",
+  taskId: "build",
+  status: "ok",
+  duration: 12,
+  timestamp: "2026-01-01T00:00:00.000Z",
+};
+
+async function writeHook(dir: string, name: string, source: string) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, name), source, "utf8");
+}
+
+describe("callHook", () => {
+  test("runs registered handlers and discovered modules in process without a shell dispatcher", async () => {
+    const seen: string[] = [];
+    unregister.push(
+      registerHook("on-task-complete", (received, context) => {
+        seen.push(`${received.effectId}:${received.status}:${context.hookType}`);
+        return { notified: true };
+      }, { name: "notifier" })
+    );
+    const repoHooks = path.join(tmpRoot, ".a5c", "hooks", "on-task-complete");
+    await writeHook(repoHooks, "10-audit.mjs", "export default async (payload) => ({ audited: payload.taskId });\n");
+    await writeHook(repoHooks, "20-legacy.js", "module.exports = function legacy() { throw new Error('nope'); };\n");
+    await writeHook(repoHooks, "30-ignored.sh", "#!/bin/sh\nexit 1\n");
+    await writeHook(
+      path.join(tmpRoot, "config", "babysitter", "hooks", "on-task-complete"),
+      "user.mjs",
+      "export function hook(payload, context) { return { user: context.cwd }; }\n"
+    );
+
+    const result = await callHook({ hookType: "on-task-complete", payload, cwd: tmpRoot });
+
+    expect(seen).toEqual(["ef-1:ok:on-task-complete"]);
+    expect(listRegisteredHooks("on-task-complete")).toEqual(["notifier"]);
+    expect(result.executedHooks.map((hook) => [hook.hookLocation, hook.hookName, hook.status])).toEqual([
+      ["registered", "notifier", "success"],
+      ["per-repo", "10-audit.mjs", "success"],
+      ["per-repo", "20-legacy.js", "failed"],
+      ["per-user", "user.mjs", "success"],
+    ]);
+    expect(result.executedHooks[1]).toMatchObject({ backend: "js", output: { audited: "build" } });
+    expect(result.executedHooks[2].error).toBe("nope");
+    expect(result).toMatchObject({ success: false, output: { user: tmpRoot }, error: "Hook 20-legacy.js failed: nope" });
+    await expect(
+      callHook({ hookType: "on-task-complete", payload, cwd: tmpRoot, throwOnFailure: true })
+    ).rejects.toThrow("Hook 20-legacy.js failed: nope");
+  });
+
+  test("runs shell hooks after in-process ones and prefers the dispatcher's stdout as output", async () => {
+    const pluginRoot = path.join(tmpRoot, "plugins", "babysitter");
+    await writeHook(
+      path.join(pluginRoot, "hooks"),
+      "hook-dispatcher.sh",
+      `cat > /dev/null\necho '{"action":"none"}'\necho "plugin:logger.sh:success" >&2\n`
+    );
+    await writeHook(path.join(pluginRoot, "hooks", "on-iteration-end"), "timer.mjs", "export default () => 'timed';\n");
+    await writeHook(path.join(pluginRoot, "hooks", "on-iteration-end"), "logger.sh", "#!/bin/sh\n");
+    await fs.chmod(path.join(pluginRoot, "hooks", "on-iteration-end", "logger.sh"), 0o755);
+    unregister.push(registerHook("on-iteration-end", () => new Promise(() => undefined), { name: "stuck" }));
+
+    const result = await callHook({
+      hookType: "on-iteration-end",
+      payload: { hookType: "on-iteration-end", runId: "run-1", iteration: 1, status: "waiting", timestamp: "t" },
+      cwd: tmpRoot,
+      timeout: 50,
+    });
+
+    expect(result.executedHooks.map((hook) => [hook.backend, hook.hookLocation, hook.hookName, hook.status])).toEqual([
+      ["js", "registered", "stuck", "failed"],
+      ["js", "plugin", "timer.mjs", "success"],
+      ["shell", "plugin", "logger.sh", "success"],
+    ]);
+    expect(result.executedHooks[0].error).toBe("Hook timed out after 50ms");
+    expect(result.output).toEqual({ action: "none" });
+
+    const inProcessOnly = await callHook({ hookType: "on-iteration-end", payload: "ping", cwd: tmpRoot, timeout: 50, shell: false });
+    expect(inProcessOnly.executedHooks.map((hook) => hook.backend)).toEqual(["js", "js"]);
+    expect(inProcessOnly.output).toBe("timed");
+  });
+
+  test("spawns the shell dispatcher only when executable shell hooks exist for the hook type", async () => {
+    const pluginRoot = path.join(tmpRoot, "plugins", "babysitter");
+    const marker = path.join(tmpRoot, "dispatched");
+    await writeHook(path.join(pluginRoot, "hooks"), "hook-dispatcher.sh", `cat > /dev/null\necho "$1" >> "${marker}"\n`);
+    const stepHooks = path.join(tmpRoot, ".a5c", "hooks", "on-step-dispatch");
+    await writeHook(stepHooks, "audit.mjs", "export default () => 'seen';\n");
+    await writeHook(stepHooks, "notes.sh", "#!/bin/sh\n");
+    const stepPayload = { hookType: "on-step-dispatch", runId: "run-1", stepId: "S000001", timestamp: "t" };
+
+    const inProcessOnly = await callHook({ hookType: "on-step-dispatch", payload: stepPayload, cwd: tmpRoot });
+    expect(inProcessOnly).toMatchObject({ success: true, output: "seen" });
+    expect(inProcessOnly.executedHooks.map((hook) => hook.hookName)).toEqual(["audit.mjs"]);
+    await expect(fs.stat(marker)).rejects.toThrow();
+
+    await fs.chmod(path.join(stepHooks, "notes.sh"), 0o755);
+    await callHook({ hookType: "on-step-dispatch", payload: stepPayload, cwd: tmpRoot });
+    expect(await fs.readFile(marker, "utf8")).toBe("on-step-dispatch\n");
+  });
+
+  test("orders in-process hooks by priority, chains patches, and folds verdicts into a decision", async () => {
+    const pluginRoot = path.join(tmpRoot, "plugins", "babysitter");
+    await writeHook(
+      path.join(pluginRoot, "hooks"),
+      "hook-dispatcher.sh",
+      `payload=$(cat)\necho "note: $payload"\necho '{"verdict":"deny","reason":"branch is protected"}'\n`
+    );
+    const repoHooks = path.join(tmpRoot, ".a5c", "hooks", "pre-branch");
+    await writeHook(repoHooks, "guard.sh", "#!/bin/sh\n");
+    await fs.chmod(path.join(repoHooks, "guard.sh"), 0o755);
+    await writeHook(repoHooks, "10-late.mjs", "export default (payload) => ({ patch: { labels: [...payload.labels, 'late'] } });\n");
+    await writeHook(
+      repoHooks,
+      "20-early.mjs",
+      "export const priority = 5;\nexport default () => ({ verdict: 'allow', patch: { labels: ['early'], meta: { a: 1 } } });\n"
+    );
+    unregister.push(
+      registerHook("pre-branch", (received) => ({ patch: { meta: { b: (received as { labels: string[] }).labels.length } } }), {
+        name: "counter",
+        priority: 1,
+      })
+    );
+
+    const branchPayload = { hookType: "pre-branch", runId: "run-1", branch: "main", base: "dev", timestamp: "t", labels: [] };
+    const result = await callHook({ hookType: "pre-branch", payload: branchPayload, cwd: tmpRoot, timeout: 1000 });
+
+    expect(result.executedHooks.map((hook) => [hook.hookName, hook.priority])).toEqual([
+      ["20-early.mjs", 5],
+      ["counter", 1],
+      ["10-late.mjs", 0],
+    ]);
+    expect(result.decision).toMatchObject({
+      verdict: "deny",
+      reason: "branch is protected",
+      deniedBy: "shell",
+      payload: { branch: "main", labels: ["early", "late"], meta: { a: 1, b: 1 } },
+      patchedBy: ["20-early.mjs", "counter", "10-late.mjs"],
+    });
+    // Shell hooks receive the payload as patched in process.
+    expect(String(result.output)).toContain('"labels":["early","late"]');
+    expect(branchPayload.labels).toEqual([]);
+  });
+});
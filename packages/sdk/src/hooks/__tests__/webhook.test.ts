@@ -0,0 +1,167 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from "vitest";
+import os from "os";
+import path from "path";
+import http from "http";
+import type { AddressInfo } from "net";
+import { promises as fs } from "fs";
+import { callHook } from "../dispatcher";
+import { flushWebhookQueue, readWebhookState, verifyWebhookSignature } from "../webhook";
+import { createBabysitterCli } from "../../cli/main";
+
+interface ReceivedRequest {
+  headers: http.IncomingHttpHeaders;
+  body: string;
+}
+
+let tmpRoot: string;
+let runsDir: string;
+let server: http.Server;
+let url: string;
+let received: ReceivedRequest[];
+let statuses: number[];
+const envSnapshot = { ...process.env };
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-webhook-"));
+  runsDir = path.join(tmpRoot, ".a5c", "runs");
+  await fs.mkdir(runsDir, { recursive: true });
+  delete process.env.CLAUDE_PLUGIN_ROOT;
+  delete process.env.REPO_ROOT;
+  process.env.XDG_CONFIG_HOME = path.join(tmpRoot, "config");
+  process.env.NOTIFY_SECRET = "s3cret";
+  received = [];
+  statuses = [];
+  // Local stand-in for the endpoint: answers with the queued statuses, then 200.
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk: Buffer) => (body += chunk.toString()));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() ?? 200;
+      res.end();
+    });
+  });
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${(server.address() as AddressInfo).port}/hooks`;
+});
+
+afterEach(async () => {
+  process.env = { ...envSnapshot };
+  await new Promise((resolve) => server.close(resolve));
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function writeConfig(webhook: Record<string, unknown>) {
+  await fs.writeFile(
+    path.join(tmpRoot, ".a5c", "hooks.json"),
+    JSON.stringify({ hooks: { "on-run-fail": [{ name: "ops", webhook: { url, ...webhook } }] } }),
+    "utf8"
+  );
+}
+
+const payload = {
+  hookType: "on-run-fail",
+  runId: "run-1",
+  processId: "deploy/prod",
+  status: "failed",
+  error: "boom",
+  duration: 10,
+  timestamp: "2026-01-01T00:00:00.000Z",
+};
+
+describe("webhook hooks", () => {
+  test("POSTs the signed payload and retries failed deliveries with backoff", async () => {
+    await writeConfig({ secretEnv: "NOTIFY_SECRET", headers: { authorization: "Bearer t" }, backoffMs: 1000 });
+    statuses.push(503);
+
+    const first = await callHook({ hookType: "on-run-fail", payload, cwd: tmpRoot, runsDir });
+    expect(first.executedHooks).toMatchObject([{ hookLocation: "config", hookName: "ops", backend: "webhook", status: "failed" }]);
+    expect(first.executedHooks[0].error).toMatch(/^POST .* failed: HTTP 503 \(attempt 1, delivery \w+ queued for retry\)$/);
+
+    const { queued } = await readWebhookState(runsDir);
+    expect(queued).toMatchObject([{ hookType: "on-run-fail", attempts: 1, maxAttempts: 5, lastError: "HTTP 503" }]);
+    const delay = Date.parse(queued[0].nextAttemptAt) - Date.parse(queued[0].createdAt);
+    expect(delay).toBeGreaterThanOrEqual(1000);
+    expect(delay).toBeLessThan(2000);
+
+    expect(await flushWebhookQueue({ runsDir })).toMatchObject({ attempted: 0, pending: 1 });
+    const flushed = await flushWebhookQueue({ runsDir, now: new Date(Date.now() + 1500) });
+    expect(flushed).toMatchObject({ attempted: 1, delivered: 1, requeued: 0, deadLettered: 0, pending: 0 });
+
+    expect(received).toHaveLength(2);
+    for (const request of received) {
+      expect(JSON.parse(request.body)).toEqual(payload);
+      expect(request.headers).toMatchObject({
+        "content-type": "application/json",
+        authorization: "Bearer t",
+        "x-babysitter-hook": "on-run-fail",
+        "x-babysitter-delivery": queued[0].id,
+      });
+      const timestamp = String(request.headers["x-babysitter-timestamp"]);
+      expect(verifyWebhookSignature("s3cret", timestamp, request.body, String(request.headers["x-babysitter-signature"]))).toBe(true);
+      expect(verifyWebhookSignature("other", timestamp, request.body, String(request.headers["x-babysitter-signature"]))).toBe(false);
+    }
+
+    // The next dispatch succeeds at once and leaves nothing behind.
+    const second = await callHook({ hookType: "on-run-fail", payload, cwd: tmpRoot, runsDir });
+    expect(second.executedHooks[0]).toMatchObject({ status: "success", output: { status: "delivered", attempts: 1, statusCode: 200 } });
+    expect(await readWebhookState(runsDir)).toEqual({ queued: [], deadLetters: [] });
+  });
+
+  test("retries due deliveries only after a dispatch to the same URL gets through", async () => {
+    await writeConfig({ backoffMs: 0 });
+    statuses.push(503, 503);
+
+    await callHook({ hookType: "on-run-fail", payload, cwd: tmpRoot, runsDir });
+    const failing = await callHook({ hookType: "on-run-fail", payload, cwd: tmpRoot, runsDir });
+    expect(failing.executedHooks[0]).toMatchObject({ status: "failed" });
+    // The endpoint is still failing, so the due delivery was not retried inline.
+    expect(received).toHaveLength(2);
+    expect((await readWebhookState(runsDir)).queued).toMatchObject([{ attempts: 1 }, { attempts: 1 }]);
+
+    const recovered = await callHook({ hookType: "on-run-fail", payload, cwd: tmpRoot, runsDir });
+    expect(recovered.executedHooks[0]).toMatchObject({ status: "success", output: { status: "delivered", attempts: 1 } });
+    expect(received).toHaveLength(5);
+    expect(await readWebhookState(runsDir)).toEqual({ queued: [], deadLetters: [] });
+  });
+
+  test("moves deliveries that use up their attempts to the dead-letter log", async () => {
+    await writeConfig({ maxAttempts: 2, backoffMs: 0 });
+    statuses.push(500, 502);
+
+    await callHook({ hookType: "on-run-fail", payload, cwd: tmpRoot, runsDir });
+    const logSpy = vi.spyOn(console, "log").mockImplementation(() => undefined);
+    try {
+      const cli = createBabysitterCli();
+      expect(await cli.run(["webhooks:flush", "--runs-dir", runsDir, "--dry-run", "--json"])).toBe(0);
+      expect(JSON.parse(String(logSpy.mock.calls.at(-1)?.[0]))).toMatchObject({
+        attempted: 0,
+        pending: 1,
+        deadLetters: 0,
+        due: [{ attempts: 1, lastError: "HTTP 500" }],
+      });
+      expect(await cli.run(["webhooks:flush", "--runs-dir", runsDir])).toBe(0);
+      expect(logSpy.mock.calls.at(-1)?.[0]).toBe(
+        "[webhooks:flush] attempted=1 delivered=0 requeued=0 deadLettered=1 pending=0 deadLetters=1"
+      );
+    } finally {
+      logSpy.mockRestore();
+    }
+
+    const { queued, deadLetters } = await readWebhookState(runsDir);
+    expect(queued).toEqual([]);
+    expect(deadLetters).toMatchObject([{ hookName: "ops", url, attempts: 2, lastError: "HTTP 502" }]);
+    expect(JSON.parse(deadLetters[0].body)).toEqual(payload);
+    expect(received).toHaveLength(2);
+  });
+
+  test("rejects webhook entries without an http(s) URL", async () => {
+    await fs.writeFile(
+      path.join(tmpRoot, ".a5c", "hooks.json"),
+      JSON.stringify({ hooks: { "on-run-fail": [{ webhook: { url: "ftp://example.com" } }] } }),
+      "utf8"
+    );
+    const result = await callHook({ hookType: "on-run-fail", payload, cwd: tmpRoot, runsDir });
+    expect(result.executedHooks[0].error).toMatch(/hooks\.on-run-fail\[0\]\.webhook\.url must be an http\(s\) URL/);
+  });
+});
@@ -0,0 +1,341 @@
+/**
+ * Hook Configuration
+ * Hooks declared in `.a5c/hooks.json`: commands or modules per hook type, with match conditions
+ */
+
+import { spawn } from "node:child_process";
+import { promises as fs } from "node:fs";
+import * as path from "node:path";
+import type { HookPayload, HookType } from "./types";
+import type { WebhookConfig } from "./webhook";
+
+export const HOOKS_CONFIG_FILE = path.join(".a5c", "hooks.json");
+
+/**
+ * Payload fields a configured hook can be restricted to. Each condition lists accepted values; a
+ * hook runs only when every condition it sets holds. `processId` values may use `*` wildcards, and
+ * `labels` holds when the payload's `labels` (or `label`) include any of the listed labels.
+ */
+export interface HookMatch {
+  processId?: string | string[];
+  kind?: string | string[];
+  labels?: string | string[];
+  status?: string | string[];
+}
+
+/**
+ * One entry under `hooks.<hook-type>` in `.a5c/hooks.json`. Exactly one of `command`, `module` and
+ * `webhook` is required; paths resolve relative to the repository root.
+ */
+export interface HookConfigEntry {
+  name?: string;
+  /**
+   * Run with `sh -c` from the repository root; the payload arrives on stdin as JSON and a JSON
+   * response printed on stdout is read like an in-process hook's return value.
+   */
+  command?: string;
+  /**
+   * `.js`/`.mjs` module exporting the handler, as for modules in `.a5c/hooks/<type>/`.
+   */
+  module?: string;
+  /**
+   * POST the payload to an HTTP endpoint (see webhook.ts).
+   */
+  webhook?: WebhookConfig;
+  match?: HookMatch;
+  /**
+   * Milliseconds before the hook is recorded as failed (defaults to the dispatch timeout).
+   */
+  timeout?: number;
+  /**
+   * Set to false to keep the entry without running it.
+   */
+  enabled?: boolean;
+  /**
+   * Added to the command's environment; modules receive it as `context.env`.
+   */
+  env?: Record<string, string>;
+  priority?: number;
+}
+
+export interface HooksConfig {
+  hooks: Record<HookType, HookConfigEntry[]>;
+}
+
+export interface ConfiguredHook {
+  hookType: HookType;
+  name: string;
+  configPath: string;
+  /**
+   * Position of the entry under `hooks.<hook-type>`.
+   */
+  index: number;
+  command?: string;
+  modulePath?: string;
+  webhook?: WebhookConfig;
+  match?: HookMatch;
+  timeout?: number;
+  enabled: boolean;
+  env: Record<string, string>;
+  priority: number;
+}
+
+/**
+ * Raised by a configured command that exits non-zero.
+ *
+ * @internal
+ */
+export class HookCommandError extends Error {
+  constructor(
+    message: string,
+    readonly exitCode: number | null
+  ) {
+    super(message);
+    this.name = "HookCommandError";
+  }
+}
+
+const MATCH_FIELDS: Array<keyof HookMatch> = ["processId", "kind", "labels", "status"];
+const ENTRY_FIELDS = new Set(["name", "command", "module", "webhook", "match", "timeout", "enabled", "env", "priority"]);
+const WEBHOOK_FIELDS = new Set(["url", "secretEnv", "headers", "maxAttempts", "backoffMs"]);
+
+/**
+ * Reads `<repoRoot>/.a5c/hooks.json`. Resolves to undefined when the file does not exist and throws
+ * when it is not valid JSON or an entry is malformed.
+ */
+export async function loadHooksConfig(repoRoot: string): Promise<ConfiguredHook[] | undefined> {
+  const configPath = path.join(repoRoot, HOOKS_CONFIG_FILE);
+  let raw: string;
+  try {
+    raw = await fs.readFile(configPath, "utf8");
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") return undefined;
+    throw error;
+  }
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid hooks config at ${configPath}: ${error instanceof Error ? error.message : String(error)}`);
+  }
+  return parseHooksConfig(parsed, { repoRoot, configPath });
+}
+
+/**
+ * Validates a parsed hooks config and resolves its paths against `repoRoot`.
+ */
+export function parseHooksConfig(
+  value: unknown,
+  options: { repoRoot: string; configPath: string }
+): ConfiguredHook[] {
+  const fail = (where: string, message: string): never => {
+    throw new Error(`Invalid hooks config at ${options.configPath}: ${where} ${message}`);
+  };
+  if (!isPlainObject(value) || !isPlainObject(value.hooks)) {
+    return fail("root", 'must be an object with a "hooks" object');
+  }
+  const hooks: ConfiguredHook[] = [];
+  for (const [hookType, entries] of Object.entries(value.hooks)) {
+    if (!Array.isArray(entries)) fail(`hooks.${hookType}`, "must be an array");
+    (entries as unknown[]).forEach((entry, index) => {
+      const where = `hooks.${hookType}[${index}]`;
+      if (!isPlainObject(entry)) return fail(where, "must be an object");
+      const unknownField = Object.keys(entry).find((key) => !ENTRY_FIELDS.has(key));
+      if (unknownField) fail(where, `has unknown field "${unknownField}"`);
+      const { command, module: modulePath } = entry;
+      if ([command, modulePath, entry.webhook].filter((target) => target !== undefined).length !== 1) {
+        fail(where, 'needs exactly one of "command", "module" and "webhook"');
+      }
+      if (command !== undefined && (typeof command !== "string" || !command.trim())) fail(where, "command must be a non-empty string");
+      if (modulePath !== undefined && (typeof modulePath !== "string" || !modulePath.trim())) {
+        fail(where, "module must be a non-empty string");
+      }
+      if (entry.name !== undefined && typeof entry.name !== "string") fail(where, "name must be a string");
+      if (entry.enabled !== undefined && typeof entry.enabled !== "boolean") fail(where, "enabled must be a boolean");
+      if (entry.timeout !== undefined && !(typeof entry.timeout === "number" && entry.timeout > 0)) {
+        fail(where, "timeout must be a positive number of milliseconds");
+      }
+      if (entry.priority !== undefined && typeof entry.priority !== "number") fail(where, "priority must be a number");
+      if (
+        entry.env !== undefined &&
+        !(isPlainObject(entry.env) && Object.values(entry.env).every((item) => typeof item === "string"))
+      ) {
+        fail(where, "env must map names to strings");
+      }
+      const match = entry.match === undefined ? undefined : parseMatch(entry.match, `${where}.match`, fail);
+      const webhook = entry.webhook === undefined ? undefined : parseWebhook(entry.webhook, `${where}.webhook`, fail);
+      hooks.push({
+        hookType,
+        name:
+          (entry.name as string | undefined) ??
+          defaultHookName(command as string | undefined, modulePath as string | undefined, webhook),
+        configPath: options.configPath,
+        index,
+        command: command as string | undefined,
+        modulePath: modulePath === undefined ? undefined : path.resolve(options.repoRoot, modulePath as string),
+        webhook,
+        match,
+        timeout: entry.timeout as number | undefined,
+        enabled: entry.enabled !== false,
+        env: (entry.env as Record<string, string> | undefined) ?? {},
+        priority: (entry.priority as number | undefined) ?? 0,
+      });
+    });
+  }
+  return hooks;
+}
+
+/**
+ * Checks `payload` against a hook's match conditions. Returns undefined when the hook applies,
+ * otherwise the first condition that does not hold. A condition on a field the payload lacks fails.
+ */
+export function explainHookMatch(match: HookMatch | undefined, payload: HookPayload): string | undefined {
+  if (!match) return undefined;
+  const fields: Record<string, unknown> = isPlainObject(payload) ? payload : {};
+  for (const field of MATCH_FIELDS) {
+    const expected = match[field];
+    if (expected === undefined) continue;
+    const accepted = Array.isArray(expected) ? expected : [expected];
+    if (field === "labels") {
+      const labels = [
+        ...(Array.isArray(fields.labels) ? (fields.labels as unknown[]) : []),
+        ...(typeof fields.label === "string" ? [fields.label] : []),
+      ];
+      if (!labels.some((label) => accepted.includes(label as string))) {
+        return `labels [${labels.join(", ")}] include none of [${accepted.join(", ")}]`;
+      }
+      continue;
+    }
+    const actual = fields[field];
+    if (typeof actual !== "string") return `${field} is missing`;
+    const matches =
+      field === "processId" ? accepted.some((pattern) => globToRegExp(pattern).test(actual)) : accepted.includes(actual);
+    if (!matches) return `${field} "${actual}" is not one of [${accepted.join(", ")}]`;
+  }
+  return undefined;
+}
+
+/**
+ * Runs a configured command with the payload on stdin and resolves to its parsed stdout: the whole
+ * output when it is JSON, else its last line when that is, else the trimmed text.
+ *
+ * @internal
+ */
+export function runHookCommand(
+  command: string,
+  payload: HookPayload,
+  options: { hookType: HookType; cwd: string; env: Record<string, string>; timeout?: number }
+): Promise<unknown> {
+  return new Promise((resolve, reject) => {
+    const payloadJson = JSON.stringify(payload);
+    const child = spawn("sh", ["-c", command], {
+      cwd: options.cwd,
+      env: { ...process.env, ...options.env, HOOK_TYPE: options.hookType, HOOK_PAYLOAD: payloadJson },
+      stdio: ["pipe", "pipe", "pipe"],
+      timeout: options.timeout,
+    });
+    let stdout = "";
+    let stderr = "";
+    child.stdout.on("data", (data: Buffer) => {
+      stdout += data.toString();
+    });
+    child.stderr.on("data", (data: Buffer) => {
+      stderr += data.toString();
+    });
+    // A command that does not read stdin may exit before the write completes.
+    child.stdin.on("error", () => undefined);
+    child.stdin.end(payloadJson);
+    child.on("error", (error) => reject(new Error(`Failed to spawn hook command: ${error.message}`)));
+    child.on("close", (exitCode, signal) => {
+      if (exitCode === 0) {
+        resolve(parseCommandOutput(stdout));
+        return;
+      }
+      const detail = stderr.trim().split("\n").pop();
+      const reason = exitCode === null ? `killed by ${signal}` : `exit code ${exitCode}`;
+      reject(new HookCommandError(detail ? `${reason}: ${detail}` : reason, exitCode));
+    });
+  });
+}
+
+function parseMatch(value: unknown, where: string, fail: (where: string, message: string) => never): HookMatch {
+  if (!isPlainObject(value)) return fail(where, "must be an object");
+  const match: HookMatch = {};
+  for (const [key, condition] of Object.entries(value)) {
+    if (!MATCH_FIELDS.includes(key as keyof HookMatch)) fail(where, `has unknown condition "${key}"`);
+    const valid =
+      typeof condition === "string" || (Array.isArray(condition) && condition.every((item) => typeof item === "string"));
+    if (!valid) fail(`${where}.${key}`, "must be a string or an array of strings");
+    match[key as keyof HookMatch] = condition;
+  }
+  return match;
+}
+
+function parseWebhook(value: unknown, where: string, fail: (where: string, message: string) => never): WebhookConfig {
+  if (!isPlainObject(value)) return fail(where, "must be an object");
+  const unknownField = Object.keys(value).find((key) => !WEBHOOK_FIELDS.has(key));
+  if (unknownField) fail(where, `has unknown field "${unknownField}"`);
+  let url: URL | undefined;
+  try {
+    url = typeof value.url === "string" ? new URL(value.url) : undefined;
+  } catch {
+    url = undefined;
+  }
+  if (!url || (url.protocol !== "http:" && url.protocol !== "https:")) fail(`${where}.url`, "must be an http(s) URL");
+  if (value.secretEnv !== undefined && (typeof value.secretEnv !== "string" || !value.secretEnv)) {
+    fail(`${where}.secretEnv`, "must name an environment variable");
+  }
+  if (
+    value.headers !== undefined &&
+    !(isPlainObject(value.headers) && Object.values(value.headers).every((item) => typeof item === "string"))
+  ) {
+    fail(`${where}.headers`, "must map names to strings");
+  }
+  if (value.maxAttempts !== undefined && !(Number.isInteger(value.maxAttempts) && (value.maxAttempts as number) > 0)) {
+    fail(`${where}.maxAttempts`, "must be a positive integer");
+  }
+  if (value.backoffMs !== undefined && !(typeof value.backoffMs === "number" && value.backoffMs >= 0)) {
+    fail(`${where}.backoffMs`, "must be a non-negative number of milliseconds");
+  }
+  return {
+    url: value.url as string,
+    secretEnv: value.secretEnv,
+    headers: value.headers as Record<string, string> | undefined,
+    maxAttempts: value.maxAttempts as number | undefined,
+    backoffMs: value.backoffMs,
+  };
+}
+
+function defaultHookName(
+  command: string | undefined,
+  modulePath: string | undefined,
+  webhook: WebhookConfig | undefined
+): string {
+  if (modulePath) return path.basename(modulePath);
+  if (webhook) return new URL(webhook.url).host;
+  return path.basename((command ?? "").trim().split(/\s+/)[0]);
+}
+
+function globToRegExp(pattern: string): RegExp {
+  const escaped = pattern.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`^${escaped.join(".*")}$`);
+}
+
+function parseCommandOutput(stdout: string): unknown {
+  const trimmed = stdout.trim();
+  if (!trimmed) return undefined;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    const lastLine = trimmed.split("\n").pop()!;
+    try {
+      return JSON.parse(lastLine);
+    } catch {
+      return trimmed;
+    }
+  }
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
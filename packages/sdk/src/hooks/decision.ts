@@ -0,0 +1,121 @@
+/**
+ * Hook Decisions
+ * The response contract that lets hooks allow, deny, or patch what they were dispatched for
+ */
+
+import type { HookExecutionResult, HookPayload } from "./types";
+
+export type HookVerdict = "allow" | "deny";
+
+/**
+ * What a hook may return (in-process hooks) or print as a single JSON line on stdout (shell hooks).
+ * Any other output is treated as informational and leaves the decision unchanged.
+ */
+export interface HookResponse {
+  verdict?: HookVerdict;
+  reason?: string;
+  /**
+   * Merged into the payload: objects merge key by key, arrays and scalars replace, `null` removes a
+   * key. Later hooks receive the patched payload.
+   */
+  patch?: Record<string, unknown>;
+}
+
+export interface HookDecision {
+  /**
+   * "deny" when any hook denied, otherwise "allow".
+   */
+  verdict: HookVerdict;
+  /**
+   * Reason given by the first hook that denied.
+   */
+  reason?: string;
+  /**
+   * Name of the first hook that denied ("shell" for a shell hook).
+   */
+  deniedBy?: string;
+  /**
+   * The dispatched payload with every patch applied, in the order the hooks ran.
+   */
+  payload: HookPayload;
+  /**
+   * Names of the hooks whose patches were applied.
+   */
+  patchedBy: string[];
+}
+
+/**
+ * Reads a hook response from a hook's output, or returns undefined when the output is not one.
+ */
+export function parseHookResponse(output: unknown): HookResponse | undefined {
+  if (!isPlainObject(output)) return undefined;
+  const verdict = output.verdict === "allow" || output.verdict === "deny" ? output.verdict : undefined;
+  const patch = isPlainObject(output.patch) ? output.patch : undefined;
+  if (!verdict && !patch) return undefined;
+  return { verdict, reason: typeof output.reason === "string" ? output.reason : undefined, patch };
+}
+
+/**
+ * Returns a copy of `payload` with `patch` merged in. String payloads cannot be patched.
+ */
+export function applyHookPatch<T extends HookPayload>(payload: T, patch: Record<string, unknown>): T {
+  if (!isPlainObject(payload)) return payload;
+  return mergePatch(payload, patch) as T;
+}
+
+/**
+ * Folds the responses of the hooks that ran (in-process and configured hooks first, then the shell
+ * dispatcher's stdout, one JSON response per line) into a single decision.
+ */
+export function resolveHookDecision(
+  payload: HookPayload,
+  executedHooks: HookExecutionResult[],
+  shellStdout?: string
+): HookDecision {
+  const decision: HookDecision = { verdict: "allow", payload, patchedBy: [] };
+  const apply = (name: string, response: HookResponse | undefined) => {
+    if (!response) return;
+    if (response.verdict === "deny" && decision.verdict !== "deny") {
+      decision.verdict = "deny";
+      decision.reason = response.reason;
+      decision.deniedBy = name;
+    }
+    if (response.patch && isPlainObject(decision.payload)) {
+      decision.payload = applyHookPatch(decision.payload, response.patch);
+      decision.patchedBy.push(name);
+    }
+  };
+  // Hooks run by hook-dispatcher.sh report no output of their own; their responses come from stdout.
+  for (const hook of executedHooks) {
+    if (hook.status === "success" && hook.output !== undefined) {
+      apply(hook.hookName, parseHookResponse(hook.output));
+    }
+  }
+  for (const line of (shellStdout ?? "").split("\n")) {
+    if (!line.trim().startsWith("{")) continue;
+    try {
+      apply("shell", parseHookResponse(JSON.parse(line)));
+    } catch {
+      // Not a response line; shell hooks may print anything else on stdout.
+    }
+  }
+  return decision;
+}
+
+function mergePatch(target: Record<string, unknown>, patch: Record<string, unknown>): Record<string, unknown> {
+  const merged: Record<string, unknown> = { ...target };
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete merged[key];
+    } else if (isPlainObject(value) && isPlainObject(merged[key])) {
+      merged[key] = mergePatch(merged[key], value);
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
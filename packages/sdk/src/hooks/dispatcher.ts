@@ -1,11 +1,13 @@
 /**
  * Hook Dispatcher
- * Executes shell hooks from Node.js
+ * Executes in-process hooks and shell hooks from Node.js
  */
 
 import { spawn } from "node:child_process";
 import { existsSync } from "node:fs";
 import * as path from "node:path";
+import { resolveHookDecision } from "./decision";
+import { discoverShellHooks, runInProcessHooks } from "./registry";
 import type {
   HookDispatcherOptions,
   HookResult,
@@ -38,7 +40,12 @@ export function findHookDispatcherPath(startCwd: string): string | null {
 }
 
 /**
- * Call a hook by dispatching to the shell hook-dispatcher.sh
+ * Call a hook: registered handlers, `.js`/`.mjs` hook modules and the matching `.a5c/hooks.json`
+ * entries run first, then `*.sh` hooks run through the shell hook-dispatcher.sh.
+ *
+ * `output` is the dispatcher's stdout when it printed anything, otherwise the value returned by
+ * the last in-process hook that returned one. `decision` folds every hook's response into one
+ * verdict and patched payload; shell hooks receive the payload as patched by in-process hooks.
  */
 export async function callHook(
   options: HookDispatcherOptions
@@ -49,9 +56,66 @@ export async function callHook(
     cwd = process.cwd(),
     timeout = 30000,
     throwOnFailure = false,
+    shell = true,
+    runsDir,
   } = options;
 
+  const startedAt = Date.now();
   const dispatcherPath = findHookDispatcherPath(cwd);
+  const pluginRoot = dispatcherPath ? path.dirname(path.dirname(dispatcherPath)) : undefined;
+  const inProcess = await runInProcessHooks(hookType, payload, { cwd, timeout, pluginRoot, runsDir });
+  const failed = inProcess.find((hook) => hook.status === "failed");
+  const outputs = inProcess.filter((hook) => hook.output !== undefined);
+  const inProcessResult: HookResult = {
+    hookType,
+    success: !failed,
+    output: outputs.length ? outputs[outputs.length - 1].output : undefined,
+    error: failed ? `Hook ${failed.hookName} failed: ${failed.error}` : undefined,
+    executedHooks: inProcess,
+    decision: resolveHookDecision(payload, inProcess),
+    durationMs: Date.now() - startedAt,
+  };
+
+  // Without a dispatcher, in-process hooks alone are a complete result. With one, it is only
+  // spawned when there are shell hooks for it to run.
+  const hasShellHooks =
+    shell && dispatcherPath !== null && (await discoverShellHooks(hookType, { cwd, pluginRoot })).length > 0;
+  if (!shell || (dispatcherPath && !hasShellHooks) || (!dispatcherPath && inProcess.length > 0)) {
+    if (throwOnFailure && !inProcessResult.success) {
+      throw new Error(inProcessResult.error);
+    }
+    return inProcessResult;
+  }
+
+  const shellResult = await runShellHooks(dispatcherPath, {
+    hookType,
+    payload: inProcessResult.decision!.payload,
+    cwd,
+    timeout,
+    throwOnFailure,
+  });
+  return {
+    hookType,
+    success: inProcessResult.success && shellResult.success,
+    output: shellResult.output !== undefined && shellResult.output !== "" ? shellResult.output : inProcessResult.output,
+    error: inProcessResult.error ?? shellResult.error,
+    executedHooks: [...inProcess, ...shellResult.executedHooks],
+    decision: resolveHookDecision(payload, inProcess, shellResult.stdout),
+    stdout: shellResult.stdout,
+    stderr: shellResult.stderr,
+    durationMs: Date.now() - startedAt,
+  };
+}
+
+/**
+ * Run `*.sh` hooks by dispatching to the shell hook-dispatcher.sh
+ */
+async function runShellHooks(
+  dispatcherPath: string | null,
+  options: Required<Pick<HookDispatcherOptions, "hookType" | "payload" | "cwd" | "timeout" | "throwOnFailure">>
+): Promise<HookResult> {
+  const { hookType, payload, cwd, timeout, throwOnFailure } = options;
+
   if (!dispatcherPath) {
     return {
       hookType,
@@ -121,7 +185,9 @@ export async function callHook(
           hookType,
           success: false,
           error: `Hook execution timed out after ${timeout}ms`,
-          executedHooks: [],
+          executedHooks: parseHookExecutionSummary(stderr),
+          stdout,
+          stderr,
         };
 
         if (throwOnFailure) {
@@ -139,6 +205,8 @@ export async function callHook(
         hookType,
         success: exitCode === 0,
         output: stdout ? tryParseJson(stdout) : undefined,
+        stdout,
+        stderr,
         error:
           exitCode !== 0
             ? `Hook dispatcher exited with code ${exitCode}`
@@ -176,7 +244,8 @@ function parseHookExecutionSummary(stderr: string): HookExecutionResult[] {
       results.push({
         hookPath: `unknown`, // We don't have full path in summary
         hookName,
-        hookLocation: location as "per-repo" | "per-user" | "plugin",
+        hookLocation: location as HookExecutionResult["hookLocation"],
+        backend: "shell",
         status: status as "success" | "failed",
         exitCode: exitCodeStr ? parseInt(exitCodeStr, 10) : undefined,
       });
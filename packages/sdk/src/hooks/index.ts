@@ -7,15 +7,83 @@ export {
   callHook,
 } from "./dispatcher";
 
+export {
+  registerHook,
+  listRegisteredHooks,
+  discoverHookModules,
+  planHooks,
+  listHookTypes,
+} from "./registry";
+
+export {
+  HOOKS_CONFIG_FILE,
+  loadHooksConfig,
+  parseHooksConfig,
+  explainHookMatch,
+} from "./config";
+
+export {
+  WEBHOOK_HOOK_HEADER,
+  WEBHOOK_DELIVERY_HEADER,
+  WEBHOOK_TIMESTAMP_HEADER,
+  WEBHOOK_SIGNATURE_HEADER,
+  signWebhookBody,
+  verifyWebhookSignature,
+  dispatchWebhook,
+  flushWebhookQueue,
+  readWebhookState,
+} from "./webhook";
+
+export type {
+  WebhookConfig,
+  WebhookDelivery,
+  DeadLetterEntry,
+  WebhookDeliveryOutcome,
+  FlushWebhookQueueOptions,
+  FlushWebhookQueueResult,
+} from "./webhook";
+
+export type {
+  HookMatch,
+  HookConfigEntry,
+  HooksConfig,
+  ConfiguredHook,
+} from "./config";
+
+export {
+  parseHookResponse,
+  applyHookPatch,
+  resolveHookDecision,
+} from "./decision";
+
+export type {
+  HookVerdict,
+  HookResponse,
+  HookDecision,
+} from "./decision";
+
+export type {
+  RegisterHookOptions,
+  HookModuleInfo,
+  HookPlanEntry,
+} from "./registry";
+
 export type {
   HookType,
   HookResult,
   HookExecutionResult,
+  HookLocation,
+  HookBackend,
   HookPayload,
+  HookPayloadMap,
+  HookPayloadFor,
+  HookHandler,
+  HookHandlerContext,
   HookDispatcherOptions,
   OnRunStartPayload,
   OnRunCompletePayload,
   OnRunFailPayload,
+  OnRunCancelPayload,
   OnTaskStartPayload,
   OnTaskCompletePayload,
   OnStepDispatchPayload,
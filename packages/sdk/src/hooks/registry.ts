@@ -0,0 +1,432 @@
+/**
+ * In-process Hooks
+ * Registered handlers, `.js`/`.mjs` hook modules and `.a5c/hooks.json` entries, run without the
+ * shell dispatcher
+ */
+
+import { constants as fsConstants, existsSync, promises as fs } from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import { pathToFileURL } from "node:url";
+import {
+  explainHookMatch,
+  HOOKS_CONFIG_FILE,
+  HookCommandError,
+  loadHooksConfig,
+  runHookCommand,
+  type ConfiguredHook,
+  type HookMatch,
+} from "./config";
+import { applyHookPatch, parseHookResponse } from "./decision";
+import { dispatchWebhook } from "./webhook";
+import { dynamicImportModule } from "../runtime/dynamicImport";
+import type {
+  HookBackend,
+  HookExecutionResult,
+  HookHandler,
+  HookHandlerContext,
+  HookLocation,
+  HookPayload,
+  HookType,
+} from "./types";
+
+export interface RegisterHookOptions {
+  /**
+   * Name reported in execution results (defaults to the handler's function name).
+   */
+  name?: string;
+  /**
+   * Hooks with a higher priority run first (default 0); equal priorities keep their discovery order.
+   */
+  priority?: number;
+}
+
+export interface HookModuleInfo {
+  hookType: HookType;
+  hookName: string;
+  hookPath: string;
+  hookLocation: Exclude<HookLocation, "registered" | "config">;
+}
+
+/**
+ * A hook that would run for a hook type, as reported by `planHooks` (and `hooks:list`/`hooks:test`).
+ */
+export interface HookPlanEntry {
+  hookName: string;
+  hookPath: string;
+  hookLocation: HookLocation;
+  backend: HookBackend;
+  /**
+   * Priority of an in-process or configured hook; shell hooks always run last.
+   */
+  priority?: number;
+  enabled: boolean;
+  timeout?: number;
+  match?: HookMatch;
+  /**
+   * Why the hook would not run for the payload given to `planHooks`; unset when it would.
+   */
+  skipReason?: string;
+  /**
+   * Why the hook cannot be loaded; it would be recorded as failed.
+   */
+  error?: string;
+}
+
+interface RegisteredHook {
+  name: string;
+  handler: HookHandler;
+  priority: number;
+}
+
+type HookInfo = Pick<HookExecutionResult, "hookName" | "hookPath" | "hookLocation"> & { backend: HookBackend };
+
+interface InProcessHook {
+  info: HookInfo;
+  priority: number;
+  handler?: HookHandler;
+  loadError?: unknown;
+  configured?: ConfiguredHook;
+}
+
+const HOOK_MODULE_EXTENSIONS = new Set([".js", ".mjs"]);
+const registeredHooks = new Map<HookType, RegisteredHook[]>();
+
+/**
+ * Register a handler that runs in this process whenever `hookType` is dispatched, before shell
+ * hooks. Returns a function that removes the registration.
+ */
+export function registerHook<T extends HookType>(
+  hookType: T,
+  handler: HookHandler<T>,
+  options: RegisterHookOptions = {}
+): () => void {
+  const entry: RegisteredHook = {
+    name: options.name ?? (handler.name || "anonymous"),
+    handler: handler as HookHandler,
+    priority: options.priority ?? 0,
+  };
+  const entries = registeredHooks.get(hookType) ?? [];
+  entries.push(entry);
+  registeredHooks.set(hookType, entries);
+  return () => {
+    const current = registeredHooks.get(hookType);
+    if (!current) return;
+    const remaining = current.filter((candidate) => candidate !== entry);
+    if (remaining.length) registeredHooks.set(hookType, remaining);
+    else registeredHooks.delete(hookType);
+  };
+}
+
+/**
+ * Names of the handlers registered for `hookType`, in registration order.
+ */
+export function listRegisteredHooks(hookType: HookType): string[] {
+  return (registeredHooks.get(hookType) ?? []).map((entry) => entry.name);
+}
+
+/**
+ * Find `.js`/`.mjs` hook modules for `hookType`, in the same order and locations as the shell
+ * dispatcher: `<repo>/.a5c/hooks/<type>/`, `~/.config/babysitter/hooks/<type>/`, then the plugin's
+ * `hooks/<type>/`. Modules within a directory run in filename order.
+ */
+export async function discoverHookModules(
+  hookType: HookType,
+  options: { cwd: string; pluginRoot?: string }
+): Promise<HookModuleInfo[]> {
+  return discoverHookFiles(hookType, options, (name) => HOOK_MODULE_EXTENSIONS.has(path.extname(name)));
+}
+
+/**
+ * Find the executable `*.sh` hooks hook-dispatcher.sh would run for `hookType`, in its order.
+ */
+export async function discoverShellHooks(
+  hookType: HookType,
+  options: { cwd: string; pluginRoot?: string }
+): Promise<HookModuleInfo[]> {
+  return discoverHookFiles(
+    hookType,
+    options,
+    async (name, filePath) => name.endsWith(".sh") && (await isExecutableFile(filePath))
+  );
+}
+
+async function discoverHookFiles(
+  hookType: HookType,
+  options: { cwd: string; pluginRoot?: string },
+  accept: (name: string, filePath: string) => boolean | Promise<boolean>
+): Promise<HookModuleInfo[]> {
+  const modules: HookModuleInfo[] = [];
+  for (const [hookLocation, hooksDir] of hookLocations(findRepoRoot(options.cwd), options.pluginRoot)) {
+    const dir = path.join(hooksDir, hookType);
+    let names: string[];
+    try {
+      names = await fs.readdir(dir);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") continue;
+      throw error;
+    }
+    for (const name of names.sort()) {
+      const hookPath = path.join(dir, name);
+      if (!(await accept(name, hookPath))) continue;
+      modules.push({ hookType, hookName: name, hookPath, hookLocation });
+    }
+  }
+  return modules;
+}
+
+function hookLocations(
+  repoRoot: string | undefined,
+  pluginRoot: string | undefined
+): Array<[HookModuleInfo["hookLocation"], string]> {
+  const locations: Array<[HookModuleInfo["hookLocation"], string | undefined]> = [
+    ["per-repo", repoRoot ? path.join(repoRoot, ".a5c", "hooks") : undefined],
+    ["per-user", path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"), "babysitter", "hooks")],
+    ["plugin", pluginRoot ? path.join(pluginRoot, "hooks") : undefined],
+  ];
+  return locations.filter((location): location is [HookModuleInfo["hookLocation"], string] => Boolean(location[1]));
+}
+
+async function isExecutableFile(filePath: string): Promise<boolean> {
+  try {
+    await fs.access(filePath, fsConstants.X_OK);
+    return (await fs.stat(filePath)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run registered handlers, discovered hook modules and `.a5c/hooks.json` entries for `hookType`,
+ * highest priority first (modules set theirs with `export const priority`); ties keep registration
+ * order, then discovery order, then config order. Configured hooks that are disabled or whose
+ * `match` does not hold for the payload are skipped. A hook that returns a `patch` changes the
+ * payload the following hooks receive. A failing or timed-out hook is recorded and the remaining
+ * hooks still run.
+ */
+export async function runInProcessHooks(
+  hookType: HookType,
+  payload: HookPayload,
+  options: { cwd: string; timeout: number; pluginRoot?: string; runsDir?: string }
+): Promise<HookExecutionResult[]> {
+  const context: HookHandlerContext = { hookType, cwd: options.cwd, runsDir: options.runsDir };
+  const results: HookExecutionResult[] = [];
+  let current = payload;
+  for (const hook of await collectInProcessHooks(hookType, options)) {
+    const { configured } = hook;
+    if (configured && (!configured.enabled || explainHookMatch(configured.match, current) !== undefined)) continue;
+    const input = current;
+    const hookContext = configured ? { ...context, env: configured.env } : context;
+    const result = await runHandler(
+      hook.info,
+      () => (hook.handler ? Promise.resolve(hook.handler(input as never, hookContext)) : Promise.reject(hook.loadError)),
+      configured?.timeout ?? options.timeout
+    );
+    results.push({ ...result, priority: hook.priority });
+    const patch = result.status === "success" ? parseHookResponse(result.output)?.patch : undefined;
+    if (patch) current = applyHookPatch(current, patch);
+  }
+  return results;
+}
+
+/**
+ * Lists every hook `callHook` would consider for `hookType`, in the order it would run them:
+ * in-process and configured hooks by priority, then the executable `*.sh` hooks hook-dispatcher.sh
+ * runs. With a payload, each entry says whether the hook would be skipped for it; match conditions
+ * are checked against the payload as given, before any hook patches it. Nothing is run, but hook
+ * modules are imported to read their priority.
+ */
+export async function planHooks(
+  hookType: HookType,
+  payload: HookPayload | undefined,
+  options: { cwd: string; pluginRoot?: string }
+): Promise<HookPlanEntry[]> {
+  const plan: HookPlanEntry[] = [];
+  for (const hook of await collectInProcessHooks(hookType, options)) {
+    const { configured } = hook;
+    const entry: HookPlanEntry = { ...hook.info, priority: hook.priority, enabled: configured?.enabled ?? true };
+    if (configured) {
+      entry.timeout = configured.timeout;
+      entry.match = configured.match;
+    }
+    if (hook.loadError !== undefined) {
+      entry.error = hook.loadError instanceof Error ? hook.loadError.message : String(hook.loadError);
+    }
+    if (!entry.enabled) entry.skipReason = "disabled";
+    else if (payload !== undefined && configured) entry.skipReason = explainHookMatch(configured.match, payload);
+    plan.push(entry);
+  }
+  for (const { hookName, hookPath, hookLocation } of await discoverShellHooks(hookType, options)) {
+    plan.push({
+      hookName,
+      hookPath,
+      hookLocation,
+      backend: "shell",
+      enabled: true,
+      skipReason: options.pluginRoot ? undefined : "hook-dispatcher.sh not found",
+    });
+  }
+  return plan;
+}
+
+/**
+ * Every hook type with a registered handler, a hook directory or a `.a5c/hooks.json` entry.
+ */
+export async function listHookTypes(options: { cwd: string; pluginRoot?: string }): Promise<HookType[]> {
+  const types = new Set<HookType>(registeredHooks.keys());
+  for (const [, hooksDir] of hookLocations(findRepoRoot(options.cwd), options.pluginRoot)) {
+    let entries: Array<{ name: string; isDirectory(): boolean }>;
+    try {
+      entries = await fs.readdir(hooksDir, { withFileTypes: true });
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") continue;
+      throw error;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory()) types.add(entry.name);
+    }
+  }
+  const repoRoot = findRepoRoot(options.cwd);
+  if (repoRoot) {
+    try {
+      for (const hook of (await loadHooksConfig(repoRoot)) ?? []) types.add(hook.hookType);
+    } catch {
+      // Reported by planHooks as a failed entry for each hook type.
+    }
+  }
+  return Array.from(types).sort();
+}
+
+async function collectInProcessHooks(
+  hookType: HookType,
+  options: { cwd: string; pluginRoot?: string; timeout?: number }
+): Promise<InProcessHook[]> {
+  const hooks: InProcessHook[] = (registeredHooks.get(hookType) ?? []).map((entry) => ({
+    info: { hookName: entry.name, hookPath: `registered:${entry.name}`, hookLocation: "registered", backend: "js" },
+    priority: entry.priority,
+    handler: entry.handler,
+  }));
+  for (const { hookName, hookPath, hookLocation } of await discoverHookModules(hookType, options)) {
+    const info: HookInfo = { hookName, hookPath, hookLocation, backend: "js" };
+    try {
+      hooks.push({ info, ...(await loadHookModule(hookPath)) });
+    } catch (error) {
+      hooks.push({ info, priority: 0, loadError: error });
+    }
+  }
+  const repoRoot = findRepoRoot(options.cwd);
+  if (repoRoot) {
+    let configured: ConfiguredHook[];
+    try {
+      configured = (await loadHooksConfig(repoRoot)) ?? [];
+    } catch (error) {
+      configured = [];
+      const configPath = path.join(repoRoot, HOOKS_CONFIG_FILE);
+      hooks.push({
+        info: { hookName: path.basename(configPath), hookPath: configPath, hookLocation: "config", backend: "js" },
+        priority: 0,
+        loadError: error,
+      });
+    }
+    for (const hook of configured.filter((candidate) => candidate.hookType === hookType)) {
+      hooks.push(await loadConfiguredHook(hook, repoRoot, options.timeout));
+    }
+  }
+  return hooks.sort((a, b) => b.priority - a.priority);
+}
+
+async function loadConfiguredHook(hook: ConfiguredHook, repoRoot: string, timeout?: number): Promise<InProcessHook> {
+  const base = { priority: hook.priority, configured: hook };
+  const { command, modulePath = "", webhook } = hook;
+  if (webhook) {
+    return {
+      ...base,
+      info: { hookName: hook.name, hookPath: webhook.url, hookLocation: "config", backend: "webhook" },
+      handler: async (payload, context) => {
+        const outcome = await dispatchWebhook({ ...hook, webhook }, payload, {
+          runsDir: context.runsDir ?? path.join(repoRoot, ".a5c", "runs"),
+        });
+        if (outcome.status === "delivered") return outcome;
+        const next = outcome.status === "queued" ? "queued for retry" : "moved to the dead-letter log";
+        throw new Error(
+          `POST ${webhook.url} failed: ${outcome.error} (attempt ${outcome.attempts}, delivery ${outcome.deliveryId} ${next})`
+        );
+      },
+    };
+  }
+  if (command !== undefined) {
+    return {
+      ...base,
+      info: { hookName: hook.name, hookPath: command, hookLocation: "config", backend: "shell" },
+      handler: (payload) =>
+        runHookCommand(command, payload, {
+          hookType: hook.hookType,
+          cwd: repoRoot,
+          env: hook.env,
+          timeout: hook.timeout ?? timeout,
+        }),
+    };
+  }
+  const info: HookInfo = { hookName: hook.name, hookPath: modulePath, hookLocation: "config", backend: "js" };
+  if (!hook.enabled) return { ...base, info };
+  try {
+    return { ...base, info, handler: (await loadHookModule(modulePath)).handler };
+  } catch (error) {
+    return { ...base, info, loadError: error };
+  }
+}
+
+async function loadHookModule(hookPath: string): Promise<{ handler: HookHandler; priority: number }> {
+  const mod = await dynamicImportModule(pathToFileURL(hookPath).href);
+  // CommonJS modules surface `module.exports` as the default export.
+  const candidate = mod.default ?? mod.hook;
+  const handler =
+    typeof candidate === "function" ? candidate : (candidate as Record<string, unknown> | undefined)?.default;
+  if (typeof handler !== "function") {
+    throw new Error(`Hook module ${hookPath} must export a function as default or as "hook"`);
+  }
+  const priority = mod.priority ?? (candidate as Record<string, unknown> | undefined)?.priority;
+  return { handler: handler as HookHandler, priority: typeof priority === "number" ? priority : 0 };
+}
+
+async function runHandler(
+  info: HookInfo,
+  invoke: () => Promise<unknown>,
+  timeout: number
+): Promise<HookExecutionResult> {
+  const startedAt = Date.now();
+  let timeoutHandle: NodeJS.Timeout | undefined;
+  try {
+    const output = await Promise.race([
+      invoke(),
+      new Promise<never>((_, reject) => {
+        timeoutHandle = setTimeout(() => reject(new Error(`Hook timed out after ${timeout}ms`)), timeout);
+      }),
+    ]);
+    return { ...info, status: "success", output, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return {
+      ...info,
+      status: "failed",
+      exitCode: error instanceof HookCommandError && error.exitCode !== null ? error.exitCode : undefined,
+      error: error instanceof Error ? error.message : String(error),
+      durationMs: Date.now() - startedAt,
+    };
+  } finally {
+    if (timeoutHandle) clearTimeout(timeoutHandle);
+  }
+}
+
+/**
+ * Same lookup as hook-dispatcher.sh: $REPO_ROOT, else the nearest directory with `.git` or `.a5c`.
+ */
+function findRepoRoot(cwd: string): string | undefined {
+  if (process.env.REPO_ROOT) return process.env.REPO_ROOT;
+  let current = path.resolve(cwd);
+  for (;;) {
+    if (existsSync(path.join(current, ".git")) || existsSync(path.join(current, ".a5c"))) return current;
+    const parent = path.dirname(current);
+    if (parent === current) return undefined;
+    current = parent;
+  }
+}
@@ -3,12 +3,15 @@
  * Type definitions for the generalized hook system
  */
 
+import type { HookDecision } from "./decision";
+
 // Known hook types (custom hooks are also allowed as any string)
 export type KnownHookType =
   // SDK Lifecycle Hooks
   | "on-run-start"
   | "on-run-complete"
   | "on-run-fail"
+  | "on-run-cancel"
   | "on-task-start"
   | "on-task-complete"
   | "on-step-dispatch"
@@ -30,15 +33,47 @@ export interface HookResult {
   output?: unknown;
   error?: string;
   executedHooks: HookExecutionResult[];
+  /**
+   * Verdict and patched payload from the hooks' responses (see decision.ts).
+   */
+  decision?: HookDecision;
+  /**
+   * Raw stdout/stderr of hook-dispatcher.sh, when it was started.
+   */
+  stdout?: string;
+  stderr?: string;
+  durationMs?: number;
 }
 
+/**
+ * "config" marks hooks declared in `.a5c/hooks.json`.
+ */
+export type HookBackend = "js" | "shell" | "webhook";
+
+export type HookLocation = "registered" | "per-repo" | "per-user" | "plugin" | "config";
+
 export interface HookExecutionResult {
   hookPath: string;
   hookName: string;
-  hookLocation: "per-repo" | "per-user" | "plugin";
+  hookLocation: HookLocation;
+  /**
+   * "js" for registered handlers and `.js`/`.mjs` modules run in process, "shell" for `*.sh` hooks
+   * run by hook-dispatcher.sh and for commands configured in `.a5c/hooks.json`, "webhook" for
+   * configured webhooks.
+   */
+  backend?: HookBackend;
   status: "success" | "failed";
   exitCode?: number;
   error?: string;
+  /**
+   * Value returned by an in-process hook.
+   */
+  output?: unknown;
+  /**
+   * Priority an in-process hook ran with.
+   */
+  priority?: number;
+  durationMs?: number;
 }
 
 // Payload types for each hook
@@ -55,6 +90,7 @@ export interface OnRunStartPayload {
 export interface OnRunCompletePayload {
   hookType: "on-run-complete";
   runId: string;
+  processId?: string;
   status: "completed";
   output?: unknown;
   duration: number;
@@ -64,15 +100,27 @@ export interface OnRunCompletePayload {
 export interface OnRunFailPayload {
   hookType: "on-run-fail";
   runId: string;
+  processId?: string;
   status: "failed";
   error: string;
   duration: number;
   timestamp: string;
 }
 
+export interface OnRunCancelPayload {
+  hookType: "on-run-cancel";
+  runId: string;
+  processId?: string;
+  status: "cancelled";
+  reason?: string;
+  abandonedEffectIds: string[];
+  timestamp: string;
+}
+
 export interface OnTaskStartPayload {
   hookType: "on-task-start";
   runId: string;
+  processId?: string;
   effectId: string;
   taskId: string;
   kind: string;
@@ -83,8 +131,11 @@ export interface OnTaskStartPayload {
 export interface OnTaskCompletePayload {
   hookType: "on-task-complete";
   runId: string;
+  processId?: string;
   effectId: string;
   taskId: string;
+  kind?: string;
+  labels?: string[];
   status: "ok" | "error" | "timeout";
   result?: unknown;
   duration: number;
@@ -94,14 +145,25 @@ export interface OnTaskCompletePayload {
 export interface OnStepDispatchPayload {
   hookType: "on-step-dispatch";
   runId: string;
+  processId?: string;
   stepId: string;
   action: string;
+  effectId?: string;
+  taskId?: string;
+  kind?: string;
+  label?: string;
+  labels?: string[];
+  /**
+   * Task definition about to be written; patch `task` to change it (for example `task.node.env`).
+   */
+  task?: Record<string, unknown>;
   timestamp: string;
 }
 
 export interface OnIterationStartPayload {
   hookType: "on-iteration-start";
   runId: string;
+  processId?: string;
   iteration: number;
   timestamp: string;
 }
@@ -109,6 +171,7 @@ export interface OnIterationStartPayload {
 export interface OnIterationEndPayload {
   hookType: "on-iteration-end";
   runId: string;
+  processId?: string;
   iteration: number;
   status: "completed" | "failed" | "waiting";
   timestamp: string;
@@ -167,6 +230,7 @@ export type HookPayload =
   | OnRunStartPayload
   | OnRunCompletePayload
   | OnRunFailPayload
+  | OnRunCancelPayload
   | OnTaskStartPayload
   | OnTaskCompletePayload
   | OnStepDispatchPayload
@@ -180,6 +244,52 @@ export type HookPayload =
   | { hookType: string; [key: string]: unknown }
   | string;
 
+/**
+ * Payload type delivered to handlers of each known hook; custom hooks receive the payload as passed.
+ */
+export interface HookPayloadMap {
+  "on-run-start": OnRunStartPayload;
+  "on-run-complete": OnRunCompletePayload;
+  "on-run-fail": OnRunFailPayload;
+  "on-run-cancel": OnRunCancelPayload;
+  "on-task-start": OnTaskStartPayload;
+  "on-task-complete": OnTaskCompletePayload;
+  "on-step-dispatch": OnStepDispatchPayload;
+  "on-iteration-start": OnIterationStartPayload;
+  "on-iteration-end": OnIterationEndPayload;
+  "on-breakpoint": OnBreakpointPayload;
+  "pre-commit": PreCommitPayload;
+  "pre-branch": PreBranchPayload;
+  "post-planning": PostPlanningPayload;
+  "on-score": OnScorePayload;
+}
+
+export type HookPayloadFor<T extends HookType> = T extends keyof HookPayloadMap ? HookPayloadMap[T] : HookPayload;
+
+export interface HookHandlerContext {
+  hookType: HookType;
+  /**
+   * Working directory the hook was dispatched from.
+   */
+  cwd: string;
+  /**
+   * `env` of the hook's `.a5c/hooks.json` entry, for configured modules.
+   */
+  env?: Record<string, string>;
+  /**
+   * Runs directory of the run the hook was dispatched for, when known.
+   */
+  runsDir?: string;
+}
+
+/**
+ * In-process hook. Whatever it returns (or resolves to) is reported as the hook's output.
+ */
+export type HookHandler<T extends HookType = HookType> = (
+  payload: HookPayloadFor<T>,
+  context: HookHandlerContext
+) => unknown;
+
 export interface HookDispatcherOptions {
   /**
    * Hook type to execute (e.g., "on-run-start", "pre-commit")
@@ -205,4 +315,16 @@ export interface HookDispatcherOptions {
    * Whether to throw on hook execution failures (defaults to false)
    */
   throwOnFailure?: boolean;
+
+  /**
+   * Whether to run `*.sh` hooks through hook-dispatcher.sh after the in-process hooks
+   * (defaults to true).
+   */
+  shell?: boolean;
+
+  /**
+   * Runs directory of the run being dispatched for; webhook hooks keep their retry queue there
+   * (defaults to `<repo>/.a5c/runs`).
+   */
+  runsDir?: string;
 }
@@ -0,0 +1,294 @@
+/**
+ * Webhook Hooks
+ * `.a5c/hooks.json` entries that POST the payload to an HTTP endpoint, signed, with a persisted
+ * retry queue and a dead-letter log
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { promises as fs } from "node:fs";
+import * as http from "node:http";
+import * as https from "node:https";
+import * as path from "node:path";
+import { writeFileAtomic } from "../storage/atomic";
+import { getWebhooksDir } from "../storage/paths";
+import { nextUlid } from "../storage/ulids";
+import type { HookPayload, HookType } from "./types";
+
+/*
+ * Delivery state under the runs root:
+ *
+ *   .webhooks/queue/<deliveryId>.json   a delivery waiting for its next attempt
+ *   .webhooks/dead-letter.jsonl         one line per delivery that used up its attempts
+ *
+ * Deliveries are at least once: a receiver that must not act twice dedupes on the delivery id header.
+ */
+
+const QUEUE_DIR = "queue";
+const DEAD_LETTER_FILE = "dead-letter.jsonl";
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const DEFAULT_REQUEST_TIMEOUT_MS = 10000;
+// Queued deliveries to the same URL retried after a new one gets through, so a dispatch stays bounded.
+const RETRIES_PER_DISPATCH = 10;
+
+export const WEBHOOK_HOOK_HEADER = "x-babysitter-hook";
+export const WEBHOOK_DELIVERY_HEADER = "x-babysitter-delivery";
+export const WEBHOOK_TIMESTAMP_HEADER = "x-babysitter-timestamp";
+export const WEBHOOK_SIGNATURE_HEADER = "x-babysitter-signature";
+
+/**
+ * `webhook` of an `.a5c/hooks.json` entry.
+ */
+export interface WebhookConfig {
+  url: string;
+  /**
+   * Environment variable holding the HMAC secret. Without it requests are sent unsigned.
+   */
+  secretEnv?: string;
+  headers?: Record<string, string>;
+  /**
+   * Attempts before the delivery moves to the dead-letter log, counting the first (default 5).
+   */
+  maxAttempts?: number;
+  /**
+   * Delay before the first retry; each further retry waits twice as long, up to an hour (default 1000).
+   */
+  backoffMs?: number;
+}
+
+export interface WebhookDelivery {
+  id: string;
+  hookType: HookType;
+  hookName: string;
+  url: string;
+  headers: Record<string, string>;
+  secretEnv?: string;
+  /**
+   * JSON payload, exactly as signed and sent.
+   */
+  body: string;
+  attempts: number;
+  maxAttempts: number;
+  backoffMs: number;
+  timeout: number;
+  createdAt: string;
+  nextAttemptAt: string;
+  lastError?: string;
+}
+
+export interface DeadLetterEntry extends WebhookDelivery {
+  deadAt: string;
+}
+
+export interface WebhookDeliveryOutcome {
+  deliveryId: string;
+  status: "delivered" | "queued" | "dead";
+  attempts: number;
+  statusCode?: number;
+  error?: string;
+}
+
+export interface FlushWebhookQueueOptions {
+  runsDir: string;
+  /**
+   * Only deliveries to this URL.
+   */
+  url?: string;
+  /**
+   * Stop after this many attempts.
+   */
+  limit?: number;
+  now?: Date;
+  /**
+   * List the due deliveries without sending them.
+   */
+  dryRun?: boolean;
+}
+
+export interface FlushWebhookQueueResult {
+  attempted: number;
+  delivered: number;
+  requeued: number;
+  deadLettered: number;
+  /**
+   * Deliveries left in the queue, due or not.
+   */
+  pending: number;
+  due: WebhookDelivery[];
+}
+
+/**
+ * Signs `<timestamp>.<body>` with HMAC-SHA256; the value sent in the signature header.
+ */
+export function signWebhookBody(secret: string, timestamp: string, body: string): string {
+  return `sha256=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/**
+ * Checks a signature header value, for receivers.
+ */
+export function verifyWebhookSignature(secret: string, timestamp: string, body: string, signature: string): boolean {
+  const expected = Buffer.from(signWebhookBody(secret, timestamp, body));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * POSTs `payload`, then, if the endpoint accepted it, retries queued deliveries to the same URL
+ * that are due. A failed delivery is queued for a retry with exponential backoff, or moved to the
+ * dead-letter log once it has used up its attempts; while the endpoint keeps failing, the queue is
+ * left to `webhooks:flush` so a dispatch costs at most one request timeout.
+ */
+export async function dispatchWebhook(
+  hook: { hookType: HookType; name: string; webhook: WebhookConfig; timeout?: number },
+  payload: HookPayload,
+  options: { runsDir: string; now?: Date }
+): Promise<WebhookDeliveryOutcome> {
+  const now = options.now ?? new Date();
+  const delivery: WebhookDelivery = {
+    id: nextUlid(),
+    hookType: hook.hookType,
+    hookName: hook.name,
+    url: hook.webhook.url,
+    headers: hook.webhook.headers ?? {},
+    secretEnv: hook.webhook.secretEnv,
+    body: JSON.stringify(payload),
+    attempts: 0,
+    maxAttempts: hook.webhook.maxAttempts ?? DEFAULT_MAX_ATTEMPTS,
+    backoffMs: hook.webhook.backoffMs ?? DEFAULT_BACKOFF_MS,
+    timeout: hook.timeout ?? DEFAULT_REQUEST_TIMEOUT_MS,
+    createdAt: now.toISOString(),
+    nextAttemptAt: now.toISOString(),
+  };
+  const outcome = await attemptDelivery(options.runsDir, delivery, now);
+  if (outcome.status === "delivered") {
+    await flushWebhookQueue({ runsDir: options.runsDir, url: delivery.url, limit: RETRIES_PER_DISPATCH, now });
+  }
+  return outcome;
+}
+
+/**
+ * Attempts every queued delivery that is due, oldest first.
+ */
+export async function flushWebhookQueue(options: FlushWebhookQueueOptions): Promise<FlushWebhookQueueResult> {
+  const now = options.now ?? new Date();
+  const queued = await readQueuedDeliveries(options.runsDir);
+  const due = queued
+    .filter((delivery) => (!options.url || delivery.url === options.url) && Date.parse(delivery.nextAttemptAt) <= now.getTime())
+    .slice(0, options.limit);
+  const result: FlushWebhookQueueResult = { attempted: 0, delivered: 0, requeued: 0, deadLettered: 0, pending: queued.length, due };
+  if (options.dryRun) return result;
+  for (const delivery of due) {
+    const outcome = await attemptDelivery(options.runsDir, delivery, now);
+    result.attempted += 1;
+    if (outcome.status === "delivered") result.delivered += 1;
+    else if (outcome.status === "queued") result.requeued += 1;
+    else result.deadLettered += 1;
+  }
+  result.pending = (await readQueuedDeliveries(options.runsDir)).length;
+  return result;
+}
+
+/**
+ * Queued deliveries (oldest first) and the dead-letter log.
+ */
+export async function readWebhookState(
+  runsDir: string
+): Promise<{ queued: WebhookDelivery[]; deadLetters: DeadLetterEntry[] }> {
+  let deadLetters: DeadLetterEntry[] = [];
+  try {
+    const raw = await fs.readFile(path.join(getWebhooksDir(runsDir), DEAD_LETTER_FILE), "utf8");
+    deadLetters = raw
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line) as DeadLetterEntry);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== "ENOENT") throw error;
+  }
+  return { queued: await readQueuedDeliveries(runsDir), deadLetters };
+}
+
+async function attemptDelivery(runsDir: string, delivery: WebhookDelivery, now: Date): Promise<WebhookDeliveryOutcome> {
+  const queuePath = path.join(getWebhooksDir(runsDir), QUEUE_DIR, `${delivery.id}.json`);
+  const attempts = delivery.attempts + 1;
+  let statusCode: number | undefined;
+  let error: string | undefined;
+  try {
+    statusCode = await postWebhook(delivery);
+    if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+  } catch (postError) {
+    error = postError instanceof Error ? postError.message : String(postError);
+  }
+  if (!error) {
+    await fs.rm(queuePath, { force: true });
+    return { deliveryId: delivery.id, status: "delivered", attempts, statusCode };
+  }
+  const failed: WebhookDelivery = { ...delivery, attempts, lastError: error };
+  if (attempts >= delivery.maxAttempts) {
+    const entry: DeadLetterEntry = { ...failed, deadAt: now.toISOString() };
+    await fs.mkdir(getWebhooksDir(runsDir), { recursive: true });
+    await fs.appendFile(path.join(getWebhooksDir(runsDir), DEAD_LETTER_FILE), `${JSON.stringify(entry)}\n`, "utf8");
+    await fs.rm(queuePath, { force: true });
+    return { deliveryId: delivery.id, status: "dead", attempts, statusCode, error };
+  }
+  const delay = Math.min(delivery.backoffMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  failed.nextAttemptAt = new Date(now.getTime() + delay).toISOString();
+  await writeFileAtomic(queuePath, `${JSON.stringify(failed, null, 2)}\n`);
+  return { deliveryId: delivery.id, status: "queued", attempts, statusCode, error };
+}
+
+/**
+ * Resolves to the response status code; rejects on network errors and timeouts.
+ */
+function postWebhook(delivery: WebhookDelivery): Promise<number> {
+  const timestamp = new Date().toISOString();
+  const headers: Record<string, string> = {
+    ...delivery.headers,
+    "content-type": "application/json",
+    "content-length": String(Buffer.byteLength(delivery.body)),
+    [WEBHOOK_HOOK_HEADER]: delivery.hookType,
+    [WEBHOOK_DELIVERY_HEADER]: delivery.id,
+    [WEBHOOK_TIMESTAMP_HEADER]: timestamp,
+  };
+  if (delivery.secretEnv) {
+    const secret = process.env[delivery.secretEnv];
+    if (!secret) return Promise.reject(new Error(`Webhook secret ${delivery.secretEnv} is not set`));
+    headers[WEBHOOK_SIGNATURE_HEADER] = signWebhookBody(secret, timestamp, delivery.body);
+  }
+  const url = new URL(delivery.url);
+  const request = url.protocol === "https:" ? https.request : http.request;
+  return new Promise((resolve, reject) => {
+    const req = request(url, { method: "POST", headers, timeout: delivery.timeout }, (res) => {
+      // Drain the body so the socket is released.
+      res.resume();
+      res.on("end", () => resolve(res.statusCode ?? 0));
+      res.on("error", reject);
+    });
+    req.on("timeout", () => req.destroy(new Error(`Request timed out after ${delivery.timeout}ms`)));
+    req.on("error", reject);
+    req.end(delivery.body);
+  });
+}
+
+async function readQueuedDeliveries(runsDir: string): Promise<WebhookDelivery[]> {
+  const queueDir = path.join(getWebhooksDir(runsDir), QUEUE_DIR);
+  let names: string[];
+  try {
+    names = await fs.readdir(queueDir);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") return [];
+    throw error;
+  }
+  const deliveries: WebhookDelivery[] = [];
+  // Delivery ids are ULIDs, so name order is creation order.
+  for (const name of names.filter((candidate) => candidate.endsWith(".json")).sort()) {
+    try {
+      deliveries.push(JSON.parse(await fs.readFile(path.join(queueDir, name), "utf8")) as WebhookDelivery);
+    } catch (error) {
+      // Delivered and removed by a concurrent flush.
+      if ((error as NodeJS.ErrnoException).code !== "ENOENT") throw error;
+    }
+  }
+  return deliveries;
+}
@@ -0,0 +1,146 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { createRunDir } from "../../storage/createRunDir";
+import { appendEvent, loadJournal } from "../../storage/journal";
+import { driveRun } from "../driveRun";
+import { EffectHandlerRegistry } from "../effectHandlers";
+import { orchestrateIteration } from "../orchestrateIteration";
+import { buildEffectIndex } from "../replay/effectIndex";
+
+let tmpRoot: string;
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-compensation-"));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+const taskDefinitions = `
+const reserve = { id: "reserve", async build(args) { return { kind: "custom", metadata: args }; } };
+const release = { id: "release", async build(args) { return { kind: "undo", metadata: args }; } };
+const charge = { id: "charge", async build(args) { return { kind: "custom", metadata: args }; } };
+const refund = { id: "refund", async build(args) { return { kind: "undo", metadata: args }; } };
+const ship = { id: "ship", async build(args) { return { kind: "fail", metadata: args }; } };
+`;
+
+async function createProcessRun(runId: string, body: string) {
+  const processPath = path.join(tmpRoot, `${runId}.mjs`);
+  await fs.writeFile(processPath, `${taskDefinitions}\nexport async function process(inputs, ctx) {\n${body}\n}\n`, "utf8");
+  const { runDir } = await createRunDir({ runsRoot: tmpRoot, runId, request: "compensation-test", processPath });
+  await appendEvent({ runDir, eventType: "RUN_CREATED", event: { runId } });
+  return runDir;
+}
+
+function createHandlers(undone: unknown[], options: { failUndo?: string } = {}) {
+  return new EffectHandlerRegistry()
+    .register("custom", (action) => ({ status: "ok", value: { done: action.taskId } }))
+    .register("fail", () => ({ status: "error", error: { name: "ShipError", message: "carrier unavailable" } }))
+    .register("undo", (action) => {
+      undone.push({ taskId: action.taskId, stepId: action.stepId, args: action.taskDef.metadata });
+      if (action.taskId === options.failUndo) {
+        return { status: "error", error: { name: "Error", message: `${action.taskId} failed` } };
+      }
+      return { status: "ok", value: null };
+    });
+}
+
+describe("task compensation", () => {
+  test("requests registered compensations in reverse order before failing the run", async () => {
+    const runDir = await createProcessRun(
+      "run-compensate",
+      `  await ctx.task(reserve, { sku: "a" }, { compensate: release });
+  await ctx.task(charge, { amount: 5 }, { compensate: { task: refund, args: { amount: 5 } } });
+  return ctx.task(ship, {});`
+    );
+    const undone: unknown[] = [];
+
+    const result = await driveRun({ runDir, handlers: createHandlers(undone) });
+
+    expect(result.status).toBe("failed");
+    expect(result.error).toMatchObject({ name: "ShipError" });
+    expect(undone).toEqual([
+      { taskId: "refund", stepId: "S000002.compensate", args: { amount: 5 } },
+      { taskId: "release", stepId: "S000001.compensate", args: { args: { sku: "a" }, result: { done: "reserve" } } },
+    ]);
+    expect(result.compensations).toMatchObject([
+      { stepId: "S000002", taskId: "refund", status: "ok" },
+      { stepId: "S000001", taskId: "release", status: "ok" },
+    ]);
+
+    const journal = await loadJournal(runDir);
+    const failed = journal.at(-1);
+    expect(failed?.type).toBe("RUN_FAILED");
+    expect((failed?.data as { compensations: unknown[] }).compensations).toHaveLength(2);
+
+    const index = await buildEffectIndex({ runDir });
+    const compensationEffects = index
+      .listEffects()
+      .filter((record) => record.stepId?.endsWith(".compensate"))
+      .map((record) => record.effectId);
+    expect(result.compensations?.map((outcome) => outcome.effectId)).toEqual(compensationEffects);
+  });
+
+  test("reports failed compensations and keeps unwinding", async () => {
+    const runDir = await createProcessRun(
+      "run-compensate-error",
+      `  await ctx.task(reserve, { sku: "a" }, { compensate: release });
+  await ctx.task(charge, { amount: 5 }, { compensate: refund });
+  return ctx.task(ship, {});`
+    );
+    const undone: Array<{ taskId: string }> = [];
+
+    const result = await driveRun({ runDir, handlers: createHandlers(undone, { failUndo: "refund" }) });
+
+    expect(result.status).toBe("failed");
+    expect(undone.map((entry) => entry.taskId)).toEqual(["refund", "release"]);
+    expect(result.compensations).toMatchObject([
+      { taskId: "refund", status: "error", error: { message: "refund failed" } },
+      { taskId: "release", status: "ok" },
+    ]);
+  });
+
+  test("waits on pending compensations instead of failing", async () => {
+    const runDir = await createProcessRun(
+      "run-compensate-pending",
+      `  await ctx.task(reserve, { sku: "a" }, { compensate: release });
+  return ctx.task(ship, {});`
+    );
+    const handlers = new EffectHandlerRegistry()
+      .register("custom", () => ({ status: "ok", value: null }))
+      .register("fail", () => ({ status: "error", error: { name: "ShipError", message: "nope" } }));
+
+    const result = await driveRun({ runDir, handlers });
+
+    expect(result.status).toBe("waiting");
+    expect(result.unhandledKinds).toEqual(["undo"]);
+    expect(result.pending).toMatchObject([{ taskId: "release", stepId: "S000001.compensate" }]);
+    const journal = await loadJournal(runDir);
+    expect(journal.some((event) => event.type === "RUN_FAILED")).toBe(false);
+  });
+
+  test("saga.rollback unwinds only the saga's steps and leaves nothing for RUN_FAILED", async () => {
+    const runDir = await createProcessRun(
+      "run-saga",
+      `  await ctx.task(reserve, { sku: "outside" }, { compensate: release });
+  const saga = ctx.saga();
+  await saga.task(charge, { amount: 1 }, { compensate: refund });
+  await saga.task(charge, { amount: 2 }, { compensate: refund });
+  const outcomes = await saga.rollback();
+  return { rolledBack: outcomes.map((outcome) => outcome.stepId) };`
+    );
+    const undone: Array<{ stepId: string }> = [];
+
+    const result = await driveRun({ runDir, handlers: createHandlers(undone) });
+
+    expect(result.status).toBe("completed");
+    expect(result.output).toEqual({ rolledBack: ["S000003", "S000002"] });
+    expect(undone.map((entry) => entry.stepId)).toEqual(["S000003.compensate", "S000002.compensate"]);
+
+    const replayed = await orchestrateIteration({ runDir });
+    expect(replayed).toMatchObject({ status: "completed", output: { rolledBack: ["S000003", "S000002"] } });
+  });
+});
@@ -0,0 +1,147 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { createRunDir } from "../../storage/createRunDir";
+import { appendEvent } from "../../storage/journal";
+import { driveRun } from "../driveRun";
+import { createDefaultEffectHandlers, EffectHandlerRegistry, loadEffectHandlerModule } from "../effectHandlers";
+
+const RUNNER_FIXTURES = path.resolve(__dirname, "../../../test-fixtures/runner");
+
+let tmpRoot: string;
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-drive-"));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function createProcessRun(runId: string, processSource: string, inputs: unknown = {}) {
+  const processPath = path.join(tmpRoot, `${runId}.mjs`);
+  await fs.writeFile(processPath, processSource, "utf8");
+  const { runDir } = await createRunDir({ runsRoot: tmpRoot, runId, request: "drive-test", processPath, inputs });
+  await appendEvent({ runDir, eventType: "RUN_CREATED", event: { runId } });
+  return runDir;
+}
+
+const nodeAndSleepProcess = `
+const copy = {
+  id: "copy",
+  async build() {
+    return { kind: "node", node: { entry: ${JSON.stringify(path.join(RUNNER_FIXTURES, "copy-inputs-to-output.js"))} } };
+  }
+};
+
+export async function process(inputs, ctx) {
+  await ctx.sleepUntil(inputs.until);
+  const first = await ctx.task(copy, { step: 1 });
+  const second = await ctx.task(copy, { step: 2 });
+  return { steps: [first.inputValue.step, second.inputValue.step] };
+}
+`;
+
+describe("driveRun", () => {
+  test("drives node and sleep effects to completion", async () => {
+    const runDir = await createProcessRun("run-drive-node", nodeAndSleepProcess, { until: Date.now() + 200 });
+
+    const result = await driveRun({ runDir });
+
+    expect(result.status).toBe("completed");
+    expect(result.reason).toBe("completed");
+    expect(result.output).toEqual({ steps: [1, 2] });
+    expect(result.handled.map((entry) => entry.kind)).toEqual(["sleep", "node", "node"]);
+    expect(result.pending).toEqual([]);
+  });
+
+  test("stops without progress when no handler is registered for a kind", async () => {
+    const runDir = await createProcessRun(
+      "run-drive-breakpoint",
+      `export async function process(inputs, ctx) {
+        await ctx.breakpoint({ question: "ship it?" });
+        return "shipped";
+      }`
+    );
+
+    const blocked = await driveRun({ runDir });
+    expect(blocked.status).toBe("waiting");
+    expect(blocked.reason).toBe("no_progress");
+    expect(blocked.unhandledKinds).toEqual(["breakpoint"]);
+    expect(blocked.pending).toHaveLength(1);
+
+    const approved = await driveRun({ runDir, handlers: createDefaultEffectHandlers({ autoApproveBreakpoints: true }) });
+    expect(approved.status).toBe("completed");
+    expect(approved.output).toBe("shipped");
+  });
+
+  test("dispatches custom kinds to handlers loaded from a config module", async () => {
+    const runDir = await createProcessRun(
+      "run-drive-custom",
+      `const review = { id: "review", async build(args) { return { kind: "agent", metadata: args }; } };
+      export async function process(inputs, ctx) {
+        const verdict = await ctx.task(review, { prompt: "review the diff" });
+        return verdict;
+      }`
+    );
+    const handlersPath = path.join(tmpRoot, "handlers.mjs");
+    await fs.writeFile(
+      handlersPath,
+      `export function registerEffectHandlers(registry) {
+        registry.register("agent", (action) => ({ status: "ok", value: { reviewed: action.taskDef.metadata.prompt } }));
+      }`,
+      "utf8"
+    );
+    const handlers = new EffectHandlerRegistry();
+    await loadEffectHandlerModule(handlers, handlersPath);
+    expect(handlers.kinds()).toEqual(["agent"]);
+
+    const result = await driveRun({ runDir, handlers });
+    expect(result.status).toBe("completed");
+    expect(result.output).toEqual({ reviewed: "review the diff" });
+  });
+
+  test("reports failures raised by handler results", async () => {
+    const runDir = await createProcessRun(
+      "run-drive-fail",
+      `const flaky = { id: "flaky", async build() { return { kind: "custom" }; } };
+      export async function process(inputs, ctx) {
+        return ctx.task(flaky, {});
+      }`
+    );
+    const handlers = new EffectHandlerRegistry().register("custom", () => ({
+      status: "error",
+      error: { name: "Error", message: "handler exploded" },
+    }));
+
+    const result = await driveRun({ runDir, handlers });
+    expect(result.status).toBe("failed");
+    expect(result.error).toMatchObject({ message: "handler exploded" });
+  });
+
+  test("honours iteration and wall-clock budgets", async () => {
+    const iterationRunDir = await createProcessRun(
+      "run-drive-iterations",
+      `const noop = { id: "noop", async build() { return { kind: "custom" }; } };
+      export async function process(inputs, ctx) {
+        await ctx.task(noop, {});
+        await ctx.sleepUntil(inputs.until);
+        return "done";
+      }`,
+      { until: Date.now() + 60_000 }
+    );
+    const handlers = createDefaultEffectHandlers().register("custom", () => ({ status: "ok", value: null }));
+    const limited = await driveRun({ runDir: iterationRunDir, handlers, maxIterations: 1 });
+    expect(limited.status).toBe("waiting");
+    expect(limited.reason).toBe("iteration_budget");
+    expect(limited.iterations).toBe(1);
+    expect(limited.handled.map((entry) => entry.kind)).toEqual(["custom"]);
+
+    const timed = await driveRun({ runDir: iterationRunDir, handlers, maxDurationMs: 100 });
+    expect(timed.status).toBe("waiting");
+    expect(timed.reason).toBe("time_budget");
+    expect(timed.pending.map((action) => action.kind)).toEqual(["sleep"]);
+    expect(timed.handled).toEqual([]);
+  });
+});
@@ -0,0 +1,96 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { createRunDir } from "../../storage/createRunDir";
+import { appendEvent, loadJournal } from "../../storage/journal";
+import { orchestrateIteration } from "../orchestrateIteration";
+import { commitEffectResult } from "../commitEffectResult";
+import { RunFailedError } from "../exceptions";
+
+let tmpRoot: string;
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-deadlines-"));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function createProcessRun(runId: string, processSource: string) {
+  const processPath = path.join(tmpRoot, `${runId}.mjs`);
+  await fs.writeFile(processPath, processSource, "utf8");
+  const { runDir } = await createRunDir({ runsRoot: tmpRoot, runId, request: "deadline-test", processPath });
+  await appendEvent({ runDir, eventType: "RUN_CREATED", event: { runId } });
+  return runDir;
+}
+
+const T0 = Date.parse("2026-03-01T12:00:00.000Z");
+
+describe("effect deadlines", () => {
+  test("times out overdue effects so the process can catch a TimeoutError", async () => {
+    const runDir = await createProcessRun(
+      "run-deadline-catch",
+      `const review = { id: "review", async build() { return { kind: "agent" }; } };
+      export async function process(inputs, ctx) {
+        try {
+          return await ctx.task(review, {}, { timeoutMs: 5_000 });
+        } catch (error) {
+          if (error.name !== "TimeoutError") throw error;
+          return { fallback: true, name: error.name, deadlineAt: error.data.deadlineAt };
+        }
+      }`
+    );
+
+    const waiting = await orchestrateIteration({ runDir, now: new Date(T0) });
+    expect(waiting.status).toBe("waiting");
+    if (waiting.status !== "waiting") return;
+    const [action] = waiting.nextActions;
+    expect(action.deadlineAt).toBe("2026-03-01T12:00:05.000Z");
+
+    const stillWaiting = await orchestrateIteration({ runDir, now: new Date(T0 + 4_999) });
+    expect(stillWaiting.status).toBe("waiting");
+
+    const completed = await orchestrateIteration({ runDir, now: new Date(T0 + 5_000) });
+    expect(completed).toMatchObject({
+      status: "completed",
+      output: { fallback: true, name: "TimeoutError", deadlineAt: "2026-03-01T12:00:05.000Z" },
+    });
+
+    const journal = await loadJournal(runDir);
+    expect(journal.map((event) => event.type)).toEqual([
+      "RUN_CREATED",
+      "EFFECT_REQUESTED",
+      "EFFECT_TIMED_OUT",
+      "RUN_COMPLETED",
+    ]);
+    await expect(
+      commitEffectResult({ runDir, effectId: action.effectId, result: { status: "ok", value: "late" } })
+    ).rejects.toThrow(RunFailedError);
+  });
+
+  test("derives deadlines from node.timeoutMs with a margin and fails uncaught timeouts", async () => {
+    const runDir = await createProcessRun(
+      "run-deadline-node",
+      `const build = { id: "build", async build() { return { kind: "node", node: { entry: "./build.js", timeoutMs: 1_000 } }; } };
+      export async function process(inputs, ctx) {
+        return ctx.task(build, {});
+      }`
+    );
+
+    const waiting = await orchestrateIteration({ runDir, now: new Date(T0) });
+    expect(waiting.status).toBe("waiting");
+    if (waiting.status !== "waiting") return;
+    // node.timeoutMs plus the margin the executor gets to report its own timeout.
+    expect(waiting.nextActions[0].deadlineAt).toBe("2026-03-01T12:00:31.000Z");
+
+    const stillWaiting = await orchestrateIteration({ runDir, now: new Date(T0 + 2_000) });
+    expect(stillWaiting.status).toBe("waiting");
+
+    const failed = await orchestrateIteration({ runDir, now: new Date(T0 + 31_000) });
+    expect(failed.status).toBe("failed");
+    if (failed.status !== "failed") return;
+    expect(failed.error).toMatchObject({ name: "TimeoutError" });
+  });
+});
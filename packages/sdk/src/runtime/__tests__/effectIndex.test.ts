@@ -44,6 +44,46 @@ describe("EffectIndex", () => {
     expect(index.getByInvocation("proc:S000001:demo")).toBeDefined();
   });
 
+  test("tracks deadlines and resolves timed-out effects as TimeoutError", async () => {
+    const events = [
+      makeEvent(1, "EFFECT_REQUESTED", {
+        effectId: "ef-slow",
+        invocationKey: "proc:S000001:slow",
+        stepId: "S000001",
+        taskId: "slow",
+        kind: "node",
+        taskDefRef: "tasks/ef-slow/task.json",
+        deadlineAt: "2023-11-14T22:13:25.000Z",
+      }),
+    ];
+
+    const pending = await buildEffectIndex({ runDir, events });
+    expect(pending.listOverdueEffects(Date.parse("2023-11-14T22:13:24.999Z"))).toEqual([]);
+    expect(pending.listOverdueEffects(Date.parse("2023-11-14T22:13:25.000Z")).map((r) => r.effectId)).toEqual([
+      "ef-slow",
+    ]);
+
+    const index = await buildEffectIndex({
+      runDir,
+      events: [...events, makeEvent(2, "EFFECT_TIMED_OUT", { effectId: "ef-slow", deadlineAt: "2023-11-14T22:13:25.000Z" })],
+    });
+    const record = index.getByEffectId("ef-slow");
+    expect(record?.status).toBe("resolved_error");
+    expect(record?.error?.name).toBe("TimeoutError");
+    expect(index.listOverdueEffects(Date.now())).toEqual([]);
+
+    await expect(
+      buildEffectIndex({
+        runDir,
+        events: [
+          ...events,
+          makeEvent(2, "EFFECT_RESOLVED", { effectId: "ef-slow", status: "ok" }),
+          makeEvent(3, "EFFECT_TIMED_OUT", { effectId: "ef-slow" }),
+        ],
+      })
+    ).rejects.toThrow(RunFailedError);
+  });
+
   test("throws when duplicate invocation keys appear", async () => {
     const events = [
       makeEvent(1, "EFFECT_REQUESTED", {
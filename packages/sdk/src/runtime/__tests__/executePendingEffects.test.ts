@@ -0,0 +1,171 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { createRunDir } from "../../storage/createRunDir";
+import { appendEvent } from "../../storage/journal";
+import { readTaskResult } from "../../storage/tasks";
+import { orchestrateIteration } from "../orchestrateIteration";
+import { executeNodeEffect, executePendingEffects } from "../executePendingEffects";
+
+const RUNNER_FIXTURES = path.resolve(__dirname, "../../../test-fixtures/runner");
+
+let tmpRoot: string;
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-execute-"));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function createNodeRun(runId: string, node: Record<string, unknown>, inputs: unknown = { value: 5 }) {
+  const processPath = path.join(tmpRoot, `${runId}.mjs`);
+  await fs.writeFile(
+    processPath,
+    `
+  const nodeWork = {
+    id: "node-work",
+    async build() {
+      return { kind: "node", title: "node work", node: ${JSON.stringify(node)} };
+    }
+  };
+  const approval = {
+    id: "approval",
+    async build() {
+      return { kind: "breakpoint", title: "approve" };
+    }
+  };
+
+  export async function process(inputs, ctx) {
+    if (inputs.withBreakpoint) {
+      const [work] = await ctx.parallel.all([() => ctx.task(nodeWork, inputs), () => ctx.task(approval, {})]);
+      return work;
+    }
+    return ctx.task(nodeWork, inputs);
+  }
+  `,
+    "utf8"
+  );
+  const { runDir } = await createRunDir({ runsRoot: tmpRoot, runId, request: "execute-test", processPath, inputs });
+  await appendEvent({ runDir, eventType: "RUN_CREATED", event: { runId } });
+  return runDir;
+}
+
+describe("executePendingEffects", () => {
+  test("runs pending node effects, captures logs, and commits their output", async () => {
+    const runDir = await createNodeRun("run-exec-ok", { entry: path.join(RUNNER_FIXTURES, "copy-inputs-to-output.js") });
+    const waiting = await orchestrateIteration({ runDir });
+    expect(waiting.status).toBe("waiting");
+
+    const result = await executePendingEffects({ runDir });
+    expect(result.skipped).toEqual([]);
+    expect(result.executed).toHaveLength(1);
+    const [executed] = result.executed;
+    expect(executed).toMatchObject({ kind: "node", status: "ok", exitCode: 0, timedOut: false });
+    expect(executed.stdoutRef).toBe(`tasks/${executed.effectId}/stdout.log`);
+
+    const completed = await orchestrateIteration({ runDir });
+    expect(completed.status).toBe("completed");
+    if (completed.status !== "completed") throw new Error("expected completion");
+    expect(completed.output).toMatchObject({
+      effectId: executed.effectId,
+      inputExists: true,
+      inputValue: { value: 5 },
+    });
+  });
+
+  test("commits non-zero exits as error results with captured stderr", async () => {
+    const failingEntry = path.join(tmpRoot, "fail.js");
+    await fs.writeFile(failingEntry, `process.stderr.write("boom\\n"); process.exit(3);\n`, "utf8");
+    const runDir = await createNodeRun("run-exec-fail", { entry: failingEntry });
+    await orchestrateIteration({ runDir });
+
+    const result = await executePendingEffects({ runDir });
+    const [executed] = result.executed;
+    expect(executed).toMatchObject({ status: "error", exitCode: 3 });
+    expect(executed.error).toMatchObject({ name: "Error", message: "Node task exited non-zero" });
+
+    const stderr = await fs.readFile(path.join(runDir, executed.stderrRef!), "utf8");
+    expect(stderr).toBe("boom\n");
+    const stored = await readTaskResult(runDir, executed.effectId);
+    expect(stored?.status).toBe("error");
+
+    const failed = await orchestrateIteration({ runDir });
+    expect(failed.status).toBe("failed");
+  });
+
+  test("kills tasks that exceed timeoutMs and reports a TimeoutError", async () => {
+    const runDir = await createNodeRun("run-exec-timeout", {
+      entry: path.join(RUNNER_FIXTURES, "slow-logger.js"),
+      timeoutMs: 300,
+    });
+    await orchestrateIteration({ runDir });
+
+    const result = await executePendingEffects({ runDir });
+    const [executed] = result.executed;
+    expect(executed).toMatchObject({ status: "error", timedOut: true });
+    expect(executed.error?.name).toBe("TimeoutError");
+    const stdout = await fs.readFile(path.join(runDir, executed.stdoutRef!), "utf8");
+    expect(stdout).toContain("tick-1");
+  });
+
+  test("reports effects that time out while running as skipped instead of failing", async () => {
+    const runDir = await createNodeRun("run-exec-late", {
+      entry: path.join(RUNNER_FIXTURES, "slow-logger.js"),
+      timeoutMs: 500,
+    });
+    const waiting = await orchestrateIteration({ runDir });
+    if (waiting.status !== "waiting") throw new Error("expected waiting");
+    const [action] = waiting.nextActions;
+
+    const execution = executePendingEffects({ runDir });
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    // Another orchestrator passes the runtime deadline while the task is still running.
+    const failed = await orchestrateIteration({ runDir, now: new Date(Date.now() + 60 * 60 * 1000) });
+    expect(failed).toMatchObject({ status: "failed", error: { name: "TimeoutError" } });
+
+    const result = await execution;
+    expect(result.executed).toEqual([]);
+    expect(result.skipped).toEqual([{ effectId: action.effectId, kind: "node", reason: "already_resolved" }]);
+    expect(await readTaskResult(runDir, action.effectId)).toBeUndefined();
+
+    await expect(executeNodeEffect({ runDir, effectId: action.effectId })).resolves.toEqual({
+      effectId: action.effectId,
+      kind: "node",
+      reason: "already_resolved",
+    });
+  });
+
+  test("skips non-node effects and leaves the run untouched on dry-run", async () => {
+    const runDir = await createNodeRun(
+      "run-exec-mixed",
+      { entry: path.join(RUNNER_FIXTURES, "copy-inputs-to-output.js") },
+      { withBreakpoint: true }
+    );
+    const waiting = await orchestrateIteration({ runDir });
+    if (waiting.status !== "waiting") throw new Error("expected waiting");
+    expect(waiting.nextActions.map((action) => action.kind).sort()).toEqual(["breakpoint", "node"]);
+
+    const planned = await executePendingEffects({ runDir, dryRun: true });
+    expect(planned.executed).toEqual([expect.objectContaining({ kind: "node", status: "planned" })]);
+    expect(planned.skipped).toEqual([expect.objectContaining({ kind: "breakpoint", reason: "unsupported_kind" })]);
+
+    const executed = await executePendingEffects({ runDir });
+    expect(executed.executed[0].effectId).toBe(planned.executed[0].effectId);
+    expect(executed.executed[0].status).toBe("ok");
+
+    const stillWaiting = await orchestrateIteration({ runDir });
+    if (stillWaiting.status !== "waiting") throw new Error("expected waiting");
+    expect(stillWaiting.nextActions.map((action) => action.kind)).toEqual(["breakpoint"]);
+  });
+
+  test("rejects effect ids that are not pending", async () => {
+    const runDir = await createNodeRun("run-exec-unknown", { entry: path.join(RUNNER_FIXTURES, "emit-logs.js") });
+    await orchestrateIteration({ runDir });
+    await expect(executePendingEffects({ runDir, effectIds: ["missing-effect"] })).rejects.toThrow(
+      /missing-effect is not pending/
+    );
+  });
+});
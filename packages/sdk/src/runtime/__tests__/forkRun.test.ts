@@ -0,0 +1,211 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { createRun } from "../createRun";
+import { orchestrateIteration } from "../orchestrateIteration";
+import { commitEffectResult } from "../commitEffectResult";
+import { forkRun } from "../forkRun";
+import { verifyRun } from "../verifyRun";
+import { readStateCache } from "../replay/stateCache";
+import { loadJournal } from "../../storage/journal";
+import { readRunMetadata } from "../../storage/runFiles";
+import { resetClock, setClockForTests } from "../../storage/clock";
+
+let tmpRoot: string;
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-fork-"));
+});
+
+afterEach(async () => {
+  resetClock();
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function runToCompletion(runDir: string, values: unknown[]) {
+  const effectIds: string[] = [];
+  for (const value of values) {
+    const iteration = await orchestrateIteration({ runDir });
+    if (iteration.status !== "waiting") throw new Error(`expected waiting, got ${iteration.status}`);
+    const effectId = iteration.nextActions[0].effectId;
+    effectIds.push(effectId);
+    await commitEffectResult({ runDir, effectId, result: { status: "ok", value } });
+  }
+  return { effectIds, final: await orchestrateIteration({ runDir }) };
+}
+
+async function createTwoStepRun() {
+  const processPath = path.join(tmpRoot, "two-step.mjs");
+  await fs.writeFile(
+    processPath,
+    `const step = (id) => ({ id, async build(args) { return { kind: "agent", title: id, args }; } });
+export async function process(inputs, ctx) {
+  const first = await ctx.task(step("first"), {});
+  const second = await ctx.task(step("second"), { first });
+  return { first, second, label: inputs.label };
+}
+`,
+    "utf8"
+  );
+  const { runDir } = await createRun({
+    runsDir: tmpRoot,
+    runId: "source",
+    process: { processId: "fork", importPath: processPath },
+    inputs: { label: "original" },
+    journalChain: true,
+  });
+  return runDir;
+}
+
+describe("forkRun", () => {
+  test("continues from the copied journal prefix with its own task documents", async () => {
+    const runDir = await createTwoStepRun();
+    const { effectIds, final } = await runToCompletion(runDir, ["a", "b"]);
+    expect(final).toMatchObject({ status: "completed", output: { first: "a", second: "b" } });
+    const firstResolved = (await loadJournal(runDir)).find((event) => event.type === "EFFECT_RESOLVED")!;
+
+    const fork = await forkRun({ runDir, atSeq: firstResolved.seq, runId: "retry" });
+    expect(fork).toMatchObject({ runId: "retry", fromRunId: "source", atSeq: 3, events: 3, refs: 3 });
+    const events = await loadJournal(fork.runDir);
+    expect(events.map((event) => event.type)).toEqual(["RUN_CREATED", "EFFECT_REQUESTED", "EFFECT_RESOLVED", "RUN_FORKED"]);
+    expect(events[3].prevChecksum).toBe(events[2].checksum);
+    expect((await verifyRun({ runDir: fork.runDir })).ok).toBe(true);
+    expect(await readStateCache(fork.runDir)).toMatchObject({ stateVersion: 4, rebuildReason: "run_forked" });
+    expect(await readRunMetadata(fork.runDir)).toMatchObject({
+      runId: "retry",
+      entrypoint: { importPath: "../two-step.mjs" },
+      forkedFrom: { runId: "source", seq: 3, inputsChanged: false },
+    });
+    expect(await fs.readdir(path.join(fork.runDir, "tasks"))).toEqual([effectIds[0]]);
+
+    const retried = await runToCompletion(fork.runDir, ["b2"]);
+    expect(retried.final).toMatchObject({ status: "completed", output: { first: "a", second: "b2", label: "original" } });
+  });
+
+  test("forks with replacement inputs and rejects sequences outside the journal", async () => {
+    const runDir = await createTwoStepRun();
+    await runToCompletion(runDir, ["a"]);
+
+    const fork = await forkRun({ runDir, atSeq: 1, runId: "relabelled", inputs: { label: "edited" } });
+    const retried = await runToCompletion(fork.runDir, ["x", "y"]);
+    expect(retried.final).toMatchObject({ output: { first: "x", second: "y", label: "edited" } });
+
+    await expect(forkRun({ runDir, atSeq: 99 })).rejects.toThrow(/Cannot fork run source at seq 99 \(journal has seq 1-4\)/);
+    await expect(forkRun({ runDir, atSeq: 1, runId: "relabelled" })).rejects.toThrow(/Run relabelled already exists/);
+    expect(await forkRun({ runDir, atSeq: 2, runId: "planned", dryRun: true })).toMatchObject({ events: 2, dryRun: true });
+    await expect(fs.stat(path.join(tmpRoot, "planned"))).rejects.toThrow();
+  });
+
+  test("re-bases the deadlines of effects still pending at the fork point", async () => {
+    const requestedAt = Date.parse("2026-01-01T00:00:00.000Z");
+    const forkedAt = requestedAt + 60 * 60 * 1000;
+    const processPath = path.join(tmpRoot, "node-step.mjs");
+    await fs.writeFile(
+      processPath,
+      `const build = { id: "build", async build() { return { kind: "node", node: { entry: "build.js", timeoutMs: 60000 } }; } };
+export async function process(inputs, ctx) {
+  return await ctx.task(build, {});
+}
+`,
+      "utf8"
+    );
+    setClockForTests(() => new Date(requestedAt));
+    const { runDir } = await createRun({
+      runsDir: tmpRoot,
+      runId: "source",
+      process: { processId: "fork", importPath: processPath },
+      inputs: {},
+    });
+    const waiting = await orchestrateIteration({ runDir, now: new Date(requestedAt) });
+    if (waiting.status !== "waiting") throw new Error(`expected waiting, got ${waiting.status}`);
+    const requested = (await loadJournal(runDir)).find((event) => event.type === "EFFECT_REQUESTED")!;
+    // The node timeout plus the 30s margin the runtime adds around the child process.
+    expect(requested.data.deadlineAt).toBe("2026-01-01T00:01:30.000Z");
+
+    setClockForTests(() => new Date(forkedAt));
+    const fork = await forkRun({ runDir, atSeq: requested.seq, runId: "later" });
+    const forked = (await loadJournal(fork.runDir)).pop()!;
+    expect(forked.data).toMatchObject({ deadlines: { [waiting.nextActions[0].effectId]: "2026-01-01T01:01:30.000Z" } });
+
+    const resumed = await orchestrateIteration({ runDir: fork.runDir, now: new Date(forkedAt) });
+    expect(resumed.status).toBe("waiting");
+    if (resumed.status !== "waiting") return;
+    expect(resumed.nextActions[0]).toMatchObject({ effectId: waiting.nextActions[0].effectId, deadlineAt: "2026-01-01T01:01:30.000Z" });
+  });
+
+  test("copies task directories and forks the child runs of pending subprocess effects", async () => {
+    const startedAt = Date.parse("2026-01-01T00:00:00.000Z");
+    await fs.writeFile(
+      path.join(tmpRoot, "child.mjs"),
+      `const step = { id: "step", async build(args) { return { kind: "agent", args }; } };
+export async function process(inputs, ctx) {
+  return { doubled: (await ctx.task(step, inputs)) * 2 };
+}
+`,
+      "utf8"
+    );
+    const processPath = path.join(tmpRoot, "parent.mjs");
+    await fs.writeFile(
+      processPath,
+      `const notes = {
+  id: "notes",
+  async build(args, ctx) {
+    return { kind: "agent", metadata: { notesRef: await ctx.createBlobRef("notes", { text: "hi" }) } };
+  },
+};
+export async function process(inputs, ctx) {
+  const noted = await ctx.task(notes, {});
+  const child = await ctx.subprocess("./child.mjs", { n: 21 });
+  return { noted, child };
+}
+`,
+      "utf8"
+    );
+    setClockForTests(() => new Date(startedAt));
+    const { runDir } = await createRun({
+      runsDir: tmpRoot,
+      runId: "source",
+      process: { processId: "parent", importPath: processPath },
+      inputs: {},
+    });
+    const noting = await orchestrateIteration({ runDir });
+    if (noting.status !== "waiting") throw new Error(`expected waiting, got ${noting.status}`);
+    const notesRef = (noting.nextActions[0].taskDef.metadata as { notesRef: string }).notesRef;
+    await commitEffectResult({ runDir, effectId: noting.nextActions[0].effectId, result: { status: "ok", value: "noted" } });
+    const subrun = await orchestrateIteration({ runDir });
+    if (subrun.status !== "waiting") throw new Error(`expected waiting, got ${subrun.status}`);
+    expect(subrun.nextActions[0].kind).toBe("subrun");
+    // The source child asks for its step after the parent event the fork is cut at.
+    setClockForTests(() => new Date(startedAt + 1000));
+    const sourceChild = await orchestrateIteration({ runDir: path.join(tmpRoot, "source.S000002") });
+    expect(sourceChild.status).toBe("waiting");
+
+    setClockForTests(() => new Date(startedAt + 2000));
+    const lastSeq = (await loadJournal(runDir)).pop()!.seq;
+    const fork = await forkRun({ runDir, atSeq: lastSeq, runId: "retry" });
+    expect(await fs.readFile(path.join(fork.runDir, notesRef), "utf8")).toContain('"text": "hi"');
+    const forked = (await loadJournal(fork.runDir)).pop()!;
+    expect(forked.data).toMatchObject({
+      subruns: { [subrun.nextActions[0].effectId]: { runId: "retry.S000002", runDir: "../retry.S000002" } },
+    });
+
+    const childDir = path.join(tmpRoot, "retry.S000002");
+    expect(await readRunMetadata(childDir)).toMatchObject({
+      parentRun: { runId: "retry", runDir: "../retry", stepId: "S000002" },
+      forkedFrom: { runId: "source.S000002", seq: 1 },
+    });
+    expect((await loadJournal(childDir)).map((event) => event.type)).toEqual(["RUN_CREATED", "RUN_FORKED"]);
+    const child = await runToCompletion(childDir, [21]);
+    expect(child.final).toMatchObject({ status: "completed", output: { doubled: 42 } });
+
+    expect(await orchestrateIteration({ runDir: fork.runDir })).toMatchObject({
+      status: "completed",
+      output: { noted: "noted", child: { doubled: 42 } },
+    });
+    expect((await loadJournal(path.join(tmpRoot, "source.S000002"))).map((event) => event.type)).toEqual([
+      "RUN_CREATED",
+      "EFFECT_REQUESTED",
+    ]);
+  });
+});
@@ -0,0 +1,180 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { gcRuns } from "../gcRuns";
+import { createRunDir } from "../../storage/createRunDir";
+import { appendEvent } from "../../storage/journal";
+import { acquireRunLock, readRunLock } from "../../storage/lock";
+import { storeTaskArtifacts } from "../../storage/storeTaskArtifacts";
+import { resetClock, setClockForTests } from "../../storage/clock";
+
+const NOW = Date.parse("2026-03-01T00:00:00.000Z");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let runsDir: string;
+
+beforeEach(async () => {
+  runsDir = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-gc-"));
+});
+
+afterEach(async () => {
+  resetClock();
+  await fs.rm(runsDir, { recursive: true, force: true });
+});
+
+async function seedRun(
+  runId: string,
+  options: {
+    daysAgo: number;
+    finish?: "RUN_COMPLETED" | "RUN_FAILED" | "RUN_CANCELLED";
+    parentRunId?: string;
+    sharedBlobs?: boolean;
+  }
+) {
+  setClockForTests(() => new Date(NOW - options.daysAgo * DAY_MS));
+  const { runDir } = await createRunDir({
+    runsRoot: runsDir,
+    runId,
+    request: "gc",
+    extraMetadata: {
+      ...(options.parentRunId ? { parentRun: { runId: options.parentRunId } } : {}),
+      ...(options.sharedBlobs ? { sharedBlobs: true } : {}),
+    },
+  });
+  await appendEvent({ runDir, eventType: "RUN_CREATED", event: { runId } });
+  await appendEvent({ runDir, eventType: "EFFECT_REQUESTED", event: { effectId: `${runId}-ef` } });
+  if (options.finish) {
+    await appendEvent({ runDir, eventType: options.finish, event: {} });
+  }
+  return runDir;
+}
+
+function decisions(result: Awaited<ReturnType<typeof gcRuns>>) {
+  return Object.fromEntries(result.runs.map((run) => [run.runId, `${run.action}:${run.reason}`]));
+}
+
+describe("gcRuns", () => {
+  test("applies retention rules, follows parents and never deletes locked runs", async () => {
+    await seedRun("a-old-done", { daysAgo: 30, finish: "RUN_COMPLETED" });
+    await seedRun("a-old-done.S000001", { daysAgo: 30, finish: "RUN_COMPLETED", parentRunId: "a-old-done" });
+    await seedRun("b-old-failed", { daysAgo: 29, finish: "RUN_FAILED" });
+    await seedRun("c-old-waiting", { daysAgo: 28 });
+    const lockedDir = await seedRun("d-old-locked", { daysAgo: 27, finish: "RUN_COMPLETED" });
+    await seedRun("e-new-done", { daysAgo: 1, finish: "RUN_COMPLETED" });
+    setClockForTests(() => new Date(NOW));
+    await acquireRunLock(lockedDir, "iterating");
+
+    const plan = await gcRuns({ runsDir, olderThanDays: 7, dryRun: true });
+    expect(decisions(plan)).toEqual({
+      "a-old-done": "delete:expired",
+      "a-old-done.S000001": "delete:parent_deleted",
+      "b-old-failed": "keep:failed",
+      "c-old-waiting": "keep:active",
+      "d-old-locked": "keep:locked",
+      "e-new-done": "keep:retained",
+    });
+    expect(plan.deletedRuns).toBe(2);
+    expect((await fs.readdir(runsDir)).sort()).toHaveLength(6);
+
+    const result = await gcRuns({ runsDir, olderThanDays: 7 });
+    expect(decisions(result)).toEqual(decisions(plan));
+    expect(result.freedBytes).toBeGreaterThan(0);
+    expect((await fs.readdir(runsDir)).sort()).toEqual(["b-old-failed", "c-old-waiting", "d-old-locked", "e-new-done"]);
+    expect(await readRunLock(lockedDir)).toMatchObject({ owner: "iterating" });
+    expect(await readRunLock(path.join(runsDir, "e-new-done"))).toBeNull();
+
+    expect(decisions(await gcRuns({ runsDir, keepLast: 1, dryRun: true }))).toMatchObject({
+      "e-new-done": "keep:recent",
+      "d-old-locked": "keep:locked",
+    });
+  });
+
+  test("expires cancelled runs like completed ones", async () => {
+    await seedRun("a-old-cancelled", { daysAgo: 30, finish: "RUN_CANCELLED" });
+    await seedRun("b-new-cancelled", { daysAgo: 1, finish: "RUN_CANCELLED" });
+    await seedRun("c-old-failed", { daysAgo: 30, finish: "RUN_FAILED" });
+    setClockForTests(() => new Date(NOW));
+
+    expect(decisions(await gcRuns({ runsDir, olderThanDays: 7, dryRun: true }))).toEqual({
+      "a-old-cancelled": "delete:expired",
+      "b-new-cancelled": "keep:retained",
+      "c-old-failed": "keep:failed",
+    });
+    expect(decisions(await gcRuns({ runsDir, keepLast: 1 }))).toEqual({
+      "b-new-cancelled": "keep:recent",
+      "a-old-cancelled": "delete:expired",
+      "c-old-failed": "keep:failed",
+    });
+    expect((await fs.readdir(runsDir)).sort()).toEqual(["b-new-cancelled", "c-old-failed"]);
+  });
+
+  test("removes orphaned blobs and hard-links identical blobs across kept runs", async () => {
+    const first = await seedRun("first", { daysAgo: 2, finish: "RUN_COMPLETED" });
+    const second = await seedRun("second", { daysAgo: 1, finish: "RUN_COMPLETED" });
+    const large = Buffer.alloc(600 * 1024, 7);
+    const [stored] = await storeTaskArtifacts({ runDir: first, effectId: "ef", artifacts: [{ name: "big.bin", data: large }] });
+    await storeTaskArtifacts({ runDir: second, effectId: "ef", artifacts: [{ name: "big.bin", data: large }] });
+    await fs.writeFile(path.join(first, "blobs", "deadbeef"), "stale");
+    setClockForTests(() => new Date(NOW));
+
+    const plan = await gcRuns({ runsDir, dryRun: true });
+    expect(plan.orphanedBlobs).toEqual([{ runId: "first", path: "blobs/deadbeef", bytes: 5 }]);
+    expect(plan.dedupedBlobs).toEqual({ files: 1, bytes: large.length });
+    expect(plan.deletedRuns).toBe(0);
+
+    const result = await gcRuns({ runsDir });
+    expect(result.freedBytes).toBe(large.length + 5);
+    await expect(fs.stat(path.join(first, "blobs", "deadbeef"))).rejects.toThrow();
+    const [a, b] = await Promise.all([fs.stat(path.join(first, stored.storedAt)), fs.stat(path.join(second, stored.storedAt))]);
+    expect(a.ino).toBe(b.ino);
+    expect((await gcRuns({ runsDir })).dedupedBlobs).toEqual({ files: 0, bytes: 0 });
+  });
+
+  test("leaves the blobs of a kept run alone while another process holds its lock", async () => {
+    const busy = await seedRun("busy", { daysAgo: 2 });
+    const idle = await seedRun("idle", { daysAgo: 1, finish: "RUN_COMPLETED" });
+    const large = Buffer.alloc(600 * 1024, 5);
+    const [stored] = await storeTaskArtifacts({ runDir: busy, effectId: "ef", artifacts: [{ name: "big.bin", data: large }] });
+    await storeTaskArtifacts({ runDir: idle, effectId: "ef", artifacts: [{ name: "big.bin", data: large }] });
+    await fs.writeFile(path.join(busy, "blobs", "deadbeef"), "stale");
+    setClockForTests(() => new Date(NOW));
+    await acquireRunLock(busy, "iterating");
+
+    const startedAt = Date.now();
+    const result = await gcRuns({ runsDir });
+    expect(Date.now() - startedAt).toBeLessThan(2000);
+    expect(decisions(result)).toEqual({ busy: "keep:locked", idle: "keep:retained" });
+    expect(result.orphanedBlobs).toEqual([]);
+    expect(result.dedupedBlobs).toEqual({ files: 0, bytes: 0 });
+    await fs.stat(path.join(busy, "blobs", "deadbeef"));
+    const [a, b] = await Promise.all([fs.stat(path.join(busy, stored.storedAt)), fs.stat(path.join(idle, stored.storedAt))]);
+    expect(a.ino).not.toBe(b.ino);
+    expect(await readRunLock(busy)).toMatchObject({ owner: "iterating" });
+    expect(await readRunLock(idle)).toBeNull();
+  });
+
+  test("reclaims shared blobs once the last run referencing them is deleted", async () => {
+    const first = await seedRun("first", { daysAgo: 30, finish: "RUN_COMPLETED", sharedBlobs: true });
+    const second = await seedRun("second", { daysAgo: 20, finish: "RUN_COMPLETED", sharedBlobs: true });
+    const large = Buffer.alloc(600 * 1024, 3);
+    const [stored] = await storeTaskArtifacts({ runDir: first, effectId: "ef", artifacts: [{ name: "big.bin", data: large }] });
+    await storeTaskArtifacts({ runDir: second, effectId: "ef", artifacts: [{ name: "big.bin", data: large }] });
+    const objectPath = path.join(runsDir, ".cas", "objects", path.basename(stored.storedAt).slice(0, 2), path.basename(stored.storedAt));
+    expect((await fs.stat(objectPath)).nlink).toBe(3);
+    setClockForTests(() => new Date(NOW));
+
+    expect((await gcRuns({ runsDir, dryRun: true })).dedupedBlobs).toEqual({ files: 0, bytes: 0 });
+    const partial = await gcRuns({ runsDir, olderThanDays: 25 });
+    expect(decisions(partial)).toEqual({ first: "delete:expired", second: "keep:retained" });
+    expect(partial.sharedBlobs).toEqual({ objects: 0, bytes: 0, staleRefs: 1 });
+    expect(await fs.readFile(path.join(second, stored.storedAt))).toEqual(large);
+
+    const plan = await gcRuns({ runsDir, olderThanDays: 7, dryRun: true });
+    expect(plan.sharedBlobs).toEqual({ objects: 1, bytes: large.length, staleRefs: 1 });
+    await fs.stat(objectPath);
+    expect((await gcRuns({ runsDir, olderThanDays: 7 })).sharedBlobs).toEqual({ objects: 1, bytes: large.length, staleRefs: 1 });
+    await expect(fs.stat(objectPath)).rejects.toThrow();
+    expect(await fs.readdir(runsDir)).toEqual([".cas"]);
+  });
+});
@@ -0,0 +1,85 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { createRunDir } from "../../storage/createRunDir";
+import { appendEvent, loadJournal } from "../../storage/journal";
+import { registerHook } from "../../hooks/registry";
+import { orchestrateIteration } from "../orchestrateIteration";
+import { commitEffectResult } from "../commitEffectResult";
+
+let tmpRoot: string;
+const unregisterHooks: Array<() => void> = [];
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-hook-intrinsic-"));
+});
+
+afterEach(async () => {
+  unregisterHooks.splice(0).forEach((remove) => remove());
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function createProcessRun(runId: string, processSource: string) {
+  const processPath = path.join(tmpRoot, `${runId}.mjs`);
+  await fs.writeFile(processPath, processSource, "utf8");
+  const { runDir } = await createRunDir({ runsRoot: tmpRoot, runId, request: "hook-test", processPath });
+  await appendEvent({ runDir, eventType: "RUN_CREATED", event: { runId } });
+  return runDir;
+}
+
+describe("ctx.hook", () => {
+  test("returns denials by default and replays journaled verdicts of gating calls", async () => {
+    // Denies the first two calls and allows every later one.
+    let calls = 0;
+    unregisterHooks.push(
+      registerHook(
+        "pre-commit",
+        () => {
+          calls += 1;
+          return calls <= 2 ? { verdict: "deny", reason: "frozen" } : { verdict: "allow" };
+        },
+        { name: "freeze" }
+      )
+    );
+    const runDir = await createProcessRun(
+      "run-hook-gate",
+      `const work = { id: "work", async build(args) { return { kind: "agent", metadata: args }; } };
+      export async function process(inputs, ctx) {
+        const plain = await ctx.hook("pre-commit", { stage: "plain" });
+        let branch;
+        try {
+          await ctx.hook("pre-commit", { stage: "gate" }, { throwOnDeny: true });
+          branch = "allowed";
+        } catch (error) {
+          if (error.name !== "HookDeniedError") throw error;
+          branch = "denied:" + error.data.reason;
+        }
+        await ctx.task(work, { branch });
+        return { branch, plainVerdict: plain.decision?.verdict };
+      }`
+    );
+
+    const waiting = await orchestrateIteration({ runDir });
+    expect(waiting.status).toBe("waiting");
+    if (waiting.status !== "waiting") return;
+    expect(waiting.nextActions[0].taskDef.metadata).toEqual({ branch: "denied:frozen" });
+    expect(calls).toBe(2);
+
+    await commitEffectResult({ runDir, effectId: waiting.nextActions[0].effectId, result: { status: "ok", value: null } });
+    const completed = await orchestrateIteration({ runDir });
+    // The plain call runs the hook again (now allowed); the gating call reuses the recorded deny.
+    expect(completed).toMatchObject({ status: "completed", output: { branch: "denied:frozen", plainVerdict: "allow" } });
+    expect(calls).toBe(3);
+
+    const gates = (await loadJournal(runDir)).filter((event) => event.type === "HOOK_EXECUTED");
+    expect(gates).toHaveLength(1);
+    expect(gates[0].data).toMatchObject({
+      hookType: "pre-commit",
+      gate: "pre-commit#1",
+      verdict: "deny",
+      deniedBy: "freeze",
+      reason: "frozen",
+    });
+  });
+});
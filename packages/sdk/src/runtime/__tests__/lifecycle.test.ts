@@ -0,0 +1,94 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { createRunDir } from "../../storage/createRunDir";
+import { appendEvent } from "../../storage/journal";
+import { callRuntimeHook } from "../hooks/runtime";
+import { orchestrateIteration } from "../orchestrateIteration";
+import { commitEffectResult } from "../commitEffectResult";
+import { cancelRun, pauseRun, resumeRun } from "../lifecycle";
+import { buildEffectIndex } from "../replay/effectIndex";
+import { readStateCache } from "../replay/stateCache";
+import { RunFailedError } from "../exceptions";
+
+vi.mock("../hooks/runtime", () => ({
+  callRuntimeHook: vi.fn(async (hookType: string) => ({ hookType, success: true, executedHooks: [] })),
+}));
+
+const callRuntimeHookMock = vi.mocked(callRuntimeHook);
+
+let tmpRoot: string;
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-lifecycle-"));
+  callRuntimeHookMock.mockClear();
+});
+
+afterEach(async () => {
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function createWaitingRun(runId: string) {
+  const processPath = path.join(tmpRoot, `${runId}.mjs`);
+  await fs.writeFile(
+    processPath,
+    `const review = { id: "review", async build() { return { kind: "agent" }; } };
+    export async function process(inputs, ctx) {
+      return ctx.task(review, {});
+    }`,
+    "utf8"
+  );
+  const { runDir } = await createRunDir({ runsRoot: tmpRoot, runId, request: "lifecycle-test", processPath });
+  await appendEvent({ runDir, eventType: "RUN_CREATED", event: { runId } });
+  const iteration = await orchestrateIteration({ runDir });
+  expect(iteration.status).toBe("waiting");
+  if (iteration.status !== "waiting") throw new Error("expected waiting run");
+  return { runDir, effectId: iteration.nextActions[0].effectId };
+}
+
+describe("run lifecycle", () => {
+  test("paused runs do not advance until resumed", async () => {
+    const { runDir, effectId } = await createWaitingRun("run-pause");
+
+    const paused = await pauseRun({ runDir, reason: "maintenance window" });
+    expect(paused.lifecycle).toMatchObject({ status: "paused", reason: "maintenance window" });
+    expect((await readStateCache(runDir))?.lifecycle.status).toBe("paused");
+
+    // Pending work can still be resolved while paused; the process just is not replayed.
+    await commitEffectResult({ runDir, effectId, result: { status: "ok", value: "lgtm" } });
+    expect(await orchestrateIteration({ runDir })).toMatchObject({ status: "paused", reason: "maintenance window" });
+    await expect(pauseRun({ runDir })).rejects.toThrow(RunFailedError);
+
+    await resumeRun({ runDir });
+    expect((await readStateCache(runDir))?.lifecycle.status).toBe("active");
+    expect(await orchestrateIteration({ runDir })).toMatchObject({ status: "completed", output: "lgtm" });
+    await expect(resumeRun({ runDir })).rejects.toThrow(/already finished with RUN_COMPLETED/);
+  });
+
+  test("cancellation abandons pending effects and fires on-run-cancel", async () => {
+    const { runDir, effectId } = await createWaitingRun("run-cancel");
+
+    const cancelled = await cancelRun({ runDir, reason: "superseded" });
+
+    expect(cancelled.abandonedEffectIds).toEqual([effectId]);
+    const index = await buildEffectIndex({ runDir });
+    expect(index.getByEffectId(effectId)?.status).toBe("abandoned");
+    expect(index.listPendingEffects()).toEqual([]);
+    const snapshot = await readStateCache(runDir);
+    expect(snapshot?.lifecycle).toMatchObject({ status: "cancelled", reason: "superseded" });
+    expect(snapshot?.pendingEffectsByKind).toEqual({});
+    expect(callRuntimeHookMock).toHaveBeenCalledWith(
+      "on-run-cancel",
+      expect.objectContaining({ status: "cancelled", reason: "superseded", abandonedEffectIds: [effectId] }),
+      expect.anything()
+    );
+
+    expect(await orchestrateIteration({ runDir })).toMatchObject({ status: "cancelled", reason: "superseded" });
+    await expect(
+      commitEffectResult({ runDir, effectId, result: { status: "ok", value: "late" } })
+    ).rejects.toThrow(RunFailedError);
+    await expect(cancelRun({ runDir })).rejects.toThrow("Run is already cancelled");
+    await expect(resumeRun({ runDir })).rejects.toThrow(RunFailedError);
+  });
+});
@@ -1,7 +1,12 @@
 import { describe, expect, test } from "vitest";
-import { runParallelAll } from "../intrinsics/parallel";
+import { runParallelAll, runParallelAllSettled, runParallelMap } from "../intrinsics/parallel";
 import { EffectAction, TaskDef } from "../types";
-import { EffectPendingError, EffectRequestedError, ParallelPendingError } from "../exceptions";
+import {
+  EffectPendingError,
+  EffectRequestedError,
+  InvalidParallelOptionsError,
+  ParallelPendingError,
+} from "../exceptions";
 import { buildParallelBatch } from "../../tasks/batching";
 
 const taskDef: TaskDef = {
@@ -70,3 +75,88 @@ describe("runParallelAll", () => {
     });
   });
 });
+
+describe("parallel concurrency windows", () => {
+  const pendingThunk = (id: string) => async () => {
+    throw new EffectRequestedError(makeAction(id));
+  };
+
+  test("only starts items inside the concurrency window", async () => {
+    const started: string[] = [];
+    const items = ["A", "B", "C", "D"];
+    await expect(
+      runParallelMap(
+        items,
+        async (id) => {
+          started.push(id);
+          return pendingThunk(id)();
+        },
+        { concurrency: 2 }
+      )
+    ).rejects.toSatisfy((error) => {
+      const actions = (error as ParallelPendingError).batch.actions;
+      expect(actions.map((action) => action.effectId)).toEqual(["A", "B"]);
+      expect(actions[0].schedulerHints).toMatchObject({ concurrencyLimit: 2, deferredCount: 2 });
+      return true;
+    });
+    expect(started).toEqual(["A", "B"]);
+  });
+
+  test("settled items free up the window", async () => {
+    const thunks = [async () => 1, pendingThunk("B"), async () => 3, pendingThunk("D"), pendingThunk("E")];
+    await expect(runParallelAll(thunks, { concurrency: 2 })).rejects.toSatisfy((error) => {
+      const actions = (error as ParallelPendingError).batch.actions;
+      expect(actions.map((action) => action.effectId)).toEqual(["B", "D"]);
+      expect(actions[0].schedulerHints?.deferredCount).toBe(1);
+      return true;
+    });
+  });
+
+  test("failFast: false finishes every item before rethrowing the first failure", async () => {
+    const calls: number[] = [];
+    const thunks = [
+      async () => {
+        calls.push(0);
+        throw new Error("first");
+      },
+      async () => {
+        calls.push(1);
+        throw new Error("second");
+      },
+      async () => {
+        calls.push(2);
+        return 2;
+      },
+    ];
+    await expect(runParallelAll(thunks)).rejects.toThrow("first");
+    expect(calls).toEqual([0]);
+
+    calls.length = 0;
+    await expect(runParallelAll(thunks, { failFast: false })).rejects.toThrow("first");
+    expect(calls).toEqual([0, 1, 2]);
+  });
+
+  test("allSettled reports each outcome and still waits for pending items", async () => {
+    const failure = new Error("boom");
+    const outcomes = await runParallelAllSettled([
+      async () => "ok",
+      async () => {
+        throw failure;
+      },
+    ]);
+    expect(outcomes).toEqual([
+      { status: "fulfilled", value: "ok" },
+      { status: "rejected", reason: failure },
+    ]);
+
+    await expect(runParallelAllSettled([async () => "ok", pendingThunk("B")])).rejects.toBeInstanceOf(
+      ParallelPendingError
+    );
+  });
+
+  test("rejects invalid concurrency limits", async () => {
+    await expect(runParallelAll([async () => 1], { concurrency: 0 })).rejects.toBeInstanceOf(
+      InvalidParallelOptionsError
+    );
+  });
+});
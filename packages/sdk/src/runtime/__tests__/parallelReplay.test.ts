@@ -0,0 +1,108 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { createRunDir } from "../../storage/createRunDir";
+import { appendEvent, loadJournal } from "../../storage/journal";
+import { commitEffectResult } from "../commitEffectResult";
+import { orchestrateIteration } from "../orchestrateIteration";
+import { buildEffectIndex } from "../replay/effectIndex";
+import { EffectAction, IterationResult } from "../types";
+
+let tmpRoot: string;
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-parallel-"));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function createProcessRun(runId: string, body: string) {
+  const processPath = path.join(tmpRoot, `${runId}.mjs`);
+  await fs.writeFile(
+    processPath,
+    `const work = { id: "work", async build(args) { return { kind: "agent", title: args.name }; } };
+export async function process(inputs, ctx) {
+${body}
+}
+`,
+    "utf8"
+  );
+  const { runDir } = await createRunDir({ runsRoot: tmpRoot, runId, request: "parallel-test", processPath });
+  await appendEvent({ runDir, eventType: "RUN_CREATED", event: { runId } });
+  return runDir;
+}
+
+function waitingActions(result: IterationResult): EffectAction[] {
+  if (result.status !== "waiting") throw new Error(`expected waiting, got ${result.status}`);
+  return result.nextActions;
+}
+
+async function resolve(runDir: string, action: EffectAction, value: unknown) {
+  await commitEffectResult({ runDir, effectId: action.effectId, result: { status: "ok", value } });
+}
+
+describe("ctx.parallel replay", () => {
+  test("map with a concurrency limit requests effects one window at a time", async () => {
+    const runDir = await createProcessRun(
+      "run-window",
+      `  const names = ["a", "b", "c", "d", "e"];
+  return ctx.parallel.map(names, (name) => ctx.task(work, { name }), { concurrency: 2 });`
+    );
+
+    const first = waitingActions(await orchestrateIteration({ runDir }));
+    expect(first.map((action) => [action.label, action.stepId])).toEqual([
+      ["a", "S000001"],
+      ["b", "S000002"],
+    ]);
+    expect(first[0].schedulerHints).toMatchObject({ concurrencyLimit: 2, deferredCount: 3, pendingCount: 2 });
+    expect((await buildEffectIndex({ runDir })).listPendingEffects()).toHaveLength(2);
+
+    await resolve(runDir, first[1], "B");
+    const second = waitingActions(await orchestrateIteration({ runDir }));
+    expect(second.map((action) => [action.label, action.stepId])).toEqual([
+      ["a", "S000001"],
+      ["c", "S000003"],
+    ]);
+
+    let result: IterationResult = { status: "waiting", nextActions: second };
+    while (result.status === "waiting") {
+      expect(result.nextActions.length).toBeLessThanOrEqual(2);
+      for (const action of result.nextActions) {
+        await resolve(runDir, action, action.label?.toUpperCase());
+      }
+      result = await orchestrateIteration({ runDir });
+    }
+    expect(result).toMatchObject({ status: "completed", output: ["A", "B", "C", "D", "E"] });
+  });
+
+  test("race keeps the first settled branch even after the others finish", async () => {
+    const runDir = await createProcessRun(
+      "run-race",
+      `  const winner = await ctx.parallel.race([
+    () => ctx.task(work, { name: "slow" }),
+    () => ctx.task(work, { name: "fast" }),
+  ]);
+  const after = await ctx.task(work, { name: "after" });
+  return { winner, after };`
+    );
+
+    const [slow, fast] = waitingActions(await orchestrateIteration({ runDir }));
+    expect([slow.stepId, fast.stepId]).toEqual(["S000002", "S000003"]);
+
+    await resolve(runDir, fast, "fast-result");
+    const [after] = waitingActions(await orchestrateIteration({ runDir }));
+    expect(after).toMatchObject({ label: "after", stepId: "S000004" });
+
+    await resolve(runDir, slow, "slow-result");
+    await resolve(runDir, after, "done");
+    expect(await orchestrateIteration({ runDir })).toMatchObject({
+      status: "completed",
+      output: { winner: "fast-result", after: "done" },
+    });
+    const races = (await loadJournal(runDir)).filter((event) => event.type === "RACE_SETTLED");
+    expect(races.map((event) => event.data)).toEqual([{ stepId: "S000001", winner: 1 }]);
+  });
+});
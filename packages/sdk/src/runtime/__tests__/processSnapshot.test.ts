@@ -0,0 +1,152 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { loadJournal } from "../../storage/journal";
+import { readRunMetadata } from "../../storage/runFiles";
+import { commitEffectResult } from "../commitEffectResult";
+import { createRun } from "../createRun";
+import { ProcessDriftError } from "../exceptions";
+import { orchestrateIteration } from "../orchestrateIteration";
+import { migrateRunProcess } from "../processSnapshot";
+import { IterationResult } from "../types";
+
+let tmpRoot: string;
+let processPath: string;
+
+const oldProcess = `const step = (id) => ({ id, async build() { return { kind: "custom", title: id }; } });
+export async function process(inputs, ctx) {
+  const a = await ctx.task(step("a"), {});
+  const b = await ctx.task(step("b"), {});
+  return { version: "old", a, b };
+}
+`;
+
+const patchedProcess = `const step = (id) => ({ id, async build() { return { kind: "custom", title: id }; } });
+export async function process(inputs, ctx) {
+  const a = await ctx.task(step("a"), {});
+  const c = (await ctx.patched("add-c")) ? await ctx.task(step("c"), {}) : null;
+  const b = await ctx.task(step("b"), {});
+  return { version: "new", a, b, c };
+}
+`;
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-snapshot-"));
+  processPath = path.join(tmpRoot, "pipeline.mjs");
+  await fs.writeFile(processPath, oldProcess, "utf8");
+});
+
+afterEach(async () => {
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function createPipelineRun(runId: string) {
+  const { runDir } = await createRun({
+    runsDir: path.join(tmpRoot, "runs"),
+    runId,
+    process: { processId: "pipeline", importPath: processPath },
+  });
+  return runDir;
+}
+
+async function resolveNext(runDir: string, iteration: IterationResult, value: unknown) {
+  if (iteration.status !== "waiting") throw new Error(`expected waiting, got ${iteration.status}`);
+  const [action] = iteration.nextActions;
+  await commitEffectResult({ runDir, effectId: action.effectId, result: { status: "ok", value } });
+  return action;
+}
+
+describe("process snapshots", () => {
+  test("createRun copies the entrypoint into process/ and records its hash", async () => {
+    const runDir = await createPipelineRun("run-snapshot");
+
+    const metadata = await readRunMetadata(runDir);
+    expect(metadata.processSnapshot).toMatchObject({ importPath: "process/pipeline.mjs" });
+    expect(metadata.processSnapshot?.sha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(await fs.readFile(path.join(runDir, "process", "pipeline.mjs"), "utf8")).toBe(oldProcess);
+    const [created] = await loadJournal(runDir);
+    expect(created.data).toMatchObject({ processSha256: metadata.processSnapshot?.sha256 });
+  });
+
+  test("detects drift and continues with the revision chosen by migrateRunProcess", async () => {
+    const runDir = await createPipelineRun("run-drift");
+    await resolveNext(runDir, await orchestrateIteration({ runDir }), "A");
+
+    await fs.writeFile(processPath, oldProcess.replace('"old"', '"edited"'), "utf8");
+    await expect(orchestrateIteration({ runDir })).rejects.toBeInstanceOf(ProcessDriftError);
+    expect((await loadJournal(runDir)).some((event) => event.type === "RUN_FAILED")).toBe(false);
+
+    const pinned = await migrateRunProcess({ runDir, use: "snapshot", reason: "keep old code" });
+    expect(pinned).toMatchObject({ use: "snapshot", importPath: "process/pipeline.mjs" });
+    expect(pinned.toSha256).toBe(pinned.fromSha256);
+    await resolveNext(runDir, await orchestrateIteration({ runDir }), "B");
+    expect(await orchestrateIteration({ runDir })).toMatchObject({ status: "completed", output: { version: "old" } });
+
+    const journal = await loadJournal(runDir);
+    expect(journal.find((event) => event.type === "PROCESS_MIGRATED")?.data).toMatchObject({
+      use: "snapshot",
+      reason: "keep old code",
+    });
+  });
+
+  test("ctx.patched keeps in-flight runs on the old branch and takes the new one for fresh runs", async () => {
+    const inFlight = await createPipelineRun("run-in-flight");
+    await resolveNext(inFlight, await orchestrateIteration({ runDir: inFlight }), "A");
+    const pendingB = await orchestrateIteration({ runDir: inFlight });
+    expect(pendingB).toMatchObject({ status: "waiting", nextActions: [{ taskId: "b", stepId: "S000002" }] });
+
+    await fs.writeFile(processPath, patchedProcess, "utf8");
+    const migrated = await migrateRunProcess({ runDir: inFlight, use: "current" });
+    expect(migrated.toSha256).not.toBe(migrated.fromSha256);
+    await resolveNext(inFlight, await orchestrateIteration({ runDir: inFlight }), "B");
+    expect(await orchestrateIteration({ runDir: inFlight })).toMatchObject({
+      status: "completed",
+      output: { version: "new", a: "A", b: "B", c: null },
+    });
+
+    const fresh = await createPipelineRun("run-fresh");
+    await resolveNext(fresh, await orchestrateIteration({ runDir: fresh }), "A");
+    const patchedStep = await resolveNext(fresh, await orchestrateIteration({ runDir: fresh }), "C");
+    expect(patchedStep).toMatchObject({ taskId: "c", stepId: "S000002" });
+    await resolveNext(fresh, await orchestrateIteration({ runDir: fresh }), "B");
+    expect(await orchestrateIteration({ runDir: fresh })).toMatchObject({
+      status: "completed",
+      output: { version: "new", c: "C" },
+    });
+    const decisions = (await loadJournal(fresh)).filter((event) => event.type === "PATCH_RECORDED");
+    expect(decisions.map((event) => event.data)).toEqual([{ patchId: "add-c", patched: true, stepId: "S000002" }]);
+  });
+
+  test("captures the modules the entrypoint imports and checks them for drift", async () => {
+    const libPath = path.join(tmpRoot, "lib", "steps.mjs");
+    const steps = `export const step = (id) => ({ id, async build() { return { kind: "custom", title: id }; } });
+export const VERSION = "lib-old";
+`;
+    await fs.mkdir(path.dirname(libPath), { recursive: true });
+    await fs.writeFile(libPath, steps, "utf8");
+    await fs.writeFile(
+      processPath,
+      `import { step, VERSION } from "./lib/steps.mjs";
+export async function process(inputs, ctx) {
+  const a = await ctx.task(step("a"), {});
+  return { version: VERSION, a };
+}
+`,
+      "utf8"
+    );
+    const runDir = await createPipelineRun("run-graph");
+    expect((await readRunMetadata(runDir)).processSnapshot).toMatchObject({ importPath: "process/pipeline.mjs" });
+    expect(await fs.readFile(path.join(runDir, "process", "lib", "steps.mjs"), "utf8")).toBe(steps);
+    await resolveNext(runDir, await orchestrateIteration({ runDir }), "A");
+
+    await fs.writeFile(libPath, steps.replace("lib-old", "lib-new"), "utf8");
+    await expect(orchestrateIteration({ runDir })).rejects.toBeInstanceOf(ProcessDriftError);
+    await fs.rm(path.join(tmpRoot, "lib"), { recursive: true });
+    await migrateRunProcess({ runDir, use: "snapshot" });
+    expect(await orchestrateIteration({ runDir })).toMatchObject({
+      status: "completed",
+      output: { version: "lib-old", a: "A" },
+    });
+  });
+});
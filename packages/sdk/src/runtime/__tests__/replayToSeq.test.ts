@@ -0,0 +1,76 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { createRun } from "../createRun";
+import { orchestrateIteration } from "../orchestrateIteration";
+import { commitEffectResult } from "../commitEffectResult";
+import { replayToSeq } from "../replayToSeq";
+
+let tmpRoot: string;
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-replay-seq-"));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function createTwoStepRun() {
+  const processPath = path.join(tmpRoot, "two-step.mjs");
+  await fs.writeFile(
+    processPath,
+    `const step = (id) => ({ id, async build(args) { return { kind: "agent", title: id, args }; } });
+export async function process(inputs, ctx) {
+  const first = await ctx.task(step("first"), {});
+  const second = await ctx.task(step("second"), { first });
+  return { first, second };
+}
+`,
+    "utf8"
+  );
+  const { runDir } = await createRun({
+    runsDir: tmpRoot,
+    runId: "history",
+    process: { processId: "replay", importPath: processPath },
+    inputs: {},
+  });
+  return runDir;
+}
+
+async function resolveNext(runDir: string, value: unknown) {
+  const iteration = await orchestrateIteration({ runDir });
+  if (iteration.status !== "waiting") throw new Error(`expected waiting, got ${iteration.status}`);
+  await commitEffectResult({ runDir, effectId: iteration.nextActions[0].effectId, result: { status: "ok", value } });
+}
+
+describe("replayToSeq", () => {
+  test("reconstructs pending effects, seen results and output at each journal point", async () => {
+    const runDir = await createTwoStepRun();
+    await resolveNext(runDir, "a");
+    await resolveNext(runDir, "b");
+    expect(await orchestrateIteration({ runDir })).toMatchObject({ status: "completed" });
+
+    const waitingOnFirst = await replayToSeq(runDir, 2);
+    expect(waitingOnFirst).toMatchObject({ runId: "history", seq: 2, headSeq: 6, state: "waiting", results: [] });
+    expect(waitingOnFirst.event.type).toBe("EFFECT_REQUESTED");
+    expect(waitingOnFirst.pending.map((record) => record.taskId)).toEqual(["first"]);
+    expect(waitingOnFirst.output).toBeUndefined();
+
+    const waitingOnSecond = await replayToSeq(runDir, 4);
+    expect(waitingOnSecond.pending.map((record) => record.taskId)).toEqual(["second"]);
+    expect(waitingOnSecond.results).toMatchObject([{ taskId: "first", status: "ok", value: "a" }]);
+    expect(waitingOnSecond.index.getJournalHead()?.seq).toBe(4);
+
+    const completed = await replayToSeq(runDir, 6);
+    expect(completed).toMatchObject({ state: "completed", pending: [], output: { first: "a", second: "b" } });
+    expect(completed.results.map((result) => result.value)).toEqual(["a", "b"]);
+  });
+
+  test("rejects sequences outside the journal", async () => {
+    const runDir = await createTwoStepRun();
+    await expect(replayToSeq(runDir, 0)).rejects.toThrow(/Cannot replay run history to seq 0 \(journal has seq 1-1\)/);
+    await expect(replayToSeq(runDir, 2)).rejects.toThrow(/journal has seq 1-1/);
+  });
+});
@@ -0,0 +1,112 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { createRunDir } from "../../storage/createRunDir";
+import { appendEvent, loadJournal } from "../../storage/journal";
+import { orchestrateIteration } from "../orchestrateIteration";
+import { cancelRun } from "../lifecycle";
+import { InvalidSignalNameError, RunFailedError } from "../exceptions";
+import { buildEffectIndex } from "../replay/effectIndex";
+import { signalRun } from "../signals";
+
+let tmpRoot: string;
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-signals-"));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function createProcessRun(runId: string, body: string) {
+  const processPath = path.join(tmpRoot, `${runId}.mjs`);
+  await fs.writeFile(processPath, `export async function process(inputs, ctx) {\n${body}\n}\n`, "utf8");
+  const { runDir } = await createRunDir({ runsRoot: tmpRoot, runId, request: "signal-test", processPath });
+  await appendEvent({ runDir, eventType: "RUN_CREATED", event: { runId } });
+  return runDir;
+}
+
+const T0 = Date.parse("2026-03-01T12:00:00.000Z");
+
+describe("ctx.waitForSignal", () => {
+  test("waits for run:signal and resolves with its payload", async () => {
+    const runDir = await createProcessRun(
+      "run-signal-wait",
+      `  const ci = await ctx.waitForSignal("ci-finished");
+  return { ci };`
+    );
+
+    const waiting = await orchestrateIteration({ runDir });
+    expect(waiting).toMatchObject({
+      status: "waiting",
+      nextActions: [{ kind: "signal", label: "signal:ci-finished", taskDef: { signal: { name: "ci-finished" } } }],
+    });
+    if (waiting.status !== "waiting") return;
+
+    const delivered = await signalRun({ runDir, name: "ci-finished", payload: { green: true } });
+    expect(delivered).toMatchObject({ runId: "run-signal-wait", name: "ci-finished", seq: 3 });
+    expect(delivered.effectId).toBe(waiting.nextActions[0].effectId);
+
+    const completed = await orchestrateIteration({ runDir });
+    expect(completed).toMatchObject({ status: "completed", output: { ci: { green: true } } });
+    const journal = await loadJournal(runDir);
+    expect(journal.map((event) => event.type)).toEqual([
+      "RUN_CREATED",
+      "EFFECT_REQUESTED",
+      "SIGNAL_RECEIVED",
+      "EFFECT_RESOLVED",
+      "RUN_COMPLETED",
+    ]);
+  });
+
+  test("buffers signals sent before the wait and consumes them in order", async () => {
+    const runDir = await createProcessRun(
+      "run-signal-buffer",
+      `  const first = await ctx.waitForSignal("build");
+  const other = await ctx.waitForSignal("deploy");
+  const second = await ctx.waitForSignal("build");
+  return [first, other, second];`
+    );
+
+    const buffered = await signalRun({ runDir, name: "build", payload: 1 });
+    expect(buffered.effectId).toBeUndefined();
+    await signalRun({ runDir, name: "build", payload: 2 });
+    await signalRun({ runDir, name: "deploy", payload: "prod" });
+
+    const completed = await orchestrateIteration({ runDir });
+    expect(completed).toMatchObject({ status: "completed", output: [1, "prod", 2] });
+    const index = await buildEffectIndex({ runDir });
+    expect(index.listSignals().every((signal) => signal.effectId !== undefined)).toBe(true);
+    expect(index.listPendingEffects()).toEqual([]);
+  });
+
+  test("times out like any other effect and rejects signals once the run finished", async () => {
+    const runDir = await createProcessRun(
+      "run-signal-timeout",
+      `  try {
+    return await ctx.waitForSignal("approval", { timeout: 60_000 });
+  } catch (error) {
+    if (error.name !== "TimeoutError") throw error;
+    return "timed-out";
+  }`
+    );
+
+    const waiting = await orchestrateIteration({ runDir, now: new Date(T0) });
+    expect(waiting).toMatchObject({ status: "waiting", nextActions: [{ deadlineAt: "2026-03-01T12:01:00.000Z" }] });
+    const completed = await orchestrateIteration({ runDir, now: new Date(T0 + 60_000) });
+    expect(completed).toMatchObject({ status: "completed", output: "timed-out" });
+
+    await expect(signalRun({ runDir, name: "approval" })).rejects.toThrow(RunFailedError);
+  });
+
+  test("rejects empty names and signals to cancelled runs", async () => {
+    const runDir = await createProcessRun("run-signal-reject", `  return ctx.waitForSignal("later");`);
+    await expect(signalRun({ runDir, name: " " })).rejects.toBeInstanceOf(InvalidSignalNameError);
+
+    await orchestrateIteration({ runDir });
+    await cancelRun({ runDir });
+    await expect(signalRun({ runDir, name: "later" })).rejects.toThrow(/cancelled/);
+  });
+});
@@ -0,0 +1,132 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { createRunDir } from "../../storage/createRunDir";
+import { appendEvent, loadJournal } from "../../storage/journal";
+import { readRunMetadata } from "../../storage/runFiles";
+import { driveRun } from "../driveRun";
+import { createDefaultEffectHandlers } from "../effectHandlers";
+import { cancelRun } from "../lifecycle";
+import { orchestrateIteration } from "../orchestrateIteration";
+import { listSubrunTree } from "../subruns";
+
+let tmpRoot: string;
+let runsRoot: string;
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-subprocess-"));
+  runsRoot = path.join(tmpRoot, "runs");
+  await fs.mkdir(path.join(tmpRoot, "processes"), { recursive: true });
+  await fs.writeFile(
+    path.join(tmpRoot, "processes", "child.mjs"),
+    `const step = { id: "step", async build(args) { return { kind: "custom", metadata: args }; } };
+export async function process(inputs, ctx) {
+  const value = await ctx.task(step, { n: inputs.n });
+  if (inputs.fail) throw new Error("child exploded");
+  return { doubled: value * 2 };
+}
+`,
+    "utf8"
+  );
+});
+
+afterEach(async () => {
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function createParentRun(runId: string, body: string) {
+  const processPath = path.join(tmpRoot, "processes", `${runId}.mjs`);
+  await fs.writeFile(processPath, `export async function process(inputs, ctx) {\n${body}\n}\n`, "utf8");
+  const { runDir } = await createRunDir({ runsRoot, runId, request: "subprocess-test", processPath });
+  await appendEvent({ runDir, eventType: "RUN_CREATED", event: { runId } });
+  return runDir;
+}
+
+function customHandlers() {
+  return createDefaultEffectHandlers().register("custom", (action) => ({
+    status: "ok",
+    value: (action.taskDef.metadata as { n: number }).n,
+  }));
+}
+
+describe("ctx.subprocess", () => {
+  test("creates a child run and resolves with its output when driven", async () => {
+    const runDir = await createParentRun(
+      "parent",
+      `  const child = await ctx.subprocess("./child.mjs", { n: 21 });
+  return { child };`
+    );
+
+    const result = await driveRun({ runDir, handlers: customHandlers() });
+
+    expect(result.status).toBe("completed");
+    expect(result.output).toEqual({ child: { doubled: 42 } });
+    expect(result.handled.map((entry) => entry.kind)).toEqual(["subrun"]);
+
+    const childDir = path.join(runsRoot, "parent.S000001");
+    const childMetadata = await readRunMetadata(childDir);
+    expect(childMetadata).toMatchObject({
+      processId: "child",
+      parentRun: { runId: "parent", runDir: "../parent", stepId: "S000001" },
+    });
+    const journal = await loadJournal(runDir);
+    const subrunEvent = journal.find((event) => event.type === "SUBRUN_REQUESTED");
+    expect(subrunEvent?.data).toMatchObject({ runId: "parent.S000001", runDir: "../parent.S000001", processId: "child" });
+  });
+
+  test("settles the subrun effect on the next parent iteration once the child finishes", async () => {
+    const runDir = await createParentRun("parent", `  return ctx.subprocess("./child.mjs", { n: 2 });`);
+
+    const waiting = await orchestrateIteration({ runDir });
+    expect(waiting.status).toBe("waiting");
+    if (waiting.status !== "waiting") return;
+    expect(waiting.nextActions).toMatchObject([{ kind: "subrun", taskDef: { subrun: { runId: "parent.S000001" } } }]);
+
+    // Replaying before the child finishes neither re-creates the child nor records it twice.
+    await orchestrateIteration({ runDir });
+    const journal = await loadJournal(runDir);
+    expect(journal.filter((event) => event.type === "SUBRUN_REQUESTED")).toHaveLength(1);
+
+    const child = await driveRun({ runDir: path.join(runsRoot, "parent.S000001"), handlers: customHandlers() });
+    expect(child.status).toBe("completed");
+
+    const completed = await orchestrateIteration({ runDir });
+    expect(completed).toMatchObject({ status: "completed", output: { doubled: 4 } });
+  });
+
+  test("rethrows child failures in the parent", async () => {
+    const runDir = await createParentRun(
+      "parent",
+      `  try {
+    await ctx.subprocess({ importPath: "./child.mjs", processId: "tdd" }, { n: 1, fail: true });
+  } catch (error) {
+    if (error.name === "EffectRequestedError" || error.name === "EffectPendingError") throw error;
+    return { caught: error.message };
+  }`
+    );
+
+    const result = await driveRun({ runDir, handlers: customHandlers() });
+
+    expect(result.status).toBe("completed");
+    expect(result.output).toEqual({ caught: "child exploded" });
+  });
+
+  test("cancelling the parent cancels running children and the tree reflects it", async () => {
+    const runDir = await createParentRun("parent", `  return ctx.subprocess("./child.mjs", { n: 3 });`);
+    await driveRun({ runDir });
+
+    const tree = await listSubrunTree(runDir);
+    expect(tree).toMatchObject([{ runId: "parent.S000001", processId: "child", state: "waiting", children: [] }]);
+
+    const cancelled = await cancelRun({ runDir, reason: "stop" });
+    expect(cancelled.cancelledChildRunIds).toEqual(["parent.S000001"]);
+
+    const childJournal = await loadJournal(path.join(runsRoot, "parent.S000001"));
+    expect(childJournal.at(-1)).toMatchObject({
+      type: "RUN_CANCELLED",
+      data: { reason: "Parent run parent was cancelled" },
+    });
+    expect((await listSubrunTree(runDir))[0].state).toBe("cancelled");
+  });
+});
@@ -10,12 +10,16 @@ import { runTaskIntrinsic } from "../intrinsics/task";
 import {
   EffectPendingError,
   EffectRequestedError,
+  HookDeniedError,
   RunFailedError,
 } from "../exceptions";
 import { commitEffectResult } from "../commitEffectResult";
 import { DefinedTask } from "../types";
 import { TaskIntrinsicContext } from "../intrinsics/task";
 import { globalTaskRegistry } from "../../tasks/registry";
+import { registerHook } from "../../hooks/registry";
+import { loadJournal } from "../../storage/journal";
+import { readTaskDefinition } from "../../storage/tasks";
 
 const sampleTask: DefinedTask<{ value: number }, number> = {
   id: "sample-task",
@@ -32,7 +36,10 @@ beforeEach(async () => {
   tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-runtime-task-"));
 });
 
+const unregisterHooks: Array<() => void> = [];
+
 afterEach(async () => {
+  unregisterHooks.splice(0).forEach((remove) => remove());
   await fs.rm(tmpRoot, { recursive: true, force: true });
 });
 
@@ -244,4 +251,60 @@ describe("runTaskIntrinsic", () => {
     });
     expect(indexed?.inputsRef).toBeUndefined();
   });
+
+  test("applies on-step-dispatch patches and journals denials so replay does not ask again", async () => {
+    const { runDir, runId } = await createRun("run-task-hooks");
+    const seen: string[] = [];
+    unregisterHooks.push(
+      registerHook(
+        "on-step-dispatch",
+        (payload) => {
+          seen.push(`policy:${payload.stepId}`);
+          const value = (payload.task?.metadata as { value?: number } | undefined)?.value;
+          return value === 2 ? { verdict: "deny", reason: "value 2 is not allowed" } : { verdict: "allow" };
+        },
+        { name: "policy" }
+      ),
+      registerHook(
+        "on-step-dispatch",
+        (payload) => {
+          seen.push(`env:${payload.stepId}`);
+          return { patch: { task: { node: { env: { STAGE: "ci" } }, labels: ["audited"] } } };
+        },
+        { name: "env", priority: 10 }
+      )
+    );
+
+    const context = await buildContext(runDir, runId);
+    const requested = await runTaskIntrinsic({ task: sampleTask, args: { value: 1 }, context }).catch((e) => e);
+    expect(requested).toBeInstanceOf(EffectRequestedError);
+    const action = (requested as EffectRequestedError).action;
+    expect(action.taskDef).toMatchObject({ node: { env: { STAGE: "ci" } }, labels: ["audited"] });
+    expect(action.labels).toEqual(["audited"]);
+    expect(await readTaskDefinition(runDir, action.effectId)).toMatchObject({ node: { env: { STAGE: "ci" } } });
+
+    const denied = await runTaskIntrinsic({ task: sampleTask, args: { value: 2 }, context }).catch((e) => e);
+    expect(denied).toBeInstanceOf(HookDeniedError);
+    expect((denied as HookDeniedError).message).toBe("on-step-dispatch hook policy denied the request: value 2 is not allowed");
+    expect(seen).toEqual(["env:S000001", "policy:S000001", "env:S000002", "policy:S000002"]);
+    const resolved = (await loadJournal(runDir)).filter((event) => event.type === "EFFECT_RESOLVED");
+    expect(resolved).toHaveLength(1);
+    expect(resolved[0].data).toMatchObject({
+      status: "error",
+      error: { name: "HookDeniedError", data: { hookType: "on-step-dispatch", deniedBy: "policy" } },
+    });
+
+    const replay = await buildContext(runDir, runId);
+    await expect(runTaskIntrinsic({ task: sampleTask, args: { value: 1 }, context: replay })).rejects.toBeInstanceOf(
+      EffectPendingError
+    );
+    const replayed = await runTaskIntrinsic({ task: sampleTask, args: { value: 2 }, context: replay }).catch((e) => e);
+    expect(replayed).toBeInstanceOf(HookDeniedError);
+    expect((replayed as HookDeniedError).data).toEqual({
+      hookType: "on-step-dispatch",
+      reason: "value 2 is not allowed",
+      deniedBy: "policy",
+    });
+    expect(seen).toHaveLength(4);
+  });
 });
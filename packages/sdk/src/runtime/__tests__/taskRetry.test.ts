@@ -0,0 +1,123 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { createRunDir } from "../../storage/createRunDir";
+import { appendEvent } from "../../storage/journal";
+import { driveRun } from "../driveRun";
+import { createDefaultEffectHandlers } from "../effectHandlers";
+import { orchestrateIteration } from "../orchestrateIteration";
+import { buildEffectIndex } from "../replay/effectIndex";
+
+let tmpRoot: string;
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-retry-"));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function createProcessRun(runId: string, retryPolicy: string) {
+  const processPath = path.join(tmpRoot, `${runId}.mjs`);
+  await fs.writeFile(
+    processPath,
+    `const flaky = { id: "flaky", async build() { return { kind: "custom" }; } };
+export async function process(inputs, ctx) {
+  const value = await ctx.task(flaky, {}, { retry: ${retryPolicy} });
+  return { value };
+}
+`,
+    "utf8"
+  );
+  const { runDir } = await createRunDir({ runsRoot: tmpRoot, runId, request: "retry-test", processPath });
+  await appendEvent({ runDir, eventType: "RUN_CREATED", event: { runId } });
+  return runDir;
+}
+
+function failingHandlers(failures: Array<{ name: string; message: string; data?: unknown }>) {
+  let calls = 0;
+  return createDefaultEffectHandlers().register("custom", () => {
+    const failure = failures[calls++];
+    return failure ? { status: "error", error: failure } : { status: "ok", value: calls };
+  });
+}
+
+async function listTaskAttempts(runDir: string) {
+  const index = await buildEffectIndex({ runDir });
+  return index
+    .listEffects()
+    .filter((record) => record.taskId === "flaky")
+    .map((record) => ({ stepId: record.stepId, attempt: record.attempt, status: record.status }));
+}
+
+describe("ctx.task retry policies", () => {
+  test("re-requests failed attempts as new effects linked to the logical step", async () => {
+    const runDir = await createProcessRun("run-retry-ok", "{ maxAttempts: 3, initialDelayMs: 20 }");
+    const handlers = failingHandlers([
+      { name: "Error", message: "first" },
+      { name: "Error", message: "second" },
+    ]);
+
+    const result = await driveRun({ runDir, handlers });
+
+    expect(result.status).toBe("completed");
+    expect(result.output).toEqual({ value: 3 });
+    expect(await listTaskAttempts(runDir)).toEqual([
+      { stepId: "S000001", attempt: 1, status: "resolved_error" },
+      { stepId: "S000001.attempt-2", attempt: 2, status: "resolved_error" },
+      { stepId: "S000001.attempt-3", attempt: 3, status: "resolved_ok" },
+    ]);
+
+    // Replaying the finished journal makes the same decisions without requesting anything new.
+    const replayed = await orchestrateIteration({ runDir });
+    expect(replayed).toMatchObject({ status: "completed", output: { value: 3 } });
+  });
+
+  test("waits for the backoff sleep before the next attempt", async () => {
+    const runDir = await createProcessRun("run-retry-backoff", "{ maxAttempts: 2, initialDelayMs: 60_000 }");
+    const handlers = failingHandlers([{ name: "Error", message: "flaky" }]);
+
+    const result = await driveRun({ runDir, handlers, maxDurationMs: 200 });
+
+    expect(result.status).toBe("waiting");
+    expect(result.pending.map((action) => [action.kind, action.stepId])).toEqual([["sleep", "S000001.backoff-1"]]);
+    expect(await listTaskAttempts(runDir)).toHaveLength(1);
+  });
+
+  test("fails without retrying when retryOn does not match the error", async () => {
+    const runDir = await createProcessRun(
+      "run-retry-filter",
+      `{ maxAttempts: 5, initialDelayMs: 0, retryOn: (error) => error.name === "TimeoutError" || error.data?.transient === true }`
+    );
+    const handlers = failingHandlers([
+      { name: "TimeoutError", message: "slow" },
+      { name: "Error", message: "flaky", data: { transient: true } },
+      { name: "ValidationError", message: "bad input" },
+    ]);
+
+    const result = await driveRun({ runDir, handlers });
+
+    expect(result.status).toBe("failed");
+    expect(result.error).toMatchObject({ name: "ValidationError", message: "bad input" });
+    expect(await listTaskAttempts(runDir)).toHaveLength(3);
+  });
+
+  test("stops after maxAttempts and surfaces the last error", async () => {
+    const runDir = await createProcessRun(
+      "run-retry-exhausted",
+      `{ maxAttempts: 2, initialDelayMs: 0, retryOn: ["TimeoutError"] }`
+    );
+    const handlers = failingHandlers([
+      { name: "TimeoutError", message: "slow 1" },
+      { name: "TimeoutError", message: "slow 2" },
+    ]);
+
+    const result = await driveRun({ runDir, handlers });
+
+    expect(result.status).toBe("failed");
+    expect(result.error).toMatchObject({ name: "TimeoutError", message: "slow 2" });
+    expect(await listTaskAttempts(runDir)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,103 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { createRun } from "../createRun";
+import { orchestrateIteration } from "../orchestrateIteration";
+import { commitEffectResult } from "../commitEffectResult";
+import { verifyRun } from "../verifyRun";
+import { loadJournal } from "../../storage/journal";
+
+let tmpRoot: string;
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-verify-"));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function createFinishedRun(options: { runId: string; journalChain?: boolean; value?: unknown }) {
+  const processPath = path.join(tmpRoot, `${options.runId}.mjs`);
+  await fs.writeFile(
+    processPath,
+    `const work = { id: "work", async build() { return { kind: "agent", title: "work" }; } };
+export async function process(inputs, ctx) {
+  await ctx.task(work, {});
+  return { ok: true };
+}
+`,
+    "utf8"
+  );
+  const { runDir } = await createRun({
+    runsDir: tmpRoot,
+    runId: options.runId,
+    process: { processId: "verify", importPath: processPath },
+    inputs: { n: 1 },
+    journalChain: options.journalChain,
+  });
+  const first = await orchestrateIteration({ runDir });
+  if (first.status !== "waiting") throw new Error(`expected waiting, got ${first.status}`);
+  const effectId = first.nextActions[0].effectId;
+  await commitEffectResult({ runDir, effectId, result: { status: "ok", value: options.value ?? 7, stdout: "done" } });
+  await orchestrateIteration({ runDir });
+  return { runDir, effectId };
+}
+
+describe("verifyRun", () => {
+  test("passes for an untouched chained run and reports what it checked", async () => {
+    const { runDir } = await createFinishedRun({ runId: "clean", journalChain: true });
+    const events = await loadJournal(runDir);
+    expect(events[0].prevChecksum).toBeNull();
+    expect(events[1].prevChecksum).toBe(events[0].checksum);
+
+    const result = await verifyRun({ runDir });
+    expect(result).toMatchObject({ ok: true, chained: true, events: events.length, issues: [] });
+    expect(result.checked).toEqual({ checksums: events.length, refs: 4, blobs: 0 });
+  });
+
+  test("detects rewritten, removed and unchained events", async () => {
+    const { runDir } = await createFinishedRun({ runId: "tampered", journalChain: true });
+    const journalDir = path.join(runDir, "journal");
+    const files = (await fs.readdir(journalDir)).sort();
+
+    const rewritten = path.join(journalDir, files[1]);
+    const payload = JSON.parse(await fs.readFile(rewritten, "utf8"));
+    payload.data.label = "edited";
+    await fs.writeFile(rewritten, JSON.stringify(payload, null, 2) + "\n");
+    await fs.rm(path.join(journalDir, files[2]));
+
+    const result = await verifyRun({ runDir });
+    expect(result.ok).toBe(false);
+    expect(result.issues.map((issue) => [issue.code, issue.seq])).toEqual([
+      ["CHECKSUM_MISMATCH", 2],
+      ["SEQ_GAP", 4],
+      ["CHAIN_BROKEN", 4],
+    ]);
+
+    const unchained = await createFinishedRun({ runId: "plain" });
+    expect(await verifyRun({ runDir: unchained.runDir })).toMatchObject({ ok: true, chained: false });
+    expect((await verifyRun({ runDir: unchained.runDir, requireChain: true })).issues).toEqual([
+      { code: "CHAIN_MISSING", message: "journal is not checksum-chained" },
+    ]);
+  });
+
+  test("checks task documents and spilled blobs against their digests", async () => {
+    const { runDir, effectId } = await createFinishedRun({ runId: "refs", value: "x".repeat(1024 * 1024 + 1) });
+    const taskDir = path.join(runDir, "tasks", effectId);
+    const [blob] = await fs.readdir(path.join(taskDir, "blobs"));
+    expect((await verifyRun({ runDir })).checked).toMatchObject({ blobs: 1 });
+
+    await fs.appendFile(path.join(taskDir, "result.json"), " ");
+    await fs.writeFile(path.join(taskDir, "blobs", blob), "\"tampered\"\n");
+    await fs.rm(path.join(taskDir, "task.json"));
+
+    const result = await verifyRun({ runDir });
+    expect(result.issues.map((issue) => [issue.code, issue.effectId, issue.ref])).toEqual([
+      ["REF_MISSING", effectId, `tasks/${effectId}/task.json`],
+      ["REF_DIGEST_MISMATCH", effectId, `tasks/${effectId}/result.json`],
+      ["BLOB_DIGEST_MISMATCH", effectId, `tasks/${effectId}/blobs/${blob}`],
+    ]);
+  });
+});
@@ -1,6 +1,7 @@
 import { appendEvent } from "../storage/journal";
+import { JournalEvent } from "../storage/types";
 import { withRunLock } from "../storage/lock";
-import { buildEffectIndex } from "./replay/effectIndex";
+import { buildEffectIndex, EffectIndex } from "./replay/effectIndex";
 import {
   CommitEffectResultArtifacts,
   CommitEffectResultOptions,
@@ -14,75 +15,104 @@ import { globalTaskRegistry } from "../tasks/registry";
 import { serializeAndWriteTaskResult } from "../tasks/serializer";
 
 export async function commitEffectResult(options: CommitEffectResultOptions): Promise<CommitEffectResultArtifacts> {
-  return await withRunLock(options.runDir, "runtime:commitEffectResult", async () => {
-    guardResultPayload(options);
-    const effectIndex = await buildEffectIndex({ runDir: options.runDir });
-    const record = effectIndex.getByEffectId(options.effectId);
-
-    if (!record) {
-      logCommitFailure(options, "unknown_effect");
-      throw new RunFailedError(`Unknown effectId ${options.effectId}`);
-    }
-
-    if (record.status !== "requested") {
-      logCommitFailure(options, "already_resolved", { currentStatus: record.status });
-      throw new RunFailedError(`Effect ${options.effectId} is already resolved`);
-    }
-
-    ensureInvocationKeyMatches(options, record);
-
-    const resultPayload = buildResultPayload(options);
-
-    const { resultRef, stdoutRef: writtenStdoutRef, stderrRef: writtenStderrRef } = await serializeAndWriteTaskResult({
-      runDir: options.runDir,
-      effectId: options.effectId,
-      taskId: requireTaskId(record),
-      invocationKey: record.invocationKey,
-      payload: resultPayload,
-    });
-    const stdoutRef = resultPayload.stdoutRef ?? writtenStdoutRef;
-    const stderrRef = resultPayload.stderrRef ?? writtenStderrRef;
-    const eventError = resultPayload.status === "error" ? resultPayload.error : undefined;
-
-    const resolvedEvent = await appendEvent({
-      runDir: options.runDir,
-      eventType: "EFFECT_RESOLVED",
-      event: {
-        effectId: options.effectId,
-        status: options.result.status,
-        resultRef,
-        error: eventError,
-        stdoutRef,
-        stderrRef,
-        startedAt: resultPayload.startedAt,
-        finishedAt: resultPayload.finishedAt,
-      },
-    });
-    globalTaskRegistry.resolveEffect(options.effectId, {
-      status: options.result.status === "ok" ? "resolved_ok" : "resolved_error",
-      resultRef,
-      stdoutRef,
-      stderrRef,
-      resolvedAt: resolvedEvent.recordedAt,
-    });
+  return await withRunLock(options.runDir, "runtime:commitEffectResult", () => commitEffectResultLocked(options));
+}
 
-    emitRuntimeMetric(options.logger, "commit.effect", {
-      effectId: options.effectId,
-      invocationKey: record.invocationKey,
-      status: options.result.status,
-      runDir: options.runDir,
-      hasStdout: Boolean(stdoutRef),
-      hasStderr: Boolean(stderrRef),
-    });
+/**
+ * commitEffectResult for callers that already hold the run lock. When replay is in progress, pass
+ * its `effectIndex` so the EFFECT_RESOLVED event is applied to it as well.
+ */
+export async function commitEffectResultLocked(
+  options: CommitEffectResultOptions,
+  effectIndex?: EffectIndex
+): Promise<CommitEffectResultArtifacts> {
+  guardResultPayload(options);
+  const currentIndex = await buildEffectIndex({ runDir: options.runDir });
+  const record = currentIndex.getByEffectId(options.effectId);
+
+  if (!record) {
+    logCommitFailure(options, "unknown_effect");
+    throw new RunFailedError(`Unknown effectId ${options.effectId}`);
+  }
 
-    return {
-      resultRef,
-      stdoutRef: stdoutRef ?? undefined,
-      stderrRef: stderrRef ?? undefined,
-      startedAt: resultPayload.startedAt,
-      finishedAt: resultPayload.finishedAt,
+  if (record.status !== "requested") {
+    logCommitFailure(options, "already_resolved", { currentStatus: record.status });
+    throw new RunFailedError(`Effect ${options.effectId} is already resolved`);
+  }
+
+  ensureInvocationKeyMatches(options, record);
+
+  const resultPayload = buildResultPayload(options);
+
+  const {
+    resultRef,
+    resultSha256,
+    stdoutRef: writtenStdoutRef,
+    stderrRef: writtenStderrRef,
+  } = await serializeAndWriteTaskResult({
+    runDir: options.runDir,
+    effectId: options.effectId,
+    taskId: requireTaskId(record),
+    invocationKey: record.invocationKey,
+    payload: resultPayload,
+  });
+  const stdoutRef = resultPayload.stdoutRef ?? writtenStdoutRef;
+  const stderrRef = resultPayload.stderrRef ?? writtenStderrRef;
+  const eventError = resultPayload.status === "error" ? resultPayload.error : undefined;
+
+  const resolvedPayload = {
+    effectId: options.effectId,
+    status: options.result.status,
+    resultRef,
+    resultSha256,
+    error: eventError,
+    stdoutRef,
+    stderrRef,
+    startedAt: resultPayload.startedAt,
+    finishedAt: resultPayload.finishedAt,
+  };
+  const resolvedEvent = await appendEvent({
+    runDir: options.runDir,
+    eventType: "EFFECT_RESOLVED",
+    event: resolvedPayload,
+  });
+  if (effectIndex) {
+    const syntheticEvent: JournalEvent = {
+      seq: resolvedEvent.seq,
+      ulid: resolvedEvent.ulid,
+      filename: resolvedEvent.filename,
+      path: resolvedEvent.path,
+      type: "EFFECT_RESOLVED",
+      recordedAt: resolvedEvent.recordedAt,
+      data: resolvedPayload,
+      checksum: resolvedEvent.checksum,
     };
+    effectIndex.applyEvent(syntheticEvent);
+  }
+  globalTaskRegistry.resolveEffect(options.effectId, {
+    status: options.result.status === "ok" ? "resolved_ok" : "resolved_error",
+    resultRef,
+    stdoutRef,
+    stderrRef,
+    resolvedAt: resolvedEvent.recordedAt,
+  });
+
+  emitRuntimeMetric(options.logger, "commit.effect", {
+    effectId: options.effectId,
+    invocationKey: record.invocationKey,
+    status: options.result.status,
+    runDir: options.runDir,
+    hasStdout: Boolean(stdoutRef),
+    hasStderr: Boolean(stderrRef),
   });
+
+  return {
+    resultRef,
+    stdoutRef: stdoutRef ?? undefined,
+    stderrRef: stderrRef ?? undefined,
+    startedAt: resultPayload.startedAt,
+    finishedAt: resultPayload.finishedAt,
+  };
 }
 
 function ensureInvocationKeyMatches(options: CommitEffectResultOptions, record: EffectRecord) {
@@ -1,13 +1,16 @@
 import path from "path";
 import crypto from "crypto";
 import { createRunDir } from "../storage/createRunDir";
+import { createRunEncryption, loadEncryptionKey } from "../storage/encryption";
 import { appendEvent } from "../storage/journal";
 import { acquireRunLock, releaseRunLock } from "../storage/lock";
 import { INPUTS_FILE, getRunDir } from "../storage/paths";
+import { writeRunMetadata } from "../storage/runFiles";
 import { RunEntrypointMetadata } from "../storage/types";
 import { nextUlid } from "../storage/ulids";
 import type { CreateRunOptions, CreateRunResult } from "./types";
 import { callRuntimeHook } from "./hooks/runtime";
+import { snapshotProcessSource } from "./processSnapshot";
 
 export async function createRun(options: CreateRunOptions): Promise<CreateRunResult> {
   const runId = options.runId ?? nextUlid();
@@ -18,11 +21,18 @@ export async function createRun(options: CreateRunOptions): Promise<CreateRunRes
   const providedSecret =
     typeof options.metadata?.completionSecret === "string" ? options.metadata.completionSecret : undefined;
   const completionSecret = providedSecret ?? crypto.randomBytes(16).toString("hex");
+  const encryptionKey = loadEncryptionKey();
+  if (options.encrypt && !encryptionKey) {
+    throw new Error("encrypt requires BABYSITTER_ENCRYPTION_KEY or BABYSITTER_ENCRYPTION_KEY_FILE to be set");
+  }
   const extraMetadata = {
     ...options.metadata,
     completionSecret,
+    ...(options.journalChain ? { journalChain: true } : {}),
+    ...(options.sharedBlobs ? { sharedBlobs: true } : {}),
+    ...(encryptionKey && options.encrypt !== false ? { encryption: createRunEncryption(encryptionKey) } : {}),
   };
-  const { metadata } = await createRunDir({
+  const { metadata: createdMetadata } = await createRunDir({
     runsRoot: options.runsDir,
     runId,
     request: requestId,
@@ -33,7 +43,14 @@ export async function createRun(options: CreateRunOptions): Promise<CreateRunRes
     entrypoint: normalizedEntrypoint,
     processPath: normalizedEntrypoint.importPath,
     extraMetadata,
+    store: options.store,
+    journalLayout: options.journalLayout,
   });
+  const processSnapshot = await snapshotProcessSource(runDir, path.resolve(runDir, normalizedEntrypoint.importPath));
+  const metadata = processSnapshot ? { ...createdMetadata, processSnapshot } : createdMetadata;
+  if (processSnapshot) {
+    await writeRunMetadata(runDir, metadata);
+  }
 
   let lockAcquired = false;
   try {
@@ -47,6 +64,9 @@ export async function createRun(options: CreateRunOptions): Promise<CreateRunRes
     if (metadata.processRevision) {
       eventPayload.processRevision = metadata.processRevision;
     }
+    if (processSnapshot) {
+      eventPayload.processSha256 = processSnapshot.sha256;
+    }
     if (options.inputs !== undefined) {
       eventPayload.inputsRef = INPUTS_FILE;
     }
@@ -54,6 +74,7 @@ export async function createRun(options: CreateRunOptions): Promise<CreateRunRes
       runDir,
       eventType: "RUN_CREATED",
       event: eventPayload,
+      chain: options.journalChain,
     });
   } finally {
     if (lockAcquired) {
@@ -81,6 +102,7 @@ export async function createRun(options: CreateRunOptions): Promise<CreateRunRes
     {
       cwd: projectRoot,
       logger: options.logger,
+      runDir,
     }
   );
 
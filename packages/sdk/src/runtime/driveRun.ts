@@ -0,0 +1,177 @@
+import { commitEffectResult } from "./commitEffectResult";
+import { orchestrateIteration } from "./orchestrateIteration";
+import { EffectHandlerRegistry, EffectHandlerResult, createDefaultEffectHandlers } from "./effectHandlers";
+import { emitRuntimeMetric } from "./instrumentation";
+import type { CompensationOutcome, EffectAction, IterationMetadata, IterationResult, ProcessLogger } from "./types";
+
+const DEFAULT_MAX_ITERATIONS = 1000;
+
+export interface DriveRunOptions {
+  runDir: string;
+  /**
+   * Kind-keyed handlers (default: createDefaultEffectHandlers()).
+   */
+  handlers?: EffectHandlerRegistry;
+  /**
+   * Maximum number of orchestrateIteration calls before giving up (default: 1000).
+   */
+  maxIterations?: number;
+  /**
+   * Wall-clock budget in milliseconds for the whole drive.
+   */
+  maxDurationMs?: number;
+  now?: () => Date;
+  logger?: ProcessLogger;
+  onIteration?: (iteration: IterationResult, index: number) => void | Promise<void>;
+}
+
+export type DriveRunStopReason =
+  | "completed"
+  | "failed"
+  | "paused"
+  | "cancelled"
+  | "no_progress"
+  | "iteration_budget"
+  | "time_budget";
+
+export interface DrivenEffect {
+  effectId: string;
+  kind: string;
+  label?: string;
+  status: "ok" | "error" | "committed";
+  iteration: number;
+}
+
+export interface DriveRunResult {
+  status: "completed" | "failed" | "waiting" | "paused" | "cancelled";
+  reason: DriveRunStopReason;
+  iterations: number;
+  durationMs: number;
+  output?: unknown;
+  error?: unknown;
+  /**
+   * Compensations that ran before the run failed.
+   */
+  compensations?: CompensationOutcome[];
+  /**
+   * Effects left pending after the last iteration (only for status "waiting").
+   */
+  pending: EffectAction[];
+  /**
+   * Pending effects whose kind has no registered handler.
+   */
+  unhandledKinds: string[];
+  handled: DrivenEffect[];
+  metadata: IterationMetadata | null;
+}
+
+/**
+ * Repeatedly calls orchestrateIteration, dispatches every pending action to the handler registered
+ * for its kind, commits the results, and stops on completion, failure, a budget, or when no
+ * handler made progress in an iteration.
+ */
+export async function driveRun(options: DriveRunOptions): Promise<DriveRunResult> {
+  const handlers = options.handlers ?? createDefaultEffectHandlers();
+  const maxIterations = options.maxIterations ?? DEFAULT_MAX_ITERATIONS;
+  if (!Number.isFinite(maxIterations) || maxIterations <= 0) {
+    throw new Error("maxIterations must be a positive finite number");
+  }
+  const startedAt = Date.now();
+  const deadlineEpochMs = options.maxDurationMs !== undefined ? startedAt + options.maxDurationMs : undefined;
+  const now = options.now ?? (() => new Date());
+  const handled: DrivenEffect[] = [];
+  let iterations = 0;
+  let lastPending: EffectAction[] = [];
+  let lastMetadata: IterationMetadata | null = null;
+
+  const finish = (
+    result: Pick<DriveRunResult, "status" | "reason"> & Partial<DriveRunResult>
+  ): DriveRunResult => {
+    const pending = result.status === "waiting" ? result.pending ?? lastPending : [];
+    const driven: DriveRunResult = {
+      iterations,
+      durationMs: Date.now() - startedAt,
+      handled,
+      metadata: lastMetadata,
+      ...result,
+      pending,
+      unhandledKinds: Array.from(new Set(pending.filter((a) => !handlers.has(a.kind)).map((a) => a.kind))).sort(),
+    };
+    emitRuntimeMetric(options.logger, "drive.run", {
+      runDir: options.runDir,
+      status: driven.status,
+      reason: driven.reason,
+      iterations: driven.iterations,
+      handled: handled.length,
+      durationMs: driven.durationMs,
+    });
+    return driven;
+  };
+
+  while (iterations < maxIterations) {
+    if (deadlineEpochMs !== undefined && Date.now() >= deadlineEpochMs) {
+      return finish({ status: "waiting", reason: "time_budget" });
+    }
+    iterations += 1;
+    const iteration = await orchestrateIteration({ runDir: options.runDir, now, logger: options.logger });
+    lastMetadata = iteration.metadata ?? null;
+    await options.onIteration?.(iteration, iterations);
+
+    if (iteration.status === "completed") {
+      return finish({ status: "completed", reason: "completed", output: iteration.output });
+    }
+    if (iteration.status === "failed") {
+      return finish({
+        status: "failed",
+        reason: "failed",
+        error: iteration.error,
+        compensations: iteration.compensations,
+      });
+    }
+    if (iteration.status === "paused" || iteration.status === "cancelled") {
+      return finish({ status: iteration.status, reason: iteration.status });
+    }
+
+    const resolvedThisIteration = new Set<string>();
+    let progressed = 0;
+    for (const action of iteration.nextActions) {
+      const handler = handlers.get(action.kind);
+      if (!handler) continue;
+      if (deadlineEpochMs !== undefined && Date.now() >= deadlineEpochMs) break;
+      const outcome: EffectHandlerResult = await handler(action, {
+        runDir: options.runDir,
+        now,
+        deadlineEpochMs,
+        handlers,
+        logger: options.logger,
+      });
+      if (!outcome) continue;
+      if (outcome.status !== "committed") {
+        await commitEffectResult({
+          runDir: options.runDir,
+          effectId: action.effectId,
+          invocationKey: action.invocationKey,
+          logger: options.logger,
+          result: outcome,
+        });
+      }
+      progressed += 1;
+      resolvedThisIteration.add(action.effectId);
+      handled.push({
+        effectId: action.effectId,
+        kind: action.kind,
+        label: action.label,
+        status: outcome.status,
+        iteration: iterations,
+      });
+    }
+
+    lastPending = iteration.nextActions.filter((action) => !resolvedThisIteration.has(action.effectId));
+    if (progressed === 0) {
+      const budgetExhausted = deadlineEpochMs !== undefined && Date.now() >= deadlineEpochMs;
+      return finish({ status: "waiting", reason: budgetExhausted ? "time_budget" : "no_progress" });
+    }
+  }
+
+  return finish({ status: "waiting", reason: "iteration_budget" });
+}
@@ -0,0 +1,11 @@
+export type ModuleExports = Record<string, unknown>;
+
+// Use an indirect dynamic import so TypeScript does not downlevel to require() in CommonJS builds.
+// Vitest executes modules inside a VM context that requires direct import() support.
+export const dynamicImportModule: (specifier: string) => Promise<ModuleExports> = (() => {
+  if (process.env.VITEST) {
+    return (specifier: string) => import(specifier) as Promise<ModuleExports>;
+  }
+  // eslint-disable-next-line @typescript-eslint/no-implied-eval
+  return new Function("specifier", "return import(specifier);") as (specifier: string) => Promise<ModuleExports>;
+})();
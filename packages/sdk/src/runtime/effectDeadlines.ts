@@ -0,0 +1,76 @@
+import { appendEvent } from "../storage/journal";
+import { JournalEvent } from "../storage/types";
+import { globalTaskRegistry } from "../tasks/registry";
+import { emitRuntimeMetric } from "./instrumentation";
+import { EffectIndex } from "./replay/effectIndex";
+import { EffectRecord, ProcessLogger, SerializedEffectError } from "./types";
+
+export interface TimeOutOverdueEffectsOptions {
+  runDir: string;
+  effectIndex: EffectIndex;
+  now: Date;
+  logger?: ProcessLogger;
+}
+
+export interface TimedOutEffect {
+  record: EffectRecord;
+  deadlineAt: string;
+  timedOutAt: string;
+}
+
+/**
+ * Appends EFFECT_TIMED_OUT for every pending effect whose deadline has passed and applies the events
+ * to `effectIndex`, so the next replay rethrows a TimeoutError at the matching ctx.task call.
+ * Callers must hold the run lock.
+ */
+export async function timeOutOverdueEffects(options: TimeOutOverdueEffectsOptions): Promise<TimedOutEffect[]> {
+  const overdue = options.effectIndex.listOverdueEffects(options.now.getTime());
+  const timedOut: TimedOutEffect[] = [];
+  for (const record of overdue) {
+    const deadlineAt = record.deadlineAt as string;
+    const error = createEffectTimeoutError(record, deadlineAt);
+    const payload = { effectId: record.effectId, deadlineAt, error };
+    const appendResult = await appendEvent({
+      runDir: options.runDir,
+      eventType: "EFFECT_TIMED_OUT",
+      event: payload,
+    });
+    const syntheticEvent: JournalEvent = {
+      seq: appendResult.seq,
+      ulid: appendResult.ulid,
+      filename: appendResult.filename,
+      path: appendResult.path,
+      type: "EFFECT_TIMED_OUT",
+      recordedAt: appendResult.recordedAt,
+      data: payload,
+      checksum: appendResult.checksum,
+    };
+    options.effectIndex.applyEvent(syntheticEvent);
+    globalTaskRegistry.resolveEffect(record.effectId, {
+      status: "resolved_error",
+      resolvedAt: appendResult.recordedAt,
+    });
+    emitRuntimeMetric(options.logger, "effect.timeout", {
+      effectId: record.effectId,
+      invocationKey: record.invocationKey,
+      kind: record.kind,
+      deadlineAt,
+      runDir: options.runDir,
+    });
+    timedOut.push({ record, deadlineAt, timedOutAt: appendResult.recordedAt });
+  }
+  return timedOut;
+}
+
+export function createEffectTimeoutError(record: EffectRecord, deadlineAt: string): SerializedEffectError {
+  return {
+    name: "TimeoutError",
+    message: `Effect ${record.effectId} (${record.label ?? record.taskId}) exceeded its deadline ${deadlineAt}`,
+    data: {
+      effectId: record.effectId,
+      taskId: record.taskId,
+      kind: record.kind,
+      deadlineAt,
+    },
+  };
+}
@@ -0,0 +1,189 @@
+import path from "path";
+import { pathToFileURL } from "url";
+import type { JsonRecord } from "../storage/types";
+import { executeNodeEffect } from "./executePendingEffects";
+import { dynamicImportModule } from "./dynamicImport";
+import type { ModuleExports } from "./dynamicImport";
+import { serializeUnknownError } from "./errorUtils";
+import { RunFailedError } from "./exceptions";
+import { subrunEffectHandler } from "./subruns";
+import type { EffectAction, ProcessLogger } from "./types";
+
+interface EffectHandlerResultBase {
+  stdout?: string;
+  stderr?: string;
+  stdoutRef?: string;
+  stderrRef?: string;
+  startedAt?: string;
+  finishedAt?: string;
+  metadata?: JsonRecord;
+}
+
+export interface EffectHandlerSuccess extends EffectHandlerResultBase {
+  status: "ok";
+  value?: unknown;
+}
+
+export interface EffectHandlerFailure extends EffectHandlerResultBase {
+  status: "error";
+  error: unknown;
+}
+
+/**
+ * Returned by handlers that already committed the effect result themselves (e.g. the node executor).
+ */
+export interface EffectHandlerCommitted {
+  status: "committed";
+}
+
+/**
+ * `undefined` leaves the effect pending so another executor (or a later drive) can pick it up.
+ */
+export type EffectHandlerResult = EffectHandlerSuccess | EffectHandlerFailure | EffectHandlerCommitted | undefined;
+
+export interface EffectHandlerContext {
+  runDir: string;
+  now: () => Date;
+  /**
+   * Epoch milliseconds after which the driver stops; handlers that wait should not block past it.
+   */
+  deadlineEpochMs?: number;
+  /**
+   * Registry the driver dispatches with; handlers that drive child runs reuse it.
+   */
+  handlers?: EffectHandlerRegistry;
+  logger?: ProcessLogger;
+}
+
+export type EffectHandler = (
+  action: EffectAction,
+  context: EffectHandlerContext
+) => EffectHandlerResult | Promise<EffectHandlerResult>;
+
+export class EffectHandlerRegistry {
+  private readonly handlers = new Map<string, EffectHandler>();
+
+  register(kind: string, handler: EffectHandler): this {
+    if (!kind) {
+      throw new Error("Effect handler kind must be a non-empty string");
+    }
+    if (typeof handler !== "function") {
+      throw new Error(`Effect handler for kind '${kind}' must be a function`);
+    }
+    this.handlers.set(kind, handler);
+    return this;
+  }
+
+  unregister(kind: string): boolean {
+    return this.handlers.delete(kind);
+  }
+
+  get(kind: string): EffectHandler | undefined {
+    return this.handlers.get(kind);
+  }
+
+  has(kind: string): boolean {
+    return this.handlers.has(kind);
+  }
+
+  kinds(): string[] {
+    return Array.from(this.handlers.keys()).sort();
+  }
+}
+
+export interface DefaultEffectHandlerOptions {
+  /**
+   * Resolve breakpoints automatically instead of leaving them for a human (default: false).
+   */
+  autoApproveBreakpoints?: boolean;
+  /**
+   * Base environment for node tasks (default: process.env).
+   */
+  env?: NodeJS.ProcessEnv;
+}
+
+/**
+ * Registers the built-in handlers: `node` (local executor), `sleep` (waits within the drive
+ * budget), `subrun` (drives child runs), and optionally `breakpoint` (auto-approval).
+ */
+export function createDefaultEffectHandlers(options: DefaultEffectHandlerOptions = {}): EffectHandlerRegistry {
+  const registry = new EffectHandlerRegistry();
+  registry.register("node", createNodeEffectHandler(options.env));
+  registry.register("sleep", sleepEffectHandler);
+  registry.register("subrun", subrunEffectHandler);
+  if (options.autoApproveBreakpoints) {
+    registry.register("breakpoint", autoApproveBreakpointHandler);
+  }
+  return registry;
+}
+
+export function createNodeEffectHandler(env?: NodeJS.ProcessEnv): EffectHandler {
+  return async (action, context) => {
+    await executeNodeEffect({
+      runDir: context.runDir,
+      effectId: action.effectId,
+      invocationKey: action.invocationKey,
+      env,
+      logger: context.logger,
+    });
+    // Also when the executor skipped an effect that timed out meanwhile: it is resolved either way.
+    return { status: "committed" };
+  };
+}
+
+export const sleepEffectHandler: EffectHandler = async (action, context) => {
+  const target = action.schedulerHints?.sleepUntilEpochMs ?? action.taskDef.sleep?.targetEpochMs;
+  if (typeof target !== "number") {
+    return { status: "error", error: { name: "Error", message: "Sleep effect is missing targetEpochMs" } };
+  }
+  const waitMs = target - context.now().getTime();
+  if (waitMs > 0) {
+    if (context.deadlineEpochMs !== undefined && Date.now() + waitMs > context.deadlineEpochMs) {
+      // The sleep outlives the drive budget: spend what is left and leave the effect pending.
+      await delay(Math.max(0, context.deadlineEpochMs - Date.now()));
+      return undefined;
+    }
+    await delay(waitMs);
+  }
+  return { status: "ok", value: null, finishedAt: new Date().toISOString() };
+};
+
+function delay(ms: number) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export const autoApproveBreakpointHandler: EffectHandler = () => ({
+  status: "ok",
+  value: { approved: true, approvedBy: "run:drive" },
+});
+
+/**
+ * Loads handlers from a config module. The module may export `registerEffectHandlers(registry)`
+ * (sync or async), or an object of kind -> handler as `handlers` or the default export.
+ */
+export async function loadEffectHandlerModule(registry: EffectHandlerRegistry, modulePath: string): Promise<void> {
+  const resolvedPath = path.resolve(modulePath);
+  let mod: ModuleExports;
+  try {
+    mod = await dynamicImportModule(pathToFileURL(resolvedPath).href);
+  } catch (error) {
+    throw new RunFailedError(`Failed to load effect handler module at ${resolvedPath}`, {
+      error: serializeUnknownError(error),
+    });
+  }
+
+  const register = mod.registerEffectHandlers ?? (mod.default as ModuleExports | undefined)?.registerEffectHandlers;
+  if (typeof register === "function") {
+    await Promise.resolve((register as (registry: EffectHandlerRegistry) => unknown)(registry));
+  } else {
+    const table = mod.handlers ?? mod.default;
+    if (!table || typeof table !== "object") {
+      throw new RunFailedError(
+        `Effect handler module ${resolvedPath} must export registerEffectHandlers() or a kind -> handler map`
+      );
+    }
+    for (const [kind, handler] of Object.entries(table as Record<string, unknown>)) {
+      registry.register(kind, handler as EffectHandler);
+    }
+  }
+}
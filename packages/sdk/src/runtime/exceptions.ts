@@ -80,6 +80,70 @@ export class InvalidSleepTargetError extends BabysitterRuntimeError {
   }
 }
 
+export class InvalidRetryPolicyError extends BabysitterRuntimeError {
+  constructor(reason: string) {
+    super("InvalidRetryPolicyError", reason);
+  }
+}
+
+export class InvalidSubprocessRefError extends BabysitterRuntimeError {
+  constructor(reason: string) {
+    super("InvalidSubprocessRefError", reason);
+  }
+}
+
+export class InvalidParallelOptionsError extends BabysitterRuntimeError {
+  constructor(reason: string) {
+    super("InvalidParallelOptionsError", reason);
+  }
+}
+
+export class InvalidSignalNameError extends BabysitterRuntimeError {
+  constructor(value: unknown) {
+    super("InvalidSignalNameError", `Signal names must be non-empty strings (got ${String(value)})`);
+  }
+}
+
+export class InvalidPatchIdError extends BabysitterRuntimeError {
+  constructor(value: unknown) {
+    super("InvalidPatchIdError", `ctx.patched requires a non-empty change id (got ${String(value)})`);
+  }
+}
+
+/**
+ * Thrown before replay when the entrypoint no longer matches the run's process snapshot. Resolve it
+ * with `run:migrate --use snapshot|current`.
+ */
+export class ProcessDriftError extends BabysitterRuntimeError {
+  constructor(message: string, details?: BabysitterErrorDetails) {
+    super("ProcessDriftError", message, details);
+  }
+}
+
+export interface HookDenial {
+  hookType: string;
+  reason?: string;
+  deniedBy?: string;
+}
+
+/**
+ * A hook answered `{"verdict":"deny"}`. When an on-step-dispatch hook denies a ctx.task call, this is
+ * journaled as the effect's error, so replay throws it again without asking the hooks twice; gating
+ * ctx.hook calls (`throwOnDeny`) journal their verdict in HOOK_EXECUTED for the same reason.
+ */
+export class HookDeniedError extends BabysitterRuntimeError {
+  readonly data: HookDenial;
+
+  constructor(denial: HookDenial) {
+    super("HookDeniedError", formatHookDenial(denial), { ...denial });
+    this.data = denial;
+  }
+}
+
+function formatHookDenial({ hookType, reason, deniedBy }: HookDenial): string {
+  return `${hookType} hook${deniedBy ? ` ${deniedBy}` : ""} denied the request${reason ? `: ${reason}` : ""}`;
+}
+
 export function isIntrinsicError(error: unknown): error is BabysitterIntrinsicError {
   return Boolean(error && typeof error === "object" && (error as BabysitterIntrinsicError).isIntrinsic);
 }
@@ -89,6 +153,13 @@ type ErrorWithData = Error & { data?: unknown };
 export function rehydrateSerializedError(data?: SerializedEffectError): Error {
   const name = data?.name ?? "TaskError";
   const message = data?.message ?? "Task failed";
+  const denial = data?.data as HookDenial | undefined;
+  if (name === "HookDeniedError" && typeof denial?.hookType === "string") {
+    const denied = new HookDeniedError(denial);
+    denied.message = message;
+    if (data?.stack) denied.stack = data.stack;
+    return denied;
+  }
   const err = new Error(message);
   err.name = name;
   if (data?.stack) {
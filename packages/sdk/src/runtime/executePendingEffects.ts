@@ -0,0 +1,450 @@
+import { spawn } from "child_process";
+import { promises as fs } from "fs";
+import path from "path";
+import { writeFileAtomic } from "../storage/atomic";
+import { isEncryptedDocument, isEncryptedRef } from "../storage/encryption";
+import { readRunMetadata } from "../storage/runFiles";
+import { readTaskDefinition } from "../storage/tasks";
+import { getRunStore, toDocumentRef } from "../storage/runStore";
+import { commitEffectResult } from "./commitEffectResult";
+import { emitRuntimeMetric } from "./instrumentation";
+import { buildEffectIndex } from "./replay/effectIndex";
+import { EffectRecord, ProcessLogger, SerializedEffectError } from "./types";
+import { RunFailedError } from "./exceptions";
+import { toSerializedEffectError } from "./errorUtils";
+import type { TaskDef } from "../tasks/types";
+
+const DEFAULT_NODE_TIMEOUT_MS = 15 * 60 * 1000;
+const KILL_GRACE_PERIOD_MS = 5000;
+
+export interface ExecutePendingEffectsOptions {
+  runDir: string;
+  /**
+   * Restrict execution to these effect ids (default: every pending node effect).
+   */
+  effectIds?: string[];
+  /**
+   * Maximum number of effects to execute in this call.
+   */
+  limit?: number;
+  /**
+   * Number of node processes allowed to run at the same time (default: 1).
+   */
+  concurrency?: number;
+  /**
+   * Describe the effects that would run without spawning or committing anything.
+   */
+  dryRun?: boolean;
+  /**
+   * Base environment for spawned tasks (default: process.env).
+   */
+  env?: NodeJS.ProcessEnv;
+  logger?: ProcessLogger;
+}
+
+export interface ExecuteNodeEffectOptions {
+  runDir: string;
+  effectId: string;
+  invocationKey?: string;
+  env?: NodeJS.ProcessEnv;
+  logger?: ProcessLogger;
+}
+
+export interface ExecutedEffectSummary {
+  effectId: string;
+  taskId?: string;
+  kind: string;
+  label?: string;
+  status: "ok" | "error" | "planned";
+  exitCode?: number | null;
+  signal?: string | null;
+  timedOut?: boolean;
+  durationMs?: number;
+  resultRef?: string;
+  stdoutRef?: string;
+  stderrRef?: string;
+  error?: SerializedEffectError;
+}
+
+export interface SkippedEffectSummary {
+  effectId: string;
+  kind: string;
+  /**
+   * `already_resolved`: the effect was resolved elsewhere (typically EFFECT_TIMED_OUT) before or
+   * while it ran, so its result was not committed.
+   */
+  reason: "unsupported_kind" | "limit_reached" | "already_resolved";
+}
+
+export interface ExecutePendingEffectsResult {
+  runDir: string;
+  executed: ExecutedEffectSummary[];
+  skipped: SkippedEffectSummary[];
+}
+
+interface NodeProcessOutcome {
+  exitCode: number | null;
+  signal: NodeJS.Signals | null;
+  timedOut: boolean;
+  spawnError?: Error;
+}
+
+/**
+ * Runs pending `node` effects locally and commits their results through commitEffectResult.
+ * Mirrors the contract of the native-orchestrator hook: inputs are staged at io.inputJsonPath,
+ * the task writes its value to io.outputJsonPath, and stdout/stderr are captured to the io log paths.
+ */
+export async function executePendingEffects(options: ExecutePendingEffectsOptions): Promise<ExecutePendingEffectsResult> {
+  const effectIndex = await buildEffectIndex({ runDir: options.runDir });
+  const requested = options.effectIds ? new Set(options.effectIds) : undefined;
+  const pending = effectIndex
+    .listPendingEffects()
+    .filter((record) => !requested || requested.has(record.effectId));
+
+  if (requested) {
+    for (const effectId of requested) {
+      if (!pending.some((record) => record.effectId === effectId)) {
+        throw new RunFailedError(`Effect ${effectId} is not pending`, { effectId });
+      }
+    }
+  }
+
+  const skipped: SkippedEffectSummary[] = [];
+  const runnable: EffectRecord[] = [];
+  for (const record of pending) {
+    const kind = record.kind ?? "unknown";
+    if (kind !== "node") {
+      skipped.push({ effectId: record.effectId, kind, reason: "unsupported_kind" });
+      continue;
+    }
+    if (options.limit !== undefined && runnable.length >= options.limit) {
+      skipped.push({ effectId: record.effectId, kind, reason: "limit_reached" });
+      continue;
+    }
+    runnable.push(record);
+  }
+
+  if (options.dryRun) {
+    return {
+      runDir: options.runDir,
+      executed: runnable.map((record) => ({
+        effectId: record.effectId,
+        taskId: record.taskId,
+        kind: record.kind ?? "node",
+        label: record.label,
+        status: "planned",
+      })),
+      skipped,
+    };
+  }
+
+  const concurrency = Math.max(1, Math.floor(options.concurrency ?? 1));
+  const outcomes = new Array<ExecutedEffectSummary | SkippedEffectSummary>(runnable.length);
+  let cursor = 0;
+  const worker = async () => {
+    while (cursor < runnable.length) {
+      const index = cursor;
+      cursor += 1;
+      const record = runnable[index];
+      try {
+        outcomes[index] = await executeNodeEffect({
+          runDir: options.runDir,
+          effectId: record.effectId,
+          invocationKey: record.invocationKey,
+          env: options.env,
+          logger: options.logger,
+        });
+      } catch (error) {
+        // Keep going: one effect that cannot run must not drop the summaries of the others.
+        outcomes[index] = {
+          effectId: record.effectId,
+          taskId: record.taskId,
+          kind: record.kind ?? "node",
+          label: record.label,
+          status: "error",
+          error: toSerializedEffectError(error),
+        };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, runnable.length) }, () => worker()));
+
+  const executed: ExecutedEffectSummary[] = [];
+  for (const outcome of outcomes) {
+    if ("reason" in outcome) skipped.push(outcome);
+    else executed.push(outcome);
+  }
+  return { runDir: options.runDir, executed, skipped };
+}
+
+/**
+ * Spawns a single `node` effect and commits its outcome. Non-zero exits, timeouts, and
+ * unreadable output are committed as error results rather than thrown. An effect that is resolved
+ * before the result can be committed (e.g. it passed its deadline) is reported as skipped.
+ */
+export async function executeNodeEffect(
+  options: ExecuteNodeEffectOptions
+): Promise<ExecutedEffectSummary | SkippedEffectSummary> {
+  const { runDir, effectId } = options;
+  if (await isEffectResolved(runDir, effectId)) {
+    return { effectId, kind: "node", reason: "already_resolved" };
+  }
+  // Read the serialized definition rather than EffectAction.taskDef: only task.json carries inputs/inputsRef.
+  const taskDef = (await readTaskDefinition(runDir, effectId)) as TaskDef | undefined;
+  if (!taskDef) {
+    throw new RunFailedError(`Task definition missing for effect ${effectId}`, { effectId });
+  }
+  if (taskDef.kind !== "node" || !taskDef.node?.entry) {
+    throw new RunFailedError(`Effect ${effectId} is not a node task with an entry`, { effectId, kind: taskDef.kind });
+  }
+
+  const io = resolveIoRefs(effectId, taskDef);
+  const absolute = {
+    input: resolveRunPath(runDir, io.inputJsonPath),
+    output: resolveRunPath(runDir, io.outputJsonPath),
+    stdout: resolveRunPath(runDir, io.stdoutPath),
+    stderr: resolveRunPath(runDir, io.stderrPath),
+  };
+  await Promise.all(Object.values(absolute).map((filePath) => fs.mkdir(path.dirname(filePath), { recursive: true })));
+  await stageInputs(runDir, taskDef, absolute.input);
+  await fs.rm(absolute.output, { force: true });
+
+  const timeoutMs = taskDef.node.timeoutMs ?? DEFAULT_NODE_TIMEOUT_MS;
+  const startedAt = new Date();
+  const outcome = await spawnNodeProcess({
+    entry: resolveRunPath(runDir, taskDef.node.entry),
+    args: taskDef.node.args ?? [],
+    cwd: taskDef.node.cwd ? resolveRunPath(runDir, taskDef.node.cwd) : runDir,
+    env: {
+      ...(options.env ?? process.env),
+      ...(taskDef.node.env ?? {}),
+      BABYSITTER_INPUT_JSON: absolute.input,
+      BABYSITTER_OUTPUT_JSON: absolute.output,
+      BABYSITTER_STDOUT_PATH: absolute.stdout,
+      BABYSITTER_STDERR_PATH: absolute.stderr,
+      BABYSITTER_EFFECT_ID: effectId,
+    },
+    stdoutPath: absolute.stdout,
+    stderrPath: absolute.stderr,
+    timeoutMs,
+  });
+  const finishedAt = new Date();
+
+  let value: unknown;
+  let error: SerializedEffectError | undefined = describeFailure(effectId, outcome, timeoutMs);
+  if (!error) {
+    try {
+      value = await readOutputValue(absolute.output);
+    } catch (readError) {
+      error = {
+        name: "Error",
+        message: "Node task wrote invalid JSON output",
+        data: {
+          effectId,
+          outputJsonPath: io.outputJsonPath,
+          reason: readError instanceof Error ? readError.message : String(readError),
+        },
+      };
+    }
+  }
+
+  const metadata = {
+    exitCode: outcome.exitCode,
+    signal: outcome.signal,
+    timedOut: outcome.timedOut,
+  };
+  let committed: Awaited<ReturnType<typeof commitEffectResult>>;
+  try {
+    committed = await commitEffectResult({
+      runDir,
+      effectId,
+      invocationKey: options.invocationKey,
+      logger: options.logger,
+      result: {
+        ...(error ? { status: "error" as const, error } : { status: "ok" as const, value }),
+        stdoutRef: io.stdoutPath,
+        stderrRef: io.stderrPath,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        metadata,
+      },
+    });
+  } catch (commitError) {
+    // The effect timed out (or was committed by someone else) while the task ran.
+    if (await isEffectResolved(runDir, effectId)) {
+      return { effectId, kind: taskDef.kind, reason: "already_resolved" };
+    }
+    throw commitError;
+  }
+  await sealStagedFiles(runDir, [io.inputJsonPath, io.stdoutPath, io.stderrPath]);
+
+  const summary: ExecutedEffectSummary = {
+    effectId,
+    taskId: typeof taskDef.taskId === "string" ? taskDef.taskId : undefined,
+    kind: taskDef.kind,
+    label: taskDef.title,
+    status: error ? "error" : "ok",
+    exitCode: outcome.exitCode,
+    signal: outcome.signal,
+    timedOut: outcome.timedOut,
+    durationMs: finishedAt.getTime() - startedAt.getTime(),
+    resultRef: committed.resultRef,
+    stdoutRef: committed.stdoutRef,
+    stderrRef: committed.stderrRef,
+    error,
+  };
+  emitRuntimeMetric(options.logger, "executor.effect", {
+    runDir,
+    effectId,
+    status: summary.status,
+    exitCode: summary.exitCode,
+    timedOut: summary.timedOut,
+    durationMs: summary.durationMs,
+  });
+  return summary;
+}
+
+async function isEffectResolved(runDir: string, effectId: string): Promise<boolean> {
+  const record = (await buildEffectIndex({ runDir })).getByEffectId(effectId);
+  return record !== undefined && record.status !== "requested";
+}
+
+function resolveIoRefs(effectId: string, taskDef: TaskDef) {
+  const taskPrefix = `tasks/${effectId}`;
+  return {
+    inputJsonPath: taskDef.io?.inputJsonPath ?? `${taskPrefix}/inputs.json`,
+    outputJsonPath: taskDef.io?.outputJsonPath ?? `${taskPrefix}/result.json`,
+    stdoutPath: taskDef.io?.stdoutPath ?? `${taskPrefix}/stdout.log`,
+    stderrPath: taskDef.io?.stderrPath ?? `${taskPrefix}/stderr.log`,
+  };
+}
+
+function resolveRunPath(runDir: string, candidate: string) {
+  if (path.isAbsolute(candidate) || /^[A-Za-z]:[\\/]/.test(candidate)) {
+    return candidate;
+  }
+  return path.join(runDir, candidate);
+}
+
+async function stageInputs(runDir: string, taskDef: TaskDef, inputPath: string) {
+  const inputsRef = typeof taskDef.inputsRef === "string" ? taskDef.inputsRef : undefined;
+  if (inputsRef) {
+    const source = resolveRunPath(runDir, inputsRef);
+    if (path.resolve(source) !== path.resolve(inputPath)) {
+      // Read through the run store: with a non-filesystem store the inputs blob only exists there.
+      const contents = await getRunStore(runDir).readDocument(toDocumentRef(runDir, inputsRef));
+      if (!contents) {
+        throw new RunFailedError(`Task inputs ${inputsRef} are missing`, { inputsRef });
+      }
+      await writeFileAtomic(inputPath, contents);
+    }
+    return;
+  }
+  await writeFileAtomic(inputPath, JSON.stringify(taskDef.inputs ?? {}) + "\n");
+}
+
+/**
+ * The child exchanges plaintext files with us; once the result is committed, encrypted runs store
+ * the staged inputs and captured logs again through the run store so they are encrypted at rest.
+ */
+async function sealStagedFiles(runDir: string, refs: string[]) {
+  if (!(await readRunMetadata(runDir)).encryption) return;
+  for (const ref of refs) {
+    if (path.isAbsolute(ref) || !isEncryptedRef(ref)) continue;
+    let contents: Buffer;
+    try {
+      contents = await fs.readFile(resolveRunPath(runDir, ref));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") continue;
+      throw error;
+    }
+    if (!isEncryptedDocument(contents)) await getRunStore(runDir).writeDocument(toDocumentRef(runDir, ref), contents);
+  }
+}
+
+async function readOutputValue(outputPath: string): Promise<unknown> {
+  let raw: string;
+  try {
+    raw = await fs.readFile(outputPath, "utf8");
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+  const trimmed = raw.trim();
+  // Commit null rather than undefined so replay can tell "no output" apart from a missing result.
+  return trimmed.length ? (JSON.parse(trimmed) as unknown) : null;
+}
+
+function describeFailure(
+  effectId: string,
+  outcome: NodeProcessOutcome,
+  timeoutMs: number
+): SerializedEffectError | undefined {
+  if (outcome.spawnError) {
+    return {
+      name: "Error",
+      message: `Failed to spawn node task: ${outcome.spawnError.message}`,
+      data: { effectId },
+    };
+  }
+  if (outcome.timedOut) {
+    return {
+      name: "TimeoutError",
+      message: `Node task exceeded timeoutMs=${timeoutMs}`,
+      data: { effectId, timeoutMs },
+    };
+  }
+  if (outcome.exitCode !== 0) {
+    return {
+      name: "Error",
+      message: "Node task exited non-zero",
+      data: { effectId, exitCode: outcome.exitCode, signal: outcome.signal },
+    };
+  }
+  return undefined;
+}
+
+async function spawnNodeProcess(options: {
+  entry: string;
+  args: string[];
+  cwd: string;
+  env: NodeJS.ProcessEnv;
+  stdoutPath: string;
+  stderrPath: string;
+  timeoutMs: number;
+}): Promise<NodeProcessOutcome> {
+  const stdout = await fs.open(options.stdoutPath, "w");
+  const stderr = await fs.open(options.stderrPath, "w");
+  try {
+    return await new Promise<NodeProcessOutcome>((resolve) => {
+      let timedOut = false;
+      let settled = false;
+      let killTimer: NodeJS.Timeout | undefined;
+      const child = spawn(process.execPath, [options.entry, ...options.args], {
+        cwd: options.cwd,
+        env: options.env,
+        stdio: ["ignore", stdout.fd, stderr.fd],
+        windowsHide: true,
+      });
+      const timeoutTimer = setTimeout(() => {
+        timedOut = true;
+        child.kill("SIGTERM");
+        killTimer = setTimeout(() => child.kill("SIGKILL"), KILL_GRACE_PERIOD_MS);
+      }, options.timeoutMs);
+      const finish = (outcome: NodeProcessOutcome) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutTimer);
+        if (killTimer) clearTimeout(killTimer);
+        resolve(outcome);
+      };
+      child.once("error", (error) => finish({ exitCode: null, signal: null, timedOut, spawnError: error }));
+      child.once("close", (exitCode, signal) => finish({ exitCode, signal, timedOut }));
+    });
+  } finally {
+    await stdout.close();
+    await stderr.close();
+  }
+}
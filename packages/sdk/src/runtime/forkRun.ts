@@ -0,0 +1,332 @@
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+import { getClockIsoString } from "../storage/clock";
+import { createRunDir } from "../storage/createRunDir";
+import { appendEvent, loadJournal } from "../storage/journal";
+import { readJournalIndex } from "../storage/journalSegments";
+import { INPUTS_FILE, PROCESS_DIR, RUN_METADATA_FILE, TASKS_DIR, getJournalDir } from "../storage/paths";
+import { readRunMetadata, writeRunMetadata } from "../storage/runFiles";
+import { getRunStore, toDocumentRef } from "../storage/runStore";
+import { JournalEvent, JsonRecord, RunForkOrigin, RunMetadata } from "../storage/types";
+import { nextUlid } from "../storage/ulids";
+import { RunFailedError } from "./exceptions";
+import { emitRuntimeMetric } from "./instrumentation";
+import { SUBRUN_TASK_ID } from "./intrinsics/subprocess";
+import { EffectIndex } from "./replay/effectIndex";
+import { rebuildStateCache } from "./replay/stateCache";
+import { resolveSubrunDir } from "./subruns";
+import { EffectRecord, ProcessLogger, SubrunLink } from "./types";
+
+export interface ForkRunOptions {
+  runDir: string;
+  /**
+   * Last journal event copied into the fork.
+   */
+  atSeq: number;
+  runId?: string;
+  /**
+   * Where the fork is created (default: next to the source run).
+   */
+  runsDir?: string;
+  /**
+   * Replacement inputs; the source run's inputs are copied when omitted.
+   */
+  inputs?: unknown;
+  dryRun?: boolean;
+  logger?: ProcessLogger;
+}
+
+export interface ForkRunResult {
+  runId: string;
+  runDir: string;
+  fromRunId: string;
+  atSeq: number;
+  /**
+   * Journal events copied from the source run (RUN_FORKED is appended after them).
+   */
+  events: number;
+  /**
+   * Task documents, logs and blobs copied for the effects in the copied events.
+   */
+  refs: number;
+  dryRun: boolean;
+}
+
+/**
+ * Task documents written when an effect resolves. They are left out for effects still pending
+ * at the fork point, which run again in the fork.
+ */
+const RESOLUTION_DOCUMENTS = ["result.json", "stdout.log", "stderr.log", "artifacts.json"];
+
+interface ParentRunLink {
+  runId: string;
+  runDir: string;
+  stepId: string;
+}
+
+/**
+ * Starts a new run from the journal of an existing one up to `atSeq`: the events are copied
+ * verbatim (checksums and chain links stay valid), together with the task directories of the
+ * copied effects and the process snapshot. The fork records `forkedFrom` in run.json, appends
+ * RUN_FORKED and gets a fresh state cache, so the next iteration continues from that point.
+ * Effects still pending at `atSeq` keep their timeout: RUN_FORKED moves their deadlines to the
+ * same distance from the fork as they had from their request. Child runs of pending subprocess
+ * effects are forked too, as they were when the source recorded event `atSeq`, and RUN_FORKED
+ * points those effects at the forked children.
+ */
+export async function forkRun(options: ForkRunOptions): Promise<ForkRunResult> {
+  return await forkRunWithParent(options);
+}
+
+async function forkRunWithParent(options: ForkRunOptions, parentRun?: ParentRunLink): Promise<ForkRunResult> {
+  const sourceDir = path.resolve(options.runDir);
+  const sourceStore = getRunStore(sourceDir);
+  const source = await readRunMetadata(sourceDir);
+  const journal = await loadJournal(sourceDir);
+  const lastSeq = journal.length ? journal[journal.length - 1].seq : 0;
+  if (!Number.isInteger(options.atSeq) || options.atSeq < 1 || options.atSeq > lastSeq) {
+    throw new RunFailedError(`Cannot fork run ${source.runId} at seq ${options.atSeq} (journal has seq 1-${lastSeq})`, {
+      runDir: sourceDir,
+    });
+  }
+  const prefix = journal.filter((event) => event.seq <= options.atSeq);
+  const effects = (await EffectIndex.build({ runDir: sourceDir, events: prefix })).listEffects();
+  const pending = effects.filter((record) => record.status === "requested");
+  const inputsChanged = options.inputs !== undefined;
+  const refs = new Set<string>();
+  for (const event of prefix) {
+    for (const ref of listEventRefs(event)) {
+      if (ref === INPUTS_FILE && inputsChanged) continue;
+      refs.add(toDocumentRef(sourceDir, ref));
+    }
+  }
+  // Blobs from createBlobRef, artifacts and node task files live next to task.json.
+  for (const record of effects) {
+    const taskDir = `${TASKS_DIR}/${record.effectId}`;
+    for (const ref of await sourceStore.listDocuments(taskDir)) {
+      const name = ref.slice(taskDir.length + 1);
+      if (record.status === "requested" && (RESOLUTION_DOCUMENTS.includes(name) || name.startsWith("artifacts/"))) continue;
+      refs.add(ref);
+    }
+  }
+  // Results larger than the inline limit spill into a blob referenced from result.json, and
+  // large artifacts into blobs listed in artifacts.json.
+  for (const ref of Array.from(refs)) {
+    if (ref.endsWith("/result.json")) {
+      const spilled = parseJson(await sourceStore.readDocument(ref))?.resultRef;
+      if (typeof spilled === "string") refs.add(toDocumentRef(sourceDir, spilled));
+    } else if (ref.endsWith("/artifacts.json")) {
+      for (const storedAt of listArtifactRefs(await sourceStore.readDocument(ref))) {
+        refs.add(toDocumentRef(sourceDir, storedAt));
+      }
+    }
+  }
+
+  const runId = options.runId ?? nextUlid();
+  const runsDir = path.resolve(options.runsDir ?? path.dirname(sourceDir));
+  const runDir = path.join(runsDir, runId);
+  const result: ForkRunResult = {
+    runId,
+    runDir,
+    fromRunId: source.runId,
+    atSeq: options.atSeq,
+    events: prefix.length,
+    refs: refs.size,
+    dryRun: options.dryRun === true,
+  };
+  if (options.dryRun) return result;
+  if (await pathExists(runDir)) {
+    throw new RunFailedError(`Run ${runId} already exists in ${runsDir}`, { runDir });
+  }
+  const subruns = await forkPendingSubruns({
+    source,
+    sourceDir,
+    pending,
+    forkedAtEvent: prefix[prefix.length - 1],
+    runId,
+    runsDir,
+    logger: options.logger,
+  });
+
+  const segmented = sourceStore.kind === "fs" && (await readJournalIndex(getJournalDir(sourceDir))) !== null;
+  await createRunDir({
+    runsRoot: runsDir,
+    runId,
+    request: source.request,
+    processId: source.processId,
+    store: sourceStore.kind,
+    journalLayout: segmented ? "segments" : undefined,
+    // Copied task documents are re-encrypted with the source's data key as they are written.
+    extraMetadata: source.encryption ? { encryption: source.encryption } : undefined,
+  });
+  const store = getRunStore(runDir);
+  const inputs = inputsChanged
+    ? Buffer.from(JSON.stringify(options.inputs, null, 2) + "\n", "utf8")
+    : await sourceStore.readDocument(INPUTS_FILE);
+  if (inputs) await store.writeDocument(INPUTS_FILE, inputs);
+  for (const ref of refs) {
+    if (ref === INPUTS_FILE || ref === RUN_METADATA_FILE) continue;
+    const contents = await sourceStore.readDocument(ref);
+    if (contents) await store.writeDocument(ref, contents);
+  }
+  await fs.cp(path.join(sourceDir, PROCESS_DIR), path.join(runDir, PROCESS_DIR), { recursive: true }).catch(
+    (error: NodeJS.ErrnoException) => {
+      if (error.code !== "ENOENT") throw error;
+    }
+  );
+
+  const forkedFrom: RunForkOrigin = {
+    runId: source.runId,
+    runDir: sourceDir,
+    seq: options.atSeq,
+    forkedAt: getClockIsoString(),
+    inputsChanged,
+  };
+  const deadlines = rebaseDeadlines(pending, forkedFrom.forkedAt);
+  await writeRunMetadata(runDir, rehomeMetadata(source, { runId, sourceDir, runDir, forkedFrom, parentRun }));
+  for (const entry of (await sourceStore.readJournalEntries()).slice(0, prefix.length)) {
+    // Segment lines carry seq/ulid inline; the filename already holds them.
+    const { seq: _seq, ulid: _ulid, ...payload } = JSON.parse(entry.contents) as JsonRecord;
+    await store.writeJournalEntry(entry.filename, JSON.stringify(payload, null, 2) + "\n");
+  }
+  await appendEvent({
+    runDir,
+    eventType: "RUN_FORKED",
+    event: {
+      fromRunId: source.runId,
+      fromSeq: options.atSeq,
+      inputsChanged,
+      ...(Object.keys(deadlines).length ? { deadlines } : {}),
+      ...(Object.keys(subruns).length ? { subruns } : {}),
+    },
+  });
+  await rebuildStateCache(runDir, { reason: "run_forked" });
+  emitRuntimeMetric(options.logger, "run.forked", {
+    runDir,
+    fromRunId: source.runId,
+    atSeq: options.atSeq,
+    events: prefix.length,
+    refs: refs.size,
+  });
+  return result;
+}
+
+/**
+ * Forks the child run of every pending subprocess effect into `<runId>.<stepId>`, the id the
+ * fork's own ctx.subprocess call uses. Each child is cut at its last event recorded no later
+ * than the parent's fork point. Returns the new links of effects that already recorded one.
+ */
+async function forkPendingSubruns(options: {
+  source: RunMetadata;
+  sourceDir: string;
+  pending: EffectRecord[];
+  forkedAtEvent: JournalEvent;
+  runId: string;
+  runsDir: string;
+  logger?: ProcessLogger;
+}): Promise<Record<string, SubrunLink>> {
+  const links: Record<string, SubrunLink> = {};
+  const cutoffMs = Date.parse(options.forkedAtEvent.recordedAt);
+  for (const record of options.pending) {
+    if (record.taskId !== SUBRUN_TASK_ID) continue;
+    const childDir = record.subrun
+      ? resolveSubrunDir(options.sourceDir, record.subrun)
+      : path.join(path.dirname(options.sourceDir), `${options.source.runId}.${record.stepId}`);
+    const childJournal = (await pathExists(childDir)) ? await loadJournal(childDir) : [];
+    if (!childJournal.length) {
+      throw new RunFailedError(
+        `Cannot fork run ${options.source.runId}: child run ${path.basename(childDir)} of effect ${record.effectId} is missing`,
+        { runDir: options.sourceDir }
+      );
+    }
+    const atSeq = childJournal.filter((event) => Date.parse(event.recordedAt) <= cutoffMs).pop()?.seq ?? 1;
+    const childRunId = `${options.runId}.${record.stepId}`;
+    await forkRunWithParent(
+      { runDir: childDir, atSeq, runId: childRunId, runsDir: options.runsDir, logger: options.logger },
+      { runId: options.runId, runDir: path.posix.join("..", options.runId), stepId: record.stepId }
+    );
+    if (record.subrun) {
+      links[record.effectId] = { ...record.subrun, runId: childRunId, runDir: path.posix.join("..", childRunId) };
+    }
+  }
+  return links;
+}
+
+function rehomeMetadata(
+  source: RunMetadata,
+  target: { runId: string; sourceDir: string; runDir: string; forkedFrom: RunForkOrigin; parentRun?: ParentRunLink }
+): RunMetadata {
+  // Entrypoints are stored relative to the run directory; keep them pointing at the same file.
+  const rebase = (importPath: string) =>
+    path.posix.isAbsolute(importPath) || importPath.startsWith(`${PROCESS_DIR}/`)
+      ? importPath
+      : path.relative(target.runDir, path.resolve(target.sourceDir, importPath)).split(path.sep).join("/");
+  // A fork has its own completion secret, and is a top-level run unless it forks a child run.
+  const { completionSecret: _secret, parentRun: _parentRun, ...rest } = source;
+  return {
+    ...rest,
+    runId: target.runId,
+    completionSecret: crypto.randomBytes(16).toString("hex"),
+    createdAt: getClockIsoString(),
+    entrypoint: { ...source.entrypoint, importPath: rebase(source.entrypoint.importPath) },
+    ...(source.processPath !== undefined ? { processPath: rebase(source.processPath) } : {}),
+    forkedFrom: target.forkedFrom,
+    ...(target.parentRun ? { parentRun: target.parentRun } : {}),
+  };
+}
+
+function rebaseDeadlines(pending: EffectRecord[], forkedAt: string): Record<string, string> {
+  const deadlines: Record<string, string> = {};
+  for (const record of pending) {
+    if (record.deadlineAt === undefined || record.requestedAt === undefined) continue;
+    const timeoutMs = Date.parse(record.deadlineAt) - Date.parse(record.requestedAt);
+    deadlines[record.effectId] = new Date(Date.parse(forkedAt) + Math.max(0, timeoutMs)).toISOString();
+  }
+  return deadlines;
+}
+
+function listEventRefs(event: JournalEvent): string[] {
+  let keys: string[] = [];
+  if (event.type === "RUN_CREATED") {
+    keys = ["inputsRef"];
+  } else if (event.type === "EFFECT_REQUESTED") {
+    keys = ["taskDefRef", "inputsRef"];
+  } else if (event.type === "EFFECT_RESOLVED") {
+    keys = ["resultRef", "stdoutRef", "stderrRef"];
+  }
+  return keys.map((key) => event.data[key]).filter((ref): ref is string => typeof ref === "string" && ref.length > 0);
+}
+
+function listArtifactRefs(contents: Buffer | undefined): string[] {
+  if (!contents) return [];
+  try {
+    const parsed = JSON.parse(contents.toString("utf8")) as unknown;
+    if (!Array.isArray(parsed)) return [];
+    return parsed
+      .map((artifact) => (artifact as { storedAt?: unknown } | null)?.storedAt)
+      .filter((ref): ref is string => typeof ref === "string" && ref.length > 0);
+  } catch {
+    return [];
+  }
+}
+
+function parseJson(contents: Buffer | undefined): JsonRecord | undefined {
+  if (!contents) return undefined;
+  try {
+    const parsed = JSON.parse(contents.toString("utf8")) as unknown;
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? (parsed as JsonRecord) : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+async function pathExists(target: string): Promise<boolean> {
+  try {
+    await fs.stat(target);
+    return true;
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") return false;
+    throw error;
+  }
+}
@@ -0,0 +1,321 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { CollectSharedBlobsResult, collectSharedBlobs } from "../storage/blobStore";
+import { dedupeBlobs, findOrphanedBlobs, getDirectorySize } from "../storage/cleanup";
+import { getClockDate } from "../storage/clock";
+import { loadJournal } from "../storage/journal";
+import { acquireRunLock, detectStaleLock, readRunLock, withRunLock } from "../storage/lock";
+import { RUN_METADATA_FILE, SQLITE_STORE_FILE } from "../storage/paths";
+import { readRunMetadata } from "../storage/runFiles";
+import { releaseRunStore } from "../storage/runStore";
+import { DedupeBlobsResult, JournalEvent, RunMetadata } from "../storage/types";
+
+export interface GcRunsOptions {
+  runsDir: string;
+  /**
+   * Always keep the N most recently created runs.
+   */
+  keepLast?: number;
+  /**
+   * Delete completed and cancelled runs that finished more than D days ago.
+   */
+  olderThanDays?: number;
+  dryRun?: boolean;
+}
+
+export type GcRunStatus = "created" | "waiting" | "completed" | "failed" | "cancelled";
+
+/**
+ * Why a run was kept (`recent`, `failed`, `active`, `locked`, `retained`, `child`) or deleted
+ * (`expired`, `parent_deleted`).
+ */
+export type GcRunReason =
+  | "recent"
+  | "failed"
+  | "active"
+  | "locked"
+  | "retained"
+  | "child"
+  | "expired"
+  | "parent_deleted";
+
+export interface GcRunDecision {
+  runId: string;
+  runDir: string;
+  status: GcRunStatus;
+  createdAt?: string;
+  finishedAt?: string;
+  action: "keep" | "delete";
+  reason: GcRunReason;
+  bytes: number;
+}
+
+export interface GcRunsResult {
+  runsDir: string;
+  dryRun: boolean;
+  runs: GcRunDecision[];
+  deletedRuns: number;
+  orphanedBlobs: Array<{ runId: string; path: string; bytes: number }>;
+  dedupedBlobs: DedupeBlobsResult;
+  /**
+   * Objects reclaimed from the shared blob store (`<runsDir>/.cas`) once no run referenced them.
+   * Their bytes are already part of the deleted runs' `bytes`, so `freedBytes` does not add them.
+   */
+  sharedBlobs: CollectSharedBlobsResult;
+  freedBytes: number;
+}
+
+interface GcCandidate {
+  decision: GcRunDecision;
+  parentRunId?: string;
+  store: "fs" | "sqlite";
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Applies retention rules to every run under `runsDir` and tidies the blobs of the runs it keeps.
+ * Failed and unfinished runs are never deleted, child runs follow their parent, and any run whose
+ * lock is held is skipped entirely. Runs are locked one at a time, only while gc deletes or tidies
+ * them.
+ */
+export async function gcRuns(options: GcRunsOptions): Promise<GcRunsResult> {
+  const runsDir = path.resolve(options.runsDir);
+  const dryRun = options.dryRun === true;
+  const candidates = await listCandidates(runsDir);
+  decide(candidates, options, getClockDate().getTime());
+
+  const result: GcRunsResult = {
+    runsDir,
+    dryRun,
+    runs: candidates.map((candidate) => candidate.decision),
+    deletedRuns: 0,
+    orphanedBlobs: [],
+    dedupedBlobs: { files: 0, bytes: 0 },
+    sharedBlobs: { objects: 0, bytes: 0, staleRefs: 0 },
+    freedBytes: 0,
+  };
+
+  // Each run is locked only while gc changes it, so iterations of other runs are never held up.
+  try {
+    for (const candidate of sortParentsFirst(candidates)) {
+      const { decision } = candidate;
+      if (decision.action !== "delete") continue;
+      const parent = candidates.find((other) => other.decision.runId === candidate.parentRunId);
+      if (parent && parent.decision.action === "keep") {
+        // The parent stays (for instance because it is locked), so its child runs stay too.
+        decision.action = "keep";
+        decision.reason = "child";
+        continue;
+      }
+      if (!(await tryLock(decision.runDir, dryRun))) {
+        decision.action = "keep";
+        decision.reason = "locked";
+        continue;
+      }
+      if (!dryRun) {
+        // The lock goes away with the directory.
+        await releaseRunStore(decision.runDir);
+        await fs.rm(decision.runDir, { recursive: true, force: true });
+      }
+      result.deletedRuns += 1;
+      result.freedBytes += decision.bytes;
+    }
+
+    const kept = candidates.filter((candidate) => candidate.decision.action === "keep" && candidate.store === "fs");
+    result.dedupedBlobs = await dedupeBlobs(
+      kept.map(({ decision }) => decision.runDir),
+      {
+        dryRun,
+        // Orphans are removed and blobs relinked under the run's own lock; runs in use are skipped.
+        withRun: async (runDir, relink) => {
+          const decision = kept.find((candidate) => candidate.decision.runDir === runDir)!.decision;
+          const done = await withGcLock(runDir, dryRun, async () => {
+            for (const blob of await findOrphanedBlobs(runsDir, decision.runId)) {
+              if (!dryRun) await fs.rm(path.join(runDir, blob.path), { force: true });
+              result.orphanedBlobs.push({ runId: decision.runId, path: blob.path, bytes: blob.bytes });
+              result.freedBytes += blob.bytes;
+            }
+            await relink();
+          });
+          if (!done) decision.reason = "locked";
+        },
+      }
+    );
+    result.freedBytes += result.dedupedBlobs.bytes;
+    result.sharedBlobs = await collectSharedBlobs(runsDir, {
+      deletedRuns: candidates
+        .filter(({ decision }) => decision.action === "delete")
+        .map(({ decision }) => path.basename(decision.runDir)),
+      dryRun,
+    });
+  } finally {
+    for (const candidate of candidates) {
+      if (candidate.store === "sqlite") await releaseRunStore(candidate.decision.runDir);
+    }
+  }
+  return result;
+}
+
+async function listCandidates(runsDir: string): Promise<GcCandidate[]> {
+  let entries: string[];
+  try {
+    entries = (await fs.readdir(runsDir, { withFileTypes: true }))
+      .filter((entry) => entry.isDirectory() && !entry.name.startsWith("."))
+      .map((entry) => entry.name)
+      .sort();
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") return [];
+    throw error;
+  }
+  const candidates: GcCandidate[] = [];
+  for (const name of entries) {
+    const runDir = path.join(runsDir, name);
+    const isSqlite = await exists(path.join(runDir, SQLITE_STORE_FILE));
+    if (!isSqlite && !(await exists(path.join(runDir, RUN_METADATA_FILE)))) continue;
+    let metadata: RunMetadata;
+    let events: JournalEvent[];
+    try {
+      metadata = await readRunMetadata(runDir);
+      events = await loadJournal(runDir);
+    } catch {
+      // Unreadable runs are left for run:verify / run:repair-journal rather than deleted.
+      continue;
+    }
+    const { status, finishedAt } = summarizeStatus(events);
+    const parentRun = metadata.parentRun as { runId?: unknown } | undefined;
+    candidates.push({
+      decision: {
+        runId: metadata.runId,
+        runDir,
+        status,
+        createdAt: metadata.createdAt,
+        finishedAt,
+        action: "keep",
+        reason: "retained",
+        bytes: await getDirectorySize(runDir),
+      },
+      parentRunId: typeof parentRun?.runId === "string" ? parentRun.runId : undefined,
+      store: isSqlite ? "sqlite" : "fs",
+    });
+  }
+  return candidates;
+}
+
+function summarizeStatus(events: JournalEvent[]): { status: GcRunStatus; finishedAt?: string } {
+  let status: GcRunStatus = "created";
+  let finishedAt: string | undefined;
+  for (const event of events) {
+    if (event.type === "RUN_COMPLETED") {
+      status = "completed";
+      finishedAt = event.recordedAt;
+    } else if (event.type === "RUN_FAILED") {
+      status = "failed";
+      finishedAt = event.recordedAt;
+    } else if (event.type === "RUN_CANCELLED") {
+      status = "cancelled";
+      finishedAt = event.recordedAt;
+    } else if (event.type === "EFFECT_REQUESTED" && status === "created") {
+      status = "waiting";
+    }
+  }
+  return { status, finishedAt };
+}
+
+function decide(candidates: GcCandidate[], options: GcRunsOptions, nowMs: number) {
+  const retentionRequested = options.keepLast !== undefined || options.olderThanDays !== undefined;
+  const topLevel = candidates
+    .filter((candidate) => !candidate.parentRunId)
+    .sort(
+      (a, b) =>
+        (b.decision.createdAt ?? "").localeCompare(a.decision.createdAt ?? "") ||
+        b.decision.runId.localeCompare(a.decision.runId)
+    );
+  topLevel.forEach((candidate, index) => {
+    const { decision } = candidate;
+    if (options.keepLast !== undefined && index < options.keepLast) {
+      decision.reason = "recent";
+    } else if (decision.status === "failed") {
+      decision.reason = "failed";
+    } else if (decision.status !== "completed" && decision.status !== "cancelled") {
+      decision.reason = "active";
+    } else if (!retentionRequested) {
+      decision.reason = "retained";
+    } else if (
+      options.olderThanDays !== undefined &&
+      (!decision.finishedAt || nowMs - Date.parse(decision.finishedAt) < options.olderThanDays * DAY_MS)
+    ) {
+      decision.reason = "retained";
+    } else {
+      decision.action = "delete";
+      decision.reason = "expired";
+    }
+  });
+  for (const candidate of candidates) {
+    if (!candidate.parentRunId) continue;
+    const parent = candidates.find((other) => other.decision.runId === candidate.parentRunId);
+    if (!parent) {
+      // Orphaned child runs are judged on their own.
+      candidate.parentRunId = undefined;
+      decide([candidate], { ...options, keepLast: undefined }, nowMs);
+      continue;
+    }
+    const deleteWithParent = parent.decision.action === "delete";
+    candidate.decision.action = deleteWithParent ? "delete" : "keep";
+    candidate.decision.reason = deleteWithParent ? "parent_deleted" : "child";
+  }
+}
+
+function sortParentsFirst(candidates: GcCandidate[]): GcCandidate[] {
+  const depth = (candidate: GcCandidate): number => {
+    const parent = candidates.find((other) => other.decision.runId === candidate.parentRunId);
+    return parent && parent !== candidate ? depth(parent) + 1 : 0;
+  };
+  return candidates
+    .map((candidate) => ({ candidate, depth: depth(candidate) }))
+    .sort((a, b) => a.depth - b.depth)
+    .map(({ candidate }) => candidate);
+}
+
+/**
+ * Runs `fn` while holding the run lock (renewed by withRunLock), or reports false without waiting
+ * when another process holds it.
+ */
+async function withGcLock(runDir: string, dryRun: boolean, fn: () => Promise<void>): Promise<boolean> {
+  if (dryRun) {
+    if (!(await tryLock(runDir, true))) return false;
+    await fn();
+    return true;
+  }
+  try {
+    await withRunLock(runDir, "runs:gc", fn, { retries: 0 });
+    return true;
+  } catch (error) {
+    if (error instanceof Error && error.message.startsWith("run.lock already held")) return false;
+    throw error;
+  }
+}
+
+async function tryLock(runDir: string, dryRun: boolean): Promise<boolean> {
+  if (dryRun) {
+    // A real run would break a stale lock, so plan as if it were gone.
+    const lock = await readRunLock(runDir);
+    return lock === null || detectStaleLock(lock) !== null;
+  }
+  try {
+    await acquireRunLock(runDir, "runs:gc");
+    return true;
+  } catch (error) {
+    if (error instanceof Error && error.message.startsWith("run.lock already held")) return false;
+    throw error;
+  }
+}
+
+async function exists(filePath: string) {
+  try {
+    await fs.stat(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * Hook execution journaling
+ *
+ * Records runtime hook calls as HOOK_EXECUTED journal events and summarizes them for run:hooks.
+ * Replay ignores these events, except the verdicts recorded by gating ctx.hook calls.
+ */
+
+import { appendEvent } from "../../storage/journal";
+import { withRunLock } from "../../storage/lock";
+import type { JournalEvent, JsonRecord } from "../../storage/types";
+import type { HookBackend, HookExecutionResult, HookResult, HookType } from "../../hooks/types";
+import type { EffectIndex } from "../replay/effectIndex";
+
+export const HOOK_EXECUTED_EVENT = "HOOK_EXECUTED";
+/**
+ * Characters of stdout, stderr and in-process output kept per event; the tail is kept.
+ */
+export const HOOK_OUTPUT_LIMIT = 4096;
+
+export interface HookExecutionEntry {
+  name: string;
+  location: HookExecutionResult["hookLocation"];
+  backend: HookBackend;
+  status: "success" | "failed";
+  exitCode?: number;
+  error?: string;
+  durationMs?: number;
+  output?: string;
+}
+
+export interface HookExecutedPayload {
+  hookType: HookType;
+  status: "ok" | "failed";
+  error?: string;
+  durationMs?: number;
+  effectId?: string;
+  verdict?: "deny";
+  deniedBy?: string;
+  reason?: string;
+  /**
+   * Set by gating ctx.hook calls (`throwOnDeny`); replay reuses the recorded verdict.
+   */
+  gate?: string;
+  hooks: HookExecutionEntry[];
+  stdout?: string;
+  stderr?: string;
+}
+
+export interface RecordHookExecutionOptions {
+  runDir: string;
+  /**
+   * Set when the caller already holds the run lock; otherwise the lock is taken for the append.
+   */
+  lockHeld?: boolean;
+  /**
+   * Replay effect index to apply the event to, when the process requests effects afterwards.
+   */
+  effectIndex?: EffectIndex;
+}
+
+export interface HookTypeSummary {
+  hookType: HookType;
+  calls: number;
+  failed: number;
+  denied: number;
+  lastStatus: "ok" | "failed";
+  lastRecordedAt: string;
+}
+
+export interface HookScriptSummary {
+  hookType: HookType;
+  name: string;
+  location: HookExecutionEntry["location"];
+  backend: HookExecutionEntry["backend"];
+  runs: number;
+  failures: number;
+  lastError?: string;
+  lastExitCode?: number;
+}
+
+export interface HookFailureSummary {
+  seq: number;
+  recordedAt: string;
+  hookType: HookType;
+  error?: string;
+  failedHooks: HookExecutionEntry[];
+  stderr?: string;
+}
+
+export interface HookExecutionsSummary {
+  invocations: number;
+  failed: number;
+  denied: number;
+  byHookType: HookTypeSummary[];
+  hooks: HookScriptSummary[];
+  failures: HookFailureSummary[];
+}
+
+export function buildHookExecutedPayload(
+  result: HookResult,
+  payload: Record<string, unknown>
+): HookExecutedPayload {
+  const failedHook = result.executedHooks.find((hook) => hook.status === "failed");
+  const event: HookExecutedPayload = {
+    hookType: result.hookType,
+    // hook-dispatcher.sh exits 0 even when one of its hooks failed.
+    status: result.success && !failedHook ? "ok" : "failed",
+    error: result.error ?? (failedHook ? formatFailedHook(failedHook) : undefined),
+    durationMs: result.durationMs,
+    effectId: typeof payload.effectId === "string" ? payload.effectId : undefined,
+    hooks: result.executedHooks.map((hook) => ({
+      name: hook.hookName,
+      location: hook.hookLocation,
+      backend: hook.backend ?? "shell",
+      status: hook.status,
+      exitCode: hook.exitCode,
+      error: hook.error,
+      durationMs: hook.durationMs,
+      output: hook.output === undefined ? undefined : truncateHookText(stringifyOutput(hook.output)),
+    })),
+    stdout: result.stdout ? truncateHookText(result.stdout) : undefined,
+    stderr: result.stderr ? truncateHookText(result.stderr) : undefined,
+  };
+  if (result.decision?.verdict === "deny") {
+    event.verdict = "deny";
+    event.deniedBy = result.decision.deniedBy;
+    event.reason = result.decision.reason;
+  }
+  return event;
+}
+
+/**
+ * Appends HOOK_EXECUTED to the run's journal.
+ */
+export async function recordHookExecution(
+  event: HookExecutedPayload,
+  options: RecordHookExecutionOptions
+): Promise<void> {
+  const data = JSON.parse(JSON.stringify(event)) as JsonRecord;
+  const append = async () => {
+    const appended = await appendEvent({ runDir: options.runDir, eventType: HOOK_EXECUTED_EVENT, event: data });
+    options.effectIndex?.applyEvent({
+      seq: appended.seq,
+      ulid: appended.ulid,
+      filename: appended.filename,
+      path: appended.path,
+      type: HOOK_EXECUTED_EVENT,
+      recordedAt: appended.recordedAt,
+      data,
+      checksum: appended.checksum,
+    });
+  };
+  if (options.lockHeld) {
+    await append();
+    return;
+  }
+  await withRunLock(options.runDir, "runtime:hookExecuted", append);
+}
+
+/**
+ * Aggregates HOOK_EXECUTED events per hook type and per hook, oldest first; failures are listed
+ * in journal order.
+ */
+export function summarizeHookExecutions(events: JournalEvent[]): HookExecutionsSummary {
+  const summary: HookExecutionsSummary = { invocations: 0, failed: 0, denied: 0, byHookType: [], hooks: [], failures: [] };
+  const byType = new Map<string, HookTypeSummary>();
+  const byHook = new Map<string, HookScriptSummary>();
+  for (const event of events) {
+    if (event.type !== HOOK_EXECUTED_EVENT) continue;
+    const data = event.data as unknown as HookExecutedPayload;
+    const failed = data.status === "failed";
+    const denied = data.verdict === "deny";
+    summary.invocations += 1;
+    if (failed) summary.failed += 1;
+    if (denied) summary.denied += 1;
+
+    let typeSummary = byType.get(data.hookType);
+    if (!typeSummary) {
+      typeSummary = { hookType: data.hookType, calls: 0, failed: 0, denied: 0, lastStatus: data.status, lastRecordedAt: "" };
+      byType.set(data.hookType, typeSummary);
+    }
+    typeSummary.calls += 1;
+    if (failed) typeSummary.failed += 1;
+    if (denied) typeSummary.denied += 1;
+    typeSummary.lastStatus = data.status;
+    typeSummary.lastRecordedAt = event.recordedAt;
+
+    for (const hook of data.hooks ?? []) {
+      const key = `${data.hookType}\u0000${hook.location}\u0000${hook.name}`;
+      let hookSummary = byHook.get(key);
+      if (!hookSummary) {
+        hookSummary = {
+          hookType: data.hookType,
+          name: hook.name,
+          location: hook.location,
+          backend: hook.backend,
+          runs: 0,
+          failures: 0,
+        };
+        byHook.set(key, hookSummary);
+      }
+      hookSummary.runs += 1;
+      if (hook.status === "failed") {
+        hookSummary.failures += 1;
+        hookSummary.lastError = hook.error;
+        hookSummary.lastExitCode = hook.exitCode;
+      }
+    }
+
+    if (failed) {
+      summary.failures.push({
+        seq: event.seq,
+        recordedAt: event.recordedAt,
+        hookType: data.hookType,
+        error: data.error,
+        failedHooks: (data.hooks ?? []).filter((hook) => hook.status === "failed"),
+        stderr: data.stderr,
+      });
+    }
+  }
+  summary.byHookType = Array.from(byType.values());
+  summary.hooks = Array.from(byHook.values());
+  return summary;
+}
+
+export function truncateHookText(text: string, limit = HOOK_OUTPUT_LIMIT): string {
+  if (text.length <= limit) return text;
+  return `[truncated ${text.length - limit} chars]...${text.slice(text.length - limit)}`;
+}
+
+function formatFailedHook(hook: HookExecutionResult): string {
+  const detail = hook.error ?? (hook.exitCode !== undefined ? `exit code ${hook.exitCode}` : "failed");
+  return `Hook ${hook.hookName} failed: ${detail}`;
+}
+
+function stringifyOutput(output: unknown): string {
+  if (typeof output === "string") return output;
+  try {
+    return JSON.stringify(output) ?? String(output);
+  } catch {
+    return String(output);
+  }
+}
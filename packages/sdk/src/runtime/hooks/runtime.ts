@@ -5,19 +5,35 @@
  * Hook failures are logged but do not break orchestration.
  */
 
-import { callHook } from "../../hooks/dispatcher";
+import path from "path";
+import { callHook, findHookDispatcherPath } from "../../hooks/dispatcher";
 import type { HookType, HookResult } from "../../hooks/types";
+import type { EffectIndex } from "../replay/effectIndex";
+import { buildHookExecutedPayload, recordHookExecution, type HookExecutedPayload } from "./journal";
 
 export interface RuntimeHookOptions {
   cwd: string;
   timeout?: number;
   logger?: (message: string) => void;
+  /**
+   * Run whose journal records the call as HOOK_EXECUTED. Nothing is recorded when no hook ran.
+   */
+  runDir?: string;
+  /**
+   * Set when the caller already holds the run lock.
+   */
+  lockHeld?: boolean;
+  /**
+   * Replay effect index to keep in sync with the journal, when effects are requested afterwards.
+   */
+  effectIndex?: EffectIndex;
 }
 
 /**
  * Safely call a hook from SDK runtime with error handling.
  *
- * Hook failures are logged but do not throw - orchestration continues.
+ * Hook failures are logged but do not throw - orchestration continues. With `runDir`, every call
+ * that ran a hook (or failed to) is journaled as HOOK_EXECUTED.
  *
  * @param hookType - The type of hook to call
  * @param payload - The hook payload
@@ -44,6 +60,7 @@ export async function callRuntimeHook(
       payload: fullPayload,
       cwd,
       timeout,
+      runsDir: options.runDir ? path.dirname(options.runDir) : undefined,
     });
 
     // Log hook execution if logger provided
@@ -53,6 +70,11 @@ export async function callRuntimeHook(
       );
     }
 
+    // Skip calls that found nothing to run (no hooks and no hook-dispatcher.sh).
+    if (result.executedHooks.length > 0 || (!result.success && findHookDispatcherPath(cwd))) {
+      await journalHookExecution(buildHookExecutedPayload(result, payload), options);
+    }
+
     return result;
   } catch (error) {
     // Hook failures should not break orchestration
@@ -62,6 +84,7 @@ export async function callRuntimeHook(
     if (logger) {
       logger(`[hooks] Hook execution failed for ${hookType}: ${errorMessage}`);
     }
+    await journalHookExecution({ hookType, status: "failed", error: errorMessage, hooks: [] }, options);
 
     // Return a failure result instead of throwing
     return {
@@ -73,6 +96,21 @@ export async function callRuntimeHook(
   }
 }
 
+async function journalHookExecution(event: HookExecutedPayload, options: RuntimeHookOptions) {
+  if (!options.runDir) return;
+  try {
+    await recordHookExecution(event, {
+      runDir: options.runDir,
+      lockHeld: options.lockHeld,
+      effectIndex: options.effectIndex,
+    });
+  } catch (error) {
+    options.logger?.(
+      `[hooks] Unable to journal ${event.hookType}: ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
+}
+
 /**
  * Create a hook payload with automatic timestamp.
  */
@@ -1,6 +1,51 @@
 export { createRun } from "./createRun";
 export { orchestrateIteration } from "./orchestrateIteration";
 export { commitEffectResult } from "./commitEffectResult";
+export { executePendingEffects, executeNodeEffect } from "./executePendingEffects";
+export type {
+  ExecutePendingEffectsOptions,
+  ExecutePendingEffectsResult,
+  ExecuteNodeEffectOptions,
+  ExecutedEffectSummary,
+  SkippedEffectSummary,
+} from "./executePendingEffects";
+export { timeOutOverdueEffects, createEffectTimeoutError } from "./effectDeadlines";
+export type { TimeOutOverdueEffectsOptions, TimedOutEffect } from "./effectDeadlines";
+export { pauseRun, resumeRun, cancelRun } from "./lifecycle";
+export type { RunLifecycleCommandOptions, RunLifecycleCommandResult, RunLifecycleEventType } from "./lifecycle";
+export { listSubrunTree, readSubrunOutcome, settleFinishedSubruns, subrunEffectHandler } from "./subruns";
+export type { SettleFinishedSubrunsOptions, SubrunOutcome, SubrunState, SubrunTreeNode } from "./subruns";
+export { signalRun, settleDeliveredSignals } from "./signals";
+export type { SignalRunOptions, SignalRunResult, SettleDeliveredSignalsOptions } from "./signals";
+export { migrateRunProcess, resolveProcessImportPath, snapshotProcessSource } from "./processSnapshot";
+export type { MigrateRunProcessOptions, MigrateRunProcessResult, ProcessMigrationTarget } from "./processSnapshot";
+export { gcRuns } from "./gcRuns";
+export type { GcRunsOptions, GcRunsResult, GcRunDecision, GcRunReason, GcRunStatus } from "./gcRuns";
+export { verifyRun } from "./verifyRun";
+export type { VerifyRunOptions, VerifyRunResult, RunVerificationIssue, RunVerificationIssueCode } from "./verifyRun";
+export { forkRun } from "./forkRun";
+export type { ForkRunOptions, ForkRunResult } from "./forkRun";
+export { replayToSeq } from "./replayToSeq";
+export type { ReplayToSeqResult, ReplayedEffectResult, ReplayedRunState } from "./replayToSeq";
+export { driveRun } from "./driveRun";
+export type { DriveRunOptions, DriveRunResult, DriveRunStopReason, DrivenEffect } from "./driveRun";
+export {
+  EffectHandlerRegistry,
+  createDefaultEffectHandlers,
+  createNodeEffectHandler,
+  sleepEffectHandler,
+  autoApproveBreakpointHandler,
+  loadEffectHandlerModule,
+} from "./effectHandlers";
+export type {
+  EffectHandler,
+  EffectHandlerContext,
+  EffectHandlerResult,
+  EffectHandlerSuccess,
+  EffectHandlerFailure,
+  EffectHandlerCommitted,
+  DefaultEffectHandlerOptions,
+} from "./effectHandlers";
 export { createReplayEngine } from "./replay";
 export {
   createProcessContext,
@@ -37,5 +82,13 @@ export type {
   DerivedEffectSummary,
 } from "./replay";
 export { hashInvocationKey } from "./invocation";
-export { EffectRequestedError, EffectPendingError, ParallelPendingError, RunFailedError } from "./exceptions";
+export {
+  EffectRequestedError,
+  EffectPendingError,
+  ParallelPendingError,
+  RunFailedError,
+  ProcessDriftError,
+  HookDeniedError,
+} from "./exceptions";
+export type { HookDenial } from "./exceptions";
 export { replaySchemaVersion } from "./constants";
@@ -0,0 +1,112 @@
+import { isIntrinsicError } from "../exceptions";
+import { toSerializedEffectError } from "../errorUtils";
+import { hashInvocationKey } from "../invocation";
+import { CompensationOutcome, DefinedTask, Saga, TaskCompensation } from "../types";
+import { runTaskIntrinsic, TaskIntrinsicContext } from "./task";
+
+export interface CompensationEntry {
+  /**
+   * Step id of the ctx.task call being undone; the compensation effect uses `<stepId>.compensate`.
+   */
+  stepId: string;
+  taskId: string;
+  task: DefinedTask;
+  args: unknown;
+  label?: string;
+}
+
+/**
+ * Records the compensation for a ctx.task call that resolved successfully. The stack is rebuilt on
+ * every replay because each resolved call registers again in the same order.
+ */
+export function registerCompensation(
+  context: TaskIntrinsicContext,
+  stepId: string,
+  compensation: TaskCompensation,
+  args: unknown,
+  result: unknown,
+  scope?: CompensationEntry[]
+) {
+  const entry = createCompensationEntry(stepId, compensation, args, result);
+  context.compensationStack?.push(entry);
+  scope?.push(entry);
+}
+
+function createCompensationEntry(
+  stepId: string,
+  compensation: TaskCompensation,
+  args: unknown,
+  result: unknown
+): CompensationEntry {
+  if (typeof (compensation as DefinedTask).build === "function") {
+    const task = compensation as DefinedTask;
+    return { stepId, taskId: task.id, task, args: { args, result } };
+  }
+  const spec = compensation as Exclude<TaskCompensation, DefinedTask>;
+  return {
+    stepId,
+    taskId: spec.task.id,
+    task: spec.task,
+    args: spec.args !== undefined ? spec.args : { args, result },
+    label: spec.label,
+  };
+}
+
+/**
+ * Requests the compensations newest-first, one at a time, as ordinary task effects. A pending
+ * compensation propagates its intrinsic error so the run waits; a failed one is reported and the
+ * remaining compensations still run.
+ */
+export async function runCompensations(
+  entries: CompensationEntry[],
+  context: TaskIntrinsicContext
+): Promise<CompensationOutcome[]> {
+  const outcomes: CompensationOutcome[] = [];
+  for (const entry of [...entries].reverse()) {
+    const stepId = `${entry.stepId}.compensate`;
+    const lookupEffectId = () =>
+      context.effectIndex.getByInvocation(
+        hashInvocationKey({ processId: context.processId, stepId, taskId: entry.taskId }).key
+      )?.effectId;
+    try {
+      await runTaskIntrinsic({
+        task: entry.task,
+        args: entry.args,
+        invokeOptions: { label: entry.label ?? `compensate:${entry.taskId}` },
+        context,
+        stepId,
+      });
+      outcomes.push({ stepId: entry.stepId, taskId: entry.taskId, effectId: lookupEffectId(), status: "ok" });
+    } catch (error) {
+      if (isIntrinsicError(error)) {
+        throw error;
+      }
+      outcomes.push({
+        stepId: entry.stepId,
+        taskId: entry.taskId,
+        effectId: lookupEffectId(),
+        status: "error",
+        error: toSerializedEffectError(error),
+      });
+    }
+  }
+  const stack = context.compensationStack;
+  if (stack) {
+    const compensated = new Set(entries);
+    stack.splice(0, stack.length, ...stack.filter((entry) => !compensated.has(entry)));
+  }
+  return outcomes;
+}
+
+export function createSaga(context: TaskIntrinsicContext): Saga {
+  const scope: CompensationEntry[] = [];
+  return {
+    task: (task, args, options) =>
+      runTaskIntrinsic({ task, args, invokeOptions: options, context, compensationScope: scope }),
+    rollback: async () => {
+      const outcomes = await runCompensations(scope, context);
+      scope.length = 0;
+      return outcomes;
+    },
+  };
+}
@@ -3,9 +3,12 @@
  * Allows process files to call hooks directly
  */
 
+import path from "path";
 import type { InternalProcessContext } from "../processContext";
 import type { HookResult } from "../../hooks/types";
 import { callHook } from "../../hooks/dispatcher";
+import { HookDeniedError } from "../exceptions";
+import { buildHookExecutedPayload, recordHookExecution } from "../hooks/journal";
 
 export interface HookIntrinsicOptions {
   /**
@@ -22,6 +25,13 @@ export interface HookIntrinsicOptions {
    * Whether to throw on hook failures (defaults to false)
    */
   throwOnFailure?: boolean;
+
+  /**
+   * Whether to throw HookDeniedError when a hook answers `{"verdict":"deny"}` (defaults to false).
+   * Gating calls such as pre-commit and pre-branch use this to block the process. Their verdict is
+   * journaled the first time, and replays reuse it instead of running the hooks again.
+   */
+  throwOnDeny?: boolean;
 }
 
 /**
@@ -48,6 +58,26 @@ export async function runHookIntrinsic(
 
   // Log the hook invocation
   const label = options?.label || `hook:${hookType}`;
+
+  // Gating calls are keyed by their order per hook type, which replay reproduces.
+  let gate: string | undefined;
+  if (options?.throwOnDeny) {
+    const calls = context.hookGateCalls.get(hookType) ?? 0;
+    context.hookGateCalls.set(hookType, calls + 1);
+    gate = `${hookType}#${calls + 1}`;
+    const recorded = context.effectIndex.getHookGateDecision(gate);
+    if (recorded) {
+      context.logger?.(`[${label}] Replaying recorded ${recorded.denial ? "deny" : "allow"} for ${gate}`);
+      if (recorded.denial) throw new HookDeniedError(recorded.denial);
+      return {
+        hookType,
+        success: true,
+        executedHooks: [],
+        decision: { verdict: "allow", payload: fullPayload, patchedBy: [] },
+      };
+    }
+  }
+
   context.logger?.(`[${label}] Calling hook: ${hookType}`);
 
   try {
@@ -55,6 +85,7 @@ export async function runHookIntrinsic(
       hookType,
       payload: fullPayload,
       cwd: context.runDir,
+      runsDir: path.dirname(context.runDir),
       timeout: options?.timeout,
       throwOnFailure: options?.throwOnFailure,
     });
@@ -66,6 +97,15 @@ export async function runHookIntrinsic(
       `[${label}] Hook execution complete: ${successCount}/${hookCount} hooks succeeded`
     );
 
+    if (gate) {
+      await recordHookExecution(
+        { ...buildHookExecutedPayload(result, fullPayload), gate },
+        { runDir: context.runDir, lockHeld: true, effectIndex: context.effectIndex }
+      );
+      if (result.decision?.verdict === "deny") {
+        throw new HookDeniedError({ hookType, reason: result.decision.reason, deniedBy: result.decision.deniedBy });
+      }
+    }
     return result;
   } catch (error) {
     context.logger?.(
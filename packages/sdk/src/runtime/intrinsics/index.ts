@@ -3,4 +3,4 @@ export type { TaskIntrinsicContext } from "./task";
 export { runBreakpointIntrinsic } from "./breakpoint";
 export { runSleepIntrinsic } from "./sleep";
 export { runOrchestratorTaskIntrinsic } from "./orchestratorTask";
-export { runParallelAll, runParallelMap, dedupeEffectActions } from "./parallel";
+export { runParallelAll, runParallelMap, runParallelAllSettled, runParallelRace, dedupeEffectActions } from "./parallel";
@@ -1,44 +1,162 @@
-import { EffectAction } from "../types";
-import { EffectPendingError, EffectRequestedError, ParallelPendingError } from "../exceptions";
+import { EffectAction, EffectSchedulerHints, ParallelOptions } from "../types";
+import { appendEvent } from "../../storage/journal";
+import { JournalEvent } from "../../storage/types";
+import {
+  EffectPendingError,
+  EffectRequestedError,
+  InvalidParallelOptionsError,
+  ParallelPendingError,
+  RunFailedError,
+} from "../exceptions";
 import { buildParallelBatch } from "../../tasks/batching";
+import { TaskIntrinsicContext } from "./task";
 
-export async function runParallelAll<T>(thunks: Array<() => T | Promise<T>>): Promise<T[]> {
-  const results: T[] = [];
-  const pending: EffectAction[] = [];
+type Thunk<T> = () => T | Promise<T>;
 
-  for (const thunk of thunks) {
-    try {
-      const value = await thunk();
-      results.push(value);
-    } catch (error) {
-      const actions = collectPendingActions(error);
-      if (actions.length) {
-        pending.push(...actions);
-        continue;
-      }
-      throw error;
-    }
-  }
+interface WindowEvaluation<T> {
+  outcomes: Array<PromiseSettledResult<T> | undefined>;
+  pending: EffectAction[];
+  hints?: EffectSchedulerHints;
+}
+
+export async function runParallelAll<T>(thunks: Array<Thunk<T>>, options?: ParallelOptions): Promise<T[]> {
+  const failFast = options?.failFast ?? true;
+  const { outcomes, pending, hints } = await evaluateWindow(thunks, options?.concurrency, failFast);
 
   if (pending.length) {
-    throw new ParallelPendingError(buildParallelBatch(pending));
+    throw new ParallelPendingError(buildParallelBatch(pending, hints));
   }
 
-  return results;
+  const rejected = outcomes.find((outcome) => outcome?.status === "rejected");
+  if (rejected?.status === "rejected") {
+    throw rejected.reason;
+  }
+  return outcomes.map((outcome) => (outcome as PromiseFulfilledResult<T>).value);
 }
 
 export async function runParallelMap<TItem, TOut>(
   items: TItem[],
-  fn: (item: TItem) => TOut | Promise<TOut>
+  fn: (item: TItem) => TOut | Promise<TOut>,
+  options?: ParallelOptions
 ): Promise<TOut[]> {
   const thunks = items.map((item) => () => fn(item));
-  return runParallelAll(thunks);
+  return runParallelAll(thunks, options);
+}
+
+/**
+ * Like Promise.allSettled: waits for every thunk and reports failures instead of throwing them.
+ */
+export async function runParallelAllSettled<T>(
+  thunks: Array<Thunk<T>>,
+  options?: Pick<ParallelOptions, "concurrency">
+): Promise<Array<PromiseSettledResult<T>>> {
+  const { outcomes, pending, hints } = await evaluateWindow(thunks, options?.concurrency, false);
+  if (pending.length) {
+    throw new ParallelPendingError(buildParallelBatch(pending, hints));
+  }
+  return outcomes as Array<PromiseSettledResult<T>>;
+}
+
+/**
+ * Settles with the first thunk (in array order) found settled during replay and journals the winner
+ * in RACE_SETTLED, so later replays pick the same branch even after the other branches finish.
+ * Effects requested by losing branches are left as they are.
+ */
+export async function runParallelRace<T>(thunks: Array<Thunk<T>>, context: TaskIntrinsicContext): Promise<T> {
+  if (!thunks.length) {
+    throw new InvalidParallelOptionsError("ctx.parallel.race requires at least one thunk");
+  }
+  const stepId = context.replayCursor.nextStepId();
+  const { outcomes, pending } = await evaluateWindow(thunks, undefined, false);
+
+  let winner = context.effectIndex.getRaceWinner(stepId);
+  if (winner === undefined) {
+    const settledAt = outcomes.findIndex((outcome) => outcome !== undefined);
+    if (settledAt === -1) {
+      throw new ParallelPendingError(buildParallelBatch(pending));
+    }
+    winner = settledAt;
+    await recordRaceWinner(stepId, winner, context);
+  }
+
+  const outcome = outcomes[winner];
+  if (!outcome) {
+    throw new RunFailedError(`Race ${stepId} winner #${winner} is no longer settled during replay`, { stepId });
+  }
+  if (outcome.status === "rejected") {
+    throw outcome.reason;
+  }
+  return outcome.value;
 }
 
 export function dedupeEffectActions(actions: EffectAction[]): EffectAction[] {
   return buildParallelBatch(actions).actions;
 }
 
+/**
+ * Runs thunks in order. With a concurrency limit, once `concurrency` thunks are waiting on effects
+ * the remaining thunks are not started, so their effects are not requested yet. The number of
+ * waiting thunks before any position only shrinks between iterations, so a started thunk stays
+ * started and step ids remain stable.
+ */
+async function evaluateWindow<T>(
+  thunks: Array<Thunk<T>>,
+  concurrency: number | undefined,
+  failFast: boolean
+): Promise<WindowEvaluation<T>> {
+  if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+    throw new InvalidParallelOptionsError("parallel concurrency must be a positive integer");
+  }
+  const outcomes = thunks.map((): PromiseSettledResult<T> | undefined => undefined);
+  const pending: EffectAction[] = [];
+  let waiting = 0;
+  let deferredCount = 0;
+
+  for (let i = 0; i < thunks.length; i += 1) {
+    if (concurrency !== undefined && waiting >= concurrency) {
+      deferredCount = thunks.length - i;
+      break;
+    }
+    try {
+      outcomes[i] = { status: "fulfilled", value: await thunks[i]() };
+    } catch (error) {
+      const actions = collectPendingActions(error);
+      if (actions.length) {
+        pending.push(...actions);
+        waiting += 1;
+        continue;
+      }
+      if (failFast) {
+        throw error;
+      }
+      outcomes[i] = { status: "rejected", reason: error };
+    }
+  }
+
+  const hints = concurrency !== undefined ? { concurrencyLimit: concurrency, deferredCount } : undefined;
+  return { outcomes, pending, hints };
+}
+
+async function recordRaceWinner(stepId: string, winner: number, context: TaskIntrinsicContext) {
+  const payload = { stepId, winner };
+  const appendResult = await appendEvent({
+    runDir: context.runDir,
+    eventType: "RACE_SETTLED",
+    event: payload,
+  });
+  const syntheticEvent: JournalEvent = {
+    seq: appendResult.seq,
+    ulid: appendResult.ulid,
+    filename: appendResult.filename,
+    path: appendResult.path,
+    type: "RACE_SETTLED",
+    recordedAt: appendResult.recordedAt,
+    data: payload,
+    checksum: appendResult.checksum,
+  };
+  context.effectIndex.applyEvent(syntheticEvent);
+}
+
 function collectPendingActions(error: unknown): EffectAction[] {
   if (error instanceof ParallelPendingError) {
     return error.batch.actions;
@@ -0,0 +1,51 @@
+import { appendEvent } from "../../storage/journal";
+import { JournalEvent } from "../../storage/types";
+import { InvalidPatchIdError } from "../exceptions";
+import { TaskIntrinsicContext } from "./task";
+
+const STEP_NUMBER_PATTERN = /^S(\d+)/;
+
+/**
+ * Decides once per run whether the code guarded by `patchId` applies, and journals the decision in
+ * PATCH_RECORDED so every later replay takes the same branch. The new branch is taken when the run
+ * has not yet requested any step beyond the current position, i.e. it is executing new code here;
+ * runs that already went further with the old code keep the old branch.
+ */
+export async function runPatchedIntrinsic(patchId: string, context: TaskIntrinsicContext): Promise<boolean> {
+  if (typeof patchId !== "string" || !patchId.trim()) {
+    throw new InvalidPatchIdError(patchId);
+  }
+  const recorded = context.effectIndex.getPatchDecision(patchId);
+  if (recorded !== undefined) {
+    return recorded;
+  }
+
+  const patched = highestRequestedStep(context) <= context.replayCursor.value;
+  const payload = { patchId, patched, stepId: context.replayCursor.peekNextStepId() };
+  const appendResult = await appendEvent({
+    runDir: context.runDir,
+    eventType: "PATCH_RECORDED",
+    event: payload,
+  });
+  const syntheticEvent: JournalEvent = {
+    seq: appendResult.seq,
+    ulid: appendResult.ulid,
+    filename: appendResult.filename,
+    path: appendResult.path,
+    type: "PATCH_RECORDED",
+    recordedAt: appendResult.recordedAt,
+    data: payload,
+    checksum: appendResult.checksum,
+  };
+  context.effectIndex.applyEvent(syntheticEvent);
+  return patched;
+}
+
+function highestRequestedStep(context: TaskIntrinsicContext): number {
+  let highest = 0;
+  for (const record of context.effectIndex.listEffects()) {
+    const match = STEP_NUMBER_PATTERN.exec(record.stepId);
+    if (match) highest = Math.max(highest, Number(match[1]));
+  }
+  return highest;
+}
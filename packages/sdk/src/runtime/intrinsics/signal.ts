@@ -0,0 +1,57 @@
+import { EffectPendingError, EffectRequestedError } from "../exceptions";
+import { assertSignalName, deliverSignalToEffect } from "../signals";
+import { DefinedTask } from "../types";
+import { runTaskIntrinsic, TaskIntrinsicContext } from "./task";
+
+export const SIGNAL_TASK_ID = "__sdk.signal";
+
+interface SignalArgs {
+  name: string;
+  label: string;
+}
+
+const signalTask: DefinedTask<SignalArgs, unknown> = {
+  id: SIGNAL_TASK_ID,
+  build(args) {
+    return {
+      kind: "signal",
+      title: args.label,
+      signal: { name: args.name },
+      metadata: { signal: args.name },
+    };
+  },
+};
+
+/**
+ * Requests a `signal` effect that `run:signal <name>` resolves with its payload. A signal that was
+ * buffered before the effect existed is delivered right away, so the call returns without waiting.
+ */
+export async function runWaitForSignalIntrinsic<TPayload>(
+  name: string,
+  context: TaskIntrinsicContext,
+  options?: { label?: string; timeout?: number }
+): Promise<TPayload> {
+  assertSignalName(name);
+  const label = options?.label ?? `signal:${name}`;
+  try {
+    return (await runTaskIntrinsic({
+      task: signalTask,
+      args: { name, label },
+      invokeOptions: { label, timeoutMs: options?.timeout },
+      context,
+      signal: name,
+    })) as TPayload;
+  } catch (error) {
+    if (error instanceof EffectRequestedError || error instanceof EffectPendingError) {
+      const record = context.effectIndex.getByEffectId(error.action.effectId);
+      if (record?.signalSeq !== undefined) {
+        return (await deliverSignalToEffect(record, {
+          runDir: context.runDir,
+          effectIndex: context.effectIndex,
+          logger: context.logger,
+        })) as TPayload;
+      }
+    }
+    throw error;
+  }
+}
@@ -30,7 +30,8 @@ const sleepTask: DefinedTask<SleepArgs, void> = {
 export async function runSleepIntrinsic(
   target: string | number,
   context: TaskIntrinsicContext,
-  options?: TaskInvokeOptions
+  options?: TaskInvokeOptions,
+  stepId?: string
 ) {
   const epoch = normalizeSleepTarget(target);
   if (!Number.isFinite(epoch) || epoch < 0) {
@@ -50,6 +51,7 @@ export async function runSleepIntrinsic(
       args: { targetEpochMs: epoch, iso },
       invokeOptions,
       context,
+      stepId,
     });
   } catch (error) {
     if (shouldShortCircuitPending(error, nowMs)) {
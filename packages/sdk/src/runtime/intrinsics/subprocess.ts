@@ -0,0 +1,142 @@
+import path from "path";
+import { appendEvent } from "../../storage/journal";
+import { RUN_METADATA_FILE } from "../../storage/paths";
+import { getRunStore } from "../../storage/runStore";
+import { JournalEvent } from "../../storage/types";
+import { createRun } from "../createRun";
+import { EffectPendingError, EffectRequestedError, InvalidSubprocessRefError } from "../exceptions";
+import { hashInvocationKey } from "../invocation";
+import { DefinedTask, SubprocessRef, SubrunLink } from "../types";
+import { runTaskIntrinsic, TaskIntrinsicContext } from "./task";
+
+export const SUBRUN_TASK_ID = "__sdk.subrun";
+
+interface SubrunArgs extends SubrunLink {
+  label: string;
+}
+
+interface NormalizedSubprocessRef {
+  importPath: string;
+  exportName?: string;
+  processId: string;
+}
+
+const subrunTask: DefinedTask<SubrunArgs, unknown> = {
+  id: SUBRUN_TASK_ID,
+  build(args) {
+    return {
+      kind: "subrun",
+      title: args.label,
+      subrun: {
+        runId: args.runId,
+        runDir: args.runDir,
+        processId: args.processId,
+      },
+      metadata: {
+        childRunId: args.runId,
+        processId: args.processId,
+      },
+    };
+  },
+};
+
+/**
+ * Runs another process as a child run under the parent's runs directory. The child is created the
+ * first time the step is reached (run id `<parentRunId>.<stepId>`) and the call resolves with the
+ * child's output once its `subrun` effect is resolved.
+ */
+export async function runSubprocessIntrinsic<TOutput>(
+  processRef: SubprocessRef,
+  inputs: unknown,
+  context: TaskIntrinsicContext,
+  options?: { label?: string }
+): Promise<TOutput> {
+  const ref = normalizeSubprocessRef(processRef, context.processPath);
+  const stepId = context.replayCursor.nextStepId();
+  const invocation = hashInvocationKey({ processId: context.processId, stepId, taskId: SUBRUN_TASK_ID });
+  const existing = context.effectIndex.getByInvocation(invocation.key);
+  const link: SubrunLink = existing?.subrun ?? {
+    runId: `${context.runId}.${stepId}`,
+    runDir: path.posix.join("..", `${context.runId}.${stepId}`),
+    processId: ref.processId,
+  };
+  if (!existing) {
+    await ensureChildRun(link, ref, inputs, stepId, context);
+  }
+
+  const label = options?.label ?? `subprocess:${ref.processId}`;
+  try {
+    return (await runTaskIntrinsic({
+      task: subrunTask,
+      args: { ...link, label },
+      invokeOptions: { label },
+      context,
+      stepId,
+    })) as TOutput;
+  } catch (error) {
+    if (error instanceof EffectRequestedError || error instanceof EffectPendingError) {
+      await recordSubrunRequested(error.action.effectId, link, context);
+    }
+    throw error;
+  }
+}
+
+function normalizeSubprocessRef(processRef: SubprocessRef, processPath?: string): NormalizedSubprocessRef {
+  const spec = typeof processRef === "string" ? { importPath: processRef } : processRef;
+  if (!spec || typeof spec.importPath !== "string" || !spec.importPath) {
+    throw new InvalidSubprocessRefError("ctx.subprocess requires a process import path");
+  }
+  const baseDir = processPath ? path.dirname(processPath) : process.cwd();
+  const importPath = path.resolve(baseDir, spec.importPath);
+  const processId = spec.processId ?? path.basename(importPath, path.extname(importPath));
+  return { importPath, exportName: spec.exportName, processId };
+}
+
+async function ensureChildRun(
+  link: SubrunLink,
+  ref: NormalizedSubprocessRef,
+  inputs: unknown,
+  stepId: string,
+  context: TaskIntrinsicContext
+) {
+  const runsDir = path.dirname(context.runDir);
+  // A child left behind by an interrupted iteration is reused rather than re-created.
+  if (await getRunStore(path.join(runsDir, link.runId)).statDocument(RUN_METADATA_FILE)) {
+    return;
+  }
+  await createRun({
+    runsDir,
+    runId: link.runId,
+    store: getRunStore(context.runDir).kind,
+    process: { processId: ref.processId, importPath: ref.importPath, exportName: ref.exportName },
+    inputs,
+    metadata: {
+      parentRun: { runId: context.runId, runDir: path.posix.join("..", context.runId), stepId },
+    },
+    lockOwner: "runtime:subprocess",
+    logger: context.logger,
+  });
+}
+
+async function recordSubrunRequested(effectId: string, link: SubrunLink, context: TaskIntrinsicContext) {
+  if (context.effectIndex.getByEffectId(effectId)?.subrun) {
+    return;
+  }
+  const payload = { effectId, ...link };
+  const appendResult = await appendEvent({
+    runDir: context.runDir,
+    eventType: "SUBRUN_REQUESTED",
+    event: payload,
+  });
+  const syntheticEvent: JournalEvent = {
+    seq: appendResult.seq,
+    ulid: appendResult.ulid,
+    filename: appendResult.filename,
+    path: appendResult.path,
+    type: "SUBRUN_REQUESTED",
+    recordedAt: appendResult.recordedAt,
+    data: payload,
+    checksum: appendResult.checksum,
+  };
+  context.effectIndex.applyEvent(syntheticEvent);
+}
@@ -1,12 +1,15 @@
-import { promises as fs } from "fs";
 import path from "path";
 import { appendEvent } from "../../storage/journal";
 import { readTaskDefinition, readTaskResult } from "../../storage/tasks";
+import { getRunStore, toDocumentRef } from "../../storage/runStore";
 import { JournalEvent, StoredTaskResult } from "../../storage/types";
 import { nextUlid } from "../../storage/ulids";
 import {
   EffectPendingError,
   EffectRequestedError,
+  HookDenial,
+  HookDeniedError,
+  InvalidRetryPolicyError,
   InvalidTaskDefinitionError,
   InvocationCollisionError,
   RunFailedError,
@@ -24,11 +27,23 @@ import {
   TaskBuildContext,
   TaskDef,
   TaskInvokeOptions,
+  TaskRetryPolicy,
 } from "../types";
 import { emitRuntimeMetric } from "../instrumentation";
+import { commitEffectResultLocked } from "../commitEffectResult";
+import { callRuntimeHook } from "../hooks/runtime";
 import { createTaskBuildContext } from "../../tasks/context";
 import { globalTaskRegistry } from "../../tasks/registry";
 import { serializeAndWriteTaskDefinition } from "../../tasks/serializer";
+import { runSleepIntrinsic } from "./sleep";
+import { CompensationEntry, registerCompensation } from "./compensation";
+
+const DEFAULT_RETRY_INITIAL_DELAY_MS = 1000;
+const DEFAULT_RETRY_BACKOFF_FACTOR = 2;
+// The executor starts node.timeoutMs when it spawns the task, after the effect was requested, and
+// then allows a kill grace period. The deadline derived from it trails by this margin so the
+// executor's own TimeoutError, with its exit details, normally lands first.
+const NODE_DEADLINE_MARGIN_MS = 30_000;
 
 export interface TaskIntrinsicContext {
   runId: string;
@@ -38,6 +53,14 @@ export interface TaskIntrinsicContext {
   replayCursor: ReplayCursor;
   now: () => Date;
   logger?: ProcessLogger;
+  /**
+   * Absolute path of the process module; relative ctx.subprocess refs resolve against its directory.
+   */
+  processPath?: string;
+  /**
+   * Compensations registered by resolved ctx.task calls during this replay, oldest first.
+   */
+  compensationStack?: CompensationEntry[];
 }
 
 export interface TaskIntrinsicInvokeOptions<TArgs, TResult> {
@@ -45,6 +68,23 @@ export interface TaskIntrinsicInvokeOptions<TArgs, TResult> {
   args: TArgs;
   invokeOptions?: TaskInvokeOptions;
   context: TaskIntrinsicContext;
+  /**
+   * Internal: use a derived step id instead of advancing the replay cursor.
+   */
+  stepId?: string;
+  /**
+   * Internal: saga scope that also receives the compensation registered by this call.
+   */
+  compensationScope?: CompensationEntry[];
+  /**
+   * Internal: signal name recorded on EFFECT_REQUESTED for ctx.waitForSignal effects.
+   */
+  signal?: string;
+}
+
+interface AttemptLink {
+  attempt: number;
+  logicalStepId: string;
 }
 
 export async function runTaskIntrinsic<TArgs, TResult>(
@@ -55,7 +95,23 @@ export async function runTaskIntrinsic<TArgs, TResult>(
     throw new InvalidTaskDefinitionError("ctx.task requires a DefinedTask created via defineTask()");
   }
 
-  const stepId = options.context.replayCursor.nextStepId();
+  const stepId = options.stepId ?? options.context.replayCursor.nextStepId();
+  const retryPolicy = options.invokeOptions?.retry;
+  const result = retryPolicy
+    ? await runWithRetry(stepId, normalizeRetryPolicy(retryPolicy), options)
+    : await runSingleInvocation(stepId, options);
+  const compensate = options.invokeOptions?.compensate;
+  if (compensate) {
+    registerCompensation(options.context, stepId, compensate, options.args, result, options.compensationScope);
+  }
+  return result;
+}
+
+async function runSingleInvocation<TArgs, TResult>(
+  stepId: string,
+  options: TaskIntrinsicInvokeOptions<TArgs, TResult>
+): Promise<TResult> {
+  const { task } = options;
   const invocation = hashInvocationKey({
     processId: options.context.processId,
     stepId,
@@ -70,6 +126,83 @@ export async function runTaskIntrinsic<TArgs, TResult>(
   return requestNewEffect(stepId, invocation.key, invocation.digest, options);
 }
 
+/**
+ * Each attempt is its own effect under a step id derived from the logical step (`S000003`,
+ * `S000003.attempt-2`, ...). Backoff delays are sleep effects keyed the same way and anchored on the
+ * journaled resolution time of the failed attempt, so replay makes the same decisions.
+ */
+async function runWithRetry<TArgs, TResult>(
+  stepId: string,
+  policy: NormalizedRetryPolicy,
+  options: TaskIntrinsicInvokeOptions<TArgs, TResult>
+): Promise<TResult> {
+  for (let attempt = 1; ; attempt += 1) {
+    const attemptStepId = attempt === 1 ? stepId : `${stepId}.attempt-${attempt}`;
+    const invocation = hashInvocationKey({
+      processId: options.context.processId,
+      stepId: attemptStepId,
+      taskId: options.task.id,
+    });
+    const existing = options.context.effectIndex.getByInvocation(invocation.key);
+    if (!existing) {
+      return requestNewEffect(attemptStepId, invocation.key, invocation.digest, options, {
+        attempt,
+        logicalStepId: stepId,
+      });
+    }
+    if (existing.status !== "resolved_error") {
+      return handleExistingInvocation(existing, options);
+    }
+    const error = existing.error ? rehydrateSerializedError(existing.error) : new Error("Task failed");
+    // A denial is a policy decision, not a transient failure.
+    if (attempt >= policy.maxAttempts || error instanceof HookDeniedError || !shouldRetry(policy, error)) {
+      throw error;
+    }
+    const failedAt = existing.resolvedAt ? Date.parse(existing.resolvedAt) : options.context.now().getTime();
+    await runSleepIntrinsic(
+      failedAt + computeBackoffDelay(policy, attempt),
+      options.context,
+      { label: `retry:${options.task.id}#${attempt + 1}` },
+      `${stepId}.backoff-${attempt}`
+    );
+  }
+}
+
+type NormalizedRetryPolicy = TaskRetryPolicy & { initialDelayMs: number; backoffFactor: number };
+
+function normalizeRetryPolicy(policy: TaskRetryPolicy): NormalizedRetryPolicy {
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+    throw new InvalidRetryPolicyError("retry.maxAttempts must be a positive integer");
+  }
+  const initialDelayMs = policy.initialDelayMs ?? DEFAULT_RETRY_INITIAL_DELAY_MS;
+  const backoffFactor = policy.backoffFactor ?? DEFAULT_RETRY_BACKOFF_FACTOR;
+  if (!Number.isFinite(initialDelayMs) || initialDelayMs < 0) {
+    throw new InvalidRetryPolicyError("retry.initialDelayMs must be a non-negative number");
+  }
+  if (!Number.isFinite(backoffFactor) || backoffFactor < 1) {
+    throw new InvalidRetryPolicyError("retry.backoffFactor must be a number >= 1");
+  }
+  if (policy.maxDelayMs !== undefined && (!Number.isFinite(policy.maxDelayMs) || policy.maxDelayMs < 0)) {
+    throw new InvalidRetryPolicyError("retry.maxDelayMs must be a non-negative number");
+  }
+  return { ...policy, initialDelayMs, backoffFactor };
+}
+
+function computeBackoffDelay(policy: NormalizedRetryPolicy, failedAttempt: number): number {
+  const delay = policy.initialDelayMs * Math.pow(policy.backoffFactor, failedAttempt - 1);
+  return policy.maxDelayMs !== undefined ? Math.min(delay, policy.maxDelayMs) : delay;
+}
+
+function shouldRetry(policy: NormalizedRetryPolicy, error: Error & { data?: unknown }): boolean {
+  if (policy.retryOn === undefined) {
+    return true;
+  }
+  if (typeof policy.retryOn === "function") {
+    return Boolean(policy.retryOn(error));
+  }
+  return policy.retryOn.includes(error.name);
+}
+
 async function handleExistingInvocation<TArgs, TResult>(
   record: EffectRecord,
   options: TaskIntrinsicInvokeOptions<TArgs, TResult>
@@ -79,6 +212,12 @@ async function handleExistingInvocation<TArgs, TResult>(
     throw new EffectPendingError(buildEffectAction(record, taskDef));
   }
 
+  if (record.status === "abandoned") {
+    throw new RunFailedError(`Effect ${record.effectId} was abandoned when the run was cancelled`, {
+      effectId: record.effectId,
+    });
+  }
+
   if (record.status === "resolved_error") {
     const error = record.error ? rehydrateSerializedError(record.error) : new Error("Task failed");
     throw error;
@@ -106,7 +245,8 @@ async function requestNewEffect<TArgs, TResult>(
   stepId: string,
   invocationKey: string,
   invocationHash: string,
-  options: TaskIntrinsicInvokeOptions<TArgs, TResult>
+  options: TaskIntrinsicInvokeOptions<TArgs, TResult>,
+  attemptLink?: AttemptLink
 ): Promise<TResult> {
   const effectId = nextUlid();
   const buildCtx = createTaskBuildContext({
@@ -117,11 +257,12 @@ async function requestNewEffect<TArgs, TResult>(
     taskId: options.task.id,
     label: options.invokeOptions?.label,
   });
-  const taskDef = await Promise.resolve(options.task.build(options.args, buildCtx));
-  if (!taskDef || typeof taskDef.kind !== "string") {
+  const builtTaskDef = await Promise.resolve(options.task.build(options.args, buildCtx));
+  if (!builtTaskDef || typeof builtTaskDef.kind !== "string") {
     throw new InvalidTaskDefinitionError(`Task ${options.task.id} did not provide a kind`);
   }
-  const { taskRef: taskDefRef, inputsRef } = await serializeAndWriteTaskDefinition({
+  const { taskDef, denial } = await runStepDispatchHooks(stepId, effectId, builtTaskDef, buildCtx, options);
+  const { taskRef: taskDefRef, taskSha256: taskDefSha256, inputsRef } = await serializeAndWriteTaskDefinition({
     runDir: options.context.runDir,
     effectId,
     taskId: options.task.id,
@@ -134,6 +275,10 @@ async function requestNewEffect<TArgs, TResult>(
   const normalizedLabels = collectInvocationLabels(buildCtx, taskDef);
   const label = deriveEffectLabel(buildCtx, taskDef, normalizedLabels, options.task.id);
   const labelMetadata = normalizedLabels.length ? normalizedLabels : undefined;
+  const deadlineAt = deriveDeadline(
+    options.invokeOptions?.timeoutMs ?? withNodeDeadlineMargin(taskDef.node?.timeoutMs),
+    options.context.now()
+  );
   const eventPayload = {
     effectId,
     invocationKey,
@@ -143,8 +288,12 @@ async function requestNewEffect<TArgs, TResult>(
     kind,
     label,
     taskDefRef,
+    taskDefSha256,
     inputsRef,
     labels: labelMetadata,
+    deadlineAt,
+    signal: options.signal,
+    ...attemptLink,
   };
   const appendResult = await appendEvent({
     runDir: options.context.runDir,
@@ -184,6 +333,21 @@ async function requestNewEffect<TArgs, TResult>(
     stepId,
     requestedAt: appendResult.recordedAt,
   });
+  if (denial) {
+    const error = new HookDeniedError(denial);
+    await commitEffectResultLocked(
+      {
+        runDir: options.context.runDir,
+        effectId,
+        invocationKey,
+        logger: options.context.logger,
+        result: { status: "error", error: { name: error.name, message: error.message, data: error.data } },
+      },
+      options.context.effectIndex
+    );
+    emitRuntimeMetric(options.context.logger, "step.denied", { effectId, stepId, ...denial });
+    throw error;
+  }
   const actionRecord: EffectRecord = {
     effectId,
     invocationKey,
@@ -197,11 +361,65 @@ async function requestNewEffect<TArgs, TResult>(
     taskDefRef,
     inputsRef,
     requestedAt: appendResult.recordedAt,
+    deadlineAt,
+    signal: options.signal,
+    ...attemptLink,
   };
   const action = buildEffectAction(actionRecord, taskDef);
   throw new EffectRequestedError(action);
 }
 
+/**
+ * Dispatches on-step-dispatch for a new effect before its task definition is written. Hooks may
+ * patch `task` (the definition) or deny the step; the outcome is journaled with the effect, so replay
+ * never asks the hooks again.
+ */
+async function runStepDispatchHooks<TArgs, TResult>(
+  stepId: string,
+  effectId: string,
+  taskDef: TaskDef,
+  buildCtx: TaskBuildContext,
+  options: TaskIntrinsicInvokeOptions<TArgs, TResult>
+): Promise<{ taskDef: TaskDef; denial?: HookDenial }> {
+  const runDir = options.context.runDir;
+  const result = await callRuntimeHook(
+    "on-step-dispatch",
+    {
+      runId: options.context.runId,
+      processId: options.context.processId,
+      stepId,
+      action: "request",
+      effectId,
+      taskId: options.task.id,
+      kind: taskDef.kind,
+      label: buildCtx.label,
+      labels: collectInvocationLabels(buildCtx, taskDef),
+      task: taskDef,
+    },
+    {
+      cwd: path.dirname(path.dirname(path.dirname(runDir))),
+      runDir,
+      lockHeld: true,
+      effectIndex: options.context.effectIndex,
+    }
+  );
+  const decision = result.decision;
+  if (!decision) {
+    return { taskDef };
+  }
+  const patched = typeof decision.payload === "object" ? (decision.payload as { task?: TaskDef }).task : undefined;
+  if (patched && typeof patched.kind !== "string") {
+    throw new InvalidTaskDefinitionError(`on-step-dispatch hooks removed the kind of task ${options.task.id}`);
+  }
+  return {
+    taskDef: patched ?? taskDef,
+    denial:
+      decision.verdict === "deny"
+        ? { hookType: "on-step-dispatch", reason: decision.reason, deniedBy: decision.deniedBy }
+        : undefined,
+  };
+}
+
 async function ensureTaskDefinition(runDir: string, record: EffectRecord): Promise<TaskDef> {
   const stored = await readTaskDefinition(runDir, record.effectId);
   if (!stored) {
@@ -226,10 +444,22 @@ function buildEffectAction(record: EffectRecord, taskDef: TaskDef): EffectAction
     taskDefRef: record.taskDefRef,
     inputsRef: record.inputsRef,
     requestedAt: record.requestedAt,
+    deadlineAt: record.deadlineAt,
     schedulerHints,
   };
 }
 
+function withNodeDeadlineMargin(timeoutMs: number | undefined): number | undefined {
+  return typeof timeoutMs === "number" && timeoutMs > 0 ? timeoutMs + NODE_DEADLINE_MARGIN_MS : undefined;
+}
+
+function deriveDeadline(timeoutMs: number | undefined, now: Date): string | undefined {
+  if (typeof timeoutMs !== "number" || !Number.isFinite(timeoutMs) || timeoutMs <= 0) {
+    return undefined;
+  }
+  return new Date(now.getTime() + timeoutMs).toISOString();
+}
+
 function deriveSchedulerHints(taskDef: TaskDef): EffectSchedulerHints | undefined {
   const hints: EffectSchedulerHints = {};
   const sleepHint = extractSleepTarget(taskDef);
@@ -251,7 +481,7 @@ function normalizeRef(runDir: string, ref: string) {
   return path.isAbsolute(ref) ? ref : path.join(runDir, ref);
 }
 
-async function resolveStoredResultValue(runDir: string, stored: StoredTaskResult): Promise<unknown> {
+export async function resolveStoredResultValue(runDir: string, stored: StoredTaskResult): Promise<unknown> {
   if (stored.result !== undefined) {
     return stored.result;
   }
@@ -259,9 +489,11 @@ async function resolveStoredResultValue(runDir: string, stored: StoredTaskResult
     return stored.value;
   }
   if (stored.resultRef) {
-    const absolute = normalizeRef(runDir, stored.resultRef);
-    const raw = await fs.readFile(absolute, "utf8");
-    return JSON.parse(raw) as unknown;
+    const raw = await getRunStore(runDir).readDocument(toDocumentRef(runDir, stored.resultRef));
+    if (!raw) {
+      throw new RunFailedError(`Result payload ${stored.resultRef} is missing`, { effectId: stored.effectId });
+    }
+    return JSON.parse(raw.toString("utf8")) as unknown;
   }
   throw new RunFailedError("Result payload missing data", { effectId: stored.effectId });
 }
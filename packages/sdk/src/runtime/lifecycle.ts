@@ -0,0 +1,197 @@
+import path from "path";
+import { appendEvent, loadJournal } from "../storage/journal";
+import { withRunLock } from "../storage/lock";
+import { readRunMetadata } from "../storage/runFiles";
+import { AppendEventResult, JournalEvent } from "../storage/types";
+import { globalTaskRegistry } from "../tasks/registry";
+import { RunFailedError } from "./exceptions";
+import { callRuntimeHook } from "./hooks/runtime";
+import { emitRuntimeMetric } from "./instrumentation";
+import { buildEffectIndex, EffectIndex } from "./replay/effectIndex";
+import { rebuildStateCache } from "./replay/stateCache";
+import { resolveSubrunDir } from "./subruns";
+import { ProcessLogger, RunLifecycleSnapshot } from "./types";
+
+export type RunLifecycleEventType = "RUN_PAUSED" | "RUN_RESUMED" | "RUN_CANCELLED";
+
+export interface RunLifecycleCommandOptions {
+  runDir: string;
+  reason?: string;
+  logger?: ProcessLogger;
+}
+
+export interface RunLifecycleCommandResult {
+  runId: string;
+  eventType: RunLifecycleEventType;
+  seq: number;
+  recordedAt: string;
+  lifecycle: RunLifecycleSnapshot;
+  /**
+   * Effects that were pending when the run was cancelled (always empty for pause/resume).
+   */
+  abandonedEffectIds: string[];
+  /**
+   * Child runs (at any depth) cancelled along with this run (always empty for pause/resume).
+   */
+  cancelledChildRunIds: string[];
+}
+
+/**
+ * Appends RUN_PAUSED. orchestrateIteration returns `paused` until the run is resumed; pending
+ * effects stay pending and may still be committed.
+ */
+export async function pauseRun(options: RunLifecycleCommandOptions): Promise<RunLifecycleCommandResult> {
+  return appendLifecycleEvent(options, "RUN_PAUSED", (lifecycle) => {
+    if (lifecycle.status !== "active") {
+      return `Run is ${lifecycle.status}; only active runs can be paused`;
+    }
+    return undefined;
+  });
+}
+
+export async function resumeRun(options: RunLifecycleCommandOptions): Promise<RunLifecycleCommandResult> {
+  return appendLifecycleEvent(options, "RUN_RESUMED", (lifecycle) => {
+    if (lifecycle.status !== "paused") {
+      return `Run is ${lifecycle.status}; only paused runs can be resumed`;
+    }
+    return undefined;
+  });
+}
+
+/**
+ * Appends RUN_CANCELLED, which marks every pending effect `abandoned`, and fires `on-run-cancel`.
+ * Child runs whose subrun effect was abandoned are cancelled too. Cancellation is terminal.
+ */
+export async function cancelRun(options: RunLifecycleCommandOptions): Promise<RunLifecycleCommandResult> {
+  const result = await appendLifecycleEvent(options, "RUN_CANCELLED", (lifecycle) => {
+    if (lifecycle.status === "cancelled") {
+      return "Run is already cancelled";
+    }
+    return undefined;
+  });
+  result.cancelledChildRunIds = await cancelChildRuns(options, result);
+  const projectRoot = path.dirname(path.dirname(path.dirname(options.runDir)));
+  const metadata = await readRunMetadata(options.runDir);
+  await callRuntimeHook(
+    "on-run-cancel",
+    {
+      runId: result.runId,
+      processId: metadata.processId,
+      status: "cancelled",
+      reason: result.lifecycle.reason,
+      abandonedEffectIds: result.abandonedEffectIds,
+    },
+    {
+      cwd: projectRoot,
+      logger: options.logger,
+      runDir: options.runDir,
+    }
+  );
+  return result;
+}
+
+async function cancelChildRuns(
+  options: RunLifecycleCommandOptions,
+  parent: RunLifecycleCommandResult
+): Promise<string[]> {
+  const abandoned = new Set(parent.abandonedEffectIds);
+  const effectIndex = await buildEffectIndex({ runDir: options.runDir });
+  const cancelled: string[] = [];
+  for (const record of effectIndex.listSubruns()) {
+    if (!abandoned.has(record.effectId) || !record.subrun) continue;
+    let child: RunLifecycleCommandResult;
+    try {
+      child = await cancelRun({
+        runDir: resolveSubrunDir(options.runDir, record.subrun),
+        reason: `Parent run ${parent.runId} was cancelled`,
+        logger: options.logger,
+      });
+    } catch (error) {
+      // The child finished (or was cancelled) before its result reached the parent.
+      if (error instanceof RunFailedError) continue;
+      throw error;
+    }
+    cancelled.push(child.runId, ...child.cancelledChildRunIds);
+  }
+  return cancelled;
+}
+
+async function appendLifecycleEvent(
+  options: RunLifecycleCommandOptions,
+  eventType: RunLifecycleEventType,
+  validate: (lifecycle: RunLifecycleSnapshot) => string | undefined
+): Promise<RunLifecycleCommandResult> {
+  return await withRunLock(options.runDir, `runtime:${eventType.toLowerCase()}`, async () => {
+    const metadata = await readRunMetadata(options.runDir);
+    const events = await loadJournal(options.runDir);
+    const effectIndex = await buildEffectIndex({ runDir: options.runDir, events });
+    const terminal = findTerminalEvent(events);
+    if (terminal) {
+      throw new RunFailedError(`Run ${metadata.runId} already finished with ${terminal.type}`, {
+        runDir: options.runDir,
+        eventType,
+      });
+    }
+    const rejection = validate(effectIndex.getRunLifecycle());
+    if (rejection) {
+      throw new RunFailedError(rejection, { runDir: options.runDir, eventType });
+    }
+
+    const abandonedEffectIds =
+      eventType === "RUN_CANCELLED" ? effectIndex.listPendingEffects().map((record) => record.effectId) : [];
+    const payload: Record<string, unknown> = {};
+    if (options.reason) payload.reason = options.reason;
+    if (eventType === "RUN_CANCELLED") payload.abandonedEffectIds = abandonedEffectIds;
+    const appended = await appendEvent({ runDir: options.runDir, eventType, event: payload });
+    applyAppendedEvent(effectIndex, eventType, payload, appended);
+    for (const effectId of abandonedEffectIds) {
+      globalTaskRegistry.resolveEffect(effectId, { status: "abandoned", resolvedAt: appended.recordedAt });
+    }
+    await rebuildStateCache(options.runDir, { effectIndex, reason: eventType.toLowerCase() });
+
+    const lifecycle = effectIndex.getRunLifecycle();
+    emitRuntimeMetric(options.logger, "run.lifecycle", {
+      runDir: options.runDir,
+      eventType,
+      status: lifecycle.status,
+      abandoned: abandonedEffectIds.length,
+    });
+    return {
+      runId: metadata.runId,
+      eventType,
+      seq: appended.seq,
+      recordedAt: appended.recordedAt,
+      lifecycle,
+      abandonedEffectIds,
+      cancelledChildRunIds: [],
+    };
+  });
+}
+
+function applyAppendedEvent(
+  effectIndex: EffectIndex,
+  eventType: RunLifecycleEventType,
+  payload: Record<string, unknown>,
+  appended: AppendEventResult
+) {
+  const syntheticEvent: JournalEvent = {
+    seq: appended.seq,
+    ulid: appended.ulid,
+    filename: appended.filename,
+    path: appended.path,
+    type: eventType,
+    recordedAt: appended.recordedAt,
+    data: payload as JournalEvent["data"],
+    checksum: appended.checksum,
+  };
+  effectIndex.applyEvent(syntheticEvent);
+}
+
+function findTerminalEvent(events: JournalEvent[]): JournalEvent | undefined {
+  for (let i = events.length - 1; i >= 0; i -= 1) {
+    if (events[i].type === "RUN_COMPLETED" || events[i].type === "RUN_FAILED") {
+      return events[i];
+    }
+  }
+  return undefined;
+}
@@ -3,6 +3,7 @@ import { pathToFileURL } from "url";
 import { appendEvent } from "../storage/journal";
 import { writeRunOutput } from "../storage/runFiles";
 import { withRunLock } from "../storage/lock";
+import { useRunStore } from "../storage/runStore";
 import { createReplayEngine, type ReplayEngine } from "./replay/createReplayEngine";
 import { withProcessContext } from "./processContext";
 import {
@@ -18,30 +19,55 @@ import {
   EffectAction,
   EffectSchedulerHints,
   ProcessContext,
+  CompensationOutcome,
 } from "./types";
 import { serializeUnknownError } from "./errorUtils";
 import { emitRuntimeMetric } from "./instrumentation";
 import { callRuntimeHook } from "./hooks/runtime";
+import { timeOutOverdueEffects } from "./effectDeadlines";
+import { runCompensations } from "./intrinsics/compensation";
+import { settleFinishedSubruns } from "./subruns";
+import { settleDeliveredSignals } from "./signals";
+import { resolveProcessImportPath } from "./processSnapshot";
+import { dynamicImportModule } from "./dynamicImport";
 
 type ProcessFunction = (inputs: unknown, ctx: ProcessContext, extra?: unknown) => Promise<unknown>;
-// Use an indirect dynamic import so TypeScript does not downlevel to require() in CommonJS builds.
-// Vitest executes modules inside a VM context that requires direct import() support.
-const dynamicImportModule: (specifier: string) => Promise<Record<string, unknown>> = (() => {
-  if (process.env.VITEST) {
-    return (specifier) => import(specifier);
-  }
-  // eslint-disable-next-line @typescript-eslint/no-implied-eval
-  return new Function("specifier", "return import(specifier);") as (specifier: string) => Promise<Record<string, unknown>>;
-})();
 
 export async function orchestrateIteration(options: OrchestrateOptions): Promise<IterationResult> {
+  if (options.store) {
+    useRunStore(options.runDir, options.store);
+  }
   return await withRunLock(options.runDir, "runtime:orchestrateIteration", async () => {
     const iterationStartedAt = Date.now();
     const nowFn = resolveNow(options.now);
-    const engine = await initializeReplayEngine(options, nowFn, iterationStartedAt);
+    let engine = await initializeReplayEngine(options, nowFn, iterationStartedAt);
+    // Child runs that finished since the last iteration resolve their subrun effects before replay.
+    const settled = await settleFinishedSubruns({
+      runDir: options.runDir,
+      effectIndex: engine.effectIndex,
+      logger: options.logger,
+    });
+    if (settled.length) {
+      engine = await initializeReplayEngine(options, nowFn, iterationStartedAt);
+    }
+    // Signals matched to a waiting effect whose result was not committed yet (e.g. an interrupted run:signal).
+    await settleDeliveredSignals({ runDir: options.runDir, effectIndex: engine.effectIndex, logger: options.logger });
+    const lifecycle = engine.effectIndex.getRunLifecycle();
+    if (lifecycle.status !== "active") {
+      // Paused and cancelled runs are not replayed until RUN_RESUMED (cancellation is terminal).
+      emitRuntimeMetric(engine.internalContext.logger ?? options.logger, "replay.iteration", {
+        duration_ms: Date.now() - iterationStartedAt,
+        status: lifecycle.status,
+        runId: engine.runId,
+        stepCount: 0,
+      });
+      return { status: lifecycle.status, reason: lifecycle.reason, metadata: createIterationMetadata(engine) };
+    }
     const defaultEntrypoint = {
-      importPath: engine.metadata.entrypoint?.importPath ?? engine.metadata.processPath,
+      // Throws ProcessDriftError (without failing the run) when the entrypoint no longer matches its snapshot.
+      importPath: options.process ? undefined : await resolveProcessImportPath(options.runDir, engine.metadata),
       exportName: engine.metadata.entrypoint?.exportName,
+      revision: engine.metadata.processSnapshot?.sha256,
     };
     const processFn = await loadProcessFunction(options, defaultEntrypoint, options.runDir);
     const inputs = options.inputs ?? engine.inputs;
@@ -58,14 +84,50 @@ export async function orchestrateIteration(options: OrchestrateOptions): Promise
       "on-iteration-start",
       {
         runId: engine.runId,
+        processId: engine.metadata.processId,
         iteration: engine.replayCursor.value,
       },
       {
         cwd: projectRoot,
         logger,
+        runDir: options.runDir,
+        lockHeld: true,
+        effectIndex: engine.effectIndex,
       }
     );
 
+    // Resolve overdue effects before replay so the process observes the TimeoutError.
+    const timedOut = await timeOutOverdueEffects({
+      runDir: options.runDir,
+      effectIndex: engine.effectIndex,
+      now: nowFn(),
+      logger,
+    });
+    for (const entry of timedOut) {
+      await callRuntimeHook(
+        "on-task-complete",
+        {
+          runId: engine.runId,
+          processId: engine.metadata.processId,
+          effectId: entry.record.effectId,
+          taskId: entry.record.taskId,
+          kind: entry.record.kind,
+          labels: entry.record.labels,
+          status: "timeout",
+          duration: entry.record.requestedAt
+            ? Date.parse(entry.timedOutAt) - Date.parse(entry.record.requestedAt)
+            : 0,
+        },
+        {
+          cwd: projectRoot,
+          logger,
+          runDir: options.runDir,
+          lockHeld: true,
+          effectIndex: engine.effectIndex,
+        }
+      );
+    }
+
     try {
       const output = await withProcessContext(engine.internalContext, () =>
         processFn(inputs, engine.context, options.context)
@@ -84,6 +146,7 @@ export async function orchestrateIteration(options: OrchestrateOptions): Promise
         "on-run-complete",
         {
           runId: engine.runId,
+          processId: engine.metadata.processId,
           status: "completed",
           output,
           duration: Date.now() - iterationStartedAt,
@@ -91,6 +154,8 @@ export async function orchestrateIteration(options: OrchestrateOptions): Promise
         {
           cwd: projectRoot,
           logger,
+          runDir: options.runDir,
+          lockHeld: true,
         }
       );
 
@@ -108,10 +173,32 @@ export async function orchestrateIteration(options: OrchestrateOptions): Promise
         };
       }
       const failure = serializeUnknownError(error);
+      let compensations: CompensationOutcome[] = [];
+      const registered = engine.internalContext.compensationStack ?? [];
+      if (registered.length) {
+        // Unwind completed steps before failing; pending compensations keep the run waiting.
+        try {
+          compensations = await runCompensations(registered, engine.internalContext);
+        } catch (compensationError) {
+          const waitingOnCompensation = asWaitingResult(compensationError);
+          if (!waitingOnCompensation) throw compensationError;
+          finalStatus = waitingOnCompensation.status;
+          return {
+            status: "waiting",
+            nextActions: annotateWaitingActions(waitingOnCompensation.nextActions),
+            metadata: createIterationMetadata(engine),
+          };
+        }
+        emitRuntimeMetric(logger, "run.compensated", {
+          runId: engine.runId,
+          compensations: compensations.length,
+          failed: compensations.filter((outcome) => outcome.status === "error").length,
+        });
+      }
       await appendEvent({
         runDir: options.runDir,
         eventType: "RUN_FAILED",
-        event: { error: failure },
+        event: compensations.length ? { error: failure, compensations } : { error: failure },
       });
 
       // Call on-run-fail hook
@@ -119,6 +206,7 @@ export async function orchestrateIteration(options: OrchestrateOptions): Promise
         "on-run-fail",
         {
           runId: engine.runId,
+          processId: engine.metadata.processId,
           status: "failed",
           error: failure.message || "Unknown error",
           duration: Date.now() - iterationStartedAt,
@@ -126,12 +214,15 @@ export async function orchestrateIteration(options: OrchestrateOptions): Promise
         {
           cwd: projectRoot,
           logger,
+          runDir: options.runDir,
+          lockHeld: true,
         }
       );
 
       const result: IterationResult = {
         status: "failed",
         error: failure,
+        ...(compensations.length ? { compensations } : {}),
         metadata: createIterationMetadata(engine),
       };
       finalStatus = result.status;
@@ -149,12 +240,15 @@ export async function orchestrateIteration(options: OrchestrateOptions): Promise
         "on-iteration-end",
         {
           runId: engine.runId,
+          processId: engine.metadata.processId,
           iteration: engine.replayCursor.value,
           status: finalStatus,
         },
         {
           cwd: projectRoot,
           logger,
+          runDir: options.runDir,
+          lockHeld: true,
         }
       );
     }
@@ -164,6 +258,11 @@ export async function orchestrateIteration(options: OrchestrateOptions): Promise
 interface EntrypointDefaults {
   importPath?: string;
   exportName?: string;
+  /**
+   * Content hash of the process source; keys the module URL so a run migrated to a new revision
+   * does not reuse a module cached by an earlier iteration in the same process.
+   */
+  revision?: string;
 }
 
 async function loadProcessFunction(
@@ -177,10 +276,13 @@ async function loadProcessFunction(
   }
   const exportName = options.process?.exportName ?? defaults.exportName ?? "process";
   const resolvedPath = path.isAbsolute(importPath) ? importPath : path.resolve(runDir, importPath);
-  const moduleUrl = pathToFileURL(resolvedPath).href;
+  const moduleUrl = new URL(pathToFileURL(resolvedPath).href);
+  if (!options.process?.importPath && defaults.revision) {
+    moduleUrl.searchParams.set("rev", defaults.revision.slice(0, 12));
+  }
   let mod: Record<string, unknown>;
   try {
-    mod = await dynamicImportModule(moduleUrl);
+    mod = await dynamicImportModule(moduleUrl.href);
   } catch (error) {
     throw new RunFailedError(`Failed to load process module at ${resolvedPath}`, {
       error: serializeUnknownError(error),
@@ -5,7 +5,11 @@ import { runSleepIntrinsic } from "./intrinsics/sleep";
 import { runOrchestratorTaskIntrinsic } from "./intrinsics/orchestratorTask";
 import { runHookIntrinsic } from "./intrinsics/hook";
 import { callHook } from "../hooks/dispatcher";
-import { runParallelAll, runParallelMap } from "./intrinsics/parallel";
+import { createSaga } from "./intrinsics/compensation";
+import { runSubprocessIntrinsic } from "./intrinsics/subprocess";
+import { runPatchedIntrinsic } from "./intrinsics/patched";
+import { runWaitForSignalIntrinsic } from "./intrinsics/signal";
+import { runParallelAll, runParallelAllSettled, runParallelMap, runParallelRace } from "./intrinsics/parallel";
 import { ProcessContext, ParallelHelpers } from "./types";
 import { MissingProcessContextError } from "./exceptions";
 
@@ -17,6 +21,10 @@ export interface ProcessContextInit extends Omit<TaskIntrinsicContext, "now"> {
 export interface InternalProcessContext extends TaskIntrinsicContext {
   processId: string;
   now: () => Date;
+  /**
+   * Gating ctx.hook calls made so far in this replay, per hook type.
+   */
+  hookGateCalls: Map<string, number>;
 }
 
 const contextStorage = new AsyncLocalStorage<InternalProcessContext>();
@@ -31,12 +39,16 @@ export function createProcessContext(init: ProcessContextInit): CreateProcessCon
   const internal: InternalProcessContext = {
     ...init,
     logger: safeLogger,
+    compensationStack: init.compensationStack ?? [],
     now: init.now ?? (() => new Date()),
+    hookGateCalls: new Map(),
   };
 
   const parallelHelpers: ParallelHelpers = {
-    all: (thunks) => runParallelAll(thunks),
-    map: (items, fn) => runParallelMap(items, fn),
+    all: (thunks, options) => runParallelAll(thunks, options),
+    map: (items, fn, options) => runParallelMap(items, fn, options),
+    allSettled: (thunks, options) => runParallelAllSettled(thunks, options),
+    race: (thunks) => runParallelRace(thunks, internal),
   };
 
   const processContext: ProcessContext = {
@@ -53,6 +65,10 @@ export function createProcessContext(init: ProcessContextInit): CreateProcessCon
     orchestratorTask: (payload, options) => runOrchestratorTaskIntrinsic(payload, internal, options),
     hook: (hookType, payload, options) => runHookIntrinsic(hookType, payload, internal, options),
     parallel: parallelHelpers,
+    saga: () => createSaga(internal),
+    subprocess: (processRef, inputs, options) => runSubprocessIntrinsic(processRef, inputs, internal, options),
+    waitForSignal: (name, options) => runWaitForSignalIntrinsic(name, internal, options),
+    patched: (patchId) => runPatchedIntrinsic(patchId, internal),
     // Always provide a callable logger to processes so `ctx.log(...)` never throws.
     // Dispatches the babysitter-log hook with a single string payload.
     log: (message: unknown) => {
@@ -0,0 +1,136 @@
+import path from "path";
+import { writeFileAtomic } from "../storage/atomic";
+import { appendEvent } from "../storage/journal";
+import { withRunLock } from "../storage/lock";
+import { PROCESS_DIR } from "../storage/paths";
+import { collectProcessSources } from "../storage/processSources";
+import { readRunMetadata, writeRunMetadata } from "../storage/runFiles";
+import { getClockIsoString } from "../storage/clock";
+import { ProcessSnapshotMetadata, RunMetadata } from "../storage/types";
+import { ProcessDriftError, RunFailedError } from "./exceptions";
+import { emitRuntimeMetric } from "./instrumentation";
+import { ProcessLogger } from "./types";
+
+export type ProcessMigrationTarget = "snapshot" | "current";
+
+export interface MigrateRunProcessOptions {
+  runDir: string;
+  use: ProcessMigrationTarget;
+  reason?: string;
+  logger?: ProcessLogger;
+}
+
+export interface MigrateRunProcessResult {
+  runId: string;
+  use: ProcessMigrationTarget;
+  seq: number;
+  fromSha256: string;
+  toSha256: string;
+  /**
+   * Import path (relative to the run directory) that replay loads from now on.
+   */
+  importPath: string;
+}
+
+/**
+ * Copies the entrypoint and the local modules it imports into `<runDir>/process/`, keeping their
+ * relative layout, and returns the hash of that module set. Returns undefined when the entrypoint
+ * does not exist (e.g. runs created for fixtures).
+ */
+export async function snapshotProcessSource(
+  runDir: string,
+  entrypointPath: string
+): Promise<ProcessSnapshotMetadata | undefined> {
+  const sources = await collectProcessSources(entrypointPath);
+  if (!sources) return undefined;
+  for (const [relative, source] of sources.files) {
+    await writeFileAtomic(path.join(runDir, PROCESS_DIR, relative), source);
+  }
+  return {
+    importPath: path.posix.join(PROCESS_DIR, sources.entry),
+    sha256: sources.sha256,
+    capturedAt: getClockIsoString(),
+  };
+}
+
+/**
+ * Returns the module path replay should import for a run: the snapshot when the run was migrated
+ * to it, otherwise the entrypoint after checking that it and its local imports still match the
+ * snapshot hash.
+ */
+export async function resolveProcessImportPath(runDir: string, metadata: RunMetadata): Promise<string | undefined> {
+  const entrypoint = metadata.entrypoint?.importPath ?? metadata.processPath;
+  const snapshot = metadata.processSnapshot;
+  if (!snapshot) return entrypoint;
+  if (metadata.processSource === "snapshot") return snapshot.importPath;
+  if (!entrypoint) return entrypoint;
+  const currentSha256 = (await collectProcessSources(path.resolve(runDir, entrypoint)))?.sha256;
+  if (currentSha256 !== snapshot.sha256) {
+    throw new ProcessDriftError(
+      `Process source for run ${metadata.runId} changed since ${snapshot.capturedAt}; run 'babysitter run:migrate ${metadata.runId} --use snapshot|current' to choose which revision continues`,
+      { runDir, entrypoint, expectedSha256: snapshot.sha256, actualSha256: currentSha256 ?? null }
+    );
+  }
+  return entrypoint;
+}
+
+/**
+ * Chooses which process revision a drifted run continues with and appends PROCESS_MIGRATED.
+ * `snapshot` pins replay to the captured copy; `current` re-captures the live entrypoint and keeps
+ * drift checks against the new hash.
+ */
+export async function migrateRunProcess(options: MigrateRunProcessOptions): Promise<MigrateRunProcessResult> {
+  if (options.use !== "snapshot" && options.use !== "current") {
+    throw new RunFailedError(`Unknown migration target '${String(options.use)}' (expected snapshot or current)`);
+  }
+  return await withRunLock(options.runDir, "runtime:migrateRunProcess", async () => {
+    const metadata = await readRunMetadata(options.runDir);
+    const previous = metadata.processSnapshot;
+    if (!previous) {
+      throw new RunFailedError(`Run ${metadata.runId} has no process snapshot to migrate from`, {
+        runDir: options.runDir,
+      });
+    }
+    let next = previous;
+    if (options.use === "current") {
+      const entrypoint = metadata.entrypoint?.importPath ?? metadata.processPath;
+      const captured = entrypoint ? await snapshotProcessSource(options.runDir, path.resolve(options.runDir, entrypoint)) : undefined;
+      if (!captured) {
+        throw new RunFailedError(`Entrypoint for run ${metadata.runId} is missing; cannot migrate to it`, {
+          runDir: options.runDir,
+          entrypoint,
+        });
+      }
+      next = captured;
+    }
+
+    const payload: Record<string, unknown> = {
+      use: options.use,
+      fromSha256: previous.sha256,
+      toSha256: next.sha256,
+    };
+    if (options.reason) payload.reason = options.reason;
+    const appended = await appendEvent({ runDir: options.runDir, eventType: "PROCESS_MIGRATED", event: payload });
+    await writeRunMetadata(options.runDir, {
+      ...metadata,
+      processSnapshot: next,
+      processSource: options.use === "snapshot" ? "snapshot" : "entrypoint",
+    });
+    emitRuntimeMetric(options.logger, "run.process_migrated", {
+      runDir: options.runDir,
+      use: options.use,
+      changed: previous.sha256 !== next.sha256,
+    });
+    return {
+      runId: metadata.runId,
+      use: options.use,
+      seq: appended.seq,
+      fromSha256: previous.sha256,
+      toSha256: next.sha256,
+      importPath:
+        options.use === "snapshot"
+          ? next.importPath
+          : (metadata.entrypoint?.importPath ?? metadata.processPath ?? next.importPath),
+    };
+  });
+}
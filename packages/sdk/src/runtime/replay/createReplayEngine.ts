@@ -1,3 +1,4 @@
+import path from "path";
 import { readRunMetadata, readRunInputs } from "../../storage/runFiles";
 import { RunMetadata } from "../../storage/types";
 import { buildEffectIndex, EffectIndex } from "./effectIndex";
@@ -47,6 +48,7 @@ export async function createReplayEngine(options: CreateReplayEngineOptions): Pr
     replayCursor,
     now: options.now,
     logger: options.logger,
+    processPath: resolveProcessPath(options.runDir, metadata.entrypoint?.importPath ?? metadata.processPath),
   });
 
   return {
@@ -111,3 +113,7 @@ function ensureCompatibleLayout(layoutVersion: string | undefined, runDir: strin
     });
   }
 }
+
+function resolveProcessPath(runDir: string, importPath?: string): string | undefined {
+  return importPath ? path.resolve(runDir, importPath) : undefined;
+}
@@ -1,7 +1,14 @@
 import { loadJournal } from "../../storage/journal";
 import { JournalEvent } from "../../storage/types";
-import { RunFailedError } from "../exceptions";
-import { EffectRecord, EffectStatus, SerializedEffectError } from "../types";
+import { HookDenial, RunFailedError } from "../exceptions";
+import {
+  EffectRecord,
+  EffectStatus,
+  RunLifecycleSnapshot,
+  SerializedEffectError,
+  SignalRecord,
+  SubrunLink,
+} from "../types";
 import { serializeUnknownError } from "../errorUtils";
 
 export interface BuildEffectIndexOptions {
@@ -9,7 +16,24 @@ export interface BuildEffectIndexOptions {
   events?: JournalEvent[];
 }
 
-type SupportedEventType = "RUN_CREATED" | "RUN_COMPLETED" | "RUN_FAILED" | "EFFECT_REQUESTED" | "EFFECT_RESOLVED";
+type SupportedEventType =
+  | "RUN_CREATED"
+  | "RUN_COMPLETED"
+  | "RUN_FAILED"
+  | "EFFECT_REQUESTED"
+  | "EFFECT_RESOLVED"
+  | "EFFECT_TIMED_OUT"
+  | "RUN_PAUSED"
+  | "RUN_RESUMED"
+  | "RUN_CANCELLED"
+  | "SUBRUN_REQUESTED"
+  | "PROCESS_MIGRATED"
+  | "PATCH_RECORDED"
+  | "SIGNAL_RECEIVED"
+  | "RACE_SETTLED"
+  | "LOCK_BROKEN"
+  | "RUN_FORKED"
+  | "HOOK_EXECUTED";
 
 interface EffectRequestedPayload {
   effectId: string;
@@ -22,6 +46,10 @@ interface EffectRequestedPayload {
   labels?: string[];
   taskDefRef?: string;
   inputsRef?: string;
+  attempt?: number;
+  logicalStepId?: string;
+  deadlineAt?: string;
+  signal?: string;
 }
 
 interface EffectResolvedPayload {
@@ -33,10 +61,69 @@ interface EffectResolvedPayload {
   stderrRef?: string;
 }
 
+interface RunLifecyclePayload {
+  reason?: string;
+}
+
+interface RunForkedPayload {
+  fromRunId: string;
+  fromSeq: number;
+  deadlines?: Record<string, string>;
+  subruns?: Record<string, SubrunLink>;
+}
+
+interface SubrunRequestedPayload {
+  effectId: string;
+  runId: string;
+  runDir: string;
+  processId: string;
+}
+
+interface HookGatePayload {
+  hookType: string;
+  gate?: string;
+  verdict?: "deny";
+  reason?: string;
+  deniedBy?: string;
+}
+
+/**
+ * Outcome of a gating ctx.hook call; `denial` is unset when the hooks allowed it.
+ */
+export interface HookGateDecision {
+  denial?: HookDenial;
+}
+
+interface PatchRecordedPayload {
+  patchId: string;
+  patched: boolean;
+}
+
+interface SignalReceivedPayload {
+  name: string;
+  payload?: unknown;
+}
+
+interface RaceSettledPayload {
+  stepId: string;
+  winner: number;
+}
+
+interface EffectTimedOutPayload {
+  effectId: string;
+  deadlineAt?: string;
+  error?: SerializedEffectError;
+}
+
 export class EffectIndex {
   private readonly byInvocation = new Map<string, EffectRecord>();
   private readonly byEffectId = new Map<string, EffectRecord>();
   private journalHead?: { seq: number; ulid: string };
+  private lifecycle: RunLifecycleSnapshot = { status: "active" };
+  private readonly patches = new Map<string, boolean>();
+  private readonly hookGates = new Map<string, HookGateDecision>();
+  private readonly signals: SignalRecord[] = [];
+  private readonly races = new Map<string, number>();
   private initialized = false;
 
   private constructor(private readonly runDir: string) {}
@@ -70,6 +157,40 @@ export class EffectIndex {
       case "EFFECT_RESOLVED":
         this.handleEffectResolved(event);
         return;
+      case "EFFECT_TIMED_OUT":
+        this.handleEffectTimedOut(event);
+        return;
+      case "RUN_PAUSED":
+        this.setLifecycle("paused", event);
+        return;
+      case "RUN_RESUMED":
+        this.setLifecycle("active", event);
+        return;
+      case "RUN_CANCELLED":
+        this.setLifecycle("cancelled", event);
+        this.abandonPendingEffects(event);
+        return;
+      case "SUBRUN_REQUESTED":
+        this.handleSubrunRequested(event);
+        return;
+      case "PROCESS_MIGRATED":
+      case "LOCK_BROKEN":
+        return;
+      case "RUN_FORKED":
+        this.handleRunForked(event);
+        return;
+      case "HOOK_EXECUTED":
+        this.handleHookExecuted(event);
+        return;
+      case "SIGNAL_RECEIVED":
+        this.handleSignalReceived(event);
+        return;
+      case "RACE_SETTLED":
+        this.handleRaceSettled(event);
+        return;
+      case "PATCH_RECORDED":
+        this.handlePatchRecorded(event);
+        return;
       default:
         throw new RunFailedError(`Unknown journal event type '${event.type}'`, {
           path: event.path,
@@ -94,10 +215,65 @@ export class EffectIndex {
     return this.listEffects().filter((record) => record.status === "requested");
   }
 
+  /**
+   * Pending effects whose deadline is at or before `nowMs`. Signal effects that already received
+   * their signal are excluded: the signal arrived before the deadline.
+   */
+  listOverdueEffects(nowMs: number): EffectRecord[] {
+    return this.listPendingEffects().filter(
+      (record) =>
+        record.deadlineAt !== undefined && record.signalSeq === undefined && Date.parse(record.deadlineAt) <= nowMs
+    );
+  }
+
+  /**
+   * Effects created by ctx.subprocess, in request order.
+   */
+  listSubruns(): EffectRecord[] {
+    return this.listEffects().filter((record) => record.subrun !== undefined);
+  }
+
+  /**
+   * SIGNAL_RECEIVED events in journal order, with the effect each one was delivered to.
+   */
+  listSignals(): SignalRecord[] {
+    return this.signals.map((signal) => ({ ...signal }));
+  }
+
+  getSignal(seq: number): SignalRecord | undefined {
+    const signal = this.signals.find((entry) => entry.seq === seq);
+    return signal ? { ...signal } : undefined;
+  }
+
+  /**
+   * Decision recorded by the first ctx.patched(patchId) call, if any.
+   */
+  getPatchDecision(patchId: string): boolean | undefined {
+    return this.patches.get(patchId);
+  }
+
+  /**
+   * Decision recorded by the gating ctx.hook call identified by `gate`, if any.
+   */
+  getHookGateDecision(gate: string): HookGateDecision | undefined {
+    return this.hookGates.get(gate);
+  }
+
+  /**
+   * Index of the thunk that won the ctx.parallel.race at `stepId`, if recorded.
+   */
+  getRaceWinner(stepId: string): number | undefined {
+    return this.races.get(stepId);
+  }
+
   getJournalHead() {
     return this.journalHead;
   }
 
+  getRunLifecycle(): RunLifecycleSnapshot {
+    return { ...this.lifecycle };
+  }
+
   private validateSequence(event: JournalEvent, expectedSeq?: number) {
     if (!Number.isFinite(event.seq) || event.seq <= 0) {
       throw new RunFailedError(`Invalid journal sequence number in ${event.filename}`, {
@@ -150,6 +326,15 @@ export class EffectIndex {
     const taskDefRef = this.expectString(payload.taskDefRef, "taskDefRef", event);
     const inputsRef = this.expectOptionalString(payload.inputsRef, "inputsRef", event);
     const labels = this.normalizeLabelArray(payload.labels, event);
+    const logicalStepId = this.expectOptionalString(payload.logicalStepId, "logicalStepId", event);
+    const deadlineAt = this.expectOptionalString(payload.deadlineAt, "deadlineAt", event);
+    const signal = this.expectOptionalString(payload.signal, "signal", event);
+    if (deadlineAt !== undefined && Number.isNaN(Date.parse(deadlineAt))) {
+      throw new RunFailedError("Malformed EFFECT_REQUESTED deadlineAt", { path: event.path });
+    }
+    if (payload.attempt !== undefined && (!Number.isInteger(payload.attempt) || payload.attempt < 1)) {
+      throw new RunFailedError("Malformed EFFECT_REQUESTED attempt", { path: event.path });
+    }
     if (this.byEffectId.has(effectId)) {
       throw new RunFailedError(`Duplicate effectId detected: ${effectId}`, { path: event.path });
     }
@@ -171,9 +356,17 @@ export class EffectIndex {
       taskDefRef,
       inputsRef,
       requestedAt: event.recordedAt,
+      attempt: payload.attempt,
+      logicalStepId,
+      deadlineAt,
+      signal,
     };
     this.byInvocation.set(record.invocationKey, record);
     this.byEffectId.set(record.effectId, record);
+    if (signal !== undefined) {
+      const buffered = this.signals.find((entry) => entry.name === signal && entry.effectId === undefined);
+      if (buffered) this.deliverSignal(buffered, record);
+    }
   }
 
   private handleEffectResolved(event: JournalEvent) {
@@ -212,6 +405,147 @@ export class EffectIndex {
     record.resolvedAt = event.recordedAt;
   }
 
+  private setLifecycle(status: RunLifecycleSnapshot["status"], event: JournalEvent) {
+    const payload = (event.data ?? {}) as RunLifecyclePayload;
+    const reason = this.expectOptionalString(payload.reason, "reason", event);
+    this.lifecycle = { status, reason, changedAt: event.recordedAt };
+  }
+
+  private abandonPendingEffects(event: JournalEvent) {
+    for (const record of this.listPendingEffects()) {
+      record.status = "abandoned";
+      record.resolvedAt = event.recordedAt;
+    }
+  }
+
+  private handleEffectTimedOut(event: JournalEvent) {
+    const payload = this.expectObject<EffectTimedOutPayload>(event, "EFFECT_TIMED_OUT");
+    const effectId = this.expectString(payload.effectId, "effectId", event);
+    const record = this.byEffectId.get(effectId);
+    if (!record) {
+      throw new RunFailedError(`EFFECT_TIMED_OUT references unknown effectId ${effectId}`, {
+        path: event.path,
+      });
+    }
+    if (record.status !== "requested") {
+      throw new RunFailedError(`Effect ${effectId} already resolved`, { path: event.path });
+    }
+    record.status = "resolved_error";
+    record.error = payload.error ?? {
+      name: "TimeoutError",
+      message: `Effect ${effectId} exceeded its deadline`,
+    };
+    record.resolvedAt = event.recordedAt;
+  }
+
+  private handleSubrunRequested(event: JournalEvent) {
+    const payload = this.expectObject<SubrunRequestedPayload>(event, "SUBRUN_REQUESTED");
+    const effectId = this.expectString(payload.effectId, "effectId", event);
+    const record = this.byEffectId.get(effectId);
+    if (!record) {
+      throw new RunFailedError(`SUBRUN_REQUESTED references unknown effectId ${effectId}`, {
+        path: event.path,
+      });
+    }
+    record.subrun = {
+      runId: this.expectString(payload.runId, "runId", event),
+      runDir: this.expectString(payload.runDir, "runDir", event),
+      processId: this.expectString(payload.processId, "processId", event),
+    };
+  }
+
+  /**
+   * A fork re-bases the deadlines of effects it copied while they were still pending, so their
+   * timeouts count from the fork rather than from the source run's request, and points pending
+   * subprocess effects at the forked child runs.
+   */
+  private handleRunForked(event: JournalEvent) {
+    const payload = this.expectObject<RunForkedPayload>(event, "RUN_FORKED");
+    for (const [effectId, deadlineAt] of Object.entries(payload.deadlines ?? {})) {
+      const record = this.expectPendingForkedEffect(effectId, event);
+      if (typeof deadlineAt !== "string" || Number.isNaN(Date.parse(deadlineAt))) {
+        throw new RunFailedError("Malformed RUN_FORKED deadline", { path: event.path });
+      }
+      record.deadlineAt = deadlineAt;
+    }
+    for (const [effectId, link] of Object.entries(payload.subruns ?? {})) {
+      const record = this.expectPendingForkedEffect(effectId, event);
+      record.subrun = {
+        runId: this.expectString(link?.runId, "runId", event),
+        runDir: this.expectString(link?.runDir, "runDir", event),
+        processId: this.expectString(link?.processId, "processId", event),
+      };
+    }
+  }
+
+  private expectPendingForkedEffect(effectId: string, event: JournalEvent): EffectRecord {
+    const record = this.byEffectId.get(effectId);
+    if (!record || record.status !== "requested") {
+      throw new RunFailedError(`RUN_FORKED updates non-pending effect ${effectId}`, { path: event.path });
+    }
+    return record;
+  }
+
+  /**
+   * Signals go to the oldest effect still waiting for that name; with none waiting they stay
+   * buffered until the next ctx.waitForSignal(name) requests its effect.
+   */
+  private handleSignalReceived(event: JournalEvent) {
+    const payload = this.expectObject<SignalReceivedPayload>(event, "SIGNAL_RECEIVED");
+    const name = this.expectString(payload.name, "name", event);
+    const signal: SignalRecord = { seq: event.seq, name, payload: payload.payload ?? null, receivedAt: event.recordedAt };
+    this.signals.push(signal);
+    const waiting = this.listPendingEffects().find(
+      (record) => record.signal === name && record.signalSeq === undefined
+    );
+    if (waiting) this.deliverSignal(signal, waiting);
+  }
+
+  private deliverSignal(signal: SignalRecord, record: EffectRecord) {
+    signal.effectId = record.effectId;
+    record.signalSeq = signal.seq;
+  }
+
+  private handleRaceSettled(event: JournalEvent) {
+    const payload = this.expectObject<RaceSettledPayload>(event, "RACE_SETTLED");
+    const stepId = this.expectString(payload.stepId, "stepId", event);
+    if (!Number.isInteger(payload.winner) || payload.winner < 0) {
+      throw new RunFailedError("Malformed RACE_SETTLED winner", { path: event.path });
+    }
+    if (this.races.has(stepId)) {
+      throw new RunFailedError(`Duplicate RACE_SETTLED for ${stepId}`, { path: event.path });
+    }
+    this.races.set(stepId, payload.winner);
+  }
+
+  // Only gating ctx.hook calls carry `gate`; every other HOOK_EXECUTED event is informational.
+  private handleHookExecuted(event: JournalEvent) {
+    const payload = this.expectObject<HookGatePayload>(event, "HOOK_EXECUTED");
+    if (payload.gate === undefined) return;
+    const gate = this.expectString(payload.gate, "gate", event);
+    if (this.hookGates.has(gate)) {
+      throw new RunFailedError(`Duplicate HOOK_EXECUTED for gate ${gate}`, { path: event.path });
+    }
+    this.hookGates.set(
+      gate,
+      payload.verdict === "deny"
+        ? { denial: { hookType: payload.hookType, reason: payload.reason, deniedBy: payload.deniedBy } }
+        : {}
+    );
+  }
+
+  private handlePatchRecorded(event: JournalEvent) {
+    const payload = this.expectObject<PatchRecordedPayload>(event, "PATCH_RECORDED");
+    const patchId = this.expectString(payload.patchId, "patchId", event);
+    if (typeof payload.patched !== "boolean") {
+      throw new RunFailedError("Malformed PATCH_RECORDED patched flag", { path: event.path });
+    }
+    if (this.patches.has(patchId)) {
+      throw new RunFailedError(`Duplicate PATCH_RECORDED for ${patchId}`, { path: event.path });
+    }
+    this.patches.set(patchId, payload.patched);
+  }
+
   private expectObject<T>(event: JournalEvent, type: string): T {
     if (!event?.data || typeof event.data !== "object") {
       throw new RunFailedError(`Malformed ${type} event payload`, { path: event.path });
@@ -1,8 +1,7 @@
-import { promises as fs } from "fs";
-import { getStateDir, getStateFile } from "../../storage/paths";
-import { writeFileAtomic } from "../../storage/atomic";
+import { STATE_CACHE_REF } from "../../storage/paths";
+import { getRunStore } from "../../storage/runStore";
 import { EffectIndex, buildEffectIndex } from "./effectIndex";
-import { EffectRecord, EffectStatus } from "../types";
+import { EffectRecord, EffectStatus, RunLifecycleSnapshot } from "../types";
 import { getClockIsoString } from "../../storage/clock";
 
 export const STATE_CACHE_SCHEMA_VERSION = "2026.01.state-cache";
@@ -32,6 +31,10 @@ export interface StateCacheSnapshot {
   stateVersion: number;
   effectsByInvocation: Record<string, DerivedEffectSummary>;
   pendingEffectsByKind: Record<string, number>;
+  /**
+   * Pause/cancel state derived from RUN_PAUSED, RUN_RESUMED and RUN_CANCELLED.
+   */
+  lifecycle: RunLifecycleSnapshot;
   rebuildReason?: string | null;
 }
 
@@ -42,29 +45,20 @@ export interface CreateStateCacheSnapshotOptions {
   stateVersion?: number;
   effectsByInvocation?: Record<string, DerivedEffectSummary>;
   pendingEffectsByKind?: Record<string, number>;
+  lifecycle?: RunLifecycleSnapshot;
   rebuildReason?: string | null;
 }
 
 export async function readStateCache(runDir: string): Promise<StateCacheSnapshot | null> {
-  const stateFile = getStateFile(runDir);
-  try {
-    const raw = await fs.readFile(stateFile, "utf8");
-    const parsed = JSON.parse(raw) as unknown;
-    return normalizeSnapshot(parsed);
-  } catch (error) {
-    const err = error as NodeJS.ErrnoException;
-    if (err.code === "ENOENT") {
-      return null;
-    }
-    throw error;
+  const raw = await getRunStore(runDir).readDocument(STATE_CACHE_REF);
+  if (!raw) {
+    return null;
   }
+  return normalizeSnapshot(JSON.parse(raw.toString("utf8")) as unknown);
 }
 
 export async function writeStateCache(runDir: string, snapshot: StateCacheSnapshot): Promise<void> {
-  const stateDir = getStateDir(runDir);
-  await fs.mkdir(stateDir, { recursive: true });
-  const stateFile = getStateFile(runDir);
-  await writeFileAtomic(stateFile, JSON.stringify(snapshot, null, 2) + "\n");
+  await getRunStore(runDir).writeDocument(STATE_CACHE_REF, JSON.stringify(snapshot, null, 2) + "\n");
 }
 
 export function journalHeadsEqual(
@@ -92,6 +86,7 @@ export function createStateCacheSnapshot(
     stateVersion: options.stateVersion ?? 0,
     effectsByInvocation: options.effectsByInvocation ?? {},
     pendingEffectsByKind: options.pendingEffectsByKind ?? {},
+    lifecycle: options.lifecycle ?? { status: "active" },
     rebuildReason: options.rebuildReason ?? null,
   };
 }
@@ -116,6 +111,7 @@ export function normalizeSnapshot(raw: unknown): StateCacheSnapshot {
     raw.journalHead === null ? null : normalizeJournalHead(raw.journalHead ?? undefined) ?? null;
   const effectsByInvocation = normalizeEffectSummaryMap(raw.effectsByInvocation);
   const pendingEffectsByKind = normalizePendingEffects(raw.pendingEffectsByKind);
+  const lifecycle = normalizeLifecycle(raw.lifecycle);
   const savedAt = typeof raw.savedAt === "string" ? raw.savedAt : getClockIsoString();
   const rebuildReason =
     raw.rebuildReason === null
@@ -133,6 +129,7 @@ export function normalizeSnapshot(raw: unknown): StateCacheSnapshot {
     stateVersion,
     effectsByInvocation,
     pendingEffectsByKind,
+    lifecycle,
     rebuildReason,
   });
 }
@@ -155,6 +152,7 @@ export async function rebuildStateCache(
     stateVersion,
     effectsByInvocation,
     pendingEffectsByKind,
+    lifecycle: effectIndex.getRunLifecycle(),
     rebuildReason: opts?.reason ?? null,
   });
   await writeStateCache(runDir, snapshot);
@@ -234,12 +232,21 @@ function normalizePendingEffects(raw: unknown): Record<string, number> {
   return totals;
 }
 
+function normalizeLifecycle(raw: unknown): RunLifecycleSnapshot {
+  if (!isPlainObject(raw)) return { status: "active" };
+  const status = raw.status === "paused" || raw.status === "cancelled" ? raw.status : "active";
+  const lifecycle: RunLifecycleSnapshot = { status };
+  if (typeof raw.reason === "string") lifecycle.reason = raw.reason;
+  if (typeof raw.changedAt === "string") lifecycle.changedAt = raw.changedAt;
+  return lifecycle;
+}
+
 function isPlainObject(value: unknown): value is Record<string, unknown> {
   return typeof value === "object" && value !== null && !Array.isArray(value);
 }
 
 function isEffectStatus(value: unknown): value is EffectStatus {
-  return value === "requested" || value === "resolved_ok" || value === "resolved_error";
+  return value === "requested" || value === "resolved_ok" || value === "resolved_error" || value === "abandoned";
 }
 
 function isJournalHeadLike(value: unknown): value is StateCacheJournalHead {
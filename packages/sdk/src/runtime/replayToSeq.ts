@@ -0,0 +1,128 @@
+import path from "path";
+import { loadJournal } from "../storage/journal";
+import { readRunMetadata, readRunOutput } from "../storage/runFiles";
+import { readTaskResult } from "../storage/tasks";
+import { JournalEvent } from "../storage/types";
+import { RunFailedError } from "./exceptions";
+import { resolveStoredResultValue } from "./intrinsics/task";
+import { EffectIndex } from "./replay/effectIndex";
+import { EffectRecord, RunLifecycleSnapshot, SerializedEffectError } from "./types";
+
+export type ReplayedRunState = "created" | "waiting" | "completed" | "failed" | "paused" | "cancelled";
+
+export interface ReplayedEffectResult {
+  effectId: string;
+  stepId: string;
+  taskId: string;
+  status: "ok" | "error";
+  value?: unknown;
+  error?: SerializedEffectError;
+  resolvedAt?: string;
+}
+
+export interface ReplayToSeqResult {
+  runId: string;
+  seq: number;
+  /**
+   * Seq of the last event in the journal today.
+   */
+  headSeq: number;
+  /**
+   * The event at `seq`.
+   */
+  event: JournalEvent;
+  /**
+   * Index built from events 1..seq only.
+   */
+  index: EffectIndex;
+  pending: EffectRecord[];
+  lifecycle: RunLifecycleSnapshot;
+  state: ReplayedRunState;
+  /**
+   * Effects resolved by `seq`, in request order: what the process had seen at that point.
+   */
+  results: ReplayedEffectResult[];
+  /**
+   * Process output, when RUN_COMPLETED is at or before `seq`.
+   */
+  output?: unknown;
+  /**
+   * Recorded error, when RUN_FAILED is at or before `seq`.
+   */
+  error?: SerializedEffectError;
+}
+
+/**
+ * Reconstructs the run as it stood right after journal event `seq`. Effect results are read from
+ * the task documents, which never change once resolved, so the values match what replay handed
+ * the process at that point.
+ */
+export async function replayToSeq(runDir: string, seq: number): Promise<ReplayToSeqResult> {
+  const resolvedDir = path.resolve(runDir);
+  const metadata = await readRunMetadata(resolvedDir);
+  const journal = await loadJournal(resolvedDir);
+  const headSeq = journal.length ? journal[journal.length - 1].seq : 0;
+  if (!Number.isInteger(seq) || seq < 1 || seq > headSeq) {
+    throw new RunFailedError(`Cannot replay run ${metadata.runId} to seq ${seq} (journal has seq 1-${headSeq})`, {
+      runDir: resolvedDir,
+    });
+  }
+  const prefix = journal.filter((event) => event.seq <= seq);
+  const index = await EffectIndex.build({ runDir: resolvedDir, events: prefix });
+
+  const results: ReplayedEffectResult[] = [];
+  for (const record of index.listEffects()) {
+    if (record.status === "resolved_ok") {
+      const stored = await readTaskResult(resolvedDir, record.effectId, record.resultRef);
+      if (!stored) {
+        throw new RunFailedError(`Result for effect ${record.effectId} is missing from disk`, {
+          effectId: record.effectId,
+        });
+      }
+      results.push({
+        ...describeEffect(record),
+        status: "ok",
+        value: await resolveStoredResultValue(resolvedDir, stored),
+      });
+    } else if (record.status === "resolved_error") {
+      results.push({ ...describeEffect(record), status: "error", error: record.error });
+    }
+  }
+
+  const pending = index.listPendingEffects();
+  const lifecycle = index.getRunLifecycle();
+  const terminal = [...prefix].reverse().find((event) => event.type === "RUN_COMPLETED" || event.type === "RUN_FAILED");
+  const result: ReplayToSeqResult = {
+    runId: metadata.runId,
+    seq,
+    headSeq,
+    event: prefix[prefix.length - 1],
+    index,
+    pending,
+    lifecycle,
+    state: deriveReplayedState(terminal, pending.length, lifecycle),
+    results,
+  };
+  if (terminal?.type === "RUN_COMPLETED") {
+    result.output = await readRunOutput(resolvedDir, (terminal.data as { outputRef?: string }).outputRef);
+  } else if (terminal?.type === "RUN_FAILED") {
+    result.error = (terminal.data as { error?: SerializedEffectError }).error;
+  }
+  return result;
+}
+
+function describeEffect(record: EffectRecord) {
+  return { effectId: record.effectId, stepId: record.stepId, taskId: record.taskId, resolvedAt: record.resolvedAt };
+}
+
+function deriveReplayedState(
+  terminal: JournalEvent | undefined,
+  pendingTotal: number,
+  lifecycle: RunLifecycleSnapshot
+): ReplayedRunState {
+  if (terminal?.type === "RUN_COMPLETED") return "completed";
+  if (terminal?.type === "RUN_FAILED") return "failed";
+  if (lifecycle.status !== "active") return lifecycle.status;
+  if (pendingTotal > 0) return "waiting";
+  return "created";
+}
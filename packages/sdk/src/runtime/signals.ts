@@ -0,0 +1,137 @@
+import { appendEvent, loadJournal } from "../storage/journal";
+import { withRunLock } from "../storage/lock";
+import { readRunMetadata } from "../storage/runFiles";
+import { JournalEvent } from "../storage/types";
+import { commitEffectResultLocked } from "./commitEffectResult";
+import { InvalidSignalNameError, RunFailedError } from "./exceptions";
+import { emitRuntimeMetric } from "./instrumentation";
+import { buildEffectIndex, EffectIndex } from "./replay/effectIndex";
+import { rebuildStateCache } from "./replay/stateCache";
+import { EffectRecord, ProcessLogger } from "./types";
+
+export interface SignalRunOptions {
+  runDir: string;
+  name: string;
+  payload?: unknown;
+  logger?: ProcessLogger;
+}
+
+export interface SignalRunResult {
+  runId: string;
+  name: string;
+  seq: number;
+  recordedAt: string;
+  /**
+   * Signal effect that received the signal; undefined when it was buffered for a later
+   * ctx.waitForSignal call.
+   */
+  effectId?: string;
+}
+
+export interface SettleDeliveredSignalsOptions {
+  runDir: string;
+  effectIndex: EffectIndex;
+  logger?: ProcessLogger;
+}
+
+/**
+ * Appends SIGNAL_RECEIVED and resolves the oldest effect waiting for `name` with the payload.
+ * Without a waiting effect the signal is buffered; signals are consumed in the order received.
+ */
+export async function signalRun(options: SignalRunOptions): Promise<SignalRunResult> {
+  assertSignalName(options.name);
+  return await withRunLock(options.runDir, "runtime:signalRun", async () => {
+    const metadata = await readRunMetadata(options.runDir);
+    const events = await loadJournal(options.runDir);
+    const terminal = events.find((event) => event.type === "RUN_COMPLETED" || event.type === "RUN_FAILED");
+    if (terminal) {
+      throw new RunFailedError(`Run ${metadata.runId} already finished with ${terminal.type}`, {
+        runDir: options.runDir,
+      });
+    }
+    const effectIndex = await buildEffectIndex({ runDir: options.runDir, events });
+    if (effectIndex.getRunLifecycle().status === "cancelled") {
+      throw new RunFailedError(`Run ${metadata.runId} is cancelled; signals are no longer accepted`, {
+        runDir: options.runDir,
+      });
+    }
+
+    const payload = { name: options.name, payload: options.payload ?? null };
+    const appended = await appendEvent({ runDir: options.runDir, eventType: "SIGNAL_RECEIVED", event: payload });
+    const syntheticEvent: JournalEvent = {
+      seq: appended.seq,
+      ulid: appended.ulid,
+      filename: appended.filename,
+      path: appended.path,
+      type: "SIGNAL_RECEIVED",
+      recordedAt: appended.recordedAt,
+      data: payload as JournalEvent["data"],
+      checksum: appended.checksum,
+    };
+    effectIndex.applyEvent(syntheticEvent);
+    const settled = await settleDeliveredSignals({ runDir: options.runDir, effectIndex, logger: options.logger });
+    await rebuildStateCache(options.runDir, { effectIndex, reason: "signal_received" });
+    emitRuntimeMetric(options.logger, "signal.received", {
+      runDir: options.runDir,
+      name: options.name,
+      delivered: settled.length > 0,
+    });
+    return {
+      runId: metadata.runId,
+      name: options.name,
+      seq: appended.seq,
+      recordedAt: appended.recordedAt,
+      effectId: effectIndex.getSignal(appended.seq)?.effectId,
+    };
+  });
+}
+
+/**
+ * Resolves pending signal effects that have a SIGNAL_RECEIVED matched to them. Callers must hold
+ * the run lock; the EFFECT_RESOLVED events are applied to `effectIndex`.
+ */
+export async function settleDeliveredSignals(options: SettleDeliveredSignalsOptions): Promise<EffectRecord[]> {
+  const settled: EffectRecord[] = [];
+  for (const record of options.effectIndex.listPendingEffects()) {
+    if (record.signalSeq === undefined) continue;
+    await deliverSignalToEffect(record, options);
+    settled.push(record);
+  }
+  return settled;
+}
+
+/**
+ * Commits the matched signal's payload as the result of a pending signal effect.
+ */
+export async function deliverSignalToEffect(
+  record: EffectRecord,
+  options: SettleDeliveredSignalsOptions
+): Promise<unknown> {
+  const signal = record.signalSeq !== undefined ? options.effectIndex.getSignal(record.signalSeq) : undefined;
+  if (!signal) {
+    throw new RunFailedError(`Effect ${record.effectId} has no signal to deliver`, { effectId: record.effectId });
+  }
+  await commitEffectResultLocked(
+    {
+      runDir: options.runDir,
+      effectId: record.effectId,
+      invocationKey: record.invocationKey,
+      logger: options.logger,
+      result: { status: "ok", value: signal.payload, finishedAt: signal.receivedAt },
+    },
+    options.effectIndex
+  );
+  emitRuntimeMetric(options.logger, "signal.delivered", {
+    runDir: options.runDir,
+    effectId: record.effectId,
+    name: signal.name,
+    signalSeq: signal.seq,
+  });
+  return signal.payload;
+}
+
+export function assertSignalName(name: unknown): asserts name is string {
+  if (typeof name !== "string" || !name.trim()) {
+    throw new InvalidSignalNameError(name);
+  }
+}
@@ -0,0 +1,164 @@
+import path from "path";
+import { loadJournal } from "../storage/journal";
+import { readRunOutput } from "../storage/runFiles";
+import { JournalEvent } from "../storage/types";
+import { commitEffectResultLocked } from "./commitEffectResult";
+import { driveRun } from "./driveRun";
+import type { EffectHandler, EffectHandlerFailure, EffectHandlerSuccess } from "./effectHandlers";
+import { emitRuntimeMetric } from "./instrumentation";
+import { buildEffectIndex, EffectIndex } from "./replay/effectIndex";
+import { EffectRecord, ProcessLogger, SerializedEffectError, SubrunLink } from "./types";
+
+export type SubrunState = "created" | "waiting" | "paused" | "completed" | "failed" | "cancelled" | "missing";
+
+export interface SubrunTreeNode {
+  runId: string;
+  processId: string;
+  /**
+   * Parent effect that waits on this child run.
+   */
+  effectId: string;
+  stepId: string;
+  runDir: string;
+  state: SubrunState;
+  children: SubrunTreeNode[];
+}
+
+export type SubrunOutcome = EffectHandlerSuccess | EffectHandlerFailure;
+
+export interface SettleFinishedSubrunsOptions {
+  runDir: string;
+  effectIndex: EffectIndex;
+  logger?: ProcessLogger;
+}
+
+export function resolveSubrunDir(parentRunDir: string, link: SubrunLink): string {
+  return path.resolve(parentRunDir, link.runDir);
+}
+
+/**
+ * Maps a finished child run to the result of its parent `subrun` effect: the output for
+ * RUN_COMPLETED, the recorded error for RUN_FAILED, and a RunCancelledError for RUN_CANCELLED.
+ * Returns undefined while the child is still in progress.
+ */
+export async function readSubrunOutcome(childRunDir: string): Promise<SubrunOutcome | undefined> {
+  const events = await loadJournal(childRunDir);
+  for (let i = events.length - 1; i >= 0; i -= 1) {
+    const event = events[i];
+    if (event.type === "RUN_COMPLETED") {
+      const outputRef = (event.data as { outputRef?: string }).outputRef;
+      return { status: "ok", value: await readRunOutput(childRunDir, outputRef), finishedAt: event.recordedAt };
+    }
+    if (event.type === "RUN_FAILED") {
+      const error = (event.data as { error?: SerializedEffectError }).error;
+      return {
+        status: "error",
+        error: error ?? { name: "Error", message: `Child run ${path.basename(childRunDir)} failed` },
+        finishedAt: event.recordedAt,
+      };
+    }
+    if (event.type === "RUN_CANCELLED") {
+      const reason = (event.data as { reason?: string }).reason;
+      return {
+        status: "error",
+        error: {
+          name: "RunCancelledError",
+          message: `Child run ${path.basename(childRunDir)} was cancelled${reason ? `: ${reason}` : ""}`,
+        },
+        finishedAt: event.recordedAt,
+      };
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Resolves pending `subrun` effects whose child run has finished. Callers must hold the parent run
+ * lock; the journal changes, so callers rebuild their effect index when anything was settled.
+ */
+export async function settleFinishedSubruns(options: SettleFinishedSubrunsOptions): Promise<EffectRecord[]> {
+  const settled: EffectRecord[] = [];
+  for (const record of options.effectIndex.listSubruns()) {
+    if (record.status !== "requested" || !record.subrun) continue;
+    const outcome = await readSubrunOutcome(resolveSubrunDir(options.runDir, record.subrun));
+    if (!outcome) continue;
+    await commitEffectResultLocked({
+      runDir: options.runDir,
+      effectId: record.effectId,
+      invocationKey: record.invocationKey,
+      logger: options.logger,
+      result: outcome,
+    });
+    emitRuntimeMetric(options.logger, "subrun.settled", {
+      runDir: options.runDir,
+      effectId: record.effectId,
+      childRunId: record.subrun.runId,
+      status: outcome.status,
+    });
+    settled.push(record);
+  }
+  return settled;
+}
+
+/**
+ * Drives the child run with the same handlers (within the remaining drive budget) and resolves the
+ * parent effect once the child finishes; a child that is still waiting leaves the effect pending.
+ */
+export const subrunEffectHandler: EffectHandler = async (action, context) => {
+  const link = action.taskDef.subrun;
+  if (!link) {
+    return { status: "error", error: { name: "Error", message: "Subrun effect is missing its child run" } };
+  }
+  const childRunDir = resolveSubrunDir(context.runDir, link);
+  const finished = await readSubrunOutcome(childRunDir);
+  if (finished) return finished;
+  const remainingMs = context.deadlineEpochMs !== undefined ? context.deadlineEpochMs - Date.now() : undefined;
+  if (remainingMs !== undefined && remainingMs <= 0) return undefined;
+  await driveRun({
+    runDir: childRunDir,
+    handlers: context.handlers,
+    now: context.now,
+    maxDurationMs: remainingMs,
+    logger: context.logger,
+  });
+  return await readSubrunOutcome(childRunDir);
+};
+
+/**
+ * Child runs started via ctx.subprocess, recursively, in request order.
+ */
+export async function listSubrunTree(runDir: string, effectIndex?: EffectIndex): Promise<SubrunTreeNode[]> {
+  const index = effectIndex ?? (await buildEffectIndex({ runDir }));
+  const nodes: SubrunTreeNode[] = [];
+  for (const record of index.listSubruns()) {
+    const link = record.subrun as SubrunLink;
+    const childRunDir = resolveSubrunDir(runDir, link);
+    const node: SubrunTreeNode = {
+      runId: link.runId,
+      processId: link.processId,
+      effectId: record.effectId,
+      stepId: record.stepId,
+      runDir: childRunDir,
+      state: "missing",
+      children: [],
+    };
+    try {
+      const events = await loadJournal(childRunDir);
+      const childIndex = await buildEffectIndex({ runDir: childRunDir, events });
+      node.state = deriveSubrunState(events, childIndex);
+      node.children = await listSubrunTree(childRunDir, childIndex);
+    } catch {
+      // Leave the node as `missing`; a deleted child should not break the parent's status.
+    }
+    nodes.push(node);
+  }
+  return nodes;
+}
+
+function deriveSubrunState(events: JournalEvent[], index: EffectIndex): SubrunState {
+  const terminal = [...events].reverse().find((event) => event.type === "RUN_COMPLETED" || event.type === "RUN_FAILED");
+  if (terminal) return terminal.type === "RUN_COMPLETED" ? "completed" : "failed";
+  const lifecycle = index.getRunLifecycle();
+  if (lifecycle.status !== "active") return lifecycle.status;
+  return index.listPendingEffects().length ? "waiting" : "created";
+}
@@ -1,14 +1,37 @@
 import type { JsonRecord, RunMetadata } from "../storage/types";
+import type { RunStore, RunStoreKind } from "../storage/runStore";
+import type { JournalLayout } from "../storage/journalSegments";
 import type { DefinedTask, TaskDef, TaskInvokeOptions } from "../tasks/types";
 import type { StateCacheJournalHead } from "./replay/stateCache";
 
-export type { DefinedTask, TaskBuildContext, TaskDef, TaskInvokeOptions } from "../tasks/types";
+export type {
+  DefinedTask,
+  TaskBuildContext,
+  TaskCompensation,
+  TaskDef,
+  TaskInvokeOptions,
+  TaskRetryPolicy,
+} from "../tasks/types";
 export type { StateCacheJournalHead } from "./replay/stateCache";
 
 // eslint-disable-next-line @typescript-eslint/no-explicit-any
 export type ProcessLogger = (...args: any[]) => void;
 
-export type EffectStatus = "requested" | "resolved_ok" | "resolved_error";
+/**
+ * `abandoned` marks effects that were still pending when the run was cancelled.
+ */
+export type EffectStatus = "requested" | "resolved_ok" | "resolved_error" | "abandoned";
+
+export type RunLifecycleStatus = "active" | "paused" | "cancelled";
+
+export interface RunLifecycleSnapshot {
+  status: RunLifecycleStatus;
+  reason?: string;
+  /**
+   * recordedAt of the RUN_PAUSED/RUN_RESUMED/RUN_CANCELLED event that set the status.
+   */
+  changedAt?: string;
+}
 
 export interface SerializedEffectError {
   name?: string;
@@ -35,12 +58,64 @@ export interface EffectRecord {
   stderrRef?: string;
   requestedAt?: string;
   resolvedAt?: string;
+  /**
+   * 1-based attempt number for invocations made with a retry policy.
+   */
+  attempt?: number;
+  /**
+   * Step id of the first attempt; shared by every attempt of the same ctx.task call.
+   */
+  logicalStepId?: string;
+  /**
+   * ISO timestamp after which a still-pending effect is resolved with a TimeoutError.
+   */
+  deadlineAt?: string;
+  /**
+   * Child run created by ctx.subprocess, recorded by SUBRUN_REQUESTED.
+   */
+  subrun?: SubrunLink;
+  /**
+   * Signal name a ctx.waitForSignal effect is waiting for.
+   */
+  signal?: string;
+  /**
+   * Seq of the SIGNAL_RECEIVED event delivered to this effect, once one is matched.
+   */
+  signalSeq?: number;
+}
+
+export interface SignalRecord {
+  seq: number;
+  name: string;
+  payload: unknown;
+  receivedAt: string;
+  /**
+   * Signal effect that consumed this signal; undefined while the signal is buffered.
+   */
+  effectId?: string;
+}
+
+export interface SubrunLink {
+  runId: string;
+  /**
+   * Child run directory relative to the parent run directory.
+   */
+  runDir: string;
+  processId: string;
 }
 
 export interface EffectSchedulerHints {
   pendingCount?: number;
   parallelGroupId?: string;
   sleepUntilEpochMs?: number;
+  /**
+   * Concurrency limit of the ctx.parallel call that requested the effect.
+   */
+  concurrencyLimit?: number;
+  /**
+   * Items of that call not started yet because the concurrency window is full.
+   */
+  deferredCount?: number;
 }
 
 export interface EffectAction {
@@ -55,6 +130,7 @@ export interface EffectAction {
   taskDefRef?: string;
   inputsRef?: string;
   requestedAt?: string;
+  deadlineAt?: string;
   schedulerHints?: EffectSchedulerHints;
 }
 
@@ -73,6 +149,31 @@ export interface CreateRunOptions {
   metadata?: JsonRecord;
   lockOwner?: string;
   logger?: ProcessLogger;
+  /**
+   * Storage backend for the run (default "fs"). SQLite runs are found again through
+   * `<runDir>/run.sqlite`; memory runs live only in this process.
+   */
+  store?: RunStore | RunStoreKind;
+  /**
+   * "segments" appends events to NDJSON segments instead of one file per event (filesystem runs).
+   */
+  journalLayout?: JournalLayout;
+  /**
+   * Chain every journal event to the checksum of the previous one so run:verify can detect
+   * removed, reordered or rewritten events.
+   */
+  journalChain?: boolean;
+  /**
+   * Store spilled artifacts and task blobs once in `<runsDir>/.cas`, shared with every other run
+   * created this way (filesystem runs).
+   */
+  sharedBlobs?: boolean;
+  /**
+   * Encrypt task documents and blobs with a per-run data key wrapped by the configured master key
+   * (BABYSITTER_ENCRYPTION_KEY or BABYSITTER_ENCRYPTION_KEY_FILE). Defaults to whether a master key
+   * is configured; encrypted runs do not use the shared blob store.
+   */
+  encrypt?: boolean;
 }
 
 export interface CreateRunResult {
@@ -81,11 +182,69 @@ export interface CreateRunResult {
   metadata: RunMetadata;
 }
 
+export interface ParallelOptions {
+  /**
+   * Maximum number of items waiting on effects at once; later items start as earlier ones finish.
+   */
+  concurrency?: number;
+  /**
+   * Throw the first failure immediately (default). When false, every item runs to completion
+   * before the first failure is rethrown.
+   */
+  failFast?: boolean;
+}
+
 export interface ParallelHelpers {
-  all<T>(thunks: Array<() => T | Promise<T>>): Promise<T[]>;
-  map<TItem, TOut>(items: TItem[], fn: (item: TItem) => TOut | Promise<TOut>): Promise<TOut[]>;
+  all<T>(thunks: Array<() => T | Promise<T>>, options?: ParallelOptions): Promise<T[]>;
+  map<TItem, TOut>(
+    items: TItem[],
+    fn: (item: TItem) => TOut | Promise<TOut>,
+    options?: ParallelOptions
+  ): Promise<TOut[]>;
+  allSettled<T>(
+    thunks: Array<() => T | Promise<T>>,
+    options?: Pick<ParallelOptions, "concurrency">
+  ): Promise<Array<PromiseSettledResult<T>>>;
+  race<T>(thunks: Array<() => T | Promise<T>>): Promise<T>;
+}
+
+export interface CompensationOutcome {
+  /**
+   * Step id of the compensated ctx.task call.
+   */
+  stepId: string;
+  taskId: string;
+  effectId?: string;
+  status: "ok" | "error";
+  error?: SerializedEffectError;
+}
+
+export interface Saga {
+  /**
+   * Same as ctx.task, but the compensation is also tracked by this saga for `rollback()`.
+   */
+  task<TArgs, TResult>(task: DefinedTask<TArgs, TResult>, args: TArgs, options?: TaskInvokeOptions): Promise<TResult>;
+  /**
+   * Requests the saga's compensations in reverse order. Failed compensations are reported, not thrown.
+   */
+  rollback(): Promise<CompensationOutcome[]>;
 }
 
+/**
+ * Process module to run as a child run. Relative import paths resolve against the directory of the
+ * calling process module.
+ */
+export type SubprocessRef =
+  | string
+  | {
+      importPath: string;
+      exportName?: string;
+      /**
+       * Defaults to the module file name without its extension.
+       */
+      processId?: string;
+    };
+
 export interface ProcessContext {
   now(): Date;
   task<TArgs, TResult>(
@@ -102,9 +261,24 @@ export interface ProcessContext {
   hook(
     hookType: string,
     payload: Record<string, unknown>,
-    options?: { label?: string; timeout?: number; throwOnFailure?: boolean }
+    options?: { label?: string; timeout?: number; throwOnFailure?: boolean; throwOnDeny?: boolean }
   ): Promise<import("../hooks/types").HookResult>;
   parallel: ParallelHelpers;
+  saga(): Saga;
+  subprocess<TOutput = unknown>(
+    processRef: SubprocessRef,
+    inputs?: unknown,
+    options?: { label?: string }
+  ): Promise<TOutput>;
+  /**
+   * Waits for the next `run:signal` with this name (signals sent earlier are buffered in order) and
+   * resolves with its payload. `timeout` is in milliseconds.
+   */
+  waitForSignal<TPayload = unknown>(name: string, options?: { label?: string; timeout?: number }): Promise<TPayload>;
+  /**
+   * True when the change guarded by `patchId` applies to this run; decided once and journaled.
+   */
+  patched(patchId: string): Promise<boolean>;
   log?: ProcessLogger;
 }
 
@@ -118,6 +292,10 @@ export interface OrchestrateOptions {
   now?: Date | (() => Date);
   context?: Record<string, unknown>;
   logger?: ProcessLogger;
+  /**
+   * Storage backend to register for `runDir` before replay; see `useRunStore`.
+   */
+  store?: RunStore | RunStoreKind;
 }
 
 export interface IterationMetadata {
@@ -131,7 +309,9 @@ export interface IterationMetadata {
 export type IterationResult =
   | { status: "completed"; output: unknown; metadata?: IterationMetadata }
   | { status: "waiting"; nextActions: EffectAction[]; metadata?: IterationMetadata }
-  | { status: "failed"; error: unknown; metadata?: IterationMetadata };
+  | { status: "failed"; error: unknown; compensations?: CompensationOutcome[]; metadata?: IterationMetadata }
+  | { status: "paused"; reason?: string; metadata?: IterationMetadata }
+  | { status: "cancelled"; reason?: string; metadata?: IterationMetadata };
 
 export interface CommitEffectResultOptions {
   runDir: string;
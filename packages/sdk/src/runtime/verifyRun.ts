@@ -0,0 +1,171 @@
+import { isDocumentEncryptedError } from "../storage/encryption";
+import { computeEventChecksum, loadJournal } from "../storage/journal";
+import { readRunMetadata } from "../storage/runFiles";
+import { getRunStore, toDocumentRef } from "../storage/runStore";
+import { hashDocument } from "../storage/tasks";
+import { JournalEvent, JsonRecord } from "../storage/types";
+
+export type RunVerificationIssueCode =
+  | "JOURNAL_UNREADABLE"
+  | "SEQ_GAP"
+  | "ULID_ORDER"
+  | "CHECKSUM_MISSING"
+  | "CHECKSUM_MISMATCH"
+  | "CHAIN_MISSING"
+  | "CHAIN_BROKEN"
+  | "REF_MISSING"
+  | "REF_DIGEST_MISMATCH"
+  | "BLOB_DIGEST_MISMATCH";
+
+export interface RunVerificationIssue {
+  code: RunVerificationIssueCode;
+  message: string;
+  seq?: number;
+  effectId?: string;
+  ref?: string;
+}
+
+export interface VerifyRunOptions {
+  runDir: string;
+  /**
+   * Report CHAIN_MISSING for runs whose journal is not checksum-chained.
+   */
+  requireChain?: boolean;
+}
+
+export interface VerifyRunResult {
+  runDir: string;
+  ok: boolean;
+  events: number;
+  /**
+   * Whether events were checked against the checksum of their predecessor.
+   */
+  chained: boolean;
+  checked: { checksums: number; refs: number; blobs: number };
+  issues: RunVerificationIssue[];
+}
+
+const BLOB_DIGEST_PATTERN = /-([0-9a-f]{64})\.json$/;
+
+/**
+ * Audits a run without modifying it: recomputes every event checksum, checks seq continuity,
+ * ULID ordering and (for chained journals) `prevChecksum` links, and confirms that the task
+ * definitions, results, logs and blobs the journal references exist with the recorded digests.
+ */
+export async function verifyRun(options: VerifyRunOptions): Promise<VerifyRunResult> {
+  const { runDir } = options;
+  const issues: RunVerificationIssue[] = [];
+  const checked = { checksums: 0, refs: 0, blobs: 0 };
+  const metadata = await readRunMetadata(runDir);
+
+  let events: JournalEvent[];
+  try {
+    events = await loadJournal(runDir);
+  } catch (error) {
+    issues.push({ code: "JOURNAL_UNREADABLE", message: error instanceof Error ? error.message : String(error) });
+    return { runDir, ok: false, events: 0, chained: false, checked, issues };
+  }
+
+  const chained = metadata.journalChain === true || events.some((event) => event.prevChecksum !== undefined);
+  if (!chained && options.requireChain) {
+    issues.push({ code: "CHAIN_MISSING", message: "journal is not checksum-chained" });
+  }
+
+  events.forEach((event, i) => {
+    const previous = i > 0 ? events[i - 1] : undefined;
+    const expectedSeq = previous ? previous.seq + 1 : 1;
+    if (event.seq !== expectedSeq) {
+      issues.push({ code: "SEQ_GAP", seq: event.seq, message: `expected seq ${expectedSeq}, found ${event.seq}` });
+    }
+    if (previous && event.ulid <= previous.ulid) {
+      issues.push({ code: "ULID_ORDER", seq: event.seq, message: `ulid ${event.ulid} does not sort after ${previous.ulid}` });
+    }
+    if (!event.checksum) {
+      issues.push({ code: "CHECKSUM_MISSING", seq: event.seq, message: "event has no checksum" });
+    } else {
+      checked.checksums += 1;
+      const payload: JsonRecord = { type: event.type, recordedAt: event.recordedAt, data: event.data };
+      if (event.prevChecksum !== undefined) payload.prevChecksum = event.prevChecksum;
+      if (computeEventChecksum(payload) !== event.checksum) {
+        issues.push({ code: "CHECKSUM_MISMATCH", seq: event.seq, message: "recomputed checksum differs from the stored one" });
+      }
+    }
+    if (chained) {
+      const expectedPrev = previous?.checksum ?? null;
+      if (event.prevChecksum === undefined) {
+        issues.push({ code: "CHAIN_MISSING", seq: event.seq, message: "event has no prevChecksum" });
+      } else if (event.prevChecksum !== expectedPrev) {
+        issues.push({
+          code: "CHAIN_BROKEN",
+          seq: event.seq,
+          message: `prevChecksum ${String(event.prevChecksum)} does not match the previous event (${String(expectedPrev)})`,
+        });
+      }
+    }
+  });
+
+  const store = getRunStore(runDir);
+  const checkRef = async (
+    event: JournalEvent,
+    ref: unknown,
+    expectedSha256?: unknown
+  ): Promise<Buffer | undefined> => {
+    if (typeof ref !== "string" || !ref) return undefined;
+    const effectId = typeof event.data.effectId === "string" ? event.data.effectId : undefined;
+    checked.refs += 1;
+    let contents: Buffer | undefined;
+    try {
+      contents = await store.readDocument(toDocumentRef(runDir, ref));
+    } catch (error) {
+      // Encrypted with a key we do not have: it exists, but its digests cannot be checked.
+      if (isDocumentEncryptedError(error)) return undefined;
+      if ((error as NodeJS.ErrnoException).code !== "DOCUMENT_DECRYPT_FAILED") throw error;
+      issues.push({ code: "REF_DIGEST_MISMATCH", seq: event.seq, effectId, ref, message: `${ref} fails decryption` });
+      return undefined;
+    }
+    if (!contents) {
+      issues.push({ code: "REF_MISSING", seq: event.seq, effectId, ref, message: `${ref} does not exist` });
+      return undefined;
+    }
+    if (typeof expectedSha256 === "string" && hashDocument(contents) !== expectedSha256) {
+      issues.push({ code: "REF_DIGEST_MISMATCH", seq: event.seq, effectId, ref, message: `${ref} does not match its recorded sha256` });
+    }
+    const blobDigest = BLOB_DIGEST_PATTERN.exec(ref)?.[1];
+    if (blobDigest) {
+      checked.blobs += 1;
+      if (hashDocument(contents) !== blobDigest) {
+        issues.push({ code: "BLOB_DIGEST_MISMATCH", seq: event.seq, effectId, ref, message: `${ref} does not match the digest in its name` });
+      }
+    }
+    return contents;
+  };
+
+  for (const event of events) {
+    if (event.type === "RUN_CREATED") {
+      await checkRef(event, event.data.inputsRef);
+    } else if (event.type === "EFFECT_REQUESTED") {
+      await checkRef(event, event.data.taskDefRef, event.data.taskDefSha256);
+      await checkRef(event, event.data.inputsRef);
+    } else if (event.type === "EFFECT_RESOLVED") {
+      const result = await checkRef(event, event.data.resultRef, event.data.resultSha256);
+      await checkRef(event, event.data.stdoutRef);
+      await checkRef(event, event.data.stderrRef);
+      if (result) {
+        // Results larger than the inline limit spill into a blob referenced from result.json.
+        const stored = parseJson(result);
+        await checkRef(event, stored?.resultRef);
+      }
+    }
+  }
+
+  return { runDir, ok: issues.length === 0, events: events.length, chained, checked, issues };
+}
+
+function parseJson(contents: Buffer): JsonRecord | undefined {
+  try {
+    const parsed = JSON.parse(contents.toString("utf8")) as unknown;
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? (parsed as JsonRecord) : undefined;
+  } catch {
+    return undefined;
+  }
+}
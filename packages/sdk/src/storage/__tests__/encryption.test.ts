@@ -0,0 +1,124 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { promises as fs } from "fs";
+import {
+  ENCRYPTION_KEY_ENV,
+  ENCRYPTION_KEY_FILE_ENV,
+  getEncryptionKeyId,
+  isDocumentEncryptedError,
+  isEncryptedDocument,
+  loadEncryptionKey,
+} from "../encryption";
+import { readRunMetadata } from "../runFiles";
+import { readTaskDefinition, readTaskResult } from "../tasks";
+import { loadJournal } from "../journal";
+import { createRun } from "../../runtime/createRun";
+import { orchestrateIteration } from "../../runtime/orchestrateIteration";
+import { commitEffectResult } from "../../runtime/commitEffectResult";
+import { verifyRun } from "../../runtime/verifyRun";
+
+const KEY = crypto.randomBytes(32);
+let tmpRoot: string;
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-encryption-"));
+  process.env[ENCRYPTION_KEY_ENV] = KEY.toString("hex");
+});
+
+afterEach(async () => {
+  delete process.env[ENCRYPTION_KEY_ENV];
+  delete process.env[ENCRYPTION_KEY_FILE_ENV];
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function createSecretRun(options: { encrypt?: boolean } = {}) {
+  const processPath = path.join(tmpRoot, "secret.mjs");
+  await fs.writeFile(
+    processPath,
+    `const work = { id: "work", async build(args) { return { kind: "agent", title: "work", args }; } };
+export async function process(inputs, ctx) {
+  return { value: await ctx.task(work, { token: inputs.token }) };
+}
+`,
+    "utf8"
+  );
+  const { runDir } = await createRun({
+    runsDir: tmpRoot,
+    runId: "secret",
+    process: { processId: "encryption", importPath: processPath },
+    inputs: { token: "s3cret" },
+    encrypt: options.encrypt,
+  });
+  const iteration = await orchestrateIteration({ runDir });
+  if (iteration.status !== "waiting") throw new Error(`expected waiting, got ${iteration.status}`);
+  const effectId = iteration.nextActions[0].effectId;
+  await commitEffectResult({ runDir, effectId, result: { status: "ok", value: "classified" } });
+  return { runDir, effectId };
+}
+
+describe("document encryption", () => {
+  test("encrypts task documents at rest and decrypts them with the configured key", async () => {
+    const { runDir, effectId } = await createSecretRun();
+    const metadata = await readRunMetadata(runDir);
+    expect(metadata.encryption).toMatchObject({ algorithm: "aes-256-gcm", keyId: getEncryptionKeyId(KEY) });
+
+    const rawTask = await fs.readFile(path.join(runDir, "tasks", effectId, "task.json"));
+    const rawResult = await fs.readFile(path.join(runDir, "tasks", effectId, "result.json"));
+    expect(isEncryptedDocument(rawTask)).toBe(true);
+    expect(isEncryptedDocument(rawResult)).toBe(true);
+    expect(rawTask.toString("utf8")).not.toContain("s3cret");
+    // The journal and run-level files stay readable.
+    expect((await loadJournal(runDir)).map((event) => event.type)).toEqual([
+      "RUN_CREATED",
+      "EFFECT_REQUESTED",
+      "EFFECT_RESOLVED",
+    ]);
+    expect(JSON.parse(await fs.readFile(path.join(runDir, "inputs.json"), "utf8"))).toEqual({ token: "s3cret" });
+
+    expect(await readTaskDefinition(runDir, effectId)).toMatchObject({ inputs: { token: "s3cret" } });
+    expect(await readTaskResult(runDir, effectId)).toMatchObject({ status: "ok", value: "classified" });
+    expect(await orchestrateIteration({ runDir })).toMatchObject({ status: "completed", output: { value: "classified" } });
+    expect((await verifyRun({ runDir })).ok).toBe(true);
+  });
+
+  test("refuses to read without the key or with another key, and reports tampering", async () => {
+    const { runDir, effectId } = await createSecretRun();
+
+    delete process.env[ENCRYPTION_KEY_ENV];
+    const missing = await readTaskDefinition(runDir, effectId).catch((error: unknown) => error);
+    expect(isDocumentEncryptedError(missing)).toBe(true);
+    expect((missing as Error).message).toMatch(/is encrypted; set BABYSITTER_ENCRYPTION_KEY/);
+    // Existence is still checked; digests are skipped.
+    expect((await verifyRun({ runDir })).ok).toBe(true);
+
+    process.env[ENCRYPTION_KEY_ENV] = crypto.randomBytes(32).toString("base64");
+    await expect(readTaskResult(runDir, effectId)).rejects.toMatchObject({ code: "ENCRYPTION_KEY_MISMATCH" });
+
+    process.env[ENCRYPTION_KEY_ENV] = KEY.toString("hex");
+    const resultPath = path.join(runDir, "tasks", effectId, "result.json");
+    const tampered = await fs.readFile(resultPath);
+    tampered[tampered.length - 1] ^= 0xff;
+    await fs.writeFile(resultPath, tampered);
+    await expect(readTaskResult(runDir, effectId)).rejects.toMatchObject({ code: "DOCUMENT_DECRYPT_FAILED" });
+    expect((await verifyRun({ runDir })).issues).toMatchObject([{ code: "REF_DIGEST_MISMATCH", effectId }]);
+  });
+
+  test("loads keys from the environment or a key file and leaves opted-out runs in plaintext", async () => {
+    const keyFile = path.join(tmpRoot, "run.key");
+    await fs.writeFile(keyFile, KEY.toString("base64") + "\n");
+    expect(loadEncryptionKey({ [ENCRYPTION_KEY_FILE_ENV]: keyFile })?.equals(KEY)).toBe(true);
+    expect(loadEncryptionKey({})).toBeUndefined();
+    expect(() => loadEncryptionKey({ [ENCRYPTION_KEY_ENV]: "abcd" })).toThrow(/must hold a 32-byte key/);
+
+    const { runDir, effectId } = await createSecretRun({ encrypt: false });
+    expect((await readRunMetadata(runDir)).encryption).toBeUndefined();
+    expect(JSON.parse(await fs.readFile(path.join(runDir, "tasks", effectId, "task.json"), "utf8"))).toMatchObject({
+      inputs: { token: "s3cret" },
+    });
+
+    delete process.env[ENCRYPTION_KEY_ENV];
+    await expect(createSecretRun({ encrypt: true })).rejects.toThrow(/encrypt requires BABYSITTER_ENCRYPTION_KEY/);
+  });
+});
@@ -0,0 +1,121 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { createRunDir } from "../createRunDir";
+import { appendEvent, loadJournal } from "../journal";
+import { compactJournal } from "../compactJournal";
+import { readJournalIndex, writeJournalIndex, createJournalIndex } from "../journalSegments";
+import { getJournalDir } from "../paths";
+import { buildEffectIndex } from "../../runtime/replay/effectIndex";
+
+let tmpRoot: string;
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-journal-segments-"));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function seedEvents(runDir: string, count: number) {
+  for (let i = 1; i <= count; i += 1) {
+    await appendEvent({
+      runDir,
+      eventType: "EFFECT_REQUESTED",
+      event: { effectId: `ef-${i}`, invocationKey: `key-${i}`, stepId: `S${i}`, taskId: "t", taskDefRef: `tasks/ef-${i}/task.json` },
+    });
+  }
+}
+
+describe("segmented journal", () => {
+  test("appends into NDJSON segments and rolls over at the segment size", async () => {
+    const { runDir } = await createRunDir({ runsRoot: tmpRoot, runId: "segments", request: "r", journalLayout: "segments" });
+    const journalDir = getJournalDir(runDir);
+    const index = await readJournalIndex(journalDir);
+    await writeJournalIndex(journalDir, { ...index!, segmentSize: 2 });
+
+    await seedEvents(runDir, 5);
+    const result = await appendEvent({ runDir, eventType: "RUN_COMPLETED", event: { outputRef: "state/output.json" } });
+    expect(result.seq).toBe(6);
+    expect(result.path).toBe(path.join(journalDir, "segment-000003.ndjson#6"));
+
+    expect((await fs.readdir(journalDir)).sort()).toEqual([
+      "index.json",
+      "segment-000001.ndjson",
+      "segment-000002.ndjson",
+      "segment-000003.ndjson",
+    ]);
+    const events = await loadJournal(runDir);
+    expect(events.map((event) => event.seq)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(events[5]).toMatchObject({ type: "RUN_COMPLETED", checksum: result.checksum, ulid: result.ulid });
+
+    const effectIndex = await buildEffectIndex({ runDir });
+    expect(effectIndex.listPendingEffects().map((record) => record.effectId)).toHaveLength(5);
+  });
+
+  test("compaction rewrites a per-file journal without changing replayed events", async () => {
+    const { runDir } = await createRunDir({ runsRoot: tmpRoot, runId: "compact", request: "r" });
+    await seedEvents(runDir, 5);
+    const before = await loadJournal(runDir);
+
+    const dryRun = await compactJournal({ runDir, segmentSize: 2, dryRun: true });
+    expect(dryRun).toMatchObject({ events: 5, segments: 3, alreadyCompacted: false });
+    expect(await readJournalIndex(getJournalDir(runDir))).toBeNull();
+
+    const result = await compactJournal({ runDir, segmentSize: 2 });
+    expect(result).toMatchObject({ events: 5, segments: 3, removedFiles: 5, alreadyCompacted: false });
+    expect(result.backupDir).toBeUndefined();
+    expect((await fs.readdir(runDir)).filter((name) => name.startsWith("journal"))).toEqual(["journal"]);
+
+    const after = await loadJournal(runDir);
+    expect(after.map(({ seq, ulid, type, checksum, data }) => ({ seq, ulid, type, checksum, data }))).toEqual(
+      before.map(({ seq, ulid, type, checksum, data }) => ({ seq, ulid, type, checksum, data }))
+    );
+
+    const next = await appendEvent({ runDir, eventType: "RUN_COMPLETED", event: {} });
+    expect(next.seq).toBe(6);
+    expect(await compactJournal({ runDir })).toMatchObject({ alreadyCompacted: true, events: 6, segments: 3 });
+  });
+
+  test("keeps the per-file journal as a backup on request", async () => {
+    const { runDir } = await createRunDir({ runsRoot: tmpRoot, runId: "backup", request: "r" });
+    await seedEvents(runDir, 2);
+    const result = await compactJournal({ runDir, keepBackup: true });
+    expect(result.backupDir).toMatch(/journal\.bak\.\d+$/);
+    expect((await fs.readdir(result.backupDir!)).filter((name) => name.endsWith(".json"))).toHaveLength(2);
+    expect(await readJournalIndex(getJournalDir(runDir))).toMatchObject({ segments: [{ file: "segment-000001.ndjson", firstSeq: 1 }] });
+  });
+
+  test("skips a torn last line and truncates it on the next append", async () => {
+    const { runDir } = await createRunDir({ runsRoot: tmpRoot, runId: "torn", request: "r", journalLayout: "segments" });
+    await seedEvents(runDir, 2);
+    const segmentPath = path.join(getJournalDir(runDir), "segment-000001.ndjson");
+    const intact = await fs.readFile(segmentPath, "utf8");
+    await fs.appendFile(segmentPath, '{"seq":3,"ulid":"01J', "utf8");
+
+    expect((await loadJournal(runDir)).map((event) => event.seq)).toEqual([1, 2]);
+    const next = await appendEvent({ runDir, eventType: "RUN_COMPLETED", event: {} });
+    expect(next.seq).toBe(3);
+    const repaired = await fs.readFile(segmentPath, "utf8");
+    expect(repaired.startsWith(intact)).toBe(true);
+    expect(repaired.slice(intact.length)).toMatch(/^\{"seq":3,.*"type":"RUN_COMPLETED".*\}\n$/);
+    expect((await loadJournal(runDir)).map((event) => event.type)).toEqual([
+      "EFFECT_REQUESTED",
+      "EFFECT_REQUESTED",
+      "RUN_COMPLETED",
+    ]);
+
+    // A torn line that is not the end of the journal is still corruption.
+    await fs.writeFile(segmentPath, intact.replace("\n", '\n{"seq":\n'), "utf8");
+    await expect(loadJournal(runDir)).rejects.toThrow(/segment-000001\.ndjson:2/);
+  });
+
+  test("an empty segmented journal starts at seq 1", async () => {
+    const { runDir } = await createRunDir({ runsRoot: tmpRoot, runId: "empty", request: "r" });
+    await writeJournalIndex(getJournalDir(runDir), createJournalIndex());
+    expect(await loadJournal(runDir)).toEqual([]);
+    expect((await appendEvent({ runDir, eventType: "RUN_CREATED", event: {} })).seq).toBe(1);
+  });
+});
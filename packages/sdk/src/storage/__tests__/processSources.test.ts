@@ -0,0 +1,65 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { collectProcessSources } from "../processSources";
+import { hashDocument } from "../tasks";
+
+let tmpRoot: string;
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-process-sources-"));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function writeModule(relative: string, source: string) {
+  await fs.mkdir(path.dirname(path.join(tmpRoot, relative)), { recursive: true });
+  await fs.writeFile(path.join(tmpRoot, relative), source, "utf8");
+}
+
+describe("collectProcessSources", () => {
+  test("follows relative imports, export-from, import() and require() up to their common directory", async () => {
+    await writeModule(
+      "processes/main.mjs",
+      `import { a } from "./a.mjs";
+export { b } from "../shared/b.mjs";
+import "./side-effect.mjs";
+import lodash from "lodash";
+// import { gone } from "./gone.mjs";
+export const lazy = () => import("./lazy.mjs");
+`
+    );
+    await writeModule("processes/a.mjs", `export const a = 1;\n`);
+    await writeModule("shared/b.mjs", `export const b = require("./c");\n`);
+    await writeModule("shared/c.js", `module.exports = 3;\n`);
+    await writeModule("processes/side-effect.mjs", `import { a } from "./a.mjs";\n`);
+    await writeModule("processes/lazy.mjs", `export default 4;\n`);
+
+    const sources = await collectProcessSources(path.join(tmpRoot, "processes", "main.mjs"));
+    expect(sources?.root).toBe(tmpRoot);
+    expect(sources?.entry).toBe("processes/main.mjs");
+    expect(Array.from(sources!.files.keys()).sort()).toEqual([
+      "processes/a.mjs",
+      "processes/lazy.mjs",
+      "processes/main.mjs",
+      "processes/side-effect.mjs",
+      "shared/b.mjs",
+      "shared/c.js",
+    ]);
+
+    const before = sources!.sha256;
+    await writeModule("shared/c.js", `module.exports = 30;\n`);
+    expect((await collectProcessSources(path.join(tmpRoot, "processes", "main.mjs")))?.sha256).not.toBe(before);
+  });
+
+  test("hashes a single-module process like the file itself and skips missing entrypoints", async () => {
+    await writeModule("solo.mjs", `export async function process() { return 1; }\n`);
+    const sources = await collectProcessSources(path.join(tmpRoot, "solo.mjs"));
+    expect(sources).toMatchObject({ entry: "solo.mjs" });
+    expect(sources?.sha256).toBe(hashDocument(await fs.readFile(path.join(tmpRoot, "solo.mjs"))));
+    expect(await collectProcessSources(path.join(tmpRoot, "missing.mjs"))).toBeUndefined();
+  });
+});
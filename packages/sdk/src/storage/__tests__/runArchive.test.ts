@@ -0,0 +1,176 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { promises as fs } from "fs";
+import { exportRun, importRun } from "../runArchive";
+import { packTar, unpackTar } from "../tar";
+import { readRunLock } from "../lock";
+import { readRunMetadata, writeRunMetadata } from "../runFiles";
+import { hashDocument } from "../tasks";
+import { createRun } from "../../runtime/createRun";
+import { orchestrateIteration } from "../../runtime/orchestrateIteration";
+import { commitEffectResult } from "../../runtime/commitEffectResult";
+import { verifyRun } from "../../runtime/verifyRun";
+
+let tmpRoot: string;
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-archive-"));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+async function createWaitingRun() {
+  const processPath = path.join(tmpRoot, "src", "archived.mjs");
+  await fs.mkdir(path.dirname(processPath), { recursive: true });
+  await fs.writeFile(
+    processPath,
+    `const work = { id: "work", async build() { return { kind: "agent", title: "work" }; } };
+export async function process(inputs, ctx) {
+  const value = await ctx.task(work, {});
+  return { value, n: inputs.n };
+}
+`,
+    "utf8"
+  );
+  const { runDir } = await createRun({
+    runsDir: path.join(tmpRoot, "runs"),
+    runId: "shared",
+    process: { processId: "archive", importPath: processPath },
+    inputs: { n: 3 },
+  });
+  const first = await orchestrateIteration({ runDir });
+  if (first.status !== "waiting") throw new Error(`expected waiting, got ${first.status}`);
+  return { runDir, processPath, effectId: first.nextActions[0].effectId };
+}
+
+describe("run archives", () => {
+  test("exports a run and resumes it elsewhere from the shipped process snapshot", async () => {
+    const { runDir, processPath, effectId } = await createWaitingRun();
+    const outPath = path.join(tmpRoot, "out", "shared.tgz");
+
+    const exported = await exportRun({ runDir, outPath });
+    expect(exported).toMatchObject({ runId: "shared", outPath, process: { importPath: "process/archived.mjs" } });
+    expect(await readRunLock(runDir)).toBeNull();
+
+    await fs.rm(processPath);
+    const otherRuns = path.join(tmpRoot, "elsewhere");
+    const imported = await importRun({ archivePath: outPath, runsDir: otherRuns });
+    expect(imported).toMatchObject({ runId: "shared", files: exported.files, processImportPath: "process/archived.mjs" });
+
+    const metadata = await readRunMetadata(imported.runDir);
+    expect(metadata).toMatchObject({
+      entrypoint: { importPath: "process/archived.mjs", exportName: "process" },
+      processSource: "snapshot",
+      importedFrom: { runDir, entrypoint: { importPath: "../../src/archived.mjs" } },
+    });
+
+    await commitEffectResult({ runDir: imported.runDir, effectId, result: { status: "ok", value: 5 } });
+    expect(await orchestrateIteration({ runDir: imported.runDir })).toMatchObject({
+      status: "completed",
+      output: { value: 5, n: 3 },
+    });
+    expect((await verifyRun({ runDir: imported.runDir })).ok).toBe(true);
+
+    await expect(importRun({ archivePath: outPath, runsDir: otherRuns })).rejects.toThrow(/Run shared already exists/);
+  });
+
+  test("ships the local modules the process imports for runs without a snapshot", async () => {
+    const srcDir = path.join(tmpRoot, "src");
+    await fs.mkdir(path.join(srcDir, "lib"), { recursive: true });
+    await fs.writeFile(
+      path.join(srcDir, "lib", "work.mjs"),
+      `export const work = { id: "work", async build() { return { kind: "agent", title: "work" }; } };\n`,
+      "utf8"
+    );
+    const processPath = path.join(srcDir, "two-file.mjs");
+    await fs.writeFile(
+      processPath,
+      `import { work } from "./lib/work.mjs";
+export async function process(inputs, ctx) {
+  return { value: await ctx.task(work, {}) };
+}
+`,
+      "utf8"
+    );
+    const { runDir } = await createRun({
+      runsDir: path.join(tmpRoot, "runs"),
+      runId: "two-file",
+      process: { processId: "archive", importPath: processPath },
+    });
+    const first = await orchestrateIteration({ runDir });
+    if (first.status !== "waiting") throw new Error(`expected waiting, got ${first.status}`);
+    // As if the run was created before process snapshots existed.
+    const { processSnapshot: _snapshot, ...legacy } = await readRunMetadata(runDir);
+    await writeRunMetadata(runDir, legacy);
+    await fs.rm(path.join(runDir, "process"), { recursive: true });
+
+    const outPath = path.join(tmpRoot, "two-file.tgz");
+    const exported = await exportRun({ runDir, outPath });
+    expect(exported.process).toMatchObject({ importPath: "process/two-file.mjs" });
+    await fs.rm(srcDir, { recursive: true });
+
+    const imported = await importRun({ archivePath: outPath, runsDir: path.join(tmpRoot, "elsewhere") });
+    expect(await fs.readdir(path.join(imported.runDir, "process", "lib"))).toEqual(["work.mjs"]);
+    await commitEffectResult({ runDir: imported.runDir, effectId: first.nextActions[0].effectId, result: { status: "ok", value: 7 } });
+    expect(await orchestrateIteration({ runDir: imported.runDir })).toMatchObject({ status: "completed", output: { value: 7 } });
+  });
+
+  test("rejects archives whose files do not match the manifest", async () => {
+    const { runDir } = await createWaitingRun();
+    const outPath = path.join(tmpRoot, "shared.tgz");
+    await exportRun({ runDir, outPath });
+
+    const entries = unpackTar(zlib.gunzipSync(await fs.readFile(outPath)));
+    const inputs = entries.find((entry) => entry.path === "run/inputs.json")!;
+    inputs.data = Buffer.from(`{"n":4}\n`);
+    await fs.writeFile(outPath, zlib.gzipSync(packTar(entries, new Date())));
+    await expect(importRun({ archivePath: outPath, runsDir: path.join(tmpRoot, "a") })).rejects.toThrow(
+      /inputs.json does not match the sha256/
+    );
+
+    entries.push({ path: "run/../escape.txt", data: Buffer.from("x") });
+    await fs.writeFile(outPath, zlib.gzipSync(packTar(entries, new Date())));
+    await expect(importRun({ archivePath: outPath, runsDir: path.join(tmpRoot, "b") })).rejects.toThrow(
+      /manifest does not list/
+    );
+    await expect(fs.readdir(path.join(tmpRoot, "b"))).rejects.toThrow();
+  });
+
+  test("rejects archives whose run.json names a different run than the manifest", async () => {
+    const { runDir } = await createWaitingRun();
+    const outPath = path.join(tmpRoot, "shared.tgz");
+    await exportRun({ runDir, outPath });
+
+    // Hand-edit run.json and keep the manifest hashes consistent, so only the runId check can catch it.
+    const entries = unpackTar(zlib.gunzipSync(await fs.readFile(outPath)));
+    const metadataEntry = entries.find((entry) => entry.path === "run/run.json")!;
+    metadataEntry.data = Buffer.from(
+      JSON.stringify({ ...JSON.parse(metadataEntry.data.toString("utf8")), runId: "other" }, null, 2)
+    );
+    const manifestEntry = entries.find((entry) => entry.path === "manifest.json")!;
+    const manifest = JSON.parse(manifestEntry.data.toString("utf8")) as {
+      files: Array<{ path: string; bytes: number; sha256: string }>;
+    };
+    const listed = manifest.files.find((file) => file.path === "run.json")!;
+    listed.bytes = metadataEntry.data.length;
+    listed.sha256 = hashDocument(metadataEntry.data);
+    manifestEntry.data = Buffer.from(JSON.stringify(manifest));
+    await fs.writeFile(outPath, zlib.gzipSync(packTar(entries, new Date())));
+
+    const runsDir = path.join(tmpRoot, "imported");
+    await expect(importRun({ archivePath: outPath, runsDir })).rejects.toThrow(
+      'Run archive run.json belongs to run "other", but the manifest names shared'
+    );
+    await expect(fs.readdir(runsDir)).rejects.toThrow();
+  });
+
+  test("round-trips long paths through the tar prefix field", () => {
+    const longPath = `run/tasks/${"a".repeat(40)}/blobs/${"b".repeat(30)}-${"c".repeat(64)}.json`;
+    const [entry] = unpackTar(packTar([{ path: longPath, data: Buffer.from("{}") }], new Date(0)));
+    expect(entry).toEqual({ path: longPath, data: Buffer.from("{}") });
+  });
+});
@@ -0,0 +1,214 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { spawnSync } from "child_process";
+import { createRunDir } from "../createRunDir";
+import { appendEvent, loadJournal } from "../journal";
+import { acquireRunLock, breakRunLock, readRunLock, releaseRunLock, withRunLock } from "../lock";
+import { resetClock, setClockForTests } from "../clock";
+import { readRunInputs, readRunMetadata } from "../runFiles";
+import { readTaskResult, writeTaskDefinition, readTaskDefinition, writeTaskResult } from "../tasks";
+import { getRunStore, releaseRunStore, RunStoreKind } from "../runStore";
+import { isSqliteRunStoreAvailable } from "../sqliteRunStore";
+import { createRun } from "../../runtime/createRun";
+import { orchestrateIteration } from "../../runtime/orchestrateIteration";
+import { commitEffectResult } from "../../runtime/commitEffectResult";
+
+let tmpRoot: string;
+const registeredRunDirs: string[] = [];
+
+beforeEach(async () => {
+  tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), "babysitter-run-store-"));
+});
+
+afterEach(async () => {
+  for (const runDir of registeredRunDirs.splice(0)) {
+    await releaseRunStore(runDir);
+  }
+  resetClock();
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+const kinds: Array<{ kind: RunStoreKind; available: boolean }> = [
+  { kind: "fs", available: true },
+  { kind: "memory", available: true },
+  { kind: "sqlite", available: isSqliteRunStoreAvailable() },
+];
+
+describe.each(kinds)("$kind run store", ({ kind, available }) => {
+  test.skipIf(!available)("round-trips the journal, task documents and run files", async () => {
+    const { runDir } = await createRunDir({
+      runsRoot: tmpRoot,
+      runId: `run-${kind}`,
+      request: "store",
+      processPath: "./process.mjs",
+      inputs: { hello: "world" },
+      store: kind,
+    });
+    registeredRunDirs.push(runDir);
+    expect(getRunStore(runDir).kind).toBe(kind);
+
+    await appendEvent({ runDir, eventType: "RUN_CREATED", event: { runId: `run-${kind}` } });
+    const second = await appendEvent({ runDir, eventType: "EFFECT_REQUESTED", event: { effectId: "ef-1" } });
+    expect(second.seq).toBe(2);
+    const events = await loadJournal(runDir);
+    expect(events.map((event) => [event.seq, event.type])).toEqual([
+      [1, "RUN_CREATED"],
+      [2, "EFFECT_REQUESTED"],
+    ]);
+    expect(events[1].checksum).toBe(second.checksum);
+
+    expect(await writeTaskDefinition(runDir, "ef-1", { kind: "node" })).toBe("tasks/ef-1/task.json");
+    expect(await readTaskDefinition(runDir, "ef-1")).toEqual({ kind: "node" });
+    const written = await writeTaskResult({
+      runDir,
+      effectId: "ef-1",
+      result: { schemaVersion: "v1", effectId: "ef-1", taskId: "t", invocationKey: "k", status: "ok", value: 42 },
+      stdout: "out",
+    });
+    expect(written).toMatchObject({ resultRef: "tasks/ef-1/result.json", stdoutRef: "tasks/ef-1/stdout.log" });
+    expect(await readTaskResult(runDir, "ef-1")).toMatchObject({ value: 42, stdoutRef: "tasks/ef-1/stdout.log" });
+    expect(await readTaskResult(runDir, "missing")).toBeUndefined();
+    await getRunStore(runDir).writeDocument("tasks/ef-1/blobs/notes-abc.txt", "notes");
+    expect(await getRunStore(runDir).listDocuments("tasks/ef-1")).toEqual([
+      "tasks/ef-1/blobs/notes-abc.txt",
+      "tasks/ef-1/result.json",
+      "tasks/ef-1/stdout.log",
+      "tasks/ef-1/task.json",
+    ]);
+    expect(await getRunStore(runDir).listDocuments("tasks/missing")).toEqual([]);
+
+    expect((await readRunMetadata(runDir)).runId).toBe(`run-${kind}`);
+    expect(await readRunInputs(runDir)).toEqual({ hello: "world" });
+  });
+
+  test.skipIf(!available)("holds a single run lock", async () => {
+    const { runDir } = await createRunDir({
+      runsRoot: tmpRoot,
+      runId: `lock-${kind}`,
+      request: "lock",
+      store: kind,
+    });
+    registeredRunDirs.push(runDir);
+    await acquireRunLock(runDir, "first");
+    await expect(acquireRunLock(runDir, "second")).rejects.toThrow(/run.lock already held by pid \d+ \(first\)/);
+    expect(await readRunLock(runDir)).toMatchObject({ owner: "first" });
+    await releaseRunLock(runDir);
+    expect(await readRunLock(runDir)).toBeNull();
+  });
+
+  test.skipIf(!available)("breaks stale locks and records LOCK_BROKEN", async () => {
+    const { runDir } = await createRunDir({ runsRoot: tmpRoot, runId: `stale-${kind}`, request: "lock", store: kind });
+    registeredRunDirs.push(runDir);
+    await appendEvent({ runDir, eventType: "RUN_CREATED", event: {} });
+    const store = getRunStore(runDir);
+    const deadPid = spawnSync(process.execPath, ["-e", ""]).pid;
+    await store.tryAcquireLock({ pid: deadPid, owner: "crashed", acquiredAt: "2026-01-01T00:00:00.000Z", hostname: os.hostname() });
+
+    const taken = await acquireRunLock(runDir, "next");
+    expect(await readRunLock(runDir)).toEqual(taken);
+    expect((await loadJournal(runDir)).pop()).toMatchObject({
+      type: "LOCK_BROKEN",
+      data: {
+        reason: "dead_pid",
+        previous: { pid: deadPid, owner: "crashed", hostname: os.hostname(), expiresAt: null },
+        brokenBy: { pid: process.pid, owner: "next", hostname: os.hostname() },
+      },
+    });
+    await releaseRunLock(runDir, taken);
+
+    const remote = {
+      pid: process.pid,
+      owner: "remote",
+      acquiredAt: "2026-01-01T00:00:00.000Z",
+      hostname: "elsewhere.invalid",
+      expiresAt: "2026-01-01T00:00:30.000Z",
+    };
+    await store.tryAcquireLock(remote);
+    setClockForTests(() => new Date("2026-01-01T00:00:10.000Z"));
+    await expect(acquireRunLock(runDir, "early")).rejects.toThrow(/run.lock already held by pid \d+ \(remote\)/);
+    await expect(breakRunLock(runDir)).rejects.toThrow(/held by live pid .* on elsewhere.invalid; use --force/);
+    setClockForTests(() => new Date("2026-01-01T00:00:31.000Z"));
+    await releaseRunLock(runDir, await acquireRunLock(runDir, "late"));
+    expect((await loadJournal(runDir)).pop()?.data).toMatchObject({ reason: "lease_expired", previous: { owner: "remote" } });
+
+    await acquireRunLock(runDir, "live");
+    expect(await breakRunLock(runDir, { force: true, note: "operator" })).toMatchObject({
+      previous: { owner: "live" },
+      reason: "forced",
+      recorded: true,
+    });
+    expect((await loadJournal(runDir)).pop()?.data).toMatchObject({ reason: "forced", note: "operator", brokenBy: { owner: "run:unlock" } });
+    expect(await readRunLock(runDir)).toBeNull();
+    expect(await breakRunLock(runDir)).toEqual({ previous: null, recorded: false });
+  });
+
+  test.skipIf(!available)("renews the lease while withRunLock runs and never releases a successor's lock", async () => {
+    const { runDir } = await createRunDir({ runsRoot: tmpRoot, runId: `lease-${kind}`, request: "lock", store: kind });
+    registeredRunDirs.push(runDir);
+    const successor = { pid: process.pid, owner: "successor", acquiredAt: "2026-01-01T00:00:00.000Z" };
+    await withRunLock(
+      runDir,
+      "worker",
+      async () => {
+        const first = (await readRunLock(runDir))!;
+        expect(first).toMatchObject({ owner: "worker", leaseMs: 30, hostname: os.hostname() });
+        await new Promise((resolve) => setTimeout(resolve, 80));
+        const renewed = (await readRunLock(runDir))!;
+        expect(renewed.acquiredAt).toBe(first.acquiredAt);
+        expect(Date.parse(renewed.expiresAt!)).toBeGreaterThan(Date.parse(first.expiresAt!));
+        // A heartbeat may land between the read and the swap; retry with the fresh lock.
+        while (!(await getRunStore(runDir).replaceLock((await readRunLock(runDir))!, successor)));
+      },
+      { leaseMs: 30 }
+    );
+    expect(await readRunLock(runDir)).toEqual(successor);
+  });
+});
+
+describe("run store selection", () => {
+  test("memory runs orchestrate without journal or task files on disk", async () => {
+    const processPath = path.join(tmpRoot, "memory-process.mjs");
+    await fs.writeFile(
+      processPath,
+      `const work = { id: "work", async build() { return { kind: "agent", title: "work" }; } };
+export async function process(inputs, ctx) {
+  const value = await ctx.task(work, {});
+  return { value, inputs };
+}
+`,
+      "utf8"
+    );
+    const { runDir } = await createRun({
+      runsDir: tmpRoot,
+      runId: "memory-run",
+      process: { processId: "memory", importPath: processPath },
+      inputs: { n: 1 },
+      store: "memory",
+    });
+    registeredRunDirs.push(runDir);
+
+    const first = await orchestrateIteration({ runDir });
+    if (first.status !== "waiting") throw new Error(`expected waiting, got ${first.status}`);
+    await commitEffectResult({ runDir, effectId: first.nextActions[0].effectId, result: { status: "ok", value: 7 } });
+    expect(await orchestrateIteration({ runDir })).toMatchObject({
+      status: "completed",
+      output: { value: 7, inputs: { n: 1 } },
+    });
+
+    const onDisk = await fs.readdir(runDir);
+    expect(onDisk).toEqual(["process"]);
+  });
+
+  test.skipIf(!isSqliteRunStoreAvailable())("detects sqlite runs from run.sqlite", async () => {
+    const { runDir } = await createRunDir({ runsRoot: tmpRoot, runId: "detect", request: "detect", store: "sqlite" });
+    await appendEvent({ runDir, eventType: "RUN_CREATED", event: {} });
+    await releaseRunStore(runDir);
+
+    expect(getRunStore(runDir).kind).toBe("sqlite");
+    registeredRunDirs.push(runDir);
+    expect(await loadJournal(runDir)).toHaveLength(1);
+    expect(await fs.readdir(runDir)).not.toContain("journal");
+  });
+});
@@ -0,0 +1,224 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { writeFileAtomic } from "./atomic";
+import { RUN_METADATA_FILE, getSharedBlobsDir } from "./paths";
+import { readRunMetadata } from "./runFiles";
+import { getRunStore } from "./runStore";
+import { hashDocument } from "./tasks";
+
+/*
+ * Shared blob store layout under the runs root:
+ *
+ *   .cas/objects/<first two hex chars>/<sha256>   one read-only copy of every blob
+ *   .cas/refs/<sha256>/<run directory name>       one empty marker per run that linked it
+ *
+ * Runs keep their usual refs (`blobs/<sha256>`, `tasks/<effectId>/blobs/...`); the files at those
+ * paths are hard links to the object, so readers, run:verify, run:fork and run:export need no
+ * changes. The markers are the reference counts runs:gc uses to reclaim objects.
+ */
+
+const OBJECTS_DIR = "objects";
+const REFS_DIR = "refs";
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+// Filesystems that cannot hard-link (or link here) fall back to a private copy in the run.
+const UNLINKABLE_ERRORS = new Set(["EXDEV", "EPERM", "ENOTSUP", "EMLINK"]);
+
+export interface SharedBlobInfo {
+  hash: string;
+  /**
+   * Absolute path of the object.
+   */
+  path: string;
+  bytes: number;
+  /**
+   * Run directory names holding a reference, sorted.
+   */
+  runs: string[];
+}
+
+export interface CollectSharedBlobsOptions {
+  /**
+   * Run directory names to treat as already deleted (runs:gc --dry-run).
+   */
+  deletedRuns?: Iterable<string>;
+  dryRun?: boolean;
+}
+
+export interface CollectSharedBlobsResult {
+  objects: number;
+  bytes: number;
+  /**
+   * References dropped because their run no longer exists.
+   */
+  staleRefs: number;
+}
+
+/**
+ * Writes a content-addressed document (a spilled artifact or task blob) into a run. Runs created
+ * with `sharedBlobs` store the bytes once in the shared blob store and hard-link them into place;
+ * every other run writes through its RunStore as before.
+ */
+export async function writeBlobDocument(runDir: string, ref: string, data: Buffer | string): Promise<void> {
+  const store = getRunStore(runDir);
+  const contents = typeof data === "string" ? Buffer.from(data, "utf8") : data;
+  if (store.kind !== "fs" || !(await usesSharedBlobs(runDir))) {
+    await store.writeDocument(ref, contents);
+    return;
+  }
+  const resolvedDir = path.resolve(runDir);
+  const runsRoot = path.dirname(resolvedDir);
+  const hash = hashDocument(contents);
+  const target = path.join(resolvedDir, ...ref.split("/"));
+  // The marker goes first so runs:gc never reclaims an object this run is about to link.
+  await addSharedBlobRef(runsRoot, hash, path.basename(resolvedDir));
+  for (let attempt = 0; ; attempt += 1) {
+    const objectPath = await ensureSharedObject(runsRoot, hash, contents);
+    try {
+      await linkInto(objectPath, target);
+      return;
+    } catch (error) {
+      const code = (error as NodeJS.ErrnoException).code;
+      // Reclaimed by a runs:gc that read the refs before our marker landed: write it again.
+      if (code === "ENOENT" && attempt === 0) continue;
+      if (code && UNLINKABLE_ERRORS.has(code)) {
+        await store.writeDocument(ref, contents);
+        return;
+      }
+      throw error;
+    }
+  }
+}
+
+export async function describeSharedBlob(runsRoot: string, hash: string): Promise<SharedBlobInfo | null> {
+  if (!SHA256_PATTERN.test(hash)) {
+    throw new Error(`Blob hash must be a lowercase sha256 hex digest, got ${JSON.stringify(hash)}`);
+  }
+  const objectPath = getObjectPath(runsRoot, hash);
+  let bytes: number;
+  try {
+    bytes = (await fs.stat(objectPath)).size;
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") return null;
+    throw error;
+  }
+  return { hash, path: objectPath, bytes, runs: await listRefs(runsRoot, hash) };
+}
+
+export async function readSharedBlob(runsRoot: string, hash: string): Promise<Buffer | null> {
+  const info = await describeSharedBlob(runsRoot, hash);
+  return info ? await fs.readFile(info.path) : null;
+}
+
+/**
+ * Drops references held by runs that no longer exist and deletes objects nobody references.
+ * An object that still has hard links outside the store is kept even without references.
+ */
+export async function collectSharedBlobs(
+  runsRoot: string,
+  options: CollectSharedBlobsOptions = {}
+): Promise<CollectSharedBlobsResult> {
+  const deletedRuns = new Set(options.deletedRuns ?? []);
+  const result: CollectSharedBlobsResult = { objects: 0, bytes: 0, staleRefs: 0 };
+  const refsRoot = path.join(getSharedBlobsDir(runsRoot), REFS_DIR);
+  const objectsRoot = path.join(getSharedBlobsDir(runsRoot), OBJECTS_DIR);
+  const hashes = new Set<string>();
+  for (const prefix of await readDirNames(objectsRoot)) {
+    for (const name of await readDirNames(path.join(objectsRoot, prefix))) {
+      if (SHA256_PATTERN.test(name)) hashes.add(name);
+    }
+  }
+  for (const hash of hashes) {
+    let live = 0;
+    for (const runName of await listRefs(runsRoot, hash)) {
+      if (!deletedRuns.has(runName) && (await runExists(path.join(runsRoot, runName)))) {
+        live += 1;
+        continue;
+      }
+      result.staleRefs += 1;
+      if (!options.dryRun) await fs.rm(path.join(refsRoot, hash, runName), { force: true });
+    }
+    if (live > 0) continue;
+    const objectPath = getObjectPath(runsRoot, hash);
+    const stat = await fs.stat(objectPath);
+    // A dry run leaves the runs it plans to delete (and their links) in place, so skip the check.
+    if (!options.dryRun && stat.nlink > 1) continue;
+    if (!options.dryRun) {
+      await fs.rm(objectPath, { force: true });
+      await fs.rm(path.join(refsRoot, hash), { recursive: true, force: true });
+    }
+    result.objects += 1;
+    result.bytes += stat.size;
+  }
+  return result;
+}
+
+async function usesSharedBlobs(runDir: string): Promise<boolean> {
+  if (!(await getRunStore(runDir).statDocument(RUN_METADATA_FILE))) return false;
+  const metadata = await readRunMetadata(runDir);
+  // Encrypted blobs differ per run (own data key, random IVs), so there is nothing to share.
+  return metadata.sharedBlobs === true && !metadata.encryption;
+}
+
+function getObjectPath(runsRoot: string, hash: string): string {
+  return path.join(getSharedBlobsDir(runsRoot), OBJECTS_DIR, hash.slice(0, 2), hash);
+}
+
+async function ensureSharedObject(runsRoot: string, hash: string, contents: Buffer): Promise<string> {
+  const objectPath = getObjectPath(runsRoot, hash);
+  try {
+    await fs.stat(objectPath);
+    return objectPath;
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== "ENOENT") throw error;
+  }
+  await writeFileAtomic(objectPath, contents);
+  // Objects are shared by every run that links them, so nothing may modify one in place.
+  await fs.chmod(objectPath, 0o444);
+  return objectPath;
+}
+
+async function addSharedBlobRef(runsRoot: string, hash: string, runName: string) {
+  const refDir = path.join(getSharedBlobsDir(runsRoot), REFS_DIR, hash);
+  await fs.mkdir(refDir, { recursive: true });
+  await fs.writeFile(path.join(refDir, runName), "");
+}
+
+async function listRefs(runsRoot: string, hash: string): Promise<string[]> {
+  return (await readDirNames(path.join(getSharedBlobsDir(runsRoot), REFS_DIR, hash))).sort();
+}
+
+async function linkInto(objectPath: string, target: string) {
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  try {
+    const [objectStat, targetStat] = await Promise.all([fs.stat(objectPath), fs.stat(target)]);
+    if (objectStat.ino === targetStat.ino && objectStat.dev === targetStat.dev) return;
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== "ENOENT") throw error;
+  }
+  const tempPath = `${target}.tmp-${process.pid}-${Date.now()}`;
+  await fs.link(objectPath, tempPath);
+  try {
+    await fs.rename(tempPath, target);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+async function readDirNames(dir: string): Promise<string[]> {
+  try {
+    return await fs.readdir(dir);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+async function runExists(runDir: string): Promise<boolean> {
+  try {
+    return (await fs.stat(runDir)).isDirectory();
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") return false;
+    throw error;
+  }
+}
@@ -1,16 +1,19 @@
 import { promises as fs } from "fs";
 import path from "path";
-import { DiskUsageReport, OrphanedBlobInfo } from "./types";
-import { getBlobsDir, getRunDir, getJournalDir, getTasksDir, getStateDir } from "./paths";
+import crypto from "crypto";
+import { DedupeBlobsResult, DiskUsageReport, OrphanedBlobInfo } from "./types";
+import { TASKS_DIR, getBlobsDir, getRunDir, getJournalDir, getTasksDir, getStateDir } from "./paths";
+import { getRunStore } from "./runStore";
+import { isDocumentEncryptedError } from "./encryption";
 
-async function dirSize(dir: string): Promise<number> {
+export async function getDirectorySize(dir: string): Promise<number> {
   try {
     const entries = await fs.readdir(dir, { withFileTypes: true });
     let total = 0;
     for (const entry of entries) {
       const full = path.join(dir, entry.name);
       if (entry.isDirectory()) {
-        total += await dirSize(full);
+        total += await getDirectorySize(full);
       } else if (entry.isFile()) {
         const stat = await fs.stat(full);
         total += stat.size;
@@ -27,10 +30,10 @@ async function dirSize(dir: string): Promise<number> {
 export async function getDiskUsage(runsRoot: string, runId: string): Promise<DiskUsageReport> {
   const runDir = getRunDir(runsRoot, runId);
   const [journal, tasks, blobs, state] = await Promise.all([
-    dirSize(getJournalDir(runDir)),
-    dirSize(getTasksDir(runDir)),
-    dirSize(getBlobsDir(runDir)),
-    dirSize(getStateDir(runDir)),
+    getDirectorySize(getJournalDir(runDir)),
+    getDirectorySize(getTasksDir(runDir)),
+    getDirectorySize(getBlobsDir(runDir)),
+    getDirectorySize(getStateDir(runDir)),
   ]);
   const total = journal + tasks + blobs + state;
   return { totalBytes: total, journalBytes: journal, tasksBytes: tasks, blobsBytes: blobs, stateBytes: state };
@@ -45,18 +48,20 @@ export async function findOrphanedBlobs(runsRoot: string, runId: string): Promis
     const effects = await fs.readdir(tasksDir, { withFileTypes: true });
     for (const effectEntry of effects) {
       if (!effectEntry.isDirectory()) continue;
-      const artifactsPath = path.join(tasksDir, effectEntry.name, "artifacts.json");
+      let data: Buffer | undefined;
       try {
-        const data = await fs.readFile(artifactsPath, "utf8");
-        const artifacts = JSON.parse(data) as Array<{ storedAt: string }>;
-        for (const artifact of artifacts) {
-          if (artifact.storedAt.startsWith("blobs/")) {
-            referenced.add(path.basename(artifact.storedAt));
-          }
-        }
+        data = await getRunStore(runDir).readDocument(path.posix.join(TASKS_DIR, effectEntry.name, "artifacts.json"));
       } catch (err) {
-        const error = err as NodeJS.ErrnoException;
-        if (error.code !== "ENOENT") throw err;
+        // Without the run's key nothing tells which blobs are referenced, so none count as orphaned.
+        if (isDocumentEncryptedError(err)) return [];
+        throw err;
+      }
+      if (!data) continue;
+      const artifacts = JSON.parse(data.toString("utf8")) as Array<{ storedAt: string }>;
+      for (const artifact of artifacts) {
+        if (artifact.storedAt.startsWith("blobs/")) {
+          referenced.add(path.basename(artifact.storedAt));
+        }
       }
     }
   } catch (err) {
@@ -82,3 +87,88 @@ export async function findOrphanedBlobs(runsRoot: string, runId: string): Promis
 
   return orphaned;
 }
+
+/**
+ * Lists the content-addressed files of a run: `blobs/<sha256>` artifacts and the
+ * `tasks/<effectId>/blobs/` values spilled out of task definitions and results.
+ */
+async function listBlobFiles(runDir: string): Promise<string[]> {
+  const files: string[] = [];
+  const collect = async (dir: string) => {
+    try {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        if (entry.isFile()) files.push(path.join(dir, entry.name));
+      }
+    } catch (err) {
+      const error = err as NodeJS.ErrnoException;
+      if (error.code !== "ENOENT") throw err;
+    }
+  };
+  await collect(getBlobsDir(runDir));
+  try {
+    const effects = await fs.readdir(getTasksDir(runDir), { withFileTypes: true });
+    for (const effectEntry of effects) {
+      if (effectEntry.isDirectory()) await collect(path.join(getTasksDir(runDir), effectEntry.name, "blobs"));
+    }
+  } catch (err) {
+    const error = err as NodeJS.ErrnoException;
+    if (error.code !== "ENOENT") throw err;
+  }
+  return files;
+}
+
+export interface DedupeBlobsOptions {
+  dryRun?: boolean;
+  /**
+   * Wraps the scan and relinking of each run, e.g. to hold that run's lock meanwhile. A run whose
+   * `relink` is never called is skipped, and its blobs are not used as link targets.
+   */
+  withRun?: (runDir: string, relink: () => Promise<void>) => Promise<void>;
+}
+
+/**
+ * Replaces byte-identical blob files across `runDirs` with hard links to a single copy. Blobs are
+ * only ever replaced (never modified in place), so linked runs cannot affect each other. Files on
+ * filesystems without hard links are left alone.
+ */
+export async function dedupeBlobs(runDirs: string[], options: DedupeBlobsOptions = {}): Promise<DedupeBlobsResult> {
+  const canonical = new Map<string, { path: string; dev: number; ino: number }>();
+  const result: DedupeBlobsResult = { files: 0, bytes: 0 };
+  const relinkRun = async (runDir: string) => {
+    for (const file of await listBlobFiles(runDir)) {
+      const [stat, data] = await Promise.all([fs.stat(file), fs.readFile(file)]);
+      const key = `${crypto.createHash("sha256").update(data).digest("hex")}:${stat.size}`;
+      const existing = canonical.get(key);
+      if (!existing) {
+        canonical.set(key, { path: file, dev: stat.dev, ino: stat.ino });
+        continue;
+      }
+      if (existing.dev === stat.dev && existing.ino === stat.ino) continue;
+      if (!options.dryRun) {
+        const tmpPath = `${file}.gc-${process.pid}`;
+        try {
+          await fs.link(existing.path, tmpPath);
+          await fs.rename(tmpPath, file);
+        } catch (err) {
+          await fs.rm(tmpPath, { force: true });
+          const error = err as NodeJS.ErrnoException;
+          // ENOENT: the run holding the first copy removed it after it was scanned.
+          if (error.code === "EXDEV" || error.code === "EPERM" || error.code === "ENOTSUP" || error.code === "ENOENT") {
+            continue;
+          }
+          throw err;
+        }
+      }
+      result.files += 1;
+      result.bytes += stat.size;
+    }
+  };
+  for (const runDir of runDirs) {
+    if (options.withRun) {
+      await options.withRun(runDir, () => relinkRun(runDir));
+    } else {
+      await relinkRun(runDir);
+    }
+  }
+  return result;
+}
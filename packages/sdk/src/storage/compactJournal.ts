@@ -0,0 +1,92 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { getRunStore } from "./runStore";
+import { getJournalDir } from "./paths";
+import { loadJournal } from "./journal";
+import { withRunLock } from "./lock";
+import { DEFAULT_JOURNAL_SEGMENT_SIZE, readJournalIndex, writeSegmentedJournal } from "./journalSegments";
+
+export interface CompactJournalOptions {
+  runDir: string;
+  segmentSize?: number;
+  /**
+   * Keep the per-file journal as `journal.bak.<stamp>` instead of deleting it.
+   */
+  keepBackup?: boolean;
+  /**
+   * Report what compaction would do without touching the journal.
+   */
+  dryRun?: boolean;
+}
+
+export interface CompactJournalResult {
+  events: number;
+  segments: number;
+  removedFiles: number;
+  alreadyCompacted: boolean;
+  backupDir?: string;
+}
+
+/**
+ * Rewrites a per-file journal as NDJSON segments. The segmented copy is built next to the journal,
+ * swapped in, and re-read; if the replayed events differ in any seq, ulid, type or checksum the
+ * original journal is restored.
+ */
+export async function compactJournal(options: CompactJournalOptions): Promise<CompactJournalResult> {
+  const { runDir } = options;
+  const store = getRunStore(runDir);
+  if (store.kind !== "fs") {
+    throw new Error(`Only filesystem journals can be compacted (this run uses the ${store.kind} store)`);
+  }
+  const segmentSize = options.segmentSize ?? DEFAULT_JOURNAL_SEGMENT_SIZE;
+  const journalDir = getJournalDir(runDir);
+
+  return await withRunLock(runDir, "run:compact-journal", async () => {
+    const existingIndex = await readJournalIndex(journalDir);
+    if (existingIndex) {
+      const events = (await store.readJournalEntries()).length;
+      return { events, segments: existingIndex.segments.length, removedFiles: 0, alreadyCompacted: true };
+    }
+
+    const entries = await store.readJournalEntries();
+    const segments = Math.ceil(entries.length / segmentSize);
+    if (options.dryRun) {
+      return { events: entries.length, segments, removedFiles: entries.length, alreadyCompacted: false };
+    }
+
+    const before = await loadJournal(runDir);
+    const stamp = Date.now();
+    const compactingDir = path.join(runDir, `journal.compacting.${stamp}`);
+    const backupDir = path.join(runDir, `journal.bak.${stamp}`);
+    await writeSegmentedJournal(compactingDir, entries, segmentSize);
+    await fs.rename(journalDir, backupDir);
+    await fs.rename(compactingDir, journalDir);
+
+    const after = await loadJournal(runDir);
+    const mismatch =
+      after.length !== before.length ||
+      after.some(
+        (event, i) =>
+          event.seq !== before[i].seq ||
+          event.ulid !== before[i].ulid ||
+          event.type !== before[i].type ||
+          event.checksum !== before[i].checksum
+      );
+    if (mismatch) {
+      await fs.rm(journalDir, { recursive: true, force: true });
+      await fs.rename(backupDir, journalDir);
+      throw new Error(`Compacted journal for ${runDir} does not replay the original events; journal left unchanged`);
+    }
+
+    if (!options.keepBackup) {
+      await fs.rm(backupDir, { recursive: true, force: true });
+    }
+    return {
+      events: after.length,
+      segments,
+      removedFiles: entries.length,
+      alreadyCompacted: false,
+      backupDir: options.keepBackup ? backupDir : undefined,
+    };
+  });
+}
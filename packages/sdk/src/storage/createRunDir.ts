@@ -1,35 +1,12 @@
-import { promises as fs } from "fs";
-import path from "path";
 import { CreateRunDirOptions, RunEntrypointMetadata, RunMetadata } from "./types";
-import {
-  DEFAULT_LAYOUT_VERSION,
-  INPUTS_FILE,
-  RUN_METADATA_FILE,
-  getRunDir,
-  getJournalDir,
-  getTasksDir,
-  getBlobsDir,
-  getStateDir,
-  ORPHANED_DIR,
-  PROCESS_DIR,
-} from "./paths";
-import { writeFileAtomic } from "./atomic";
+import { DEFAULT_LAYOUT_VERSION, INPUTS_FILE, RUN_METADATA_FILE, getRunDir } from "./paths";
+import { getRunStore, useRunStore } from "./runStore";
 import { getClockIsoString } from "./clock";
 
-const GITIGNORE_CONTENT = `state/\ntasks/*/artifacts/\nblobs/\norphaned/\n`;
-
 export async function createRunDir(options: CreateRunDirOptions) {
   const runDir = getRunDir(options.runsRoot, options.runId);
-  await fs.mkdir(runDir, { recursive: true });
-  await Promise.all([
-    fs.mkdir(getJournalDir(runDir), { recursive: true }),
-    fs.mkdir(getTasksDir(runDir), { recursive: true }),
-    fs.mkdir(getBlobsDir(runDir), { recursive: true }),
-    fs.mkdir(getStateDir(runDir), { recursive: true }),
-    fs.mkdir(path.join(runDir, ORPHANED_DIR), { recursive: true }),
-    fs.mkdir(path.join(runDir, PROCESS_DIR), { recursive: true }),
-  ]);
-  await writeFileAtomic(path.join(runDir, ".gitignore"), GITIGNORE_CONTENT);
+  const store = options.store ? useRunStore(runDir, options.store) : getRunStore(runDir);
+  await store.initialize({ journalLayout: options.journalLayout });
 
   const layoutVersion = options.layoutVersion ?? DEFAULT_LAYOUT_VERSION;
   const entrypoint = resolveEntrypoint(options);
@@ -47,9 +24,9 @@ export async function createRunDir(options: CreateRunDirOptions) {
   if (options.extraMetadata) {
     Object.assign(metadata, options.extraMetadata);
   }
-  await writeFileAtomic(path.join(runDir, RUN_METADATA_FILE), JSON.stringify(metadata, null, 2) + "\n");
+  await store.writeDocument(RUN_METADATA_FILE, JSON.stringify(metadata, null, 2) + "\n");
   if (options.inputs !== undefined) {
-    await writeFileAtomic(path.join(runDir, INPUTS_FILE), JSON.stringify(options.inputs, null, 2) + "\n");
+    await store.writeDocument(INPUTS_FILE, JSON.stringify(options.inputs, null, 2) + "\n");
   }
   return { runDir, metadata };
 }
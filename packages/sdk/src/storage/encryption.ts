@@ -0,0 +1,212 @@
+import { readFileSync } from "fs";
+import path from "path";
+import crypto from "crypto";
+import { BLOBS_DIR, RUN_METADATA_FILE, TASKS_DIR } from "./paths";
+import type { RunStore } from "./runStore";
+import { getClockIsoString } from "./clock";
+
+/*
+ * Envelope encryption for run documents. A master key (from the environment) wraps one random
+ * data key per run, stored in run.json as `encryption.wrappedKey`; the data key encrypts every
+ * document under `tasks/` and `blobs/` with AES-256-GCM, bound to its ref. run.json, inputs.json,
+ * the journal and the state cache stay readable so replay, run:status and run:events work
+ * without the key.
+ *
+ * Encrypted document layout: MAGIC | iv (12 bytes) | auth tag (16 bytes) | ciphertext.
+ */
+
+export const ENCRYPTION_KEY_ENV = "BABYSITTER_ENCRYPTION_KEY";
+export const ENCRYPTION_KEY_FILE_ENV = "BABYSITTER_ENCRYPTION_KEY_FILE";
+/**
+ * Shown in place of a payload that is encrypted with a key this process does not have.
+ */
+export const ENCRYPTED_PLACEHOLDER = "[encrypted]";
+
+const ALGORITHM = "aes-256-gcm";
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const MAGIC = Buffer.from("BSENC1\n", "utf8");
+const WRAP_AAD = Buffer.from("babysitter-run-key", "utf8");
+const ENCRYPTED_PREFIXES = [`${TASKS_DIR}/`, `${BLOBS_DIR}/`];
+
+export interface RunEncryptionMetadata {
+  algorithm: typeof ALGORITHM;
+  /**
+   * First 16 hex chars of sha256(master key), so a wrong key is reported as such.
+   */
+  keyId: string;
+  /**
+   * The run's data key, encrypted with the master key (base64 of iv | tag | ciphertext).
+   */
+  wrappedKey: string;
+  createdAt: string;
+}
+
+const dataKeys = new Map<string, Buffer>();
+const encryptingStores = new WeakSet<RunStore>();
+
+/**
+ * Reads the master key from BABYSITTER_ENCRYPTION_KEY (64 hex chars or base64) or from the file
+ * named by BABYSITTER_ENCRYPTION_KEY_FILE. Returns undefined when neither is set.
+ */
+export function loadEncryptionKey(env: NodeJS.ProcessEnv = process.env): Buffer | undefined {
+  const inline = env[ENCRYPTION_KEY_ENV]?.trim();
+  if (inline) return parseKey(inline, ENCRYPTION_KEY_ENV);
+  const keyFile = env[ENCRYPTION_KEY_FILE_ENV]?.trim();
+  if (!keyFile) return undefined;
+  const raw = readFileSync(keyFile);
+  return raw.length === KEY_BYTES ? raw : parseKey(raw.toString("utf8").trim(), keyFile);
+}
+
+export function getEncryptionKeyId(key: Buffer): string {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 16);
+}
+
+/**
+ * Generates a data key for a new run and wraps it with `key`.
+ */
+export function createRunEncryption(key: Buffer): RunEncryptionMetadata {
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  return {
+    algorithm: ALGORITHM,
+    keyId: getEncryptionKeyId(key),
+    wrappedKey: seal(key, dataKey, WRAP_AAD).toString("base64"),
+    createdAt: getClockIsoString(),
+  };
+}
+
+export function isEncryptedRef(ref: string): boolean {
+  const normalized = path.posix.normalize(ref);
+  return ENCRYPTED_PREFIXES.some((prefix) => normalized.startsWith(prefix));
+}
+
+export function isEncryptedDocument(data: Buffer): boolean {
+  return data.length >= MAGIC.length + IV_BYTES + TAG_BYTES && data.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * True for errors raised because a document is encrypted and no matching key is configured.
+ */
+export function isDocumentEncryptedError(error: unknown): boolean {
+  const code = (error as NodeJS.ErrnoException | undefined)?.code;
+  return code === "DOCUMENT_ENCRYPTED" || code === "ENCRYPTION_KEY_MISMATCH";
+}
+
+/**
+ * Wraps a store so documents under `tasks/` and `blobs/` of encrypted runs are encrypted on write
+ * and decrypted on read. Runs without `encryption` in run.json pass through unchanged.
+ */
+export function withDocumentEncryption(store: RunStore): RunStore {
+  if (encryptingStores.has(store)) return store;
+  const wrapped: RunStore = {
+    kind: store.kind,
+    runDir: store.runDir,
+    initialize: (options) => store.initialize(options),
+    readLastJournalEntry: () => store.readLastJournalEntry(),
+    readJournalEntries: () => store.readJournalEntries(),
+    writeJournalEntry: (filename, contents) => store.writeJournalEntry(filename, contents),
+    async readDocument(ref) {
+      const data = await store.readDocument(ref);
+      if (!data || !isEncryptedDocument(data)) return data;
+      const dataKey = resolveDataKey(store.runDir, ref, await readRunEncryption(store));
+      return open(dataKey, data.subarray(MAGIC.length), documentAad(ref), store.runDir, ref);
+    },
+    async writeDocument(ref, data) {
+      const encryption = isEncryptedRef(ref) ? await readRunEncryption(store) : undefined;
+      if (!encryption) {
+        await store.writeDocument(ref, data);
+        return;
+      }
+      const plaintext = typeof data === "string" ? Buffer.from(data, "utf8") : data;
+      const dataKey = resolveDataKey(store.runDir, ref, encryption);
+      await store.writeDocument(ref, Buffer.concat([MAGIC, seal(dataKey, plaintext, documentAad(ref))]));
+    },
+    statDocument: (ref) => store.statDocument(ref),
+    listDocuments: (prefix) => store.listDocuments(prefix),
+    tryAcquireLock: (info) => store.tryAcquireLock(info),
+    releaseLock: () => store.releaseLock(),
+    readLock: () => store.readLock(),
+    replaceLock: (expected, next) => store.replaceLock(expected, next),
+  };
+  if (store.close) wrapped.close = () => store.close!();
+  encryptingStores.add(wrapped);
+  return wrapped;
+}
+
+async function readRunEncryption(store: RunStore): Promise<RunEncryptionMetadata | undefined> {
+  const raw = await store.readDocument(RUN_METADATA_FILE);
+  if (!raw) return undefined;
+  const encryption = (JSON.parse(raw.toString("utf8")) as { encryption?: RunEncryptionMetadata }).encryption;
+  return encryption && typeof encryption.wrappedKey === "string" ? encryption : undefined;
+}
+
+function resolveDataKey(runDir: string, ref: string, encryption: RunEncryptionMetadata | undefined): Buffer {
+  if (!encryption) {
+    throw documentError(
+      "DOCUMENT_DECRYPT_FAILED",
+      `${ref} in ${runDir} is encrypted but run.json has no encryption metadata`
+    );
+  }
+  const key = loadEncryptionKey();
+  if (!key) {
+    throw documentError(
+      "DOCUMENT_ENCRYPTED",
+      `${ref} in ${runDir} is encrypted; set ${ENCRYPTION_KEY_ENV} or ${ENCRYPTION_KEY_FILE_ENV} to read it`
+    );
+  }
+  const keyId = getEncryptionKeyId(key);
+  if (keyId !== encryption.keyId) {
+    throw documentError(
+      "ENCRYPTION_KEY_MISMATCH",
+      `${ref} in ${runDir} is encrypted with key ${encryption.keyId}, but the configured key is ${keyId}`
+    );
+  }
+  const cacheKey = `${keyId}:${encryption.wrappedKey}`;
+  let dataKey = dataKeys.get(cacheKey);
+  if (!dataKey) {
+    dataKey = open(key, Buffer.from(encryption.wrappedKey, "base64"), WRAP_AAD, runDir, RUN_METADATA_FILE);
+    dataKeys.set(cacheKey, dataKey);
+  }
+  return dataKey;
+}
+
+function parseKey(value: string, source: string): Buffer {
+  const decoded = /^[0-9a-fA-F]{64}$/.test(value) ? Buffer.from(value, "hex") : Buffer.from(value, "base64");
+  if (decoded.length !== KEY_BYTES) {
+    throw new Error(`${source} must hold a ${KEY_BYTES}-byte key encoded as 64 hex chars or base64`);
+  }
+  return decoded;
+}
+
+function documentAad(ref: string): Buffer {
+  return Buffer.from(path.posix.normalize(ref), "utf8");
+}
+
+function seal(key: Buffer, plaintext: Buffer, aad: Buffer): Buffer {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function open(key: Buffer, sealed: Buffer, aad: Buffer, runDir: string, ref: string): Buffer {
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.subarray(0, IV_BYTES));
+    decipher.setAAD(aad);
+    decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+    return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+  } catch (error) {
+    throw documentError(
+      "DOCUMENT_DECRYPT_FAILED",
+      `Unable to decrypt ${ref} in ${runDir}: ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
+}
+
+function documentError(code: string, message: string) {
+  const error: NodeJS.ErrnoException = new Error(message);
+  error.code = code;
+  return error;
+}
@@ -0,0 +1,206 @@
+import { promises as fs } from "fs";
+import path from "path";
+import type { RunStore } from "./runStore";
+import { RunLockInfo } from "./types";
+import {
+  ORPHANED_DIR,
+  PROCESS_DIR,
+  getBlobsDir,
+  getJournalDir,
+  getLockPath,
+  getStateDir,
+  getTasksDir,
+} from "./paths";
+import { writeFileAtomic } from "./atomic";
+import {
+  JOURNAL_INDEX_FILE,
+  appendSegmentedEntry,
+  createJournalIndex,
+  readJournalIndex,
+  readSegmentedEntries,
+  readSegmentedLastEntry,
+  writeJournalIndex,
+} from "./journalSegments";
+
+const GITIGNORE_CONTENT = `state/\ntasks/*/artifacts/\nblobs/\norphaned/\n`;
+
+const LOCK_SWAP_STALE_MS = 5000;
+
+/**
+ * The on-disk layout: one JSON file per task document, and a journal that is either one JSON file
+ * per event or, once `journal/index.json` exists, NDJSON segments (see journalSegments.ts).
+ */
+export function createFsRunStore(runDir: string): RunStore {
+  const resolvePath = (ref: string) => (path.isAbsolute(ref) ? ref : path.join(runDir, ref));
+  const journalDir = getJournalDir(runDir);
+
+  const listJournalFiles = async () => {
+    try {
+      const entries = await fs.readdir(journalDir);
+      return entries.filter((name) => name.endsWith(".json") && name !== JOURNAL_INDEX_FILE).sort();
+    } catch (error) {
+      const err = error as NodeJS.ErrnoException;
+      if (err.code === "ENOENT") return [];
+      throw error;
+    }
+  };
+
+  return {
+    kind: "fs",
+    runDir,
+    async initialize(options) {
+      await fs.mkdir(runDir, { recursive: true });
+      await Promise.all([
+        fs.mkdir(getJournalDir(runDir), { recursive: true }),
+        fs.mkdir(getTasksDir(runDir), { recursive: true }),
+        fs.mkdir(getBlobsDir(runDir), { recursive: true }),
+        fs.mkdir(getStateDir(runDir), { recursive: true }),
+        fs.mkdir(path.join(runDir, ORPHANED_DIR), { recursive: true }),
+        fs.mkdir(path.join(runDir, PROCESS_DIR), { recursive: true }),
+      ]);
+      await writeFileAtomic(path.join(runDir, ".gitignore"), GITIGNORE_CONTENT);
+      if (options?.journalLayout === "segments") {
+        await writeJournalIndex(journalDir, createJournalIndex());
+      }
+    },
+    async readLastJournalEntry() {
+      const index = await readJournalIndex(journalDir);
+      if (index) return await readSegmentedLastEntry(journalDir, index);
+      const filename = (await listJournalFiles()).filter((name) => Number.isFinite(Number(name.split(".")[0]))).pop();
+      if (!filename) return undefined;
+      const entryPath = path.join(journalDir, filename);
+      return { filename, contents: await fs.readFile(entryPath, "utf8"), path: entryPath };
+    },
+    async readJournalEntries() {
+      const index = await readJournalIndex(journalDir);
+      if (index) return await readSegmentedEntries(journalDir, index);
+      const entries = [];
+      for (const filename of await listJournalFiles()) {
+        const entryPath = path.join(journalDir, filename);
+        entries.push({ filename, contents: await fs.readFile(entryPath, "utf8"), path: entryPath });
+      }
+      return entries;
+    },
+    async writeJournalEntry(filename, contents) {
+      const index = await readJournalIndex(journalDir);
+      if (index) return await appendSegmentedEntry(journalDir, index, filename, contents);
+      await fs.mkdir(journalDir, { recursive: true });
+      const targetPath = path.join(journalDir, filename);
+      await writeFileAtomic(targetPath, contents);
+      return targetPath;
+    },
+    async readDocument(ref) {
+      try {
+        return await fs.readFile(resolvePath(ref));
+      } catch (error) {
+        const err = error as NodeJS.ErrnoException;
+        if (err.code === "ENOENT") return undefined;
+        throw error;
+      }
+    },
+    async writeDocument(ref, data) {
+      await writeFileAtomic(resolvePath(ref), data);
+    },
+    async statDocument(ref) {
+      try {
+        const stats = await fs.stat(resolvePath(ref));
+        return { bytes: stats.size };
+      } catch (error) {
+        const err = error as NodeJS.ErrnoException;
+        if (err.code === "ENOENT") return undefined;
+        throw error;
+      }
+    },
+    async listDocuments(prefix) {
+      const refs: string[] = [];
+      const walk = async (relativeDir: string) => {
+        let entries;
+        try {
+          entries = await fs.readdir(resolvePath(relativeDir), { withFileTypes: true });
+        } catch (error) {
+          if ((error as NodeJS.ErrnoException).code === "ENOENT") return;
+          throw error;
+        }
+        for (const entry of entries) {
+          const ref = path.posix.join(relativeDir, entry.name);
+          if (entry.isDirectory()) await walk(ref);
+          else if (entry.isFile()) refs.push(ref);
+        }
+      };
+      await walk(path.posix.normalize(prefix.replace(/\\/g, "/")));
+      return refs.sort();
+    },
+    async tryAcquireLock(info: RunLockInfo) {
+      const lockPath = getLockPath(runDir);
+      try {
+        await fs.writeFile(lockPath, JSON.stringify(info, null, 2) + "\n", { flag: "wx" });
+        return null;
+      } catch (error) {
+        const err = error as NodeJS.ErrnoException;
+        if (err.code === "EEXIST") {
+          return JSON.parse(await fs.readFile(lockPath, "utf8")) as RunLockInfo;
+        }
+        throw err;
+      }
+    },
+    async releaseLock() {
+      await fs.rm(getLockPath(runDir), { force: true });
+    },
+    async readLock() {
+      try {
+        return JSON.parse(await fs.readFile(getLockPath(runDir), "utf8")) as RunLockInfo;
+      } catch (error) {
+        const err = error as NodeJS.ErrnoException;
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    async replaceLock(expected: RunLockInfo, next: RunLockInfo | null) {
+      const lockPath = getLockPath(runDir);
+      return await withLockSwapMutex(lockPath, async () => {
+        let current: string;
+        try {
+          current = await fs.readFile(lockPath, "utf8");
+        } catch (error) {
+          if ((error as NodeJS.ErrnoException).code === "ENOENT") return false;
+          throw error;
+        }
+        if (JSON.stringify(JSON.parse(current)) !== JSON.stringify(expected)) return false;
+        if (next) {
+          // Replaced by rename, so acquirers never see the lock missing.
+          await writeFileAtomic(lockPath, JSON.stringify(next, null, 2) + "\n");
+        } else {
+          await fs.rm(lockPath, { force: true });
+        }
+        return true;
+      });
+    },
+  };
+}
+
+/**
+ * Serializes compare-and-swap updates of `run.lock` across processes with a `run.lock.swap`
+ * marker. A swap takes milliseconds, so an older marker was left by a crashed process.
+ */
+async function withLockSwapMutex<T>(lockPath: string, fn: () => Promise<T>): Promise<T> {
+  const mutexPath = `${lockPath}.swap`;
+  for (;;) {
+    try {
+      await fs.writeFile(mutexPath, String(process.pid), { flag: "wx" });
+      break;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== "EEXIST") throw error;
+      const stats = await fs.stat(mutexPath).catch(() => undefined);
+      if (stats && Date.now() - stats.mtimeMs > LOCK_SWAP_STALE_MS) {
+        await fs.rm(mutexPath, { force: true });
+      } else {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await fs.rm(mutexPath, { force: true });
+  }
+}
@@ -1,10 +1,49 @@
 export { createRunDir } from "./createRunDir";
 export { appendEvent, loadJournal } from "./journal";
+export { compactJournal } from "./compactJournal";
+export type { CompactJournalOptions, CompactJournalResult } from "./compactJournal";
+export { exportRun, importRun, RUN_ARCHIVE_FORMAT } from "./runArchive";
+export type {
+  ExportRunOptions,
+  ExportRunResult,
+  ImportRunOptions,
+  ImportRunResult,
+  RunArchiveFile,
+  RunArchiveManifest,
+} from "./runArchive";
+export { DEFAULT_JOURNAL_SEGMENT_SIZE } from "./journalSegments";
+export type { JournalLayout } from "./journalSegments";
 export { snapshotState } from "./snapshotState";
 export { storeTaskArtifacts } from "./storeTaskArtifacts";
-export { getDiskUsage, findOrphanedBlobs } from "./cleanup";
-export { acquireRunLock, releaseRunLock, readRunLock } from "./lock";
-export { readRunMetadata, readRunInputs, writeRunOutput } from "./runFiles";
+export { writeBlobDocument, describeSharedBlob, readSharedBlob, collectSharedBlobs } from "./blobStore";
+export type { SharedBlobInfo, CollectSharedBlobsOptions, CollectSharedBlobsResult } from "./blobStore";
+export {
+  loadEncryptionKey,
+  createRunEncryption,
+  getEncryptionKeyId,
+  isEncryptedDocument,
+  isDocumentEncryptedError,
+  withDocumentEncryption,
+  ENCRYPTION_KEY_ENV,
+  ENCRYPTION_KEY_FILE_ENV,
+  ENCRYPTED_PLACEHOLDER,
+} from "./encryption";
+export type { RunEncryptionMetadata } from "./encryption";
+export { getDiskUsage, findOrphanedBlobs, getDirectorySize, dedupeBlobs } from "./cleanup";
+export { acquireRunLock, releaseRunLock, readRunLock, detectStaleLock, breakRunLock } from "./lock";
+export {
+  getRunStore,
+  useRunStore,
+  releaseRunStore,
+  createRunStore,
+  isRunStoreKind,
+  RUN_STORE_KINDS,
+} from "./runStore";
+export type { RunStore, RunStoreKind } from "./runStore";
+export { createFsRunStore } from "./fsRunStore";
+export { createMemoryRunStore } from "./memoryRunStore";
+export { createSqliteRunStore, isSqliteRunStoreAvailable } from "./sqliteRunStore";
+export { readRunMetadata, writeRunMetadata, readRunInputs, readRunOutput, writeRunOutput } from "./runFiles";
 export {
   writeTaskDefinition,
   readTaskDefinition,
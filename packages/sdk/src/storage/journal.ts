@@ -1,9 +1,6 @@
-import { promises as fs } from "fs";
-import path from "path";
 import crypto from "crypto";
 import { AppendEventOptions, AppendEventResult, JournalEvent, JsonRecord } from "./types";
-import { getJournalDir } from "./paths";
-import { writeFileAtomic } from "./atomic";
+import { getRunStore } from "./runStore";
 import { nextUlid } from "./ulids";
 import { getClockIsoString } from "./clock";
 
@@ -11,24 +8,10 @@ function formatSeq(seq: number) {
   return seq.toString().padStart(6, "0");
 }
 
-async function getExistingSeqs(journalDir: string) {
-  try {
-    const entries = await fs.readdir(journalDir);
-    return entries
-      .map((name) => Number(name.split(".")[0]))
-      .filter((n) => Number.isFinite(n));
-  } catch (error) {
-    const err = error as NodeJS.ErrnoException;
-    if (err.code === "ENOENT") return [];
-    throw error;
-  }
-}
-
 export async function appendEvent(opts: AppendEventOptions): Promise<AppendEventResult> {
-  const journalDir = getJournalDir(opts.runDir);
-  await fs.mkdir(journalDir, { recursive: true });
-  const seqs = await getExistingSeqs(journalDir);
-  const seq = (seqs.length ? Math.max(...seqs) : 0) + 1;
+  const last = await getRunStore(opts.runDir).readLastJournalEntry();
+  const previous = last ? parseJournalFile(last.path, last.contents) : undefined;
+  const seq = last ? parseJournalFilename(last.filename).seq + 1 : 1;
   const ulid = nextUlid();
   const filename = `${formatSeq(seq)}.${ulid}.json`;
   const recordedAt = getClockIsoString();
@@ -37,14 +20,24 @@ export async function appendEvent(opts: AppendEventOptions): Promise<AppendEvent
     recordedAt,
     data: opts.event,
   };
-  const contents = JSON.stringify(eventPayload, null, 2) + "\n";
-  const checksum = crypto.createHash("sha256").update(contents).digest("hex");
+  // Once a journal is chained every later event links to its predecessor's checksum.
+  if (opts.chain || previous?.prevChecksum !== undefined) {
+    eventPayload.prevChecksum = previous?.checksum ?? null;
+  }
+  const checksum = computeEventChecksum(eventPayload);
   const payloadWithChecksum = JSON.stringify({ ...eventPayload, checksum }, null, 2) + "\n";
-  const targetPath = path.join(journalDir, filename);
-  await writeFileAtomic(targetPath, payloadWithChecksum);
+  const targetPath = await getRunStore(opts.runDir).writeJournalEntry(filename, payloadWithChecksum);
   return { seq, ulid, filename, checksum, path: targetPath, recordedAt };
 }
 
+/**
+ * sha256 over the event as serialized before its checksum is added (`type`, `recordedAt`, `data`
+ * and, in chained journals, `prevChecksum`).
+ */
+export function computeEventChecksum(payload: JsonRecord): string {
+  return crypto.createHash("sha256").update(JSON.stringify(payload, null, 2) + "\n").digest("hex");
+}
+
 function parseJournalFilename(filename: string) {
   const [seqPart, ulidPart] = filename.replace(/\.json$/i, "").split(".");
   const seq = Number(seqPart);
@@ -55,34 +48,23 @@ function parseJournalFilename(filename: string) {
 }
 
 export async function loadJournal(runDir: string): Promise<JournalEvent[]> {
-  const journalDir = getJournalDir(runDir);
-  try {
-    const entries = await fs.readdir(journalDir);
-    const sorted = entries
-      .filter((name) => name.endsWith(".json"))
-      .sort();
-    const events: JournalEvent[] = [];
-    for (const file of sorted) {
-      const { seq, ulid } = parseJournalFilename(file);
-      const fullPath = path.join(journalDir, file);
-      const raw = await parseJournalFile(fullPath);
-      events.push({
-        seq,
-        ulid,
-        filename: file,
-        path: fullPath,
-        type: raw.type ?? "UNKNOWN",
-        recordedAt: typeof raw.recordedAt === "string" ? raw.recordedAt : getClockIsoString(),
-        data: raw.data ?? {},
-        checksum: typeof raw.checksum === "string" ? raw.checksum : undefined,
-      });
-    }
-    return events;
-  } catch (error) {
-    const err = error as NodeJS.ErrnoException;
-    if (err.code === "ENOENT") return [];
-    throw error;
+  const events: JournalEvent[] = [];
+  for (const entry of await getRunStore(runDir).readJournalEntries()) {
+    const { seq, ulid } = parseJournalFilename(entry.filename);
+    const raw = parseJournalFile(entry.path, entry.contents);
+    events.push({
+      seq,
+      ulid,
+      filename: entry.filename,
+      path: entry.path,
+      type: raw.type ?? "UNKNOWN",
+      recordedAt: typeof raw.recordedAt === "string" ? raw.recordedAt : getClockIsoString(),
+      data: raw.data ?? {},
+      checksum: typeof raw.checksum === "string" ? raw.checksum : undefined,
+      ...(raw.prevChecksum !== undefined ? { prevChecksum: raw.prevChecksum } : {}),
+    });
   }
+  return events;
 }
 
 interface ParsedJournalFile {
@@ -90,10 +72,10 @@ interface ParsedJournalFile {
   recordedAt?: string;
   data?: JsonRecord;
   checksum?: string;
+  prevChecksum?: string | null;
 }
 
-async function parseJournalFile(fullPath: string): Promise<ParsedJournalFile> {
-  const contents = await fs.readFile(fullPath, "utf8");
+function parseJournalFile(fullPath: string, contents: string): ParsedJournalFile {
   try {
     return JSON.parse(contents) as ParsedJournalFile;
   } catch (error) {
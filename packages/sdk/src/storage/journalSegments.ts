@@ -0,0 +1,274 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { writeFileAtomic } from "./atomic";
+import { JsonRecord } from "./types";
+
+export const JOURNAL_INDEX_FILE = "index.json";
+export const JOURNAL_SEGMENTS_FORMAT = "babysitter.journal-segments/v1";
+export const DEFAULT_JOURNAL_SEGMENT_SIZE = 1000;
+
+/**
+ * `files` keeps one JSON file per event; `segments` appends events as NDJSON lines to
+ * `segment-<n>.ndjson` files listed in `journal/index.json`.
+ */
+export type JournalLayout = "files" | "segments";
+
+export interface JournalSegmentIndex {
+  format: string;
+  segmentSize: number;
+  segments: Array<{ file: string; firstSeq: number }>;
+}
+
+export interface StoredJournalEntry {
+  filename: string;
+  contents: string;
+  path: string;
+}
+
+interface SegmentLine extends JsonRecord {
+  seq: number;
+  ulid: string;
+}
+
+export async function readJournalIndex(journalDir: string): Promise<JournalSegmentIndex | null> {
+  let raw: string;
+  try {
+    raw = await fs.readFile(path.join(journalDir, JOURNAL_INDEX_FILE), "utf8");
+  } catch (error) {
+    const err = error as NodeJS.ErrnoException;
+    if (err.code === "ENOENT") return null;
+    throw error;
+  }
+  const parsed = JSON.parse(raw) as Partial<JournalSegmentIndex>;
+  if (parsed.format !== JOURNAL_SEGMENTS_FORMAT || !Array.isArray(parsed.segments)) {
+    throw new Error(`Unsupported journal index format in ${path.join(journalDir, JOURNAL_INDEX_FILE)}`);
+  }
+  return {
+    format: parsed.format,
+    segmentSize: normalizeSegmentSize(parsed.segmentSize),
+    segments: parsed.segments,
+  };
+}
+
+export async function writeJournalIndex(journalDir: string, index: JournalSegmentIndex) {
+  await writeFileAtomic(path.join(journalDir, JOURNAL_INDEX_FILE), JSON.stringify(index, null, 2) + "\n");
+}
+
+export function createJournalIndex(segmentSize = DEFAULT_JOURNAL_SEGMENT_SIZE): JournalSegmentIndex {
+  return { format: JOURNAL_SEGMENTS_FORMAT, segmentSize: normalizeSegmentSize(segmentSize), segments: [] };
+}
+
+/**
+ * Every event of a segmented journal. An unterminated, unparseable last line of the last segment
+ * is an append cut short by a crash (or still being written) and is skipped; the next append
+ * truncates it.
+ */
+export async function readSegmentedEntries(journalDir: string, index: JournalSegmentIndex): Promise<StoredJournalEntry[]> {
+  const entries: StoredJournalEntry[] = [];
+  for (const [segmentIndex, segment] of index.segments.entries()) {
+    const segmentPath = path.join(journalDir, segment.file);
+    let raw: string;
+    try {
+      raw = await fs.readFile(segmentPath, "utf8");
+    } catch (error) {
+      // A segment is listed before its first line is written; an interrupted append leaves it missing.
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") continue;
+      throw error;
+    }
+    const lines = raw.split("\n");
+    if (segmentIndex === index.segments.length - 1 && isTornLine(lines[lines.length - 1])) lines.pop();
+    lines.forEach((line, lineIndex) => {
+      if (!line.trim()) return;
+      const parsed = parseSegmentLine(line, `${segmentPath}:${lineIndex + 1}`);
+      entries.push({
+        filename: formatEntryFilename(parsed.seq, parsed.ulid),
+        contents: line,
+        path: `${segmentPath}#${parsed.seq}`,
+      });
+    });
+  }
+  return entries;
+}
+
+/**
+ * Last event of a segmented journal. Only the end of the last non-empty segment is read.
+ */
+export async function readSegmentedLastEntry(
+  journalDir: string,
+  index: JournalSegmentIndex
+): Promise<StoredJournalEntry | undefined> {
+  for (let i = index.segments.length - 1; i >= 0; i -= 1) {
+    const segmentPath = path.join(journalDir, index.segments[i].file);
+    const line = await readLastLine(segmentPath);
+    if (line) {
+      const parsed = parseSegmentLine(line, segmentPath);
+      return { filename: formatEntryFilename(parsed.seq, parsed.ulid), contents: line, path: `${segmentPath}#${parsed.seq}` };
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Appends one event (as produced by appendEvent: `<seq>.<ulid>.json` plus its JSON document) to
+ * the active segment, opening a new segment once the active one holds `segmentSize` events. A torn
+ * line left at the end of the active segment by an interrupted append is truncated first.
+ */
+export async function appendSegmentedEntry(
+  journalDir: string,
+  index: JournalSegmentIndex,
+  filename: string,
+  contents: string
+): Promise<string> {
+  const { seq, ulid } = parseEntryFilename(filename);
+  const line = JSON.stringify({ seq, ulid, ...(JSON.parse(contents) as JsonRecord) }) + "\n";
+  let active = index.segments[index.segments.length - 1];
+  if (active) await truncateTornLine(path.join(journalDir, active.file));
+  if (!active || seq - active.firstSeq >= index.segmentSize) {
+    active = { file: formatSegmentFile(index.segments.length + 1), firstSeq: seq };
+    index.segments.push(active);
+    await writeJournalIndex(journalDir, index);
+  }
+  const segmentPath = path.join(journalDir, active.file);
+  const handle = await fs.open(segmentPath, "a");
+  try {
+    await handle.writeFile(line, "utf8");
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  return `${segmentPath}#${seq}`;
+}
+
+/**
+ * Writes `entries` (in sequence order) as a complete segmented journal into `journalDir`.
+ */
+export async function writeSegmentedJournal(
+  journalDir: string,
+  entries: Array<{ filename: string; contents: string }>,
+  segmentSize = DEFAULT_JOURNAL_SEGMENT_SIZE
+): Promise<JournalSegmentIndex> {
+  const index = createJournalIndex(segmentSize);
+  await fs.mkdir(journalDir, { recursive: true });
+  for (let start = 0; start < entries.length; start += index.segmentSize) {
+    const chunk = entries.slice(start, start + index.segmentSize);
+    const lines = chunk.map((entry) => {
+      const { seq, ulid } = parseEntryFilename(entry.filename);
+      return JSON.stringify({ seq, ulid, ...(JSON.parse(entry.contents) as JsonRecord) });
+    });
+    const file = formatSegmentFile(index.segments.length + 1);
+    await writeFileAtomic(path.join(journalDir, file), lines.join("\n") + "\n");
+    index.segments.push({ file, firstSeq: parseEntryFilename(chunk[0].filename).seq });
+  }
+  await writeJournalIndex(journalDir, index);
+  return index;
+}
+
+/**
+ * A last line without its newline that is not valid JSON. A complete event whose newline was lost
+ * still parses, so it is kept.
+ */
+function isTornLine(line: string): boolean {
+  if (!line.trim()) return false;
+  try {
+    JSON.parse(line);
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+async function truncateTornLine(segmentPath: string) {
+  let handle: fs.FileHandle;
+  try {
+    handle = await fs.open(segmentPath, "r+");
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") return;
+    throw error;
+  }
+  try {
+    const { size } = await handle.stat();
+    if (size === 0) return;
+    const lastByte = Buffer.alloc(1);
+    await handle.read(lastByte, 0, 1, size - 1);
+    if (lastByte.toString("utf8") === "\n") return;
+    const raw = (await handle.readFile()).toString("utf8");
+    const cut = raw.lastIndexOf("\n") + 1;
+    if (isTornLine(raw.slice(cut))) {
+      await handle.truncate(Buffer.byteLength(raw.slice(0, cut), "utf8"));
+    } else {
+      await handle.write("\n", size);
+    }
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+function parseSegmentLine(line: string, location: string): SegmentLine {
+  let parsed: SegmentLine;
+  try {
+    parsed = JSON.parse(line) as SegmentLine;
+  } catch (error) {
+    const parseError = new Error(`Failed to parse journal segment line ${location}: ${(error as Error).message}`);
+    (parseError as NodeJS.ErrnoException).code = "JOURNAL_PARSE_FAILED";
+    (parseError as NodeJS.ErrnoException).path = location;
+    throw parseError;
+  }
+  if (!Number.isFinite(parsed.seq) || typeof parsed.ulid !== "string" || !parsed.ulid) {
+    throw new Error(`Journal segment line ${location} is missing seq/ulid`);
+  }
+  return parsed;
+}
+
+function parseEntryFilename(filename: string) {
+  const [seqPart, ulidPart] = filename.replace(/\.json$/i, "").split(".");
+  const seq = Number(seqPart);
+  if (!Number.isFinite(seq) || !ulidPart) {
+    throw new Error(`Invalid journal filename: ${filename}`);
+  }
+  return { seq, ulid: ulidPart };
+}
+
+function formatEntryFilename(seq: number, ulid: string) {
+  return `${seq.toString().padStart(6, "0")}.${ulid}.json`;
+}
+
+function formatSegmentFile(segmentNumber: number) {
+  return `segment-${segmentNumber.toString().padStart(6, "0")}.ndjson`;
+}
+
+function normalizeSegmentSize(value: unknown): number {
+  if (value === undefined) return DEFAULT_JOURNAL_SEGMENT_SIZE;
+  if (typeof value !== "number" || !Number.isInteger(value) || value < 1) {
+    throw new Error("Journal segment size must be a positive integer");
+  }
+  return value;
+}
+
+async function readLastLine(filePath: string): Promise<string | undefined> {
+  let handle: fs.FileHandle;
+  try {
+    handle = await fs.open(filePath, "r");
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") return undefined;
+    throw error;
+  }
+  try {
+    const { size } = await handle.stat();
+    for (let chunkSize = 64 * 1024; ; chunkSize *= 4) {
+      const start = Math.max(0, size - chunkSize);
+      const buffer = Buffer.alloc(size - start);
+      await handle.read(buffer, 0, buffer.length, start);
+      let text = buffer.toString("utf8");
+      const tail = text.lastIndexOf("\n") + 1;
+      if (isTornLine(text.slice(tail))) text = text.slice(0, tail);
+      text = text.replace(/\s+$/, "");
+      const newline = text.lastIndexOf("\n");
+      if (newline !== -1 || start === 0) {
+        return text.slice(newline + 1) || undefined;
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+}
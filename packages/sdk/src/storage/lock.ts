@@ -1,41 +1,189 @@
-import { promises as fs } from "fs";
-import { RunLockInfo } from "./types";
-import { getLockPath } from "./paths";
-import { getClockIsoString } from "./clock";
-
-export async function acquireRunLock(runDir: string, owner: string): Promise<RunLockInfo> {
-  const lockPath = getLockPath(runDir);
-  const lockInfo: RunLockInfo = { pid: process.pid, owner, acquiredAt: getClockIsoString() };
-  try {
-    await fs.writeFile(lockPath, JSON.stringify(lockInfo, null, 2) + "\n", { flag: "wx" });
-    return lockInfo;
-  } catch (error) {
-    const err = error as NodeJS.ErrnoException;
-    if (err.code === "EEXIST") {
-      const existing = JSON.parse(await fs.readFile(lockPath, "utf8")) as RunLockInfo;
-      throw new Error(`run.lock already held by pid ${existing.pid} (${existing.owner})`);
+import os from "os";
+import { LockBrokenReason, RunLockInfo } from "./types";
+import { getRunStore } from "./runStore";
+import { getClockDate } from "./clock";
+import { appendEvent } from "./journal";
+
+export const DEFAULT_LOCK_LEASE_MS = 30_000;
+
+export interface AcquireRunLockOptions {
+  /**
+   * How long the lock stays valid without a heartbeat (default 30s).
+   */
+  leaseMs?: number;
+}
+
+export async function acquireRunLock(
+  runDir: string,
+  owner: string,
+  options: AcquireRunLockOptions = {}
+): Promise<RunLockInfo> {
+  const store = getRunStore(runDir);
+  const lockInfo = createLockInfo(owner, options.leaseMs ?? DEFAULT_LOCK_LEASE_MS);
+  let existing = await store.tryAcquireLock(lockInfo);
+  if (existing) {
+    const reason = detectStaleLock(existing);
+    if (reason && (await store.replaceLock(existing, null))) {
+      const previous = existing;
+      existing = await store.tryAcquireLock(lockInfo);
+      if (!existing) {
+        try {
+          await recordLockBroken(runDir, { reason, previous, brokenBy: lockInfo });
+        } catch (error) {
+          await store.replaceLock(lockInfo, null);
+          throw error;
+        }
+      }
     }
-    throw err;
   }
+  if (existing) {
+    throw new Error(`run.lock already held by pid ${existing.pid} (${existing.owner})`);
+  }
+  return lockInfo;
 }
 
-export async function releaseRunLock(runDir: string) {
-  const lockPath = getLockPath(runDir);
-  await fs.rm(lockPath, { force: true });
+/**
+ * Releases the run lock. When `held` is given the lock is only removed if it is still that one,
+ * so a holder whose lock was broken never deletes its successor's lock.
+ */
+export async function releaseRunLock(runDir: string, held?: RunLockInfo) {
+  const store = getRunStore(runDir);
+  if (held) {
+    await store.replaceLock(held, null);
+    return;
+  }
+  await store.releaseLock();
 }
 
 export async function readRunLock(runDir: string): Promise<RunLockInfo | null> {
-  const lockPath = getLockPath(runDir);
+  return await getRunStore(runDir).readLock();
+}
+
+/**
+ * Returns why `info` no longer protects anything, or null while its holder may still be running.
+ * On the holder's host the pid decides; elsewhere only the lease expiry can be trusted.
+ */
+export function detectStaleLock(info: RunLockInfo, now: Date = getClockDate()): LockBrokenReason | null {
+  if (!info.hostname || info.hostname === os.hostname()) {
+    return isProcessAlive(info.pid) ? null : "dead_pid";
+  }
+  if (info.expiresAt && Date.parse(info.expiresAt) <= now.getTime()) {
+    return "lease_expired";
+  }
+  return null;
+}
+
+export interface BreakRunLockOptions {
+  /**
+   * Break the lock even though its holder still looks alive.
+   */
+  force?: boolean;
+  /**
+   * Free-form explanation recorded on the LOCK_BROKEN event.
+   */
+  note?: string;
+  owner?: string;
+}
+
+export interface BreakRunLockResult {
+  /**
+   * The lock that was broken, or null when the run was not locked.
+   */
+  previous: RunLockInfo | null;
+  reason?: LockBrokenReason;
+  /**
+   * Whether LOCK_BROKEN was appended (it is skipped for runs without journal events).
+   */
+  recorded: boolean;
+}
+
+/**
+ * Removes the run lock on behalf of an operator and records LOCK_BROKEN. Locks whose holder is
+ * still alive are only broken with `force`.
+ */
+export async function breakRunLock(runDir: string, options: BreakRunLockOptions = {}): Promise<BreakRunLockResult> {
+  const store = getRunStore(runDir);
+  const previous = await store.readLock();
+  if (!previous) return { previous: null, recorded: false };
+  const stale = detectStaleLock(previous);
+  if (!stale && !options.force) {
+    throw new Error(
+      `run.lock is held by live pid ${previous.pid} (${previous.owner})${
+        previous.hostname ? ` on ${previous.hostname}` : ""
+      }; use --force to break it anyway`
+    );
+  }
+  const reason = stale ?? "forced";
+  if (!(await store.replaceLock(previous, null))) {
+    throw new Error("run.lock changed while it was being broken; try again");
+  }
+  const lockInfo = createLockInfo(options.owner ?? "run:unlock", DEFAULT_LOCK_LEASE_MS);
+  // Another process may take the freed lock first; the break still stands but goes unrecorded.
+  if (await store.tryAcquireLock(lockInfo)) return { previous, reason, recorded: false };
   try {
-    const data = await fs.readFile(lockPath, "utf8");
-    return JSON.parse(data) as RunLockInfo;
+    const recorded = await recordLockBroken(runDir, { reason, previous, brokenBy: lockInfo, note: options.note });
+    return { previous, reason, recorded };
+  } finally {
+    await store.replaceLock(lockInfo, null);
+  }
+}
+
+function createLockInfo(owner: string, leaseMs: number): RunLockInfo {
+  const now = getClockDate();
+  return {
+    pid: process.pid,
+    owner,
+    acquiredAt: now.toISOString(),
+    hostname: os.hostname(),
+    leaseMs,
+    heartbeatAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + leaseMs).toISOString(),
+  };
+}
+
+function renewLockInfo(info: RunLockInfo): RunLockInfo {
+  const now = getClockDate();
+  const leaseMs = info.leaseMs ?? DEFAULT_LOCK_LEASE_MS;
+  return { ...info, heartbeatAt: now.toISOString(), expiresAt: new Date(now.getTime() + leaseMs).toISOString() };
+}
+
+function isProcessAlive(pid: number): boolean {
+  try {
+    process.kill(pid, 0);
+    return true;
   } catch (error) {
-    const err = error as NodeJS.ErrnoException;
-    if (err.code === "ENOENT") return null;
-    throw err;
+    // EPERM: the process exists but belongs to another user.
+    return (error as NodeJS.ErrnoException).code === "EPERM";
   }
 }
 
+async function recordLockBroken(
+  runDir: string,
+  details: { reason: LockBrokenReason; previous: RunLockInfo; brokenBy: RunLockInfo; note?: string }
+): Promise<boolean> {
+  // A run without events has nothing to attach the record to (RUN_CREATED must stay first).
+  if (!(await getRunStore(runDir).readLastJournalEntry())) return false;
+  const { previous, brokenBy } = details;
+  await appendEvent({
+    runDir,
+    eventType: "LOCK_BROKEN",
+    event: {
+      reason: details.reason,
+      previous: {
+        pid: previous.pid,
+        owner: previous.owner,
+        hostname: previous.hostname ?? null,
+        acquiredAt: previous.acquiredAt,
+        heartbeatAt: previous.heartbeatAt ?? null,
+        expiresAt: previous.expiresAt ?? null,
+      },
+      brokenBy: { pid: brokenBy.pid, owner: brokenBy.owner, hostname: brokenBy.hostname ?? null },
+      ...(details.note ? { note: details.note } : {}),
+    },
+  });
+  return true;
+}
+
 function isLockHeldError(error: unknown): boolean {
   if (!(error instanceof Error)) return false;
   return error.message.startsWith("run.lock already held");
@@ -48,6 +196,10 @@ async function sleep(ms: number) {
 export interface WithRunLockOptions {
   retries?: number;
   delayMs?: number;
+  /**
+   * Lease length; the lock is renewed every third of it while `fn` runs.
+   */
+  leaseMs?: number;
 }
 
 export async function withRunLock<T>(
@@ -58,11 +210,12 @@ export async function withRunLock<T>(
 ): Promise<T> {
   const retries = typeof options.retries === "number" ? Math.max(0, Math.floor(options.retries)) : 40;
   const delayMs = typeof options.delayMs === "number" ? Math.max(0, Math.floor(options.delayMs)) : 250;
-  let acquired = false;
+  const leaseMs =
+    typeof options.leaseMs === "number" ? Math.max(1, Math.floor(options.leaseMs)) : DEFAULT_LOCK_LEASE_MS;
+  let held: RunLockInfo | undefined;
   for (let attempt = 0; attempt <= retries; attempt += 1) {
     try {
-      await acquireRunLock(runDir, owner);
-      acquired = true;
+      held = await acquireRunLock(runDir, owner, { leaseMs });
       break;
     } catch (error) {
       if (!isLockHeldError(error) || attempt === retries) {
@@ -71,11 +224,31 @@ export async function withRunLock<T>(
       await sleep(delayMs);
     }
   }
+  let renewing: Promise<void> | undefined;
+  const heartbeat = setInterval(() => {
+    if (renewing || !held) return;
+    const current = held;
+    const next = renewLockInfo(current);
+    renewing = getRunStore(runDir)
+      .replaceLock(current, next)
+      // A lost swap means the lock was broken under us: stop renewing and never release it.
+      // Storage errors are simply retried on the next tick.
+      .then((renewed) => {
+        held = renewed ? next : undefined;
+      })
+      .catch(() => undefined)
+      .finally(() => {
+        renewing = undefined;
+      });
+  }, Math.max(1, Math.floor(leaseMs / 3)));
+  heartbeat.unref();
   try {
     return await fn();
   } finally {
-    if (acquired) {
-      await releaseRunLock(runDir);
+    clearInterval(heartbeat);
+    await renewing;
+    if (held) {
+      await releaseRunLock(runDir, held);
     }
   }
 }
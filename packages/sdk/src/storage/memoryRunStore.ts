@@ -0,0 +1,77 @@
+import path from "path";
+import type { RunStore } from "./runStore";
+import { RunLockInfo } from "./types";
+import { getJournalDir } from "./paths";
+
+/**
+ * Keeps the whole run in process memory. Nothing is written under `runDir` except what the
+ * runtime itself puts there (the process snapshot), so the run disappears with the process.
+ */
+export function createMemoryRunStore(runDir: string): RunStore {
+  const journal = new Map<string, string>();
+  const documents = new Map<string, Buffer>();
+  let lock: RunLockInfo | null = null;
+  const key = (ref: string) => path.posix.normalize(ref.replace(/\\/g, "/"));
+
+  return {
+    kind: "memory",
+    runDir,
+    initialize() {
+      return Promise.resolve();
+    },
+    readLastJournalEntry() {
+      const last = Array.from(journal.keys()).sort().pop();
+      return Promise.resolve(
+        last ? { filename: last, contents: journal.get(last)!, path: path.join(getJournalDir(runDir), last) } : undefined
+      );
+    },
+    readJournalEntries() {
+      return Promise.resolve(
+        Array.from(journal.entries())
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([filename, contents]) => ({ filename, contents, path: path.join(getJournalDir(runDir), filename) }))
+      );
+    },
+    writeJournalEntry(filename, contents) {
+      journal.set(filename, contents);
+      return Promise.resolve(path.join(getJournalDir(runDir), filename));
+    },
+    readDocument(ref) {
+      const data = documents.get(key(ref));
+      return Promise.resolve(data ? Buffer.from(data) : undefined);
+    },
+    writeDocument(ref, data) {
+      documents.set(key(ref), typeof data === "string" ? Buffer.from(data, "utf8") : Buffer.from(data));
+      return Promise.resolve();
+    },
+    statDocument(ref) {
+      const data = documents.get(key(ref));
+      return Promise.resolve(data ? { bytes: data.length } : undefined);
+    },
+    listDocuments(prefix) {
+      const dir = `${key(prefix)}/`;
+      return Promise.resolve(
+        Array.from(documents.keys())
+          .filter((ref) => ref.startsWith(dir))
+          .sort()
+      );
+    },
+    tryAcquireLock(info) {
+      if (lock) return Promise.resolve(lock);
+      lock = info;
+      return Promise.resolve(null);
+    },
+    releaseLock() {
+      lock = null;
+      return Promise.resolve();
+    },
+    readLock() {
+      return Promise.resolve(lock);
+    },
+    replaceLock(expected, next) {
+      if (!lock || JSON.stringify(lock) !== JSON.stringify(expected)) return Promise.resolve(false);
+      lock = next;
+      return Promise.resolve(true);
+    },
+  };
+}
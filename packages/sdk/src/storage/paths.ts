@@ -10,6 +10,10 @@ export const RUN_METADATA_FILE = "run.json";
 export const INPUTS_FILE = "inputs.json";
 export const LOCK_FILE = "run.lock";
 export const STATE_FILE = "state.json";
+export const SQLITE_STORE_FILE = "run.sqlite";
+export const STATE_CACHE_REF = `${STATE_DIR}/${STATE_FILE}`;
+export const SHARED_BLOBS_DIR = ".cas";
+export const WEBHOOKS_DIR = ".webhooks";
 
 export const DEFAULT_LAYOUT_VERSION = "2026.01-storage-preview";
 
@@ -29,6 +33,14 @@ export function getBlobsDir(runDir: string): string {
   return path.join(runDir, BLOBS_DIR);
 }
 
+export function getSharedBlobsDir(runsRoot: string): string {
+  return path.join(runsRoot, SHARED_BLOBS_DIR);
+}
+
+export function getWebhooksDir(runsRoot: string): string {
+  return path.join(runsRoot, WEBHOOKS_DIR);
+}
+
 export function getStateDir(runDir: string): string {
   return path.join(runDir, STATE_DIR);
 }
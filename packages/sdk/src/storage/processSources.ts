@@ -0,0 +1,104 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { hashDocument } from "./tasks";
+
+const PARSED_EXTENSIONS = [".js", ".mjs", ".cjs", ".ts", ".mts", ".cts", ".jsx", ".tsx"];
+const RESOLVED_SUFFIXES = [...PARSED_EXTENSIONS, ".json", "/index.js", "/index.mjs", "/index.cjs"];
+
+const SPECIFIER_PATTERNS = [
+  // import x from "./a", export { y } from "./b"
+  /\b(?:import|export)\s[^'"`;]*?\bfrom\s*(['"])([^'"\n]+)\1/g,
+  // import "./side-effect"
+  /\bimport\s*(['"])([^'"\n]+)\1/g,
+  // import("./lazy"), require("./common")
+  /\b(?:import|require)\s*\(\s*(['"])([^'"\n]+)\1\s*\)/g,
+];
+
+/**
+ * The local modules of a process: the entry file and every file reached from it through relative
+ * import, export-from, import() or require() specifiers. Package imports are not captured.
+ */
+export interface ProcessSources {
+  /**
+   * Deepest directory containing every captured module; file paths are relative to it.
+   */
+  root: string;
+  entry: string;
+  files: Map<string, Buffer>;
+  /**
+   * sha256 of the entry file for single-module processes, otherwise of the sorted
+   * `<path>\0<file sha256>` lines of all modules.
+   */
+  sha256: string;
+}
+
+/**
+ * Reads the local import graph of `entrypointPath`. Returns undefined when the entrypoint does not
+ * exist; relative specifiers that resolve to no file (e.g. in comments) are ignored.
+ */
+export async function collectProcessSources(entrypointPath: string): Promise<ProcessSources | undefined> {
+  const entryPath = path.resolve(entrypointPath);
+  const modules = new Map<string, Buffer>();
+  const queue = [entryPath];
+  while (queue.length) {
+    const modulePath = queue.shift()!;
+    if (modules.has(modulePath)) continue;
+    const source = await readFileIfExists(modulePath);
+    if (!source) {
+      if (modulePath === entryPath) return undefined;
+      continue;
+    }
+    modules.set(modulePath, source);
+    if (!PARSED_EXTENSIONS.includes(path.extname(modulePath))) continue;
+    for (const specifier of listRelativeSpecifiers(source.toString("utf8"))) {
+      const resolved = await resolveModuleFile(path.resolve(path.dirname(modulePath), specifier));
+      if (resolved) queue.push(resolved);
+    }
+  }
+
+  let root = path.dirname(entryPath);
+  for (const modulePath of modules.keys()) {
+    while (path.relative(root, modulePath).startsWith("..")) root = path.dirname(root);
+  }
+  const toRelative = (modulePath: string) => path.relative(root, modulePath).split(path.sep).join("/");
+  const files = new Map(Array.from(modules, ([modulePath, source]) => [toRelative(modulePath), source] as const));
+  const entry = toRelative(entryPath);
+  const sha256 =
+    files.size === 1
+      ? hashDocument(files.get(entry)!)
+      : hashDocument(
+          Array.from(files.keys())
+            .sort()
+            .map((relative) => `${relative}\0${hashDocument(files.get(relative)!)}\n`)
+            .join("")
+        );
+  return { root, entry, files, sha256 };
+}
+
+function listRelativeSpecifiers(source: string): string[] {
+  const specifiers = new Set<string>();
+  for (const pattern of SPECIFIER_PATTERNS) {
+    for (const match of source.matchAll(pattern)) {
+      const specifier = match[2];
+      if (specifier.startsWith("./") || specifier.startsWith("../")) specifiers.add(specifier);
+    }
+  }
+  return Array.from(specifiers);
+}
+
+async function resolveModuleFile(basePath: string): Promise<string | undefined> {
+  for (const candidate of [basePath, ...RESOLVED_SUFFIXES.map((suffix) => `${basePath}${suffix}`)]) {
+    const stats = await fs.stat(candidate).catch(() => undefined);
+    if (stats?.isFile()) return candidate;
+  }
+  return undefined;
+}
+
+async function readFileIfExists(filePath: string): Promise<Buffer | undefined> {
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") return undefined;
+    throw error;
+  }
+}
@@ -0,0 +1,308 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { promisify } from "util";
+import { writeFileAtomic } from "./atomic";
+import { getClockDate, getClockIsoString } from "./clock";
+import { loadJournal } from "./journal";
+import { withRunLock } from "./lock";
+import { LOCK_FILE, PROCESS_DIR, RUN_METADATA_FILE, getRunDir } from "./paths";
+import { readRunMetadata, writeRunMetadata } from "./runFiles";
+import { collectProcessSources } from "./processSources";
+import { getRunStore } from "./runStore";
+import { hashDocument } from "./tasks";
+import { TarEntry, packTar, unpackTar } from "./tar";
+import { ProcessSnapshotMetadata, RunEntrypointMetadata, RunMetadata } from "./types";
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+export const RUN_ARCHIVE_FORMAT = "babysitter.run-archive/v1";
+export const RUN_ARCHIVE_MANIFEST = "manifest.json";
+const RUN_ARCHIVE_ROOT = "run";
+
+// Leftovers of in-flight operations that must not travel with the run.
+const EXCLUDED_PATTERNS = [/^run\.lock\./, /^journal\.compacting\./, /^journal\.bak\./, /\.tmp-\d+-\d+$/];
+
+export interface RunArchiveFile {
+  /**
+   * Path relative to the run directory.
+   */
+  path: string;
+  bytes: number;
+  sha256: string;
+}
+
+export interface RunArchiveManifest {
+  /**
+   * Always RUN_ARCHIVE_FORMAT for archives this version writes.
+   */
+  format: string;
+  runId: string;
+  exportedAt: string;
+  source: { runDir: string; hostname: string; entrypoint: RunEntrypointMetadata };
+  /**
+   * Process source shipped under `process/`, or null when the entrypoint could not be found.
+   */
+  process: ProcessSnapshotMetadata | null;
+  files: RunArchiveFile[];
+}
+
+export interface ExportRunOptions {
+  runDir: string;
+  outPath: string;
+}
+
+export interface ExportRunResult {
+  runId: string;
+  outPath: string;
+  files: number;
+  bytes: number;
+  archiveBytes: number;
+  process: ProcessSnapshotMetadata | null;
+}
+
+export interface ImportRunOptions {
+  archivePath: string;
+  runsDir: string;
+}
+
+export interface ImportRunResult {
+  runId: string;
+  runDir: string;
+  files: number;
+  bytes: number;
+  /**
+   * Module replay loads on this machine (the shipped process snapshot), or null without one.
+   */
+  processImportPath: string | null;
+}
+
+/**
+ * Bundles a filesystem run into a gzipped tar: `manifest.json` with the size and sha256 of every
+ * file, then the run directory under `run/`. The process entrypoint and its local imports are
+ * included as a snapshot under `process/` even for runs created before snapshots existed.
+ */
+export async function exportRun(options: ExportRunOptions): Promise<ExportRunResult> {
+  const runDir = path.resolve(options.runDir);
+  const store = getRunStore(runDir);
+  if (store.kind !== "fs") {
+    throw new Error(`Only filesystem runs can be exported (this run uses the ${store.kind} store)`);
+  }
+  return await withRunLock(runDir, "run:export", async () => {
+    const metadata = await readRunMetadata(runDir);
+    const exportedAt = getClockIsoString();
+    const contents = new Map<string, Buffer>();
+    for (const relative of await listRunFiles(runDir)) {
+      contents.set(relative, await fs.readFile(path.join(runDir, relative)));
+    }
+
+    let processSnapshot: ProcessSnapshotMetadata | null = null;
+    if (metadata.processSnapshot && contents.has(metadata.processSnapshot.importPath)) {
+      processSnapshot = metadata.processSnapshot;
+    } else {
+      const entrypoint = metadata.entrypoint?.importPath ?? metadata.processPath;
+      const sources = entrypoint ? await collectProcessSources(path.resolve(runDir, entrypoint)) : undefined;
+      if (sources) {
+        for (const [relative, source] of sources.files) {
+          contents.set(path.posix.join(PROCESS_DIR, relative), source);
+        }
+        processSnapshot = {
+          importPath: path.posix.join(PROCESS_DIR, sources.entry),
+          sha256: sources.sha256,
+          capturedAt: exportedAt,
+        };
+      }
+    }
+
+    const files = Array.from(contents.keys())
+      .sort()
+      .map((relative) => {
+        const data = contents.get(relative)!;
+        return { path: relative, bytes: data.length, sha256: hashDocument(data) };
+      });
+    const manifest: RunArchiveManifest = {
+      format: RUN_ARCHIVE_FORMAT,
+      runId: metadata.runId,
+      exportedAt,
+      source: { runDir, hostname: os.hostname(), entrypoint: metadata.entrypoint },
+      process: processSnapshot,
+      files,
+    };
+    const tar = packTar(
+      [
+        { path: RUN_ARCHIVE_MANIFEST, data: Buffer.from(JSON.stringify(manifest, null, 2) + "\n", "utf8") },
+        ...files.map((file) => ({ path: `${RUN_ARCHIVE_ROOT}/${file.path}`, data: contents.get(file.path)! })),
+      ],
+      getClockDate()
+    );
+    const archive = await gzip(tar);
+    const outPath = path.resolve(options.outPath);
+    await writeFileAtomic(outPath, archive);
+    return {
+      runId: metadata.runId,
+      outPath,
+      files: files.length,
+      bytes: files.reduce((sum, file) => sum + file.bytes, 0),
+      archiveBytes: archive.length,
+      process: processSnapshot,
+    };
+  });
+}
+
+/**
+ * Validates an archive written by `exportRun` against its manifest and unpacks it into
+ * `<runsDir>/<runId>`. `run.json` is rewritten to load the shipped process snapshot, since the
+ * original entrypoint path only means something on the exporting machine; the original location
+ * is kept under `importedFrom`.
+ */
+export async function importRun(options: ImportRunOptions): Promise<ImportRunResult> {
+  let entries: TarEntry[];
+  try {
+    entries = unpackTar(await gunzip(await fs.readFile(options.archivePath)));
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") throw error;
+    throw new Error(
+      `${options.archivePath} is not a run archive: ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
+  const manifestEntry = entries.find((entry) => entry.path === RUN_ARCHIVE_MANIFEST);
+  if (!manifestEntry) {
+    throw new Error(`${options.archivePath} has no ${RUN_ARCHIVE_MANIFEST}`);
+  }
+  const manifest = JSON.parse(manifestEntry.data.toString("utf8")) as RunArchiveManifest;
+  if (manifest.format !== RUN_ARCHIVE_FORMAT) {
+    throw new Error(`Unsupported run archive format ${JSON.stringify(manifest.format)} (expected ${RUN_ARCHIVE_FORMAT})`);
+  }
+  if (typeof manifest.runId !== "string" || !isSafeRelativePath(manifest.runId) || manifest.runId.includes("/")) {
+    throw new Error(`Run archive has an invalid runId ${JSON.stringify(manifest.runId)}`);
+  }
+
+  const payload = new Map<string, Buffer>();
+  for (const entry of entries) {
+    if (entry.path === RUN_ARCHIVE_MANIFEST) continue;
+    const relative = entry.path.startsWith(`${RUN_ARCHIVE_ROOT}/`) ? entry.path.slice(RUN_ARCHIVE_ROOT.length + 1) : "";
+    if (!manifest.files.some((file) => file.path === relative)) {
+      throw new Error(`Run archive contains ${entry.path}, which the manifest does not list`);
+    }
+    payload.set(relative, entry.data);
+  }
+  for (const file of manifest.files) {
+    if (!isSafeRelativePath(file.path)) {
+      throw new Error(`Run archive lists an unsafe path ${JSON.stringify(file.path)}`);
+    }
+    const data = payload.get(file.path);
+    if (!data) throw new Error(`Run archive is missing ${file.path}`);
+    if (data.length !== file.bytes || hashDocument(data) !== file.sha256) {
+      throw new Error(`${file.path} does not match the sha256 recorded in the run archive manifest`);
+    }
+  }
+  const metadataData = payload.get(RUN_METADATA_FILE);
+  if (!metadataData) {
+    throw new Error(`Run archive is missing ${RUN_METADATA_FILE}`);
+  }
+  // The manifest names the target directory; the run inside must be the same run.
+  const archivedRunId = readArchivedRunId(metadataData);
+  if (archivedRunId !== manifest.runId) {
+    throw new Error(
+      `Run archive ${RUN_METADATA_FILE} belongs to run ${JSON.stringify(archivedRunId)}, but the manifest names ${manifest.runId}`
+    );
+  }
+
+  const runsDir = path.resolve(options.runsDir);
+  const runDir = getRunDir(runsDir, manifest.runId);
+  if (await pathExists(runDir)) {
+    throw new Error(`Run ${manifest.runId} already exists in ${runsDir}`);
+  }
+  // Unpack beside the destination (gc skips dot-directories) and move it into place at the end.
+  const stagingDir = path.join(runsDir, `.import-${manifest.runId}-${Date.now()}`);
+  try {
+    for (const [relative, data] of payload) {
+      const target = path.join(stagingDir, relative);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, data);
+    }
+    const metadata = await readRunMetadata(stagingDir);
+    await writeRunMetadata(stagingDir, rehomeMetadata(metadata, manifest));
+    await fs.rename(stagingDir, runDir);
+  } catch (error) {
+    await fs.rm(stagingDir, { recursive: true, force: true });
+    throw error;
+  }
+  await loadJournal(runDir);
+  return {
+    runId: manifest.runId,
+    runDir,
+    files: manifest.files.length,
+    bytes: manifest.files.reduce((sum, file) => sum + file.bytes, 0),
+    processImportPath: manifest.process?.importPath ?? null,
+  };
+}
+
+function readArchivedRunId(data: Buffer): unknown {
+  try {
+    return (JSON.parse(data.toString("utf8")) as Partial<RunMetadata> | null)?.runId;
+  } catch (error) {
+    throw new Error(
+      `Run archive ${RUN_METADATA_FILE} is not valid JSON: ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
+}
+
+function rehomeMetadata(metadata: RunMetadata, manifest: RunArchiveManifest): RunMetadata {
+  const importedFrom = {
+    runDir: manifest.source.runDir,
+    hostname: manifest.source.hostname,
+    entrypoint: manifest.source.entrypoint,
+    exportedAt: manifest.exportedAt,
+    importedAt: getClockIsoString(),
+  };
+  if (!manifest.process) return { ...metadata, importedFrom };
+  const { importPath } = manifest.process;
+  return {
+    ...metadata,
+    entrypoint: { ...metadata.entrypoint, importPath },
+    ...(metadata.processPath !== undefined ? { processPath: importPath } : {}),
+    processSnapshot: manifest.process,
+    processSource: "snapshot",
+    importedFrom,
+  };
+}
+
+async function listRunFiles(runDir: string, relativeDir = ""): Promise<string[]> {
+  const files: string[] = [];
+  const entries = await fs.readdir(path.join(runDir, relativeDir), { withFileTypes: true });
+  for (const entry of entries) {
+    if (!relativeDir && entry.name === LOCK_FILE) continue;
+    if (EXCLUDED_PATTERNS.some((pattern) => pattern.test(entry.name))) continue;
+    const relative = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...(await listRunFiles(runDir, relative)));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+function isSafeRelativePath(value: string): boolean {
+  return (
+    typeof value === "string" &&
+    value.length > 0 &&
+    !value.includes("\\") &&
+    !path.posix.isAbsolute(value) &&
+    path.posix.normalize(value) === value &&
+    !value.split("/").includes("..")
+  );
+}
+
+async function pathExists(target: string): Promise<boolean> {
+  try {
+    await fs.stat(target);
+    return true;
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === "ENOENT") return false;
+    throw error;
+  }
+}
@@ -1,35 +1,42 @@
-import { promises as fs } from "fs";
 import path from "path";
 import { INPUTS_FILE, RUN_METADATA_FILE, STATE_DIR } from "./paths";
 import { RunMetadata } from "./types";
-import { writeFileAtomic } from "./atomic";
+import { getRunStore } from "./runStore";
 
 const OUTPUT_FILE = "output.json";
 
 export async function readRunMetadata(runDir: string): Promise<RunMetadata> {
-  const metadataPath = path.join(runDir, RUN_METADATA_FILE);
-  const raw = await fs.readFile(metadataPath, "utf8");
-  return JSON.parse(raw) as RunMetadata;
+  const raw = await getRunStore(runDir).readDocument(RUN_METADATA_FILE);
+  if (!raw) throw missingDocumentError(runDir, RUN_METADATA_FILE);
+  return JSON.parse(raw.toString("utf8")) as RunMetadata;
+}
+
+export async function writeRunMetadata(runDir: string, metadata: RunMetadata) {
+  await getRunStore(runDir).writeDocument(RUN_METADATA_FILE, JSON.stringify(metadata, null, 2) + "\n");
 }
 
 export async function readRunInputs(runDir: string): Promise<unknown> {
-  const inputsPath = path.join(runDir, INPUTS_FILE);
-  try {
-    const raw = await fs.readFile(inputsPath, "utf8");
-    return JSON.parse(raw) as unknown;
-  } catch (error) {
-    const err = error as NodeJS.ErrnoException;
-    if (err.code === "ENOENT") {
-      return undefined;
-    }
-    throw error;
-  }
+  const raw = await getRunStore(runDir).readDocument(INPUTS_FILE);
+  return raw ? (JSON.parse(raw.toString("utf8")) as unknown) : undefined;
+}
+
+export async function readRunOutput(runDir: string, outputRef?: string): Promise<unknown> {
+  const ref = outputRef ?? path.posix.join(STATE_DIR, OUTPUT_FILE);
+  const raw = await getRunStore(runDir).readDocument(ref);
+  if (!raw) throw missingDocumentError(runDir, ref);
+  return JSON.parse(raw.toString("utf8")) as unknown;
 }
 
 export async function writeRunOutput(runDir: string, output: unknown) {
-  const stateDir = path.join(runDir, STATE_DIR);
-  await fs.mkdir(stateDir, { recursive: true });
-  const outputPath = path.join(stateDir, OUTPUT_FILE);
-  await writeFileAtomic(outputPath, JSON.stringify(output, null, 2) + "\n");
-  return path.relative(runDir, outputPath).replace(/\\/g, "/");
+  const ref = path.posix.join(STATE_DIR, OUTPUT_FILE);
+  await getRunStore(runDir).writeDocument(ref, JSON.stringify(output ?? null, null, 2) + "\n");
+  return ref;
+}
+
+function missingDocumentError(runDir: string, ref: string) {
+  const fullPath = path.join(runDir, ref);
+  const error: NodeJS.ErrnoException = new Error(`ENOENT: no such file or directory, open '${fullPath}'`);
+  error.code = "ENOENT";
+  error.path = fullPath;
+  return error;
 }
@@ -0,0 +1,131 @@
+import { existsSync } from "fs";
+import path from "path";
+import { RunLockInfo } from "./types";
+import type { JournalLayout, StoredJournalEntry } from "./journalSegments";
+import { SQLITE_STORE_FILE } from "./paths";
+import { createFsRunStore } from "./fsRunStore";
+import { createMemoryRunStore } from "./memoryRunStore";
+import { createSqliteRunStore } from "./sqliteRunStore";
+import { withDocumentEncryption } from "./encryption";
+
+export type RunStoreKind = "fs" | "memory" | "sqlite";
+
+export const RUN_STORE_KINDS: readonly RunStoreKind[] = ["fs", "memory", "sqlite"];
+
+/**
+ * Persistence for one run. Task definitions, results, logs, blobs, run metadata and the state
+ * cache are documents addressed by their run-relative ref (`tasks/<effectId>/task.json`,
+ * `state/state.json`, ...), so refs recorded in the journal stay valid for every backend.
+ */
+export interface RunStore {
+  readonly kind: RunStoreKind;
+  readonly runDir: string;
+  /**
+   * Prepares storage for a new run (directory layout, database schema).
+   */
+  initialize(options?: RunStoreInitializeOptions): Promise<void>;
+  /**
+   * The entry with the highest sequence number, or undefined for an empty journal.
+   */
+  readLastJournalEntry(): Promise<StoredJournalEntry | undefined>;
+  /**
+   * Every journal entry (`<seq>.<ulid>.json` name plus its JSON document) in sequence order.
+   */
+  readJournalEntries(): Promise<StoredJournalEntry[]>;
+  /**
+   * Stores a journal entry and returns the path reported on the event.
+   */
+  writeJournalEntry(filename: string, contents: string): Promise<string>;
+  readDocument(ref: string): Promise<Buffer | undefined>;
+  writeDocument(ref: string, data: string | Buffer): Promise<void>;
+  statDocument(ref: string): Promise<{ bytes: number } | undefined>;
+  /**
+   * Refs of every document under `prefix` (a run-relative directory such as `tasks/<effectId>`),
+   * sorted.
+   */
+  listDocuments(prefix: string): Promise<string[]>;
+  /**
+   * Takes the run lock. Resolves to null when acquired, or to the current holder otherwise.
+   */
+  tryAcquireLock(info: RunLockInfo): Promise<RunLockInfo | null>;
+  releaseLock(): Promise<void>;
+  readLock(): Promise<RunLockInfo | null>;
+  /**
+   * Replaces the lock with `next` (or removes it when `next` is null), but only while the stored
+   * lock still serializes identically to `expected`. Resolves to whether the swap happened.
+   */
+  replaceLock(expected: RunLockInfo, next: RunLockInfo | null): Promise<boolean>;
+  close?(): Promise<void>;
+}
+
+export interface RunStoreInitializeOptions {
+  /**
+   * Journal layout for filesystem runs (default "files"); other stores ignore it.
+   */
+  journalLayout?: JournalLayout;
+}
+
+const registeredStores = new Map<string, RunStore>();
+
+/**
+ * Returns the store backing `runDir`: the one registered through `useRunStore` (createRun and
+ * orchestrateIteration register their `store` option), the SQLite database when the run directory
+ * contains one, and the filesystem layout otherwise. Task documents and blobs of encrypted runs
+ * are encrypted and decrypted on the way through (see storage/encryption).
+ */
+export function getRunStore(runDir: string): RunStore {
+  const key = path.resolve(runDir);
+  const registered = registeredStores.get(key);
+  if (registered) return registered;
+  if (existsSync(path.join(key, SQLITE_STORE_FILE))) {
+    const store = withDocumentEncryption(createSqliteRunStore(key));
+    registeredStores.set(key, store);
+    return store;
+  }
+  return withDocumentEncryption(createFsRunStore(key));
+}
+
+/**
+ * Routes every storage call for `runDir` in this process to the given store.
+ */
+export function useRunStore(runDir: string, store: RunStore | RunStoreKind): RunStore {
+  const key = path.resolve(runDir);
+  const resolved = withDocumentEncryption(typeof store === "string" ? createRunStore(store, key) : store);
+  registeredStores.set(key, resolved);
+  return resolved;
+}
+
+/**
+ * Drops the registration for `runDir` (closing SQLite handles). In-memory runs are discarded.
+ */
+export async function releaseRunStore(runDir: string) {
+  const key = path.resolve(runDir);
+  const store = registeredStores.get(key);
+  registeredStores.delete(key);
+  await store?.close?.();
+}
+
+export function createRunStore(kind: RunStoreKind, runDir: string): RunStore {
+  switch (kind) {
+    case "fs":
+      return createFsRunStore(runDir);
+    case "memory":
+      return createMemoryRunStore(runDir);
+    case "sqlite":
+      return createSqliteRunStore(runDir);
+    default:
+      throw new Error(`Unknown run store "${String(kind)}" (expected ${RUN_STORE_KINDS.join(", ")})`);
+  }
+}
+
+export function isRunStoreKind(value: unknown): value is RunStoreKind {
+  return typeof value === "string" && (RUN_STORE_KINDS as readonly string[]).includes(value);
+}
+
+/**
+ * Normalizes a ref (run-relative or absolute) to the run-relative POSIX form stores key on.
+ */
+export function toDocumentRef(runDir: string, ref: string): string {
+  const relative = path.isAbsolute(ref) ? path.relative(path.resolve(runDir), ref) : ref;
+  return path.posix.normalize(relative.replace(/\\/g, "/"));
+}
@@ -1,6 +1,6 @@
 import { SnapshotStateOptions } from "./types";
-import { getStateFile } from "./paths";
-import { writeFileAtomic } from "./atomic";
+import { STATE_CACHE_REF } from "./paths";
+import { getRunStore } from "./runStore";
 import { getClockIsoString } from "./clock";
 
 export async function snapshotState(options: SnapshotStateOptions) {
@@ -9,6 +9,6 @@ export async function snapshotState(options: SnapshotStateOptions) {
     savedAt: getClockIsoString(),
     state: options.state,
   };
-  await writeFileAtomic(getStateFile(options.runDir), JSON.stringify(payload, null, 2) + "\n");
+  await getRunStore(options.runDir).writeDocument(STATE_CACHE_REF, JSON.stringify(payload, null, 2) + "\n");
   return payload;
 }
@@ -0,0 +1,180 @@
+import { promises as fs } from "fs";
+import path from "path";
+import type { RunStore } from "./runStore";
+import { RunLockInfo } from "./types";
+import { SQLITE_STORE_FILE, getJournalDir } from "./paths";
+
+interface SqliteStatement {
+  run(...params: unknown[]): unknown;
+  get(...params: unknown[]): unknown;
+  all(...params: unknown[]): unknown[];
+}
+
+interface SqliteDatabase {
+  exec(sql: string): void;
+  prepare(sql: string): SqliteStatement;
+  close(): void;
+}
+
+interface SqliteModule {
+  DatabaseSync: new (location: string) => SqliteDatabase;
+}
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS journal (filename TEXT PRIMARY KEY, contents TEXT NOT NULL);
+CREATE TABLE IF NOT EXISTS documents (ref TEXT PRIMARY KEY, data BLOB NOT NULL);
+CREATE TABLE IF NOT EXISTS run_lock (id INTEGER PRIMARY KEY CHECK (id = 1), info TEXT NOT NULL);
+`;
+
+/**
+ * Returns true when the built-in `node:sqlite` module can be loaded.
+ */
+export function isSqliteRunStoreAvailable(): boolean {
+  try {
+    loadSqliteModule();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function loadSqliteModule(): SqliteModule {
+  try {
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    return require("node:sqlite") as SqliteModule;
+  } catch (error) {
+    throw new Error(
+      `The sqlite run store needs the built-in node:sqlite module (Node.js 22.13+, or 22.5+ with --experimental-sqlite): ${
+        error instanceof Error ? error.message : String(error)
+      }`
+    );
+  }
+}
+
+// node:sqlite is synchronous; run statements inside a promise so failures surface as rejections.
+function settle<T>(fn: () => T): Promise<T> {
+  return new Promise((resolve) => resolve(fn()));
+}
+
+/**
+ * Stores the whole run in `<runDir>/run.sqlite`. The database is opened on first use.
+ */
+export function createSqliteRunStore(runDir: string): RunStore {
+  let db: SqliteDatabase | undefined;
+  const open = () => {
+    if (!db) {
+      const { DatabaseSync } = loadSqliteModule();
+      db = new DatabaseSync(path.join(runDir, SQLITE_STORE_FILE));
+      db.exec("PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000;");
+      db.exec(SCHEMA);
+    }
+    return db;
+  };
+  const key = (ref: string) => path.posix.normalize(ref.replace(/\\/g, "/"));
+
+  return {
+    kind: "sqlite",
+    runDir,
+    async initialize() {
+      await fs.mkdir(runDir, { recursive: true });
+      open();
+    },
+    readLastJournalEntry() {
+      return settle(() => {
+        const row = open().prepare("SELECT filename, contents FROM journal ORDER BY filename DESC LIMIT 1").get() as
+          | { filename: string; contents: string }
+          | undefined;
+        return row ? { ...row, path: path.join(getJournalDir(runDir), row.filename) } : undefined;
+      });
+    },
+    readJournalEntries() {
+      return settle(() => {
+        const rows = open().prepare("SELECT filename, contents FROM journal ORDER BY filename").all() as Array<{
+          filename: string;
+          contents: string;
+        }>;
+        return rows.map((row) => ({ ...row, path: path.join(getJournalDir(runDir), row.filename) }));
+      });
+    },
+    writeJournalEntry(filename, contents) {
+      return settle(() => {
+        open().prepare("INSERT INTO journal (filename, contents) VALUES (?, ?)").run(filename, contents);
+        return path.join(getJournalDir(runDir), filename);
+      });
+    },
+    readDocument(ref) {
+      return settle(() => {
+        const row = open().prepare("SELECT data FROM documents WHERE ref = ?").get(key(ref)) as
+          | { data: Uint8Array }
+          | undefined;
+        return row ? Buffer.from(row.data) : undefined;
+      });
+    },
+    writeDocument(ref, data) {
+      return settle(() => {
+        const buffer = typeof data === "string" ? Buffer.from(data, "utf8") : data;
+        open()
+          .prepare("INSERT INTO documents (ref, data) VALUES (?, ?) ON CONFLICT(ref) DO UPDATE SET data = excluded.data")
+          .run(key(ref), buffer);
+      });
+    },
+    statDocument(ref) {
+      return settle(() => {
+        const row = open().prepare("SELECT length(data) AS bytes FROM documents WHERE ref = ?").get(key(ref)) as
+          | { bytes: number }
+          | undefined;
+        return row ? { bytes: Number(row.bytes) } : undefined;
+      });
+    },
+    listDocuments(prefix) {
+      return settle(() => {
+        const dir = `${key(prefix)}/`;
+        const rows = open()
+          .prepare("SELECT ref FROM documents WHERE substr(ref, 1, ?) = ? ORDER BY ref")
+          .all(dir.length, dir) as Array<{ ref: string }>;
+        return rows.map((row) => row.ref);
+      });
+    },
+    tryAcquireLock(info: RunLockInfo) {
+      return settle(() => {
+        const database = open();
+        for (;;) {
+          const inserted = database
+            .prepare("INSERT INTO run_lock (id, info) VALUES (1, ?) ON CONFLICT(id) DO NOTHING")
+            .run(JSON.stringify(info)) as { changes: number | bigint };
+          if (Number(inserted.changes) > 0) return null;
+          const row = database.prepare("SELECT info FROM run_lock WHERE id = 1").get() as { info: string } | undefined;
+          // The holder may have released between the two statements; try again in that case.
+          if (row) return JSON.parse(row.info) as RunLockInfo;
+        }
+      });
+    },
+    releaseLock() {
+      return settle(() => {
+        open().prepare("DELETE FROM run_lock WHERE id = 1").run();
+      });
+    },
+    readLock() {
+      return settle(() => {
+        const row = open().prepare("SELECT info FROM run_lock WHERE id = 1").get() as { info: string } | undefined;
+        return row ? (JSON.parse(row.info) as RunLockInfo) : null;
+      });
+    },
+    replaceLock(expected: RunLockInfo, next: RunLockInfo | null) {
+      return settle(() => {
+        const statement = next
+          ? open().prepare("UPDATE run_lock SET info = ? WHERE id = 1 AND info = ?")
+          : open().prepare("DELETE FROM run_lock WHERE id = 1 AND info = ?");
+        const params = next ? [JSON.stringify(next), JSON.stringify(expected)] : [JSON.stringify(expected)];
+        const changed = statement.run(...params) as { changes: number | bigint };
+        return Number(changed.changes) > 0;
+      });
+    },
+    close() {
+      return settle(() => {
+        db?.close();
+        db = undefined;
+      });
+    },
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Minimal ustar reader/writer for run archives. Only regular files are written; directories are
+ * implied by the paths and skipped when reading.
+ */
+
+const BLOCK_SIZE = 512;
+const NAME_LENGTH = 100;
+const PREFIX_LENGTH = 155;
+
+export interface TarEntry {
+  /**
+   * POSIX path inside the archive.
+   */
+  path: string;
+  data: Buffer;
+}
+
+export function packTar(entries: TarEntry[], mtime: Date): Buffer {
+  const blocks: Buffer[] = [];
+  const mtimeSeconds = Math.floor(mtime.getTime() / 1000);
+  for (const entry of entries) {
+    blocks.push(createHeader(entry.path, entry.data.length, mtimeSeconds));
+    blocks.push(entry.data);
+    const padding = (BLOCK_SIZE - (entry.data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding) blocks.push(Buffer.alloc(padding));
+  }
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return Buffer.concat(blocks);
+}
+
+export function unpackTar(archive: Buffer): TarEntry[] {
+  const entries: TarEntry[] = [];
+  let offset = 0;
+  while (offset + BLOCK_SIZE <= archive.length) {
+    const header = archive.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every((byte) => byte === 0)) break;
+    if (readOctal(header, 148, 8) !== computeChecksum(header)) {
+      throw new Error(`Corrupt tar header at offset ${offset}`);
+    }
+    const name = readString(header, 0, NAME_LENGTH);
+    const prefix = readString(header, 345, PREFIX_LENGTH);
+    const size = readOctal(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 0x30);
+    offset += BLOCK_SIZE;
+    if (offset + size > archive.length) {
+      throw new Error(`Truncated tar entry ${prefix ? `${prefix}/${name}` : name}`);
+    }
+    if (type === "0") {
+      entries.push({ path: prefix ? `${prefix}/${name}` : name, data: Buffer.from(archive.subarray(offset, offset + size)) });
+    }
+    offset += Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+  return entries;
+}
+
+function createHeader(entryPath: string, size: number, mtimeSeconds: number): Buffer {
+  const { name, prefix } = splitPath(entryPath);
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name, 0, NAME_LENGTH, "utf8");
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, mtimeSeconds, 136, 12);
+  header[156] = 0x30;
+  header.write("ustar\u000000", 257, 8, "binary");
+  header.write(prefix, 345, PREFIX_LENGTH, "utf8");
+  const checksum = computeChecksum(header);
+  header.write(`${checksum.toString(8).padStart(6, "0")}\u0000 `, 148, 8, "binary");
+  return header;
+}
+
+// ustar stores long paths as `<prefix>/<name>`, split on a slash.
+function splitPath(entryPath: string): { name: string; prefix: string } {
+  if (Buffer.byteLength(entryPath) <= NAME_LENGTH) return { name: entryPath, prefix: "" };
+  for (let i = entryPath.indexOf("/"); i !== -1; i = entryPath.indexOf("/", i + 1)) {
+    const prefix = entryPath.slice(0, i);
+    const name = entryPath.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= PREFIX_LENGTH && Buffer.byteLength(name) <= NAME_LENGTH) {
+      return { name, prefix };
+    }
+  }
+  throw new Error(`Path is too long for a tar archive: ${entryPath}`);
+}
+
+function computeChecksum(header: Buffer): number {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i += 1) {
+    // The checksum field itself counts as eight spaces.
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum;
+}
+
+function writeOctal(header: Buffer, value: number, offset: number, length: number) {
+  header.write(`${value.toString(8).padStart(length - 1, "0")}\u0000`, offset, length, "binary");
+}
+
+function readOctal(header: Buffer, offset: number, length: number): number {
+  const raw = readString(header, offset, length).trim();
+  return raw ? parseInt(raw, 8) : 0;
+}
+
+function readString(header: Buffer, offset: number, length: number): string {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString("utf8");
+}
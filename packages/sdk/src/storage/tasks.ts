@@ -1,33 +1,33 @@
-import { promises as fs } from "fs";
 import path from "path";
-import { getTasksDir } from "./paths";
+import crypto from "crypto";
+import { TASKS_DIR } from "./paths";
 import { JsonRecord, StoredTaskResult } from "./types";
-import { writeFileAtomic } from "./atomic";
+import { getRunStore, toDocumentRef } from "./runStore";
 
-function resolveTaskPath(runDir: string, effectId: string, relative: string) {
-  return path.join(getTasksDir(runDir), effectId, relative);
+function taskRef(effectId: string, relative: string) {
+  return path.posix.join(TASKS_DIR, effectId, relative);
+}
+
+/**
+ * The exact bytes written for task.json/result.json, so callers can digest what was stored.
+ */
+export function formatTaskDocument(document: JsonRecord | StoredTaskResult) {
+  return JSON.stringify(document, null, 2) + "\n";
+}
+
+export function hashDocument(data: string | Buffer) {
+  return crypto.createHash("sha256").update(data).digest("hex");
 }
 
 export async function writeTaskDefinition(runDir: string, effectId: string, taskDef: JsonRecord) {
-  const taskDir = path.join(getTasksDir(runDir), effectId);
-  await fs.mkdir(taskDir, { recursive: true });
-  const taskPath = path.join(taskDir, "task.json");
-  await writeFileAtomic(taskPath, JSON.stringify(taskDef, null, 2) + "\n");
-  return path.relative(runDir, taskPath).replace(/\\/g, "/");
+  const ref = taskRef(effectId, "task.json");
+  await getRunStore(runDir).writeDocument(ref, formatTaskDocument(taskDef));
+  return ref;
 }
 
 export async function readTaskDefinition(runDir: string, effectId: string): Promise<JsonRecord | undefined> {
-  const taskPath = resolveTaskPath(runDir, effectId, "task.json");
-  try {
-    const raw = await fs.readFile(taskPath, "utf8");
-    return JSON.parse(raw) as JsonRecord;
-  } catch (error) {
-    const err = error as NodeJS.ErrnoException;
-    if (err.code === "ENOENT") {
-      return undefined;
-    }
-    throw error;
-  }
+  const raw = await getRunStore(runDir).readDocument(taskRef(effectId, "task.json"));
+  return raw ? (JSON.parse(raw.toString("utf8")) as JsonRecord) : undefined;
 }
 
 export async function readTaskResult(
@@ -35,21 +35,9 @@ export async function readTaskResult(
   effectId: string,
   resultRef?: string
 ): Promise<StoredTaskResult | undefined> {
-  const resolvedPath = resultRef
-    ? path.isAbsolute(resultRef)
-      ? resultRef
-      : path.join(runDir, resultRef)
-    : resolveTaskPath(runDir, effectId, "result.json");
-  try {
-    const raw = await fs.readFile(resolvedPath, "utf8");
-    return JSON.parse(raw) as StoredTaskResult;
-  } catch (error) {
-    const err = error as NodeJS.ErrnoException;
-    if (err.code === "ENOENT") {
-      return undefined;
-    }
-    throw error;
-  }
+  const ref = resultRef ? toDocumentRef(runDir, resultRef) : taskRef(effectId, "result.json");
+  const raw = await getRunStore(runDir).readDocument(ref);
+  return raw ? (JSON.parse(raw.toString("utf8")) as StoredTaskResult) : undefined;
 }
 
 export interface WriteTaskResultOptions {
@@ -61,10 +49,7 @@ export interface WriteTaskResultOptions {
 }
 
 export async function writeTaskResult(options: WriteTaskResultOptions) {
-  const taskDir = path.join(getTasksDir(options.runDir), options.effectId);
-  await fs.mkdir(taskDir, { recursive: true });
-  const resultPath = path.join(taskDir, "result.json");
-  const relativeResultPath = path.relative(options.runDir, resultPath).replace(/\\/g, "/");
+  const resultRef = taskRef(options.effectId, "result.json");
 
   const stdoutRef = await writeTextIfProvided(options.runDir, options.effectId, "stdout.log", options.stdout);
   const stderrRef = await writeTextIfProvided(options.runDir, options.effectId, "stderr.log", options.stderr);
@@ -76,10 +61,12 @@ export async function writeTaskResult(options: WriteTaskResultOptions) {
     options.result.stderrRef = stderrRef;
   }
 
-  await writeFileAtomic(resultPath, JSON.stringify(options.result, null, 2) + "\n");
+  const contents = formatTaskDocument(options.result);
+  await getRunStore(options.runDir).writeDocument(resultRef, contents);
 
   return {
-    resultRef: relativeResultPath,
+    resultRef,
+    resultSha256: hashDocument(contents),
     stdoutRef,
     stderrRef,
   };
@@ -92,7 +79,7 @@ async function writeTextIfProvided(
   contents?: string
 ): Promise<string | undefined> {
   if (typeof contents !== "string") return undefined;
-  const filePath = resolveTaskPath(runDir, effectId, filename);
-  await writeFileAtomic(filePath, contents);
-  return path.relative(runDir, filePath).replace(/\\/g, "/");
+  const ref = taskRef(effectId, filename);
+  await getRunStore(runDir).writeDocument(ref, contents);
+  return ref;
 }
@@ -1,4 +1,7 @@
 import { Stats } from "fs";
+import type { RunStore, RunStoreKind } from "./runStore";
+import type { JournalLayout } from "./journalSegments";
+import type { RunEncryptionMetadata } from "./encryption";
 
 export type JsonRecord = Record<string, unknown>;
 
@@ -17,6 +20,52 @@ export interface RunMetadata extends JsonRecord {
   layoutVersion: string;
   createdAt: string;
   completionSecret?: string;
+  /**
+   * Copy of the entrypoint module captured at run creation (or by run:migrate).
+   */
+  processSnapshot?: ProcessSnapshotMetadata;
+  /**
+   * Which code replay loads: the live entrypoint (default, drift-checked) or the snapshot copy.
+   */
+  processSource?: "entrypoint" | "snapshot";
+  /**
+   * Set when every event records the checksum of its predecessor (see run:verify).
+   */
+  journalChain?: boolean;
+  /**
+   * Set when spilled artifacts and task blobs are stored once in `<runsRoot>/.cas` and hard-linked
+   * into the run (see storage/blobStore).
+   */
+  sharedBlobs?: boolean;
+  /**
+   * Present when task documents and blobs are encrypted at rest (see storage/encryption).
+   */
+  encryption?: RunEncryptionMetadata;
+  /**
+   * Set on runs created by run:fork: the source run and the last journal seq copied from it.
+   */
+  forkedFrom?: RunForkOrigin;
+}
+
+export interface RunForkOrigin {
+  runId: string;
+  runDir: string;
+  seq: number;
+  forkedAt: string;
+  inputsChanged: boolean;
+}
+
+export interface ProcessSnapshotMetadata {
+  /**
+   * Snapshot of the entry file relative to the run directory (`process/<file>`); the local modules
+   * it imports are captured beside it with the same relative layout.
+   */
+  importPath: string;
+  /**
+   * Hash of the captured modules (the entry file's sha256 when it imports no local modules).
+   */
+  sha256: string;
+  capturedAt: string;
 }
 
 export interface CreateRunDirOptions {
@@ -33,12 +82,24 @@ export interface CreateRunDirOptions {
   layoutVersion?: string;
   inputs?: unknown;
   extraMetadata?: Record<string, unknown>;
+  /**
+   * Backend for the new run; defaults to the filesystem layout.
+   */
+  store?: RunStore | RunStoreKind;
+  /**
+   * Journal layout for filesystem runs; defaults to one file per event.
+   */
+  journalLayout?: JournalLayout;
 }
 
 export interface AppendEventOptions {
   runDir: string;
   event: JsonRecord;
   eventType: string;
+  /**
+   * Start a checksum chain: the event records `prevChecksum`, and so does every event after it.
+   */
+  chain?: boolean;
 }
 
 export interface AppendEventResult {
@@ -81,12 +142,36 @@ export interface OrphanedBlobInfo {
   path: string;
 }
 
+export interface DedupeBlobsResult {
+  /**
+   * Duplicate files replaced by a hard link (or that would be, in a dry run).
+   */
+  files: number;
+  bytes: number;
+}
+
 export interface RunLockInfo {
   pid: number;
   owner: string;
   acquiredAt: string;
+  /**
+   * Host the holder runs on; the pid is only checked for liveness on the same host.
+   */
+  hostname?: string;
+  leaseMs?: number;
+  /**
+   * Last renewal. Holders refresh `heartbeatAt` and `expiresAt` every third of the lease.
+   */
+  heartbeatAt?: string;
+  expiresAt?: string;
 }
 
+/**
+ * Why a lock was broken: its pid is gone (same host), its lease ran out (other host), or
+ * `run:unlock --force` was used on a live holder.
+ */
+export type LockBrokenReason = "dead_pid" | "lease_expired" | "forced";
+
 export type FileStatGetter = (path: string) => Promise<Stats>;
 
 export interface JournalEvent {
@@ -98,6 +183,10 @@ export interface JournalEvent {
   recordedAt: string;
   data: JsonRecord;
   checksum?: string;
+  /**
+   * Checksum of the previous event (null for the first) in journals created with `journalChain`.
+   */
+  prevChecksum?: string | null;
 }
 
 export interface StoredTaskResult {
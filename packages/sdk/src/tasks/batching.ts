@@ -27,8 +27,9 @@ export interface ParallelPendingPayload {
 
 /**
  * Deduplicates EffectAction entries by effectId while preserving order and builds summaries.
+ * `hints` (e.g. the concurrency window of a ctx.parallel call) are merged into every action.
  */
-export function buildParallelBatch(actions: EffectAction[]): ParallelBatch {
+export function buildParallelBatch(actions: EffectAction[], hints?: EffectSchedulerHints): ParallelBatch {
   const seen = new Set<string>();
   const deduped: EffectAction[] = [];
 
@@ -38,7 +39,10 @@ export function buildParallelBatch(actions: EffectAction[]): ParallelBatch {
     deduped.push(action);
   }
 
-  const annotated = assignParallelGroupHints(deduped);
+  const grouped = assignParallelGroupHints(deduped);
+  const annotated = hints
+    ? grouped.map((action) => ({ ...action, schedulerHints: mergeSchedulerHints(action.schedulerHints, hints) }))
+    : grouped;
   const summaries = annotated.map(summarizeEffectAction);
 
   return {
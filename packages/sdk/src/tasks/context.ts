@@ -1,8 +1,7 @@
 import crypto from "crypto";
-import { promises as fs } from "fs";
 import path from "path";
-import { writeFileAtomic } from "../storage/atomic";
 import { getTasksDir } from "../storage/paths";
+import { writeBlobDocument } from "../storage/blobStore";
 import { BlobWriteOptions, TaskBuildContext } from "./types";
 
 const DEFAULT_TEXT_ENCODING: BufferEncoding = "utf8";
@@ -42,11 +41,10 @@ export function createTaskBuildContext(options: CreateTaskBuildContextOptions):
     async createBlobRef(name, value, blobOptions) {
       const prepared = prepareBlobContents(value, blobOptions);
       const blobName = buildBlobFileName(name, prepared.defaultExtension, prepared.contents);
-      const blobDir = path.join(taskDir, "blobs");
-      await fs.mkdir(blobDir, { recursive: true });
-      const blobPath = path.join(blobDir, blobName);
-      await writeFileAtomic(blobPath, prepared.contents);
-      return toRunRelative(runDir, blobPath);
+      const blobPath = path.join(taskDir, "blobs", blobName);
+      const ref = toRunRelative(runDir, blobPath);
+      await writeBlobDocument(runDir, ref, prepared.contents);
+      return ref;
     },
     toTaskRelativePath(relativePath: string) {
       const normalized = normalizeTaskRelativePath(relativePath);
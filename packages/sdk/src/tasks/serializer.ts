@@ -1,11 +1,10 @@
-import { promises as fs } from "fs";
 import path from "path";
 import crypto from "crypto";
-import { writeTaskDefinition, writeTaskResult } from "../storage/tasks";
+import { formatTaskDocument, hashDocument, writeTaskDefinition, writeTaskResult } from "../storage/tasks";
 import { JsonRecord, StoredTaskResult } from "../storage/types";
-import { getTasksDir } from "../storage/paths";
+import { TASKS_DIR } from "../storage/paths";
+import { writeBlobDocument } from "../storage/blobStore";
 import { TaskDef, TaskSerializerContext } from "./types";
-import { writeFileAtomic } from "../storage/atomic";
 import type { SerializedEffectError } from "../runtime/types";
 
 export const TASK_SCHEMA_VERSION = "2026.01.tasks-v1";
@@ -39,12 +38,14 @@ export type SerializedErrorPayload = SerializedEffectError | JsonRecord | undefi
 
 export interface SerializeTaskDefinitionResult {
   taskRef: string;
+  taskSha256: string;
   inputsRef?: string;
   serialized: SerializedTaskDefinition;
 }
 
 export interface SerializeTaskResultOutput {
   resultRef: string;
+  resultSha256: string;
   stdoutRef?: string;
   stderrRef?: string;
   serialized: StoredTaskResult;
@@ -77,6 +78,7 @@ export async function serializeAndWriteTaskDefinition(
   const taskRef = await writeTaskDefinition(options.runDir, options.effectId, serialized);
   return {
     taskRef,
+    taskSha256: hashDocument(formatTaskDocument(serialized)),
     inputsRef: serialized.inputsRef,
     serialized,
   };
@@ -122,7 +124,7 @@ export async function serializeAndWriteTaskResult(
   options: SerializeTaskResultOptions
 ): Promise<SerializeTaskResultOutput> {
   const serialized = await serializeTaskResult(options);
-  const { resultRef, stdoutRef, stderrRef } = await writeTaskResult({
+  const { resultRef, resultSha256, stdoutRef, stderrRef } = await writeTaskResult({
     runDir: options.runDir,
     effectId: options.effectId,
     result: serialized,
@@ -131,6 +133,7 @@ export async function serializeAndWriteTaskResult(
   });
   return {
     resultRef,
+    resultSha256,
     stdoutRef,
     stderrRef,
     serialized,
@@ -230,20 +233,10 @@ async function maybeSpillLargeValue(options: {
   if (Buffer.byteLength(json, "utf8") <= BLOB_THRESHOLD_BYTES) {
     return { value: clone };
   }
-  const blobDir = path.join(getTasksDir(options.runDir), options.effectId, "blobs");
-  await fs.mkdir(blobDir, { recursive: true });
   const hash = crypto.createHash("sha256").update(json).digest("hex");
-  const blobPath = path.join(blobDir, `${options.name}-${hash}.json`);
-  await fs.mkdir(path.dirname(blobPath), { recursive: true });
-  await writeFileAtomic(blobPath, json);
-  return {
-    ref: toRunRelative(options.runDir, blobPath),
-  };
-}
-
-function toRunRelative(runDir: string, absolutePath: string): string {
-  const relative = path.relative(runDir, absolutePath);
-  return relative.split(path.sep).join("/");
+  const ref = path.posix.join(TASKS_DIR, options.effectId, "blobs", `${options.name}-${hash}.json`);
+  await writeBlobDocument(options.runDir, ref, json);
+  return { ref };
 }
 
 function stableClone<T>(value: T): T {
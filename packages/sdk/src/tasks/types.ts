@@ -1,7 +1,7 @@
 import { JsonRecord } from "../storage/types";
 
 // Known task kinds (custom kinds are also allowed as any string)
-export type KnownTaskKind = "node" | "breakpoint" | "orchestrator_task" | "sleep";
+export type KnownTaskKind = "node" | "breakpoint" | "orchestrator_task" | "sleep" | "subrun" | "signal";
 
 // TaskKind accepts any string (including custom task kinds)
 export type TaskKind = string;
@@ -36,6 +36,19 @@ export interface SleepTaskOptions {
   targetEpochMs: number;
 }
 
+export interface SubrunTaskOptions {
+  runId: string;
+  /**
+   * Child run directory relative to the parent run directory.
+   */
+  runDir: string;
+  processId: string;
+}
+
+export interface SignalTaskOptions {
+  name: string;
+}
+
 export interface TaskDef {
   kind: TaskKind;
   title?: string;
@@ -47,6 +60,8 @@ export interface TaskDef {
   breakpoint?: BreakpointTaskOptions;
   orchestratorTask?: OrchestratorTaskOptions;
   sleep?: SleepTaskOptions;
+  subrun?: SubrunTaskOptions;
+  signal?: SignalTaskOptions;
   [key: string]: unknown;
 }
 
@@ -118,8 +133,53 @@ export interface DefinedTask<TArgs = unknown, _TResult = unknown> {
   build(args: TArgs, ctx: TaskBuildContext): TaskDef | Promise<TaskDef>;
 }
 
+export interface TaskRetryPolicy {
+  /**
+   * Total attempts including the first one (must be >= 1).
+   */
+  maxAttempts: number;
+  /**
+   * Delay before the second attempt in milliseconds (default: 1000).
+   */
+  initialDelayMs?: number;
+  /**
+   * Multiplier applied to the delay after each failed attempt (default: 2).
+   */
+  backoffFactor?: number;
+  /**
+   * Upper bound for a single backoff delay.
+   */
+  maxDelayMs?: number;
+  /**
+   * Error names to retry, or a predicate over the rehydrated error (name/message/data).
+   * Every error is retried when omitted.
+   */
+  retryOn?: string[] | ((error: Error & { data?: unknown }) => boolean);
+}
+
+/**
+ * Undo step for a ctx.task call. A bare task is invoked with `{ args, result }` of the original
+ * call; the object form can pass explicit args.
+ */
+export type TaskCompensation = DefinedTask | { task: DefinedTask; args?: unknown; label?: string };
+
 export interface TaskInvokeOptions {
   label?: string;
+  /**
+   * Re-request the task as a new effect when it resolves with an error.
+   */
+  retry?: TaskRetryPolicy;
+  /**
+   * Resolve the effect as a TimeoutError when it is still pending this many milliseconds after it
+   * was requested. Node tasks default to `node.timeoutMs` plus a 30s margin, since the executor
+   * only starts that timeout when it spawns the task.
+   */
+  timeoutMs?: number;
+  /**
+   * Registered once the task succeeds; requested in reverse order when the process fails or a
+   * saga is rolled back.
+   */
+  compensate?: TaskCompensation;
 }
 
 export interface TaskSerializerContext {